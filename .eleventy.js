@@ -1,6 +1,9 @@
 export default async function (eleventyConfig) {
   // Copy static assets
   eleventyConfig.addPassthroughCopy("site/**/*.txt");
+  eleventyConfig.addPassthroughCopy("site/**/*-actions.json");
+  eleventyConfig.addPassthroughCopy("site/**/*.vtt");
+  eleventyConfig.addPassthroughCopy("site/**/*.srt");
   eleventyConfig.addPassthroughCopy("site/img");
   eleventyConfig.addPassthroughCopy("site/style.css");
 
@@ -23,11 +23,26 @@ const AUDIO_PRICING = {
   "deepgram:nova-2": { perMinute: 0.0043 },
 };
 
+/**
+ * Per-minute price of an audio model. Local whisper runs (whisper:<model>)
+ * are free.
+ * @param {string} model
+ * @returns {{perMinute: number}|undefined}
+ */
+function audioPricing(model) {
+  return AUDIO_PRICING[model] ?? (model.startsWith("whisper:") ? { perMinute: 0 } : undefined);
+}
+
+// Batch API requests (--batch) are billed at half the list price by both
+// Gemini and Anthropic.
+const BATCH_DISCOUNT = 0.5;
+
 const usageRecords = [];
 
 /**
- * Record a usage entry from an API call
- * @param {{ inputTokens?: number, outputTokens?: number, model: string, audioSeconds?: number }} usage
+ * Record a usage entry from an API call, or the audio silence trimming kept
+ * from the STT backend ({ savedAudioSeconds })
+ * @param {{ inputTokens?: number, outputTokens?: number, model?: string, audioSeconds?: number, batch?: boolean, savedAudioSeconds?: number }} usage
  */
 export function recordUsage(usage) {
   if (usage) {
@@ -39,14 +54,23 @@ export function recordUsage(usage) {
  * Aggregate recorded usage into per-model rows with cost estimates.
  * Pure function of the given records — does not read module state — so it's
  * unit-testable without capturing console output.
- * @param {Array<{ inputTokens?: number, outputTokens?: number, model: string, audioSeconds?: number }>} records
- * @returns {{ rows: Array<Object>, totalCost: number, allKnown: boolean }}
+ * Batch API usage is listed as its own "<model> (batch)" row at the batch
+ * discount.
+ * Silence-trimming records are summed into savedAudioMinutes.
+ * @param {Array<{ inputTokens?: number, outputTokens?: number, model?: string, audioSeconds?: number, batch?: boolean, savedAudioSeconds?: number }>} records
+ * @returns {{ rows: Array<Object>, totalCost: number, allKnown: boolean, savedAudioMinutes: number }}
  */
 export function computeCostSummary(records) {
   const tokenByModel = new Map();
   const audioByModel = new Map();
 
+  let savedAudioSeconds = 0;
+
   for (const rec of records) {
+    if (Number.isFinite(rec.savedAudioSeconds)) {
+      savedAudioSeconds += rec.savedAudioSeconds;
+      continue;
+    }
     const key = rec.model || "unknown";
     if (Number.isFinite(rec.audioSeconds) && rec.audioSeconds > 0) {
       if (!audioByModel.has(key)) {
@@ -54,10 +78,11 @@ export function computeCostSummary(records) {
       }
       audioByModel.get(key).audioSeconds += rec.audioSeconds || 0;
     } else {
-      if (!tokenByModel.has(key)) {
-        tokenByModel.set(key, { inputTokens: 0, outputTokens: 0 });
+      const tokenKey = rec.batch ? `${key} (batch)` : key;
+      if (!tokenByModel.has(tokenKey)) {
+        tokenByModel.set(tokenKey, { pricingModel: key, batch: Boolean(rec.batch), inputTokens: 0, outputTokens: 0 });
       }
-      const agg = tokenByModel.get(key);
+      const agg = tokenByModel.get(tokenKey);
       agg.inputTokens += rec.inputTokens || 0;
       agg.outputTokens += rec.outputTokens || 0;
     }
@@ -68,13 +93,14 @@ export function computeCostSummary(records) {
   let allKnown = true;
 
   for (const [model, agg] of tokenByModel) {
-    const pricing = PRICING[model];
+    const pricing = PRICING[agg.pricingModel];
     let cost = 0;
     let costKnown = false;
     if (pricing) {
       cost =
-        (agg.inputTokens / 1_000_000) * pricing.input +
-        (agg.outputTokens / 1_000_000) * pricing.output;
+        ((agg.inputTokens / 1_000_000) * pricing.input +
+          (agg.outputTokens / 1_000_000) * pricing.output) *
+        (agg.batch ? BATCH_DISCOUNT : 1);
       costKnown = true;
       totalCost += cost;
     } else {
@@ -84,7 +110,7 @@ export function computeCostSummary(records) {
   }
 
   for (const [model, agg] of audioByModel) {
-    const pricing = AUDIO_PRICING[model];
+    const pricing = audioPricing(model);
     const audioMinutes = (agg.audioSeconds || 0) / 60;
     let cost = 0;
     let costKnown = false;
@@ -98,7 +124,7 @@ export function computeCostSummary(records) {
     rows.push({ model, kind: "audio", audioMinutes, cost, costKnown });
   }
 
-  return { rows, totalCost, allKnown };
+  return { rows, totalCost, allKnown, savedAudioMinutes: savedAudioSeconds / 60 };
 }
 
 /**
@@ -109,7 +135,7 @@ export function printSummary() {
     return;
   }
 
-  const { rows, totalCost, allKnown } = computeCostSummary(usageRecords);
+  const { rows, totalCost, allKnown, savedAudioMinutes } = computeCostSummary(usageRecords);
   const tokenRows = rows.filter((r) => r.kind === "tokens");
   const audioRows = rows.filter((r) => r.kind === "audio");
 
@@ -179,4 +205,8 @@ export function printSummary() {
     const totalCostStr = allKnown ? `$${totalCost.toFixed(2)}` : `~$${totalCost.toFixed(2)}`;
     console.log(`\nGrand Total (tokens + audio): ${totalCostStr}`);
   }
+
+  if (savedAudioMinutes > 0) {
+    console.log(`\nSilence trimming: ${savedAudioMinutes.toFixed(1)} audio minutes not sent to STT`);
+  }
 }
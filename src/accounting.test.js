@@ -73,6 +73,38 @@ describe('computeCostSummary', () => {
     expect(row.outputTokens).toBe(0);
   });
 
+  test('lists batch API usage as a separate row at half price', () => {
+    const summary = computeCostSummary([
+      { model: 'claude-sonnet-4-6', inputTokens: 1_000_000, outputTokens: 1_000_000 },
+      { model: 'claude-sonnet-4-6', inputTokens: 1_000_000, outputTokens: 1_000_000, batch: true },
+    ]);
+
+    expect(summary.rows.map((r) => r.model)).toEqual(['claude-sonnet-4-6', 'claude-sonnet-4-6 (batch)']);
+    expect(summary.rows[0].cost).toBeCloseTo(18.0, 6);
+    expect(summary.rows[1].cost).toBeCloseTo(9.0, 6);
+    expect(summary.totalCost).toBeCloseTo(27.0, 6);
+  });
+
+  test('prices local whisper audio at zero', () => {
+    const summary = computeCostSummary([
+      { model: 'whisper:base.en', audioSeconds: 3600, inputTokens: 0, outputTokens: 0 },
+    ]);
+
+    expect(summary.rows).toEqual([{ model: 'whisper:base.en', kind: 'audio', audioMinutes: 60, cost: 0, costKnown: true }]);
+    expect(summary.allKnown).toBe(true);
+  });
+
+  test('sums silence trimming records into savedAudioMinutes without adding rows', () => {
+    const summary = computeCostSummary([
+      { model: 'deepgram:nova-3', audioSeconds: 3000, inputTokens: 0, outputTokens: 0 },
+      { savedAudioSeconds: 600 },
+      { savedAudioSeconds: 300 },
+    ]);
+
+    expect(summary.rows).toHaveLength(1);
+    expect(summary.savedAudioMinutes).toBeCloseTo(15, 6);
+  });
+
   test('returns no rows and no cost for an empty record set', () => {
     const summary = computeCostSummary([]);
     expect(summary.rows).toEqual([]);
@@ -151,4 +183,18 @@ describe('printSummary', () => {
     // A combined grand total sums both, so the reader can see the true overall spend.
     expect(output).toMatch(/Grand Total.*\$0\.32/);
   });
+
+  test('reports the audio minutes silence trimming kept from STT', async () => {
+    jest.resetModules();
+    const { printSummary, recordUsage } = await import('./accounting.js');
+    recordUsage({ model: 'deepgram:nova-3', audioSeconds: 3000, inputTokens: 0, outputTokens: 0 });
+    recordUsage({ savedAudioSeconds: 900 });
+
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    printSummary();
+    const output = logSpy.mock.calls.map((args) => args.join(' ')).join('\n');
+    logSpy.mockRestore();
+
+    expect(output).toContain('Silence trimming: 15.0 audio minutes not sent to STT');
+  });
 });
@@ -0,0 +1,97 @@
+/**
+ * Action Items
+ * Machine-readable export of the action items and decisions in generated
+ * minutes (--extract-actions). The model lists them from the minutes, with
+ * the transcript line each came up on (extractActionItems); the line's time
+ * is then read from the transcript here rather than taken from the model.
+ * The result is cached per session as <sessionId>.actions.json and
+ * aggregated per WG by the output stage.
+ */
+
+import { extractActionItems } from "./generator.js";
+import { splitUnits } from "./transcript-cleanup.js";
+
+let actionExtraction = false;
+
+/**
+ * Enable or disable action item extraction after minutes generation
+ * @param {boolean} enabled
+ */
+export function setActionExtraction(enabled) {
+  actionExtraction = Boolean(enabled);
+}
+
+/**
+ * @returns {boolean} Whether action item extraction is enabled
+ */
+export function isActionExtractionEnabled() {
+  return actionExtraction;
+}
+
+/**
+ * Normalize a transcript time ("5:04", "0:05:04", "00:05:04.120") to HH:MM:SS.
+ * @param {string} time
+ * @returns {string|null}
+ */
+function normalizeTime(time) {
+  const match = typeof time === "string" && time.trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?:[.,]\d+)?$/);
+  if (!match) return null;
+  const [, h = "0", m, s] = match;
+  return `${h.padStart(2, "0")}:${m.padStart(2, "0")}:${s}`;
+}
+
+/**
+ * Transcript lines for the extraction prompt, with the time each one falls at.
+ * Meetecho JSON entries are shown with their startTime; text lines without a
+ * "[HH:MM:SS]" prefix take the time of the last line that had one.
+ * @param {string} transcript - Transcript (Meetecho JSON or text)
+ * @returns {{lines: string[], times: Array<string|null>}}
+ */
+export function timedTranscriptLines(transcript) {
+  const { kind, units, data } = splitUnits(transcript);
+  const lines = [];
+  const times = [];
+  let lastTime = null;
+  units.forEach((unit, index) => {
+    let time;
+    if (kind === "json") {
+      time = normalizeTime(data[index]?.startTime);
+      lines.push(time ? `[${time}] ${unit}` : unit);
+    } else {
+      time = normalizeTime(unit.match(/^\s*\[(\d{1,2}:\d{2}:\d{2})\]/)?.[1]);
+      lines.push(unit);
+    }
+    lastTime = time ?? lastTime;
+    times.push(lastTime);
+  });
+  return { lines, times };
+}
+
+/**
+ * Extract the action items and decisions of one session's minutes.
+ * @param {string} minutes - Generated minutes (Markdown)
+ * @param {string} transcript - Transcript the minutes were generated from
+ * @param {Object} session - Session ({sessionId, sessionName})
+ * @param {boolean} verbose - Whether to log verbose status information
+ * @param {string|null} modelName - Model name override
+ * @returns {Promise<{actions: Object, usage: Object}>} The session's actions.json document and token usage
+ */
+export async function extractSessionActions(minutes, transcript, session, verbose = false, modelName = null) {
+  const { lines, times } = timedTranscriptLines(transcript);
+  const { actionItems, decisions, usage } = await extractActionItems(minutes, lines, session.sessionName, verbose, modelName);
+
+  const withOffset = ({ line, ...item }) => ({
+    ...item,
+    transcriptOffset: line ? { line, time: times[line - 1] } : null,
+  });
+
+  return {
+    actions: {
+      sessionId: session.sessionId,
+      sessionName: session.sessionName,
+      actionItems: actionItems.map(withOffset),
+      decisions: decisions.map(withOffset),
+    },
+    usage,
+  };
+}
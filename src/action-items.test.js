@@ -0,0 +1,56 @@
+import { jest } from '@jest/globals';
+
+const mockExtractActionItems = jest.fn();
+
+jest.unstable_mockModule('./generator.js', () => ({
+  extractActionItems: mockExtractActionItems,
+  // Used by transcript-cleanup.js, which action-items.js imports splitUnits from.
+  extractParticipantNames: jest.fn(() => []),
+  activeDraftNames: jest.fn(() => []),
+}));
+
+const { timedTranscriptLines, extractSessionActions } = await import('./action-items.js');
+
+describe('timedTranscriptLines', () => {
+  test('shows Meetecho startTimes and normalizes them', () => {
+    const transcript = JSON.stringify([
+      { startTime: '0:05:04', text: 'Alice: Hello' },
+      { text: 'Bob: Hi' },
+      { startTime: '12:34', text: 'Carol: Thanks' },
+    ]);
+
+    expect(timedTranscriptLines(transcript)).toEqual({
+      lines: ['[00:05:04] Alice: Hello', 'Bob: Hi', '[00:12:34] Carol: Thanks'],
+      times: ['00:05:04', '00:05:04', '00:12:34'],
+    });
+  });
+
+  test('carries the last timestamp over untimed text lines', () => {
+    expect(timedTranscriptLines('Preamble\n[00:00:05] Speaker 1: Hello\ncontinued').times).toEqual([null, '00:00:05', '00:00:05']);
+  });
+});
+
+describe('extractSessionActions', () => {
+  test('resolves transcript lines to offsets', async () => {
+    mockExtractActionItems.mockResolvedValue({
+      actionItems: [{ owner: 'Alice', description: 'Post -03', draft: 'draft-ietf-tls-ech', line: 2 }],
+      decisions: [{ description: 'Start WGLC', draft: null, line: null }],
+      usage: { inputTokens: 10, outputTokens: 5, model: 'test' },
+    });
+    const transcript = JSON.stringify([
+      { startTime: '00:00:05', text: 'Chair: Welcome' },
+      { startTime: '00:01:00', text: 'Alice: I will post -03' },
+    ]);
+
+    const { actions, usage } = await extractSessionActions('# Minutes', transcript, { sessionId: 'IETF126-TLS-20260720-0930', sessionName: 'TLS' });
+
+    expect(mockExtractActionItems.mock.calls[0][1]).toEqual(['[00:00:05] Chair: Welcome', '[00:01:00] Alice: I will post -03']);
+    expect(actions).toEqual({
+      sessionId: 'IETF126-TLS-20260720-0930',
+      sessionName: 'TLS',
+      actionItems: [{ owner: 'Alice', description: 'Post -03', draft: 'draft-ietf-tls-ech', transcriptOffset: { line: 2, time: '00:01:00' } }],
+      decisions: [{ description: 'Start WGLC', draft: null, transcriptOffset: null }],
+    });
+    expect(usage.inputTokens).toBe(10);
+  });
+});
@@ -1,11 +1,11 @@
 import fsPromises from "fs/promises";
-import { existsSync } from "fs";
 import { amendMinutes, splitAmendComments, getTranscriptCorrections, filterTranscriptCorrections, filterMinutesCorrections } from "./generator.js";
 import { recordUsage } from "./accounting.js";
-import { getCachedMetadata, getCachedMinutes, loadCacheManifest, saveCachedMinutes } from "./publisher.js";
+import { deleteActionItems, deleteStructuredMinutes, getCachedMetadata, getCachedMinutes, loadCacheManifest, saveCachedMinutes } from "./publisher.js";
 import { fetchContextForSession } from "./session-context.js";
 import { normalizeCorrections, applyCorrections, applyLiteralCorrections } from "./transcript-cleanup.js";
-import { getTranscriptCachePath } from "./transcriber.js";
+import { getTranscriptCachePath, getCanonicalTranscriptCachePath, loadCanonicalTranscript } from "./transcriber.js";
+import { toCanonicalTranscript, renderTranscript } from "./canonical-transcript.js";
 import { downloadTranscript } from "./scraper.js";
 
 /**
@@ -28,6 +28,8 @@ export async function amendCachedSessions({
   const fetchContext = dependencies.fetchContextForSession ?? fetchContextForSession;
   const reviseMinutes = dependencies.amendMinutes ?? amendMinutes;
   const saveMinutes = dependencies.saveCachedMinutes ?? saveCachedMinutes;
+  const dropStructuredMinutes = dependencies.deleteStructuredMinutes ?? deleteStructuredMinutes;
+  const dropActionItems = dependencies.deleteActionItems ?? deleteActionItems;
   const addUsage = dependencies.recordUsage ?? recordUsage;
   const logger = dependencies.logger ?? console;
 
@@ -39,11 +41,11 @@ export async function amendCachedSessions({
   const apply = dependencies.applyCorrections ?? applyCorrections;
   const applyLiteral = dependencies.applyLiteralCorrections ?? applyLiteralCorrections;
   const getTranscriptPath = dependencies.getTranscriptCachePath ?? getTranscriptCachePath;
+  const getCanonicalPath = dependencies.getCanonicalTranscriptCachePath ?? getCanonicalTranscriptCachePath;
+  const loadCanonical = dependencies.loadCanonicalTranscript ?? loadCanonicalTranscript;
   const download = dependencies.downloadTranscript ?? downloadTranscript;
 
-  const fsReadFile = dependencies.readFile ?? dependencies.fs?.readFile ?? fsPromises.readFile;
   const fsWriteFile = dependencies.writeFile ?? dependencies.fs?.writeFile ?? fsPromises.writeFile;
-  const fsExistsSync = dependencies.existsSync ?? dependencies.fs?.existsSync ?? existsSync;
 
   let sessionGroups;
   try {
@@ -107,6 +109,8 @@ export async function amendCachedSessions({
             wgDocuments: context?.wgDocuments || [],
             polls: metadata.polls || [],
             chat: metadata.chat || [],
+            agenda: metadata.agenda || context?.agenda || null,
+            draftDetails: metadata.draftDetails || [],
           };
         }
       }
@@ -114,17 +118,17 @@ export async function amendCachedSessions({
       let transcriptCorrectionsApplied = [];
       if (transcriptInstructions && transcriptInstructions.trim()) {
         try {
-          const cachePath = getTranscriptPath(session.sessionId);
-          let transcriptText;
-          if (fsExistsSync(cachePath)) {
-            transcriptText = await fsReadFile(cachePath, "utf8");
-          } else {
-            transcriptText = await download({ ...session, sessionName: group.sessionName });
+          // Corrections are made on the canonical transcript's turns, so the
+          // rendered transcript, the transcript page and captions all agree.
+          let transcript = await loadCanonical(session.sessionId);
+          if (!transcript) {
+            const downloaded = await download({ ...session, sessionName: group.sessionName });
+            transcript = downloaded ? toCanonicalTranscript(downloaded) : null;
           }
 
-          if (transcriptText) {
+          if (transcript) {
             const rawCorrections = await getCorrections(
-              transcriptText,
+              transcript,
               transcriptInstructions,
               group.sessionName,
               context,
@@ -150,9 +154,10 @@ export async function amendCachedSessions({
               corrections = normalize(filteredCorrections);
             }
 
-            const { text: updatedTranscript, applied } = apply(transcriptText, corrections);
+            const { transcript: updatedTranscript, applied } = apply(transcript, corrections);
             if (applied && applied.length > 0) {
-              await fsWriteFile(cachePath, updatedTranscript, "utf8");
+              await fsWriteFile(getTranscriptPath(session.sessionId), renderTranscript(updatedTranscript), "utf8");
+              await fsWriteFile(getCanonicalPath(session.sessionId), JSON.stringify(updatedTranscript), "utf8");
               transcriptCorrectionsApplied = applied;
             }
           }
@@ -218,6 +223,14 @@ export async function amendCachedSessions({
 
       if (newMinutes !== existingMinutes) {
         await saveMinutes(meetingId, session.sessionId, newMinutes);
+        // Amendments edit the Markdown; structured minutes and the action items
+        // extracted from the old Markdown would now disagree with it.
+        if (await dropStructuredMinutes(meetingId, session.sessionId)) {
+          logger.log(`Removed structured minutes of ${session.sessionId}, which no longer match the amended minutes`);
+        }
+        if (await dropActionItems(meetingId, session.sessionId)) {
+          logger.log(`Removed action items of ${session.sessionId}, which no longer match the amended minutes`);
+        }
         logger.log(`Amended: ${session.sessionId}`);
       } else {
         logger.log(`Skipped amending ${session.sessionId}: no minutes instructions or transcript changes`);
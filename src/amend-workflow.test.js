@@ -1,6 +1,7 @@
 import { jest } from '@jest/globals';
 import { amendCachedSessions } from './amend-workflow.js';
-import { applyLiteralCorrections as realApplyLiteralCorrections } from './transcript-cleanup.js';
+import { applyLiteralCorrections as realApplyLiteralCorrections, applyCorrections as realApplyCorrections } from './transcript-cleanup.js';
+import { fromText } from './canonical-transcript.js';
 
 function makeDependencies(overrides = {}) {
   return {
@@ -20,18 +21,21 @@ function makeDependencies(overrides = {}) {
     filterMinutesCorrections: jest.fn((corrections) => Promise.resolve(corrections)),
     normalizeCorrections: jest.fn((raw) => (Array.isArray(raw) ? raw.map(({ from, to }) => ({ from, to })) : [])),
     applyCorrections: jest.fn((transcript, corrections) => ({
-      text: transcript,
+      text: '',
+      transcript,
       appliedCount: 0,
       applied: [],
     })),
     applyLiteralCorrections: jest.fn((text, corrections) => ({ text, applied: [] })),
     getTranscriptCachePath: jest.fn((sessionId) => `cache/transcripts/${sessionId}.md`),
+    getCanonicalTranscriptCachePath: jest.fn((sessionId) => `cache/transcripts/${sessionId}.json`),
     downloadTranscript: jest.fn().mockResolvedValue('Downloaded transcript'),
-    readFile: jest.fn().mockResolvedValue('Cached transcript text'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(fromText('Cached transcript text')),
     writeFile: jest.fn().mockResolvedValue(),
-    existsSync: jest.fn().mockReturnValue(true),
     amendMinutes: jest.fn(),
     saveCachedMinutes: jest.fn(),
+    deleteStructuredMinutes: jest.fn().mockResolvedValue(false),
+    deleteActionItems: jest.fn().mockResolvedValue(false),
     recordUsage: jest.fn(),
     logger: { log: jest.fn(), error: jest.fn() },
     ...overrides,
@@ -78,6 +82,10 @@ test('amends every cached session using case-insensitive WG matching without cha
     [123, '6lo-1', '# First\n\nAmended: Correct both sessions'],
     [123, '6lo-2', '# Second\n\nAmended: Correct both sessions'],
   ]);
+  expect(dependencies.deleteStructuredMinutes.mock.calls).toEqual([
+    [123, '6lo-1'],
+    [123, '6lo-2'],
+  ]);
   expect(dependencies.amendMinutes).toHaveBeenCalledTimes(2);
   expect(dependencies.recordUsage).toHaveBeenCalledTimes(2);
   expect(dependencies.logger.log.mock.calls).toEqual([
@@ -87,6 +95,30 @@ test('amends every cached session using case-insensitive WG matching without cha
   expect(manifest).toEqual(originalManifest);
 });
 
+test('removes the structured minutes and action items of amended sessions only', async () => {
+  const dependencies = makeDependencies({
+    loadCacheManifest: jest.fn().mockResolvedValue([
+      { sessionName: 'tls', sessions: [{ sessionId: 'tls-1' }, { sessionId: 'tls-2' }] },
+    ]),
+    getCachedMinutes: jest.fn((meetingId, sessionId) => `# ${sessionId}`),
+    splitAmendComments: jest.fn().mockResolvedValue({ transcriptInstructions: '', minutesInstructions: 'Fix tls-1', usage: null }),
+    amendMinutes: jest.fn((minutes) => ({ text: minutes === '# tls-1' ? '# tls-1 amended' : minutes, usage: null })),
+    deleteStructuredMinutes: jest.fn().mockResolvedValue(true),
+    deleteActionItems: jest.fn().mockResolvedValue(true),
+  });
+
+  await amendCachedSessions({ meetingId: 126, groupName: 'tls', comments: 'Fix tls-1', dependencies });
+
+  expect(dependencies.deleteStructuredMinutes.mock.calls).toEqual([[126, 'tls-1']]);
+  expect(dependencies.deleteActionItems.mock.calls).toEqual([[126, 'tls-1']]);
+  expect(dependencies.logger.log.mock.calls).toEqual([
+    ['Removed structured minutes of tls-1, which no longer match the amended minutes'],
+    ['Removed action items of tls-1, which no longer match the amended minutes'],
+    ['Amended: tls-1'],
+    ['Skipped amending tls-2: no minutes instructions or transcript changes'],
+  ]);
+});
+
 test('uses full live context including WG documents for an amendment', async () => {
   const liveContext = {
     slidesAndBluesheet: {
@@ -169,6 +201,8 @@ test('reconstructs cached slides and bluesheet context for each amendment', asyn
       wgDocuments: [],
       polls: [{ text: 'Adopt?', yes: 10, no: 2 }],
       chat: [{ author: 'Alice', text: 'Correction' }],
+      agenda: null,
+      draftDetails: [],
     },
   );
 });
@@ -213,6 +247,8 @@ test('falls back to cached context when live context fetch throws', async () =>
       wgDocuments: [],
       polls: [],
       chat: [],
+      agenda: null,
+      draftDetails: [],
     },
   );
   expect(dependencies.saveCachedMinutes).toHaveBeenCalledWith(126, 'IETF126-6LO-20250721-0900', '# Revised');
@@ -265,6 +301,8 @@ test('falls back to cached context when live slides and bluesheet are empty', as
       wgDocuments: [],
       polls: [],
       chat: [],
+      agenda: null,
+      draftDetails: [],
     },
   );
 });
@@ -321,6 +359,8 @@ test('combines cached slides and bluesheet with live WG documents', async () =>
       wgDocuments,
       polls: [],
       chat: [],
+      agenda: null,
+      draftDetails: [],
     },
   );
 });
@@ -455,12 +495,12 @@ test('handles transcript instructions and rewrites existing cached transcript, c
       usage: { model: 'test', inputTokens: 5, outputTokens: 2 },
     }),
     getCachedMinutes: jest.fn().mockResolvedValue('# Existing minutes'),
-    existsSync: jest.fn().mockReturnValue(true),
-    readFile: jest.fn().mockResolvedValue('Bob Smith discussed QUIC.'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(fromText('Bob Smith discussed QUIC.')),
     getTranscriptCorrections: jest.fn().mockResolvedValue([{ from: 'Bob Smith', to: 'Rob Smith' }]),
     normalizeCorrections: jest.fn(raw => raw),
     applyCorrections: jest.fn().mockReturnValue({
       text: 'Rob Smith discussed QUIC.',
+      transcript: fromText('Rob Smith discussed QUIC.'),
       appliedCount: 1,
       applied: [{ from: 'Bob Smith', to: 'Rob Smith' }],
     }),
@@ -478,7 +518,7 @@ test('handles transcript instructions and rewrites existing cached transcript, c
     dependencies,
   });
 
-  expect(dependencies.readFile).toHaveBeenCalledWith('cache/transcripts/6lo-1.md', 'utf8');
+  expect(dependencies.loadCanonicalTranscript).toHaveBeenCalledWith('6lo-1');
   expect(dependencies.writeFile).toHaveBeenCalledWith(
     'cache/transcripts/6lo-1.md',
     'Rob Smith discussed QUIC.',
@@ -501,6 +541,49 @@ test('handles transcript instructions and rewrites existing cached transcript, c
   );
 });
 
+test('corrects the canonical transcript and renders the cached Markdown from it', async () => {
+  const canonical = {
+    version: 1,
+    source: 'deepgram',
+    turns: [
+      { speaker: 'Jon Smith', start: 0, end: 2, text: 'Hello.', words: null, confidence: null },
+      { speaker: 'Speaker 1', start: 3, end: 5, text: 'Bob Smith discussed QUIC.', words: null, confidence: null },
+    ],
+  };
+  const dependencies = makeDependencies({
+    loadCacheManifest: jest.fn().mockResolvedValue([{
+      sessionName: '6LO',
+      sessions: [{ sessionId: '6lo-1' }],
+    }]),
+    splitAmendComments: jest.fn().mockResolvedValue({
+      transcriptInstructions: 'Fix Bob to Rob',
+      minutesInstructions: '',
+    }),
+    getCachedMinutes: jest.fn().mockResolvedValue('# Existing minutes'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(canonical),
+    getTranscriptCorrections: jest.fn().mockResolvedValue([{ line: 2, from: 'Bob Smith', to: 'Rob Smith' }]),
+    normalizeCorrections: jest.fn(raw => raw),
+    applyCorrections: realApplyCorrections,
+  });
+
+  await amendCachedSessions({
+    meetingId: 123,
+    groupName: '6LO',
+    comments: 'Fix Bob to Rob',
+    dependencies,
+  });
+
+  // The LLM sees the turns, numbered, with their timestamps and speakers.
+  expect(dependencies.getTranscriptCorrections.mock.calls[0][0]).toBe(canonical);
+  const canonicalWrite = dependencies.writeFile.mock.calls.find(([filePath]) => filePath === 'cache/transcripts/6lo-1.json');
+  expect(JSON.parse(canonicalWrite[1]).turns.map((turn) => turn.text)).toEqual(['Hello.', 'Rob Smith discussed QUIC.']);
+  expect(dependencies.writeFile).toHaveBeenCalledWith(
+    'cache/transcripts/6lo-1.md',
+    '[00:00:00] **Jon Smith**: Hello.\n[00:00:03] Speaker 1: Rob Smith discussed QUIC.',
+    'utf8',
+  );
+});
+
 test('runs filterTranscriptCorrections pass to filter out over-aggressive transcript edits', async () => {
   const filteredResult = [{ from: 'Bob Smith', to: 'Rob Smith' }];
   filteredResult.usage = { model: 'test', inputTokens: 4, outputTokens: 2 };
@@ -516,8 +599,7 @@ test('runs filterTranscriptCorrections pass to filter out over-aggressive transc
       minutesInstructions: 'Update minutes writeup',
     }),
     getCachedMinutes: jest.fn().mockResolvedValue('# Existing minutes'),
-    existsSync: jest.fn().mockReturnValue(true),
-    readFile: jest.fn().mockResolvedValue('Bob Smith discussed 6lo.'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(fromText('Bob Smith discussed 6lo.')),
     getTranscriptCorrections: jest.fn().mockResolvedValue([
       { from: 'Bob Smith', to: 'Rob Smith' },
       { from: '6lo', to: '6LO' },
@@ -526,6 +608,7 @@ test('runs filterTranscriptCorrections pass to filter out over-aggressive transc
     normalizeCorrections: jest.fn(raw => (Array.isArray(raw) ? raw.map(({ from, to }) => ({ from, to })) : [])),
     applyCorrections: jest.fn().mockReturnValue({
       text: 'Rob Smith discussed 6lo.',
+      transcript: fromText('Rob Smith discussed 6lo.'),
       appliedCount: 1,
       applied: [{ from: 'Bob Smith', to: 'Rob Smith' }],
     }),
@@ -553,7 +636,7 @@ test('runs filterTranscriptCorrections pass to filter out over-aggressive transc
     null,
   );
   expect(dependencies.applyCorrections).toHaveBeenCalledWith(
-    'Bob Smith discussed 6lo.',
+    fromText('Bob Smith discussed 6lo.'),
     [{ from: 'Bob Smith', to: 'Rob Smith' }],
   );
   expect(dependencies.recordUsage).toHaveBeenCalledWith({
@@ -575,12 +658,13 @@ test('downloads transcript when no cached transcript exists, applies the correct
       minutesInstructions: '',
     }),
     getCachedMinutes: jest.fn().mockResolvedValue('# Existing minutes\n\nBob Smith discussed QUIC.'),
-    existsSync: jest.fn().mockReturnValue(false),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(null),
     downloadTranscript: jest.fn().mockResolvedValue('Downloaded Bob Smith transcript.'),
     getTranscriptCorrections: jest.fn().mockResolvedValue([{ from: 'Bob Smith', to: 'Rob Smith' }]),
     normalizeCorrections: jest.fn(raw => raw),
     applyCorrections: jest.fn().mockReturnValue({
       text: 'Downloaded Rob Smith transcript.',
+      transcript: fromText('Downloaded Rob Smith transcript.'),
       appliedCount: 1,
       applied: [{ from: 'Bob Smith', to: 'Rob Smith' }],
     }),
@@ -637,7 +721,7 @@ test('skips transcript step when transcriptInstructions is empty', async () => {
     dependencies,
   });
 
-  expect(dependencies.readFile).not.toHaveBeenCalled();
+  expect(dependencies.loadCanonicalTranscript).not.toHaveBeenCalled();
   expect(dependencies.downloadTranscript).not.toHaveBeenCalled();
   expect(dependencies.amendMinutes).toHaveBeenCalledWith(
     '# Existing minutes',
@@ -660,12 +744,12 @@ test('splits comments once across multiple sessions in a WG', async () => {
       minutesInstructions: 'Fix minutes',
     }),
     getCachedMinutes: jest.fn().mockResolvedValue('# Existing'),
-    existsSync: jest.fn().mockReturnValue(true),
-    readFile: jest.fn().mockResolvedValue('Bob Smith'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(fromText('Bob Smith')),
     getTranscriptCorrections: jest.fn().mockResolvedValue([{ from: 'Bob Smith', to: 'Rob Smith' }]),
     normalizeCorrections: jest.fn(raw => raw),
     applyCorrections: jest.fn().mockReturnValue({
       text: 'Rob Smith',
+      transcript: fromText('Rob Smith'),
       appliedCount: 1,
       applied: [{ from: 'Bob Smith', to: 'Rob Smith' }],
     }),
@@ -695,8 +779,7 @@ test('fails the whole run when the transcript step throws (e.g. an LLM API error
       minutesInstructions: '',
     }),
     getCachedMinutes: jest.fn().mockResolvedValue('# Existing minutes'),
-    existsSync: jest.fn().mockReturnValue(true),
-    readFile: jest.fn().mockResolvedValue('Bob Smith discussed QUIC.'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(fromText('Bob Smith discussed QUIC.')),
     getTranscriptCorrections: jest.fn().mockRejectedValue(
       new Error('[GoogleGenerativeAI Error]: ... [503 Service Unavailable] The service is currently unavailable.'),
     ),
@@ -730,12 +813,12 @@ test('resolves without failure when the transcript step runs cleanly but yields
       minutesInstructions: '',
     }),
     getCachedMinutes: jest.fn().mockResolvedValue('# Existing minutes'),
-    existsSync: jest.fn().mockReturnValue(true),
-    readFile: jest.fn().mockResolvedValue('Bob Smith discussed QUIC.'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(fromText('Bob Smith discussed QUIC.')),
     getTranscriptCorrections: jest.fn().mockResolvedValue([]),
     normalizeCorrections: jest.fn().mockReturnValue([]),
     applyCorrections: jest.fn().mockReturnValue({
       text: 'Bob Smith discussed QUIC.',
+      transcript: fromText('Bob Smith discussed QUIC.'),
       appliedCount: 0,
       applied: [],
     }),
@@ -769,14 +852,14 @@ test('propagates a transcript-only name correction to the minutes as a determini
     getCachedMinutes: jest.fn().mockResolvedValue(
       '# 6LO\n\n## Summary\nMartin Thompson gave an update. Later, Martin Thompson answered questions.',
     ),
-    existsSync: jest.fn().mockReturnValue(true),
-    readFile: jest.fn().mockResolvedValue('Martin Thompson spoke about routing.'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(fromText('Martin Thompson spoke about routing.')),
     getTranscriptCorrections: jest.fn().mockResolvedValue([
       { line: 1, from: 'Martin Thompson', to: 'Martin Thomson' },
     ]),
     normalizeCorrections: jest.fn(raw => raw),
     applyCorrections: jest.fn().mockReturnValue({
       text: 'Martin Thomson spoke about routing.',
+      transcript: fromText('Martin Thomson spoke about routing.'),
       appliedCount: 1,
       applied: [{ line: 1, from: 'Martin Thompson', to: 'Martin Thomson' }],
     }),
@@ -818,14 +901,14 @@ test('does not apply a minutes correction that filterMinutesCorrections strips o
       minutesInstructions: '',
     }),
     getCachedMinutes: jest.fn().mockResolvedValue('# 6LO\n\nMartin Thompson gave an update.'),
-    existsSync: jest.fn().mockReturnValue(true),
-    readFile: jest.fn().mockResolvedValue('Martin Thompson spoke.'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(fromText('Martin Thompson spoke.')),
     getTranscriptCorrections: jest.fn().mockResolvedValue([
       { line: 1, from: 'Martin Thompson', to: 'Martin Thomson' },
     ]),
     normalizeCorrections: jest.fn(raw => raw),
     applyCorrections: jest.fn().mockReturnValue({
       text: 'Martin Thomson spoke.',
+      transcript: fromText('Martin Thomson spoke.'),
       appliedCount: 1,
       applied: [{ line: 1, from: 'Martin Thompson', to: 'Martin Thomson' }],
     }),
@@ -860,14 +943,14 @@ test('applies the deterministic minutes correction after amendMinutes runs, so i
       minutesInstructions: 'Add a Next Steps section',
     }),
     getCachedMinutes: jest.fn().mockResolvedValue('# 6LO\n\nMartin Thompson gave an update.'),
-    existsSync: jest.fn().mockReturnValue(true),
-    readFile: jest.fn().mockResolvedValue('Martin Thompson spoke.'),
+    loadCanonicalTranscript: jest.fn().mockResolvedValue(fromText('Martin Thompson spoke.')),
     getTranscriptCorrections: jest.fn().mockResolvedValue([
       { line: 1, from: 'Martin Thompson', to: 'Martin Thomson' },
     ]),
     normalizeCorrections: jest.fn(raw => raw),
     applyCorrections: jest.fn().mockReturnValue({
       text: 'Martin Thomson spoke.',
+      transcript: fromText('Martin Thomson spoke.'),
       appliedCount: 1,
       applied: [{ line: 1, from: 'Martin Thompson', to: 'Martin Thomson' }],
     }),
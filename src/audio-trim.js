@@ -0,0 +1,318 @@
+/**
+ * Silence Trimming
+ * Cuts the dead air out of session audio before it is sent to an STT
+ * backend (--trim-silence): the hold period before the chairs start, the
+ * silence after they close, and optionally long gaps in between
+ * (--trim-gaps). Silence is found with ffmpeg's silencedetect filter. Hold
+ * music is louder than that, so the audio's loudness is also measured every
+ * half second (astats): music holds a steady level where speech rises and
+ * falls, so a steady stretch at either end is cut like silence. The kept
+ * stretches are recorded in an offset map, which turns the trimmed
+ * transcript's timestamps back into times in the original recording.
+ */
+
+import fsPromises from "fs/promises";
+import path from "path";
+import os from "os";
+import { randomUUID } from "crypto";
+import { runProcess } from "./process.js";
+import { formatOffset } from "./speaker-names.js";
+
+// Audio quieter than this counts as silence.
+const SILENCE_NOISE_DB = -35;
+
+// Leading and trailing silence shorter than this is left alone.
+const MIN_EDGE_SILENCE_SECONDS = 10;
+
+// Audio kept on each side of a cut, so speech fading in or out is not clipped.
+const TRIM_PAD_SECONDS = 1;
+
+// Loudness is measured over windows this long, and judged over blocks of
+// LOUDNESS_BLOCK_SECONDS: a block whose audible windows stay within
+// STEADY_MAX_DEVIATION_DB (standard deviation) of each other is music or
+// silence, not speech. Only a steady stretch of MIN_MUSIC_SECONDS or more at
+// either end is cut.
+const LOUDNESS_WINDOW_SECONDS = 0.5;
+const LOUDNESS_BLOCK_SECONDS = 10;
+const STEADY_MAX_DEVIATION_DB = 3;
+const MIN_MUSIC_SECONDS = 30;
+
+let trimming = { enabled: false, maxGapSeconds: null };
+
+/**
+ * Enable or disable silence trimming before STT
+ * @param {Object} options
+ * @param {boolean} options.enabled - Trim leading and trailing silence
+ * @param {number|null} [options.maxGapSeconds] - Also remove internal silences longer than this
+ */
+export function setSilenceTrimming({ enabled, maxGapSeconds = null }) {
+  trimming = { enabled: Boolean(enabled), maxGapSeconds: maxGapSeconds || null };
+}
+
+/**
+ * @returns {boolean} Whether silence trimming is enabled
+ */
+export function isSilenceTrimmingEnabled() {
+  return trimming.enabled;
+}
+
+/**
+ * Read silences from ffmpeg silencedetect output, either the filter's log
+ * lines ("silence_start: 1.5", "silence_end: 12 | silence_duration: 10.5")
+ * or ametadata's ("lavfi.silence_start=1.5"). A silence still open at the
+ * end of the audio has a null end.
+ * @param {string} output - ffmpeg output
+ * @returns {Array<{start: number, end: number|null}>}
+ */
+export function parseSilences(output) {
+  const silences = [];
+  for (const match of output.matchAll(/silence_(start|end)\s*[:=]\s*(-?[\d.]+)/g)) {
+    const value = Math.max(0, parseFloat(match[2]));
+    if (match[1] === "start") {
+      silences.push({ start: value, end: null });
+    } else if (silences.length > 0 && silences[silences.length - 1].end === null) {
+      silences[silences.length - 1].end = value;
+    }
+  }
+  return silences;
+}
+
+/**
+ * Read per-window loudness from ffmpeg astats output printed by ametadata
+ * ("pts_time:12.5" followed by "lavfi.astats.Overall.RMS_level=-23.1"). A
+ * silent window ("-inf") reads as -Infinity.
+ * @param {string} output - ffmpeg output
+ * @returns {Array<{time: number, level: number}>}
+ */
+export function parseLoudness(output) {
+  const levels = [];
+  let time = null;
+  for (const line of output.split("\n")) {
+    const frame = line.match(/pts_time:\s*(-?[\d.]+)/);
+    if (frame) {
+      time = Math.max(0, parseFloat(frame[1]));
+      continue;
+    }
+    const level = line.match(/RMS_level=(\S+)/);
+    if (level && time !== null) {
+      const value = parseFloat(level[1]);
+      levels.push({ time, level: Number.isNaN(value) ? -Infinity : value });
+    }
+  }
+  return levels;
+}
+
+/**
+ * Whether a block of loudness windows sounds like music or silence rather
+ * than speech.
+ * @param {Array<{level: number}>} block
+ * @returns {boolean}
+ */
+function isSteadyBlock(block) {
+  const audible = block.map((entry) => entry.level).filter((level) => level > SILENCE_NOISE_DB);
+  if (audible.length < 2) return true;
+  const mean = audible.reduce((sum, level) => sum + level, 0) / audible.length;
+  const variance = audible.reduce((sum, level) => sum + (level - mean) ** 2, 0) / audible.length;
+  return Math.sqrt(variance) <= STEADY_MAX_DEVIATION_DB;
+}
+
+/**
+ * Find hold music (or silence) at the start and end of the audio: the run of
+ * steady LOUDNESS_BLOCK_SECONDS blocks from each end, up to the first block
+ * that sounds like speech. Returned as silence-shaped stretches for planTrim.
+ * @param {Array<{time: number, level: number}>} levels - From parseLoudness
+ * @param {number} duration - Audio duration in seconds
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function findSteadyEdges(levels, duration) {
+  const perBlock = Math.round(LOUDNESS_BLOCK_SECONDS / LOUDNESS_WINDOW_SECONDS);
+  const blocks = [];
+  for (let i = 0; i + perBlock <= levels.length; i += perBlock) {
+    blocks.push(levels.slice(i, i + perBlock));
+  }
+
+  let first = 0;
+  while (first < blocks.length && isSteadyBlock(blocks[first])) first++;
+  if (first === blocks.length) return []; // No speech found: leave the audio alone.
+  let last = blocks.length - 1;
+  while (last > first && isSteadyBlock(blocks[last])) last--;
+
+  const edges = [];
+  const introEnd = blocks[first][0].time;
+  if (introEnd >= MIN_MUSIC_SECONDS) {
+    edges.push({ start: 0, end: introEnd });
+  }
+  if (last < blocks.length - 1) {
+    const outroStart = blocks[last + 1][0].time;
+    if (duration - outroStart >= MIN_MUSIC_SECONDS) {
+      edges.push({ start: outroStart, end: duration });
+    }
+  }
+  return edges;
+}
+
+/**
+ * Decide which stretches of the audio to keep: everything except leading
+ * and trailing silence and, with maxGapSeconds, internal silences longer
+ * than that. A pad of audio is kept at each cut.
+ * @param {Array<{start: number, end: number|null}>} silences - From parseSilences
+ * @param {number} duration - Audio duration in seconds
+ * @param {{maxGapSeconds?: number|null}} [options]
+ * @returns {Array<{start: number, end: number}>} Kept stretches in original time, in order
+ */
+export function planTrim(silences, duration, { maxGapSeconds = null } = {}) {
+  const cuts = [];
+  for (const silence of [...silences].sort((a, b) => a.start - b.start)) {
+    const start = silence.start;
+    const end = Math.min(silence.end ?? duration, duration);
+    const length = end - start;
+    if (start <= TRIM_PAD_SECONDS && length >= MIN_EDGE_SILENCE_SECONDS) {
+      cuts.push({ start: 0, end: end - TRIM_PAD_SECONDS });
+    } else if (end >= duration - TRIM_PAD_SECONDS && length >= MIN_EDGE_SILENCE_SECONDS) {
+      cuts.push({ start: start + TRIM_PAD_SECONDS, end: duration });
+    } else if (maxGapSeconds && length > maxGapSeconds && length > 2 * TRIM_PAD_SECONDS) {
+      cuts.push({ start: start + TRIM_PAD_SECONDS, end: end - TRIM_PAD_SECONDS });
+    }
+  }
+
+  const keep = [];
+  let position = 0;
+  for (const cut of cuts) {
+    if (cut.start > position) {
+      keep.push({ start: position, end: cut.start });
+    }
+    position = Math.max(position, cut.end);
+  }
+  if (position < duration) {
+    keep.push({ start: position, end: duration });
+  }
+  return keep;
+}
+
+/**
+ * Offset map of a trim: where each kept stretch starts in the trimmed and
+ * in the original audio.
+ * @param {Array<{start: number, end: number}>} keep - From planTrim
+ * @returns {Array<{trimmedStart: number, originalStart: number, duration: number}>}
+ */
+export function buildOffsetMap(keep) {
+  let trimmedStart = 0;
+  return keep.map(({ start, end }) => {
+    const entry = { trimmedStart, originalStart: start, duration: end - start };
+    trimmedStart += end - start;
+    return entry;
+  });
+}
+
+/**
+ * Map a time in the trimmed audio to the original recording.
+ * @param {number} seconds - Time in the trimmed audio
+ * @param {Array<{trimmedStart: number, originalStart: number}>} offsetMap - From buildOffsetMap
+ * @returns {number} Time in the original audio
+ */
+export function toOriginalTime(seconds, offsetMap) {
+  let entry = offsetMap[0];
+  for (const candidate of offsetMap) {
+    if (candidate.trimmedStart > seconds) break;
+    entry = candidate;
+  }
+  return entry ? entry.originalStart + (seconds - entry.trimmedStart) : seconds;
+}
+
+/**
+ * Rewrite a transcript's "[HH:MM:SS]" (or "[MM:SS]") timestamps from
+ * trimmed-audio time to original-recording time.
+ * @param {string} transcript - Transcript of the trimmed audio
+ * @param {Array<Object>} offsetMap - From buildOffsetMap
+ * @returns {string} Transcript with original-recording timestamps
+ */
+export function remapTranscriptTimestamps(transcript, offsetMap) {
+  return transcript.replace(/\[(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\]/g, (match, h = "0", m, s) => {
+    const seconds = Number(h) * 3600 + Number(m) * 60 + Number(s);
+    return `[${formatOffset(toOriginalTime(seconds, offsetMap))}]`;
+  });
+}
+
+/**
+ * Find the silences in an audio file with ffmpeg silencedetect.
+ * @param {string} audioPath
+ * @param {number} minSilenceSeconds - Shortest silence to report
+ * @param {boolean} verbose
+ * @returns {Promise<Array<{start: number, end: number|null}>>}
+ */
+async function detectSilences(audioPath, minSilenceSeconds, verbose) {
+  // ametadata prints the detected silences to stdout, where runProcess can
+  // capture them (the filter itself only logs to stderr).
+  const output = await runProcess(
+    "ffmpeg",
+    ["-hide_banner", "-nostats", "-i", audioPath, "-af", `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${minSilenceSeconds},ametadata=mode=print:file=-`, "-f", "null", "-"],
+    { captureStdout: true, label: "ffmpeg silencedetect" },
+  );
+  const silences = parseSilences(output);
+  if (verbose) {
+    console.log(`    [Trim] Detected ${silences.length} silence(s) of ${minSilenceSeconds}s or more`);
+  }
+  return silences;
+}
+
+/**
+ * Measure an audio file's loudness every LOUDNESS_WINDOW_SECONDS with ffmpeg
+ * astats, resampled down first since only the level matters.
+ * @param {string} audioPath
+ * @param {boolean} verbose
+ * @returns {Promise<Array<{time: number, level: number}>>}
+ */
+async function measureLoudness(audioPath, verbose) {
+  const sampleRate = 8000;
+  const output = await runProcess(
+    "ffmpeg",
+    ["-hide_banner", "-nostats", "-i", audioPath, "-af", `aresample=${sampleRate},asetnsamples=n=${sampleRate * LOUDNESS_WINDOW_SECONDS},astats=metadata=1:reset=1,ametadata=mode=print:key=lavfi.astats.Overall.RMS_level:file=-`, "-f", "null", "-"],
+    { captureStdout: true, label: "ffmpeg astats" },
+  );
+  const levels = parseLoudness(output);
+  if (verbose) {
+    console.log(`    [Trim] Measured loudness over ${levels.length} window(s)`);
+  }
+  return levels;
+}
+
+/**
+ * Trim an audio file's silences and hold music per the current settings into
+ * a temp file.
+ * @param {string} audioPath - Audio to trim (left unchanged)
+ * @param {number} duration - Its duration in seconds
+ * @param {boolean} verbose - Whether to log verbose output
+ * @returns {Promise<{path: string, offsetMap: Array<Object>, savedSeconds: number, cleanup: () => Promise<void>}|null>}
+ *   The trimmed audio, its offset map, the seconds removed and a function deleting the temp file; null when nothing is worth trimming
+ */
+export async function trimAudioSilence(audioPath, duration, verbose = false) {
+  const minSilenceSeconds = Math.min(MIN_EDGE_SILENCE_SECONDS, trimming.maxGapSeconds || MIN_EDGE_SILENCE_SECONDS);
+  const silences = await detectSilences(audioPath, minSilenceSeconds, verbose);
+  const music = findSteadyEdges(await measureLoudness(audioPath, verbose), duration);
+  if (verbose && music.length > 0) {
+    console.log(`    [Trim] Hold music or silence at ${music.map(({ start, end }) => `${formatOffset(start)}–${formatOffset(end)}`).join(", ")}`);
+  }
+  const keep = planTrim([...silences, ...music], duration, { maxGapSeconds: trimming.maxGapSeconds });
+  const keptSeconds = keep.reduce((total, { start, end }) => total + (end - start), 0);
+  const savedSeconds = duration - keptSeconds;
+  if (keep.length === 0 || savedSeconds < 1) {
+    return null;
+  }
+
+  const tempDir = path.join(os.tmpdir(), `auto-minutes-trim-${randomUUID()}`);
+  await fsPromises.mkdir(tempDir, { recursive: true });
+  const cleanup = () => fsPromises.rm(tempDir, { recursive: true, force: true });
+  try {
+    const trimmedPath = path.join(tempDir, `trimmed${path.extname(audioPath) || ".mp3"}`);
+    const select = keep.map(({ start, end }) => `between(t,${start.toFixed(3)},${end.toFixed(3)})`).join("+");
+    await runProcess(
+      "ffmpeg",
+      ["-hide_banner", "-loglevel", "error", "-y", "-i", audioPath, "-af", `aselect='${select}',asetpts=N/SR/TB`, trimmedPath],
+      { verbose, label: "ffmpeg trim" },
+    );
+    return { path: trimmedPath, offsetMap: buildOffsetMap(keep), savedSeconds, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
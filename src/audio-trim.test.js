@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import { makeMockChild } from './test-helpers.js';
+
+const mockSpawn = jest.fn();
+jest.unstable_mockModule('child_process', () => ({
+  spawn: mockSpawn,
+}));
+
+const {
+  parseSilences,
+  parseLoudness,
+  findSteadyEdges,
+  planTrim,
+  buildOffsetMap,
+  toOriginalTime,
+  remapTranscriptTimestamps,
+  setSilenceTrimming,
+  trimAudioSilence,
+} = await import('./audio-trim.js');
+
+const SILENCEDETECT_OUTPUT = [
+  'frame:0    pts:0       pts_time:0',
+  'lavfi.silence_start=0',
+  'frame:812  pts:1299200 pts_time:1200.5',
+  'lavfi.silence_end=1200.5',
+  'lavfi.silence_duration=1200.5',
+  'frame:900  pts:1440000 pts_time:1800',
+  'lavfi.silence_start=1800',
+  'frame:950  pts:1520000 pts_time:1860',
+  'lavfi.silence_end=1860',
+  'lavfi.silence_duration=60',
+  'frame:999  pts:1600000 pts_time:5000',
+  'lavfi.silence_start=5000',
+].join('\n');
+
+// astats output for `seconds` of audio in half-second windows, each level
+// given by levelAt(time).
+function loudnessOutput(seconds, levelAt) {
+  const lines = [];
+  for (let i = 0; i < seconds * 2; i++) {
+    const level = levelAt(i / 2);
+    lines.push(`frame:${i}    pts:${i * 4000}    pts_time:${i / 2}`, `lavfi.astats.Overall.RMS_level=${level === -Infinity ? '-inf' : level}`);
+  }
+  return lines.join('\n');
+}
+
+// Hold music at a steady -20 dB for two minutes, then speech swinging
+// between -18 and -30 dB with pauses, then music again for the last minute.
+const speechLevel = (time) => [-18, -30, -22, -Infinity, -26, -19][Math.round(time * 2) % 6];
+const holdMusicLevel = (time) => (time < 120 || time >= 540 ? -20 + (Math.round(time * 2) % 2) : speechLevel(time));
+
+afterEach(() => {
+  setSilenceTrimming({ enabled: false });
+  mockSpawn.mockReset();
+});
+
+describe('parseSilences', () => {
+  test('reads ametadata and silencedetect log output, leaving a final open silence', () => {
+    expect(parseSilences(SILENCEDETECT_OUTPUT)).toEqual([
+      { start: 0, end: 1200.5 },
+      { start: 1800, end: 1860 },
+      { start: 5000, end: null },
+    ]);
+    expect(parseSilences('[silencedetect @ 0x1] silence_start: -0.01\n[silencedetect @ 0x1] silence_end: 15 | silence_duration: 15')).toEqual([
+      { start: 0, end: 15 },
+    ]);
+  });
+});
+
+describe('parseLoudness', () => {
+  test('reads the level of each window, with silent windows as -Infinity', () => {
+    expect(parseLoudness('frame:0 pts:0 pts_time:0\nlavfi.astats.Overall.RMS_level=-23.5\nframe:1 pts:4000 pts_time:0.5\nlavfi.astats.Overall.RMS_level=-inf')).toEqual([
+      { time: 0, level: -23.5 },
+      { time: 0.5, level: -Infinity },
+    ]);
+  });
+});
+
+describe('findSteadyEdges', () => {
+  test('finds steady hold music before the first and after the last speech', () => {
+    expect(findSteadyEdges(parseLoudness(loudnessOutput(600, holdMusicLevel)), 600)).toEqual([
+      { start: 0, end: 120 },
+      { start: 540, end: 600 },
+    ]);
+  });
+
+  test('leaves short steady edges and audio without any speech alone', () => {
+    expect(findSteadyEdges(parseLoudness(loudnessOutput(300, (time) => (time < 20 ? -20 : speechLevel(time)))), 300)).toEqual([]);
+    expect(findSteadyEdges(parseLoudness(loudnessOutput(300, () => -20)), 300)).toEqual([]);
+  });
+});
+
+describe('planTrim', () => {
+  const silences = [{ start: 0, end: 1200.5 }, { start: 1800, end: 1860 }, { start: 5000, end: null }];
+
+  test('cuts leading and trailing silence, keeping a pad of audio at each cut', () => {
+    expect(planTrim(silences, 5400)).toEqual([{ start: 1199.5, end: 5001 }]);
+  });
+
+  test('also cuts internal gaps longer than maxGapSeconds', () => {
+    expect(planTrim(silences, 5400, { maxGapSeconds: 30 })).toEqual([
+      { start: 1199.5, end: 1801 },
+      { start: 1859, end: 5001 },
+    ]);
+    expect(planTrim(silences, 5400, { maxGapSeconds: 90 })).toEqual([{ start: 1199.5, end: 5001 }]);
+  });
+
+  test('cuts hold music found at the edges like silence', () => {
+    expect(planTrim([{ start: 5000, end: null }, { start: 0, end: 1500 }], 5400)).toEqual([{ start: 1499, end: 5001 }]);
+  });
+
+  test('leaves short edge silences alone', () => {
+    expect(planTrim([{ start: 0, end: 4 }], 600)).toEqual([{ start: 0, end: 600 }]);
+  });
+});
+
+describe('offset map', () => {
+  const offsetMap = buildOffsetMap([{ start: 1199.5, end: 1801 }, { start: 1859, end: 5001 }]);
+
+  test('records where each kept stretch starts', () => {
+    expect(offsetMap).toEqual([
+      { trimmedStart: 0, originalStart: 1199.5, duration: 601.5 },
+      { trimmedStart: 601.5, originalStart: 1859, duration: 3142 },
+    ]);
+  });
+
+  test('maps trimmed times back to the recording', () => {
+    expect(toOriginalTime(0, offsetMap)).toBe(1199.5);
+    expect(toOriginalTime(600, offsetMap)).toBe(1799.5);
+    expect(toOriginalTime(700, offsetMap)).toBe(1957.5);
+    expect(toOriginalTime(42, [])).toBe(42);
+  });
+
+  test('rewrites transcript timestamps', () => {
+    expect(remapTranscriptTimestamps('[00:00:01] Speaker 0: Welcome\n[00:11:40] Speaker 1: Next item\n[1:00] x', offsetMap))
+      .toBe('[00:20:00] Speaker 0: Welcome\n[00:32:37] Speaker 1: Next item\n[00:20:59] x');
+  });
+});
+
+describe('trimAudioSilence', () => {
+  test('detects silence and writes the kept stretches to a temp file', async () => {
+    setSilenceTrimming({ enabled: true, maxGapSeconds: 30 });
+    mockSpawn.mockImplementation((command, args) => makeMockChild({ stdout: args.join(' ').includes('silencedetect') ? SILENCEDETECT_OUTPUT : '' }));
+
+    const trim = await trimAudioSilence('/cache/audio/session.mp3', 5400);
+    try {
+      expect(mockSpawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['-af', 'silencedetect=noise=-35dB:d=10,ametadata=mode=print:file=-']));
+      expect(mockSpawn.mock.calls[1][1].join(' ')).toContain('astats=metadata=1:reset=1');
+      const trimArgs = mockSpawn.mock.calls[2][1];
+      expect(trimArgs[trimArgs.indexOf('-af') + 1]).toBe("aselect='between(t,1199.500,1801.000)+between(t,1859.000,5001.000)',asetpts=N/SR/TB");
+      expect(trim.path).toMatch(/auto-minutes-trim-.*trimmed\.mp3$/);
+      expect(trim.savedSeconds).toBeCloseTo(5400 - 601.5 - 3142, 6);
+      expect(trim.offsetMap).toHaveLength(2);
+    } finally {
+      await trim.cleanup();
+    }
+  });
+
+  test('returns null when there is nothing to trim', async () => {
+    setSilenceTrimming({ enabled: true });
+    mockSpawn.mockImplementation(() => makeMockChild());
+
+    await expect(trimAudioSilence('/cache/audio/session.mp3', 600)).resolves.toBeNull();
+    expect(mockSpawn).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Batch Mode
+ * Summarizes a meeting's sessions through the LLM provider's batch API
+ * (--batch): every session's minutes prompt goes into one batch (or several,
+ * when they exceed the API's request size limit), which costs about half as
+ * much as individual calls but may take hours to complete. The batch IDs and
+ * the transcripts are persisted, so an interrupted run picks the batches up
+ * again with --batch-resume instead of paying for them twice.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { runWithConcurrency } from "./concurrency.js";
+
+const BATCH_CACHE_DIR = path.join("cache", "batches");
+
+// How often to check on a submitted batch.
+export const BATCH_POLL_MS = 60 * 1000;
+
+// Allowance per request for the JSON the provider wraps around its prompt.
+const BATCH_REQUEST_OVERHEAD_BYTES = 1024;
+
+/**
+ * Path of the persisted batch for a meeting.
+ * @param {number|string} meetingId - IETF meeting number or interim date string
+ * @returns {string} e.g. cache/batches/ietf125.json
+ */
+export function getBatchStatePath(meetingId) {
+  const name = typeof meetingId === "number" || /^\d+$/.test(meetingId) ? `ietf${meetingId}` : String(meetingId);
+  return path.join(BATCH_CACHE_DIR, `${name}.json`);
+}
+
+/**
+ * Load a meeting's pending batches.
+ * @param {number|string} meetingId - Meeting identifier
+ * @returns {Promise<{meetingId: number|string, model: string|null, submittedAt: string, batches: Array<{batchId: string, sessions: Array<{session: Object, transcript: string}>}>}|null>} The batches, or null when none is pending
+ */
+export async function loadBatchState(meetingId) {
+  try {
+    return JSON.parse(await fs.readFile(getBatchStatePath(meetingId), "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist submitted batches so they can be resumed.
+ * @param {Object} state - Batch state (see loadBatchState)
+ */
+export async function saveBatchState(state) {
+  await fs.mkdir(BATCH_CACHE_DIR, { recursive: true });
+  await fs.writeFile(getBatchStatePath(state.meetingId), JSON.stringify(state, null, 2), "utf-8");
+}
+
+/**
+ * Forget a meeting's batches once their results are cached.
+ * @param {number|string} meetingId - Meeting identifier
+ */
+export async function clearBatchState(meetingId) {
+  await fs.rm(getBatchStatePath(meetingId), { force: true });
+}
+
+/**
+ * One-line summary of a batch's request counts as reported by the provider.
+ * @param {Object|null} counts
+ * @returns {string}
+ */
+function describeCounts(counts) {
+  const entries = Object.entries(counts || {}).filter(([, value]) => typeof value === "number" || /^\d+$/.test(value));
+  return entries.length > 0 ? entries.map(([key, value]) => `${key} ${value}`).join(", ") : "in progress";
+}
+
+/**
+ * Split batch entries into consecutive groups whose requests, estimated from
+ * their prompts, fit in maxBytes. An entry larger than that is a group of its
+ * own (and fails at the API).
+ * @param {Array<{prompt: string}>} entries
+ * @param {number} maxBytes
+ * @returns {Array<Array<Object>>}
+ */
+export function groupBatchRequests(entries, maxBytes) {
+  const groups = [];
+  let current = [];
+  let currentBytes = 0;
+  for (const entry of entries) {
+    const bytes = Buffer.byteLength(JSON.stringify(entry.prompt)) + BATCH_REQUEST_OVERHEAD_BYTES;
+    if (current.length > 0 && currentBytes + bytes > maxBytes) {
+      groups.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(entry);
+    currentBytes += bytes;
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Result of a session whose minutes could not be generated.
+ * @param {string} reason
+ * @returns {Object}
+ */
+function failedResult(reason) {
+  return { minutes: "", wasGenerated: false, reason, recordingUnavailable: false };
+}
+
+/**
+ * Summarize a meeting's sessions through the batch API. Cached and skipped
+ * sessions are settled while preparing, as in a normal run. Sessions whose
+ * prompt is too long for one request are summarized in chunks right away
+ * (the merge needs the chunk notes first); all others are submitted together,
+ * in as many batches as the API's size limit requires. The batches are then
+ * polled until they all end and each response goes through the same
+ * post-processing and caching as an individually generated one.
+ *
+ * With `resume`, the persisted batches are polled instead of submitting new
+ * ones, and only sessions that were not in them are prepared (and, if new,
+ * summarized directly). Without it, a pending batch is an error, so none is
+ * ever submitted twice. Each batch is persisted as soon as it is submitted,
+ * so when a later submission fails the earlier ones can still be resumed,
+ * and forgotten as soon as its sessions are finished. A batch that fails as
+ * a whole fails each of its sessions, like a failed request.
+ * @param {number|string} meetingId - Meeting identifier
+ * @param {Array<{sessionName: string, session: Object}>} tasks - Sessions to summarize
+ * @param {{modelName?: string|null, resume?: boolean, parallel?: number}} options - `parallel` sessions are prepared at a time
+ * @param {Object} deps
+ * @param {(session: Object) => Promise<{result?: Object, transcript?: string, context?: Object}>} deps.prepare - Settle a cached/skipped session, or fetch its transcript and context
+ * @param {(transcript: string, session: Object, context: Object) => Promise<{prompt: string, oversized: boolean}>} deps.buildPrompt
+ * @param {(session: Object, transcript: string, context: Object) => Promise<Object>} deps.generate - Summarize and cache a session directly
+ * @param {(session: Object, transcript: string, context: Object, generated: Object) => Promise<Object>} deps.finish - Post-process and cache batch-generated minutes
+ * @param {(session: Object) => Promise<Object>} deps.loadContext - Session context cached while preparing
+ * @param {(requests: Array<{id: string, prompt: string}>, modelName: string|null) => Promise<string>} deps.submit
+ * @param {(batchId: string, modelName: string|null) => Promise<{done: boolean, counts?: Object, results?: Array}>} deps.poll
+ * @param {number} [deps.maxBatchBytes] - Largest batch the API accepts (see groupBatchRequests)
+ * @param {(usage: Object) => void} deps.recordUsage
+ * @param {(ms: number) => Promise<void>} [deps.sleep]
+ * @param {number} [deps.pollIntervalMs]
+ * @param {{load: Function, save: Function, clear: Function}} [deps.stateStore]
+ * @returns {Promise<Array<{sessionName: string, session: Object, result: Object}>>} A result per task, in task order
+ */
+export async function runBatchedSessions(meetingId, tasks, { modelName = null, resume = false, parallel = 1 } = {}, deps) {
+  const {
+    prepare,
+    buildPrompt,
+    generate,
+    finish,
+    loadContext,
+    submit,
+    poll,
+    maxBatchBytes = Infinity,
+    recordUsage,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    pollIntervalMs = BATCH_POLL_MS,
+    stateStore = { load: loadBatchState, save: saveBatchState, clear: clearBatchState },
+  } = deps;
+
+  let state = await stateStore.load(meetingId);
+  const batchIds = () => state.batches.map((batch) => batch.batchId).join(", ");
+  if (state && !resume) {
+    throw new Error(`Batch ${batchIds()} for ${meetingId} is still pending; run with --batch-resume to collect it`);
+  }
+  if (!state && resume) {
+    throw new Error(`No pending batch for ${meetingId}; run with --batch to submit one`);
+  }
+
+  const results = new Map();
+  const inBatch = new Set((state?.batches || []).flatMap((batch) => batch.sessions.map((entry) => entry.session.sessionId)));
+
+  // Sessions are prepared `parallel` at a time; the batch entries are
+  // collected in task order, so the submission does not depend on timing.
+  const prepared = await runWithConcurrency(tasks.map(({ sessionName, session }) => async () => {
+    if (inBatch.has(session.sessionId)) return null;
+    console.log(`  Processing ${sessionName} [${session.sessionId}]...`);
+    const { result, transcript, context } = await prepare(session);
+    if (result) {
+      results.set(session.sessionId, result);
+      return null;
+    }
+    if (state) {
+      // New since the batch was submitted.
+      results.set(session.sessionId, await generate(session, transcript, context));
+      return null;
+    }
+    const { prompt, oversized } = await buildPrompt(transcript, session, context);
+    if (oversized) {
+      results.set(session.sessionId, await generate(session, transcript, context));
+      return null;
+    }
+    return { session, transcript, prompt };
+  }), parallel);
+  const toSubmit = prepared.filter(Boolean);
+
+  if (toSubmit.length > 0) {
+    state = { meetingId, model: modelName, submittedAt: new Date().toISOString(), batches: [] };
+    for (const group of groupBatchRequests(toSubmit, maxBatchBytes)) {
+      let batchId;
+      try {
+        batchId = await submit(group.map(({ session, prompt }) => ({ id: session.sessionId, prompt })), modelName);
+      } catch (error) {
+        if (state.batches.length > 0) {
+          error.message += `; batch ${batchIds()} was already submitted, collect it with --batch-resume`;
+        }
+        throw error;
+      }
+      state = { ...state, batches: [...state.batches, { batchId, sessions: group.map(({ session, transcript }) => ({ session, transcript })) }] };
+      await stateStore.save(state);
+      console.log(`\nSubmitted batch ${batchId} with ${group.length} session(s); if interrupted, collect it with --batch-resume`);
+    }
+  } else if (state) {
+    const count = state.batches.reduce((sum, batch) => sum + batch.sessions.length, 0);
+    console.log(`\nResuming batch ${batchIds()} (${count} session(s), submitted ${state.submittedAt})`);
+  }
+
+  if (state) {
+    const finishBatch = async (batch, responses) => {
+      for (const { session, transcript } of batch.sessions) {
+        const response = responses.get(session.sessionId);
+        let result;
+        if (!response || response.error !== undefined) {
+          const reason = response ? response.error : "no response in the batch results";
+          console.log(`  Could not generate minutes for ${session.sessionId}: ${reason}`);
+          result = failedResult(reason);
+        } else {
+          recordUsage(response.usage);
+          const context = await loadContext(session);
+          result = await finish(session, transcript, context, { text: response.text, structured: null, model: state.model });
+        }
+        results.set(session.sessionId, result);
+      }
+      // The finished sessions are cached now; only the rest stay resumable.
+      state = { ...state, batches: state.batches.filter((entry) => entry !== batch) };
+      if (state.batches.length > 0) {
+        await stateStore.save(state);
+      } else {
+        await stateStore.clear(meetingId);
+      }
+    };
+
+    while (state.batches.length > 0) {
+      for (const batch of [...state.batches]) {
+        let polled;
+        try {
+          polled = await poll(batch.batchId, state.model);
+        } catch (error) {
+          console.warn(`  Warning: Batch ${batch.batchId} failed: ${error.message}`);
+          await finishBatch(batch, new Map(batch.sessions.map(({ session }) => [session.sessionId, { id: session.sessionId, error: error.message }])));
+          continue;
+        }
+        if (polled.done) {
+          await finishBatch(batch, new Map(polled.results.map((response) => [response.id, response])));
+        } else {
+          console.log(`  Batch ${batch.batchId}: ${describeCounts(polled.counts)}`);
+        }
+      }
+      if (state.batches.length === 0) break;
+      console.log(`  Checking again in ${Math.round(pollIntervalMs / 1000)}s`);
+      await sleep(pollIntervalMs);
+    }
+  }
+
+  return tasks.map(({ sessionName, session }) => ({
+    sessionName,
+    session,
+    result: results.get(session.sessionId) ?? failedResult("not summarized"),
+  }));
+}
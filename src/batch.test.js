@@ -0,0 +1,376 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import { createLlmProvider } from './llm-providers.js';
+import { initializeLlm, submitMinutesBatch, getMinutesBatch } from './generator.js';
+import { runBatchedSessions, getBatchStatePath, groupBatchRequests } from './batch.js';
+
+/**
+ * Local stand-in for the Anthropic and Gemini batch endpoints. Each batch
+ * reports in-progress on its first status check and ends on the second; the
+ * response to a prompt is "Minutes for <prompt>", unless the prompt contains
+ * FAIL.
+ */
+function startMockBatchServer() {
+  const requests = [];
+  const batches = new Map();
+  let nextId = 1;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: parsed });
+      const base = `http://127.0.0.1:${server.address().port}`;
+      const send = (status, data, type = 'application/json') => {
+        res.writeHead(status, { 'Content-Type': type });
+        res.end(typeof data === 'string' ? data : JSON.stringify(data));
+      };
+
+      // Anthropic
+      if (req.method === 'POST' && req.url === '/v1/messages/batches') {
+        const id = `msgbatch_${nextId++}`;
+        batches.set(id, { checks: 0, requests: parsed.requests.map((r) => ({ id: r.custom_id, prompt: r.params.messages[0].content })) });
+        return send(200, { id, processing_status: 'in_progress' });
+      }
+      let match = req.url.match(/^\/v1\/messages\/batches\/(\w+)$/);
+      if (match && batches.has(match[1])) {
+        const batch = batches.get(match[1]);
+        batch.checks += 1;
+        if (batch.checks < 2) {
+          return send(200, { id: match[1], processing_status: 'in_progress', request_counts: { processing: batch.requests.length, succeeded: 0 } });
+        }
+        return send(200, { id: match[1], processing_status: 'ended', results_url: `${base}/results/${match[1]}` });
+      }
+      match = req.url.match(/^\/results\/(\w+)$/);
+      if (match && batches.has(match[1])) {
+        const lines = batches.get(match[1]).requests.reverse().map(({ id, prompt }) => JSON.stringify(prompt.includes('FAIL')
+          ? { custom_id: id, result: { type: 'errored', error: { type: 'error', error: { type: 'invalid_request_error', message: 'prompt is too long' } } } }
+          : { custom_id: id, result: { type: 'succeeded', message: { content: [{ type: 'text', text: `\`\`\`markdown\nMinutes for ${prompt}\n\`\`\`` }], usage: { input_tokens: 100, output_tokens: 20 } } } }));
+        return send(200, lines.join('\n') + '\n', 'application/x-ndjson');
+      }
+
+      // Gemini
+      match = req.url.match(/^\/v1beta\/models\/([\w.-]+):batchGenerateContent$/);
+      if (req.method === 'POST' && match) {
+        const name = `batches/b${nextId++}`;
+        batches.set(name, { checks: 0, requests: parsed.batch.input_config.requests.requests.map((r) => ({ id: r.metadata.key, prompt: r.request.contents[0].parts[0].text })) });
+        return send(200, { name, metadata: { state: 'BATCH_STATE_PENDING' } });
+      }
+      match = req.url.match(/^\/v1beta\/(batches\/\w+)$/);
+      if (match && batches.has(match[1])) {
+        const batch = batches.get(match[1]);
+        batch.checks += 1;
+        if (batch.checks < 2) {
+          return send(200, { name: match[1], metadata: { state: 'BATCH_STATE_RUNNING', batchStats: { requestCount: String(batch.requests.length) } } });
+        }
+        return send(200, {
+          name: match[1],
+          done: true,
+          metadata: { state: 'BATCH_STATE_SUCCEEDED' },
+          response: {
+            inlinedResponses: {
+              inlinedResponses: batch.requests.map(({ id, prompt }) => (prompt.includes('FAIL')
+                ? { metadata: { key: id }, error: { message: 'blocked' } }
+                : { metadata: { key: id }, response: { candidates: [{ content: { parts: [{ text: `Minutes for ${prompt}` }] } }], usageMetadata: { promptTokenCount: 50, candidatesTokenCount: 10 } } })),
+            },
+          },
+        });
+      }
+
+      send(404, { error: { message: `no route for ${req.method} ${req.url}` } });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+let mock;
+
+beforeAll(async () => {
+  mock = await startMockBatchServer();
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => mock.server.close(resolve));
+});
+
+beforeEach(() => {
+  mock.requests.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('provider batch APIs', () => {
+  test('claude submits a message batch and reads its JSONL results', async () => {
+    const llm = createLlmProvider('claude', { apiKey: 'test-key', batchBaseUrl: mock.url });
+
+    const batchId = await llm.submitBatch([
+      { id: 'a', model: 'claude-sonnet-4-6', prompt: 'session A' },
+      { id: 'b', model: 'claude-sonnet-4-6', prompt: 'FAIL B' },
+    ]);
+    expect(mock.requests[0].headers['x-api-key']).toBe('test-key');
+    expect(mock.requests[0].headers['anthropic-version']).toBe('2023-06-01');
+    expect(mock.requests[0].body.requests[0]).toEqual({
+      custom_id: 'a',
+      params: { model: 'claude-sonnet-4-6', max_tokens: 4096, messages: [{ role: 'user', content: 'session A' }] },
+    });
+
+    await expect(llm.getBatch(batchId)).resolves.toEqual({ done: false, counts: { processing: 2, succeeded: 0 } });
+    const batch = await llm.getBatch(batchId);
+    expect(batch.done).toBe(true);
+    expect(batch.results).toEqual(expect.arrayContaining([
+      { id: 'a', text: '```markdown\nMinutes for session A\n```', usage: { inputTokens: 100, outputTokens: 20 } },
+      { id: 'b', error: 'prompt is too long' },
+    ]));
+  });
+
+  test('gemini submits inline requests and reads the inlined responses', async () => {
+    const llm = createLlmProvider('gemini', { apiKey: 'test-key', batchBaseUrl: `${mock.url}/v1beta` });
+
+    const batchId = await llm.submitBatch([
+      { id: 'a', model: 'gemini-3.5-flash', prompt: 'session A' },
+      { id: 'b', model: 'gemini-3.5-flash', prompt: 'FAIL B' },
+    ]);
+    expect(mock.requests[0].url).toBe('/v1beta/models/gemini-3.5-flash:batchGenerateContent');
+    expect(mock.requests[0].headers['x-goog-api-key']).toBe('test-key');
+
+    expect((await llm.getBatch(batchId)).done).toBe(false);
+    await expect(llm.getBatch(batchId)).resolves.toEqual({
+      done: true,
+      results: [
+        { id: 'a', text: 'Minutes for session A', usage: { inputTokens: 50, outputTokens: 10 } },
+        { id: 'b', error: 'blocked' },
+      ],
+    });
+  });
+
+  test('reports HTTP errors with the status', async () => {
+    const llm = createLlmProvider('claude', { apiKey: 'test-key', batchBaseUrl: mock.url });
+
+    await expect(llm.getBatch('missing')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('generator batch helpers', () => {
+  test('strip code fences and mark usage as batch usage', async () => {
+    initializeLlm('claude', { apiKey: 'test-key', batchBaseUrl: mock.url });
+
+    const batchId = await submitMinutesBatch([{ id: 'a', prompt: 'session A' }], 'claude-haiku-4-5');
+    expect(mock.requests[0].body.requests[0].params.model).toBe('claude-haiku-4-5');
+
+    await getMinutesBatch(batchId, 'claude-haiku-4-5');
+    await expect(getMinutesBatch(batchId, 'claude-haiku-4-5')).resolves.toEqual({
+      done: true,
+      results: [{ id: 'a', text: 'Minutes for session A', usage: { inputTokens: 100, outputTokens: 20, model: 'claude-haiku-4-5', batch: true } }],
+    });
+  });
+
+  test('reject providers without a batch API', async () => {
+    initializeLlm('openai', { baseUrl: mock.url });
+
+    await expect(submitMinutesBatch([{ id: 'a', prompt: 'x' }])).rejects.toThrow('does not support batch requests');
+  });
+});
+
+const session = (name) => ({ sessionName: name, sessionId: `IETF125-${name.toUpperCase()}-20260316-0930` });
+
+/**
+ * Batch dependencies around an in-memory batch store. Sessions named
+ * "cached" are settled while preparing and "big" ones are too long for the
+ * batch; the LLM calls go to the mock server.
+ */
+function makeDeps(overrides = {}) {
+  let saved = null;
+  const deps = {
+    prepare: jest.fn(async (s) => (s.sessionName === 'cached'
+      ? { result: { minutes: 'cached minutes', wasGenerated: false } }
+      : { transcript: `transcript of ${s.sessionName}`, context: { polls: [] } })),
+    buildPrompt: jest.fn(async (transcript, s) => ({ prompt: s.sessionName === 'big' ? '' : `prompt ${transcript}`, oversized: s.sessionName === 'big' })),
+    generate: jest.fn(async (s) => ({ minutes: `direct minutes of ${s.sessionName}`, wasGenerated: true })),
+    finish: jest.fn(async (s, transcript, context, generated) => ({ minutes: generated.text, wasGenerated: true, model: generated.model })),
+    loadContext: jest.fn(async () => ({ polls: [] })),
+    submit: submitMinutesBatch,
+    poll: getMinutesBatch,
+    recordUsage: jest.fn(),
+    sleep: jest.fn(async () => {}),
+    stateStore: {
+      load: jest.fn(async () => saved),
+      save: jest.fn(async (state) => { saved = JSON.parse(JSON.stringify(state)); }),
+      clear: jest.fn(async () => { saved = null; }),
+    },
+    ...overrides,
+  };
+  return { deps, savedState: () => saved, setSavedState: (state) => { saved = state; } };
+}
+
+test('groupBatchRequests fills each group up to the limit and gives an oversized request its own', () => {
+  const entries = [{ prompt: 'a' }, { prompt: 'b' }, { prompt: 'x'.repeat(5000) }, { prompt: 'c' }];
+  expect(groupBatchRequests(entries, 3000)).toEqual([[entries[0], entries[1]], [entries[2]], [entries[3]]]);
+  expect(groupBatchRequests(entries, Infinity)).toEqual([entries]);
+});
+
+describe('getBatchStatePath', () => {
+  test('names the file after the meeting', () => {
+    expect(getBatchStatePath(125)).toMatch(/cache[\\/]batches[\\/]ietf125\.json$/);
+    expect(getBatchStatePath('2026-03-03')).toMatch(/cache[\\/]batches[\\/]2026-03-03\.json$/);
+  });
+});
+
+describe('runBatchedSessions', () => {
+  beforeEach(() => {
+    initializeLlm('claude', { apiKey: 'test-key', batchBaseUrl: mock.url });
+  });
+
+  test('submits uncached sessions as one batch and finishes each response', async () => {
+    const { deps, savedState } = makeDeps();
+    const tasks = ['cached', 'tls', 'quic', 'big'].map((name) => ({ sessionName: name, session: session(name) }));
+
+    const results = await runBatchedSessions(125, tasks, { modelName: 'claude-sonnet-4-6' }, deps);
+
+    expect(mock.requests.filter((r) => r.method === 'POST')).toHaveLength(1);
+    expect(mock.requests[0].body.requests.map((r) => r.custom_id)).toEqual([session('tls').sessionId, session('quic').sessionId]);
+    expect(deps.stateStore.save).toHaveBeenCalledWith(expect.objectContaining({
+      meetingId: 125,
+      model: 'claude-sonnet-4-6',
+      batches: [{
+        batchId: expect.any(String),
+        sessions: [
+          { session: session('tls'), transcript: 'transcript of tls' },
+          { session: session('quic'), transcript: 'transcript of quic' },
+        ],
+      }],
+    }));
+    expect(deps.sleep).toHaveBeenCalledTimes(1);
+    expect(deps.generate).toHaveBeenCalledWith(session('big'), 'transcript of big', { polls: [] });
+    expect(deps.finish).toHaveBeenCalledWith(session('tls'), 'transcript of tls', { polls: [] }, { text: 'Minutes for prompt transcript of tls', structured: null, model: 'claude-sonnet-4-6' });
+    expect(deps.recordUsage).toHaveBeenCalledTimes(2);
+    expect(savedState()).toBeNull();
+    expect(results.map((r) => [r.sessionName, r.result.minutes])).toEqual([
+      ['cached', 'cached minutes'],
+      ['tls', 'Minutes for prompt transcript of tls'],
+      ['quic', 'Minutes for prompt transcript of quic'],
+      ['big', 'direct minutes of big'],
+    ]);
+  });
+
+  test('prepares sessions in parallel and submits them in task order', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const { deps } = makeDeps({
+      prepare: jest.fn(async (s) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        // The first session takes longest, so it finishes preparing last.
+        await new Promise((resolve) => setTimeout(resolve, s.sessionName === 'tls' ? 20 : 1));
+        active--;
+        return { transcript: `transcript of ${s.sessionName}`, context: { polls: [] } };
+      }),
+    });
+    const tasks = ['tls', 'quic', 'dns', 'lamps'].map((name) => ({ sessionName: name, session: session(name) }));
+
+    await runBatchedSessions(125, tasks, { parallel: 2 }, deps);
+
+    expect(maxActive).toBe(2);
+    expect(mock.requests[0].body.requests.map((r) => r.custom_id)).toEqual(tasks.map((task) => task.session.sessionId));
+  });
+
+  test('splits sessions over the size limit into several batches and collects them all', async () => {
+    const { deps, savedState } = makeDeps({ maxBatchBytes: 2500 });
+    const tasks = ['tls', 'quic', 'dns'].map((name) => ({ sessionName: name, session: session(name) }));
+
+    const results = await runBatchedSessions(125, tasks, {}, deps);
+
+    const posts = mock.requests.filter((r) => r.method === 'POST');
+    expect(posts.map((r) => r.body.requests.length)).toEqual([2, 1]);
+    // Saved after each submission and again once the first batch is finished.
+    expect(deps.stateStore.save.mock.calls.map(([state]) => state.batches.map((batch) => batch.sessions.length))).toEqual([[2], [2, 1], [1]]);
+    expect(deps.sleep).toHaveBeenCalledTimes(1);
+    expect(results.map((r) => r.result.minutes)).toEqual([
+      'Minutes for prompt transcript of tls',
+      'Minutes for prompt transcript of quic',
+      'Minutes for prompt transcript of dns',
+    ]);
+    expect(savedState()).toBeNull();
+  });
+
+  test('fails the sessions of a batch that fails as a whole and finishes the others', async () => {
+    const batchIds = [];
+    const submit = jest.fn(async (requests, modelName) => {
+      const batchId = await submitMinutesBatch(requests, modelName);
+      batchIds.push(batchId);
+      return batchId;
+    });
+    const poll = jest.fn(async (batchId, modelName) => {
+      if (batchId === batchIds[1]) throw new Error('Batch ended in state BATCH_STATE_EXPIRED');
+      return getMinutesBatch(batchId, modelName);
+    });
+    const { deps, savedState } = makeDeps({ maxBatchBytes: 2500, submit, poll });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const tasks = ['tls', 'quic', 'dns'].map((name) => ({ sessionName: name, session: session(name) }));
+
+    const results = await runBatchedSessions(125, tasks, {}, deps);
+
+    expect(results.map((r) => r.result.minutes || r.result.reason)).toEqual([
+      'Minutes for prompt transcript of tls',
+      'Minutes for prompt transcript of quic',
+      'Batch ended in state BATCH_STATE_EXPIRED',
+    ]);
+    // The failed batch is dropped right away; the state goes once the other one is finished.
+    expect(deps.stateStore.save.mock.calls.at(-1)[0].batches.map((batch) => batch.batchId)).toEqual([batchIds[0]]);
+    expect(deps.stateStore.clear).toHaveBeenCalledTimes(1);
+    expect(savedState()).toBeNull();
+  });
+
+  test('keeps the submitted batches resumable when a later submission fails', async () => {
+    const submit = jest.fn().mockImplementationOnce(submitMinutesBatch).mockRejectedValueOnce(new Error('HTTP 413'));
+    const { deps, savedState } = makeDeps({ maxBatchBytes: 1500, submit });
+    const tasks = ['tls', 'quic'].map((name) => ({ sessionName: name, session: session(name) }));
+
+    await expect(runBatchedSessions(125, tasks, {}, deps)).rejects.toThrow(/HTTP 413; batch msgbatch_\d+ was already submitted, collect it with --batch-resume/);
+    expect(savedState().batches).toHaveLength(1);
+  });
+
+  test('turns failed batch requests into skipped sessions', async () => {
+    const { deps } = makeDeps({
+      buildPrompt: jest.fn(async (transcript, s) => ({ prompt: s.sessionName === 'bad' ? 'FAIL' : transcript, oversized: false })),
+    });
+    const tasks = ['tls', 'bad'].map((name) => ({ sessionName: name, session: session(name) }));
+
+    const results = await runBatchedSessions(125, tasks, {}, deps);
+
+    expect(results[1].result).toEqual({ minutes: '', wasGenerated: false, reason: 'prompt is too long', recordingUnavailable: false });
+    expect(deps.finish).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses to submit while a batch is pending, and resumes it with resume', async () => {
+    const { deps, setSavedState, savedState } = makeDeps();
+    const tasks = ['tls', 'quic'].map((name) => ({ sessionName: name, session: session(name) }));
+    const batchId = await submitMinutesBatch([{ id: session('tls').sessionId, prompt: 'tls' }], 'claude-sonnet-4-6');
+    setSavedState({ meetingId: 125, model: 'claude-sonnet-4-6', submittedAt: '2026-03-16T12:00:00.000Z', batches: [{ batchId, sessions: [{ session: session('tls'), transcript: 'saved transcript' }] }] });
+
+    await expect(runBatchedSessions(125, tasks, {}, deps)).rejects.toThrow(`Batch ${batchId} for 125 is still pending; run with --batch-resume`);
+
+    const results = await runBatchedSessions(125, tasks, { resume: true }, deps);
+
+    // Only the session that was not in the batch is prepared, and it is summarized directly.
+    expect(deps.prepare).toHaveBeenCalledTimes(1);
+    expect(deps.prepare).toHaveBeenCalledWith(session('quic'));
+    expect(deps.buildPrompt).not.toHaveBeenCalled();
+    expect(deps.finish).toHaveBeenCalledWith(session('tls'), 'saved transcript', { polls: [] }, expect.objectContaining({ text: 'Minutes for tls' }));
+    expect(results.map((r) => r.result.minutes)).toEqual(['Minutes for tls', 'direct minutes of quic']);
+    expect(mock.requests.filter((r) => r.method === 'POST')).toHaveLength(1);
+    expect(savedState()).toBeNull();
+  });
+
+  test('fails a resume when no batch is pending', async () => {
+    const { deps } = makeDeps();
+
+    await expect(runBatchedSessions(125, [], { resume: true }, deps)).rejects.toThrow('No pending batch for 125');
+  });
+});
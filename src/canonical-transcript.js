@@ -0,0 +1,310 @@
+/**
+ * Canonical Transcript
+ * Every transcript source converts to one JSON shape: Meetecho's
+ * {startTime, text} entries, the diarizing STT backends' timed words,
+ * whisper's segments, and free text such as Gemini STT output. It is cached
+ * next to the rendered transcript (cache/transcripts/<id>.json beside
+ * <id>.md), so speaker mapping, cleanup and the transcript page work on turns
+ * instead of guessing at the text's format:
+ *
+ *   {version: 1, source, turns: [{speaker, start, end, text, words, confidence}]}
+ *
+ * A turn is one speaker's stretch of speech, one Meetecho entry, or one line
+ * of free text. Times are seconds into the recording, or null when the source
+ * has none. `words` is [{word, start, end, confidence}] when the backend
+ * reports word timings, otherwise null. Turn i renders as line i of the
+ * rendered transcript, so line-numbered corrections address the same turn in
+ * both.
+ */
+
+import { formatOffset, parseOffset } from "./speaker-names.js";
+
+export const CANONICAL_TRANSCRIPT_VERSION = 1;
+
+// Labels backends assign before speakers are identified; rendered without bold.
+const GENERIC_SPEAKER_PATTERN = /^Speaker \d+$/;
+
+// "[HH:MM:SS] ", then a "Speaker N:", "**Name:**" or "**Name**:" label, then the text.
+const TEXT_LINE_PATTERN = /^\s*(?:\[(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\]\s*)?(?:\*\*([^*\n]{1,60}?):\*\*|\*\*([^*\n]{1,60}?)\*\*\s*:|(Speaker \d+)\s*:)?\s*(.*)$/;
+
+/**
+ * @param {string} source - Where the transcript came from (e.g. "deepgram", "meetecho")
+ * @param {Array<Object>} turns
+ * @returns {{version: number, source: string, turns: Array<Object>}}
+ */
+function makeTranscript(source, turns) {
+  return { version: CANONICAL_TRANSCRIPT_VERSION, source, turns };
+}
+
+/**
+ * @param {Object} fields
+ * @returns {{speaker: string|null, start: number|null, end: number|null, text: string, words: Array|null, confidence: number|null}}
+ */
+function makeTurn({ speaker = null, start = null, end = null, text = "", words = null, confidence = null }) {
+  return { speaker, start, end, text, words, confidence };
+}
+
+/**
+ * Mean confidence of a turn's words, or null when none report one.
+ * @param {Array<{confidence: number|null}>} words
+ * @returns {number|null}
+ */
+function averageConfidence(words) {
+  const scores = words.map((word) => word.confidence).filter((score) => typeof score === "number");
+  return scores.length > 0 ? scores.reduce((total, score) => total + score, 0) / scores.length : null;
+}
+
+/**
+ * Build a turn from its timed words.
+ * @param {string|null} speaker
+ * @param {Array<{word: string, start: number|null, end: number|null, confidence: number|null}>} words
+ * @returns {Object} Turn
+ */
+function turnFromWords(speaker, words) {
+  return makeTurn({
+    speaker,
+    start: words[0]?.start ?? null,
+    end: words[words.length - 1]?.end ?? null,
+    text: words.map((word) => word.word).join(" "),
+    words,
+    confidence: averageConfidence(words),
+  });
+}
+
+/**
+ * Group diarized words into turns, starting a new turn whenever the speaker
+ * changes. Words before the first speaker label form an unlabelled turn.
+ * @param {Array<Object>} rawWords - Backend word objects
+ * @param {(word: Object) => {speaker: string|null, word: string, start: number|null, end: number|null, confidence: number|null}} readWord
+ * @returns {Array<Object>} Turns
+ */
+function turnsFromWords(rawWords, readWord) {
+  const groups = [];
+  for (const raw of rawWords) {
+    const { speaker, ...word } = readWord(raw);
+    const current = groups[groups.length - 1];
+    if (!current || (speaker !== null && speaker !== current.speaker)) {
+      groups.push({ speaker, words: [word] });
+    } else {
+      current.words.push(word);
+    }
+  }
+  return groups.map(({ speaker, words }) => turnFromWords(speaker, words));
+}
+
+/**
+ * Parse a Meetecho "H:MM:SS" / "MM:SS" start time (or a number of seconds).
+ * @param {*} value
+ * @returns {number|null} Seconds, or null when unparseable
+ */
+function parseClockTime(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const match = typeof value === "string" && value.trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?:\.\d+)?$/);
+  if (!match) return null;
+  return Number(match[1] ?? 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+/**
+ * Convert Meetecho's transcript entries, one turn each.
+ * @param {Array<{startTime?: string, text?: string}>} entries
+ * @returns {Object} Canonical transcript
+ */
+export function fromMeetechoEntries(entries) {
+  return makeTranscript("meetecho", entries.map((entry) => makeTurn({
+    start: parseClockTime(entry?.startTime),
+    text: typeof entry?.text === "string" ? entry.text.replace(/\s*\n\s*/g, " ") : "",
+  })));
+}
+
+/**
+ * Convert Deepgram's diarized words (0-based speaker indexes).
+ * @param {Array<{word: string, punctuated_word?: string, start?: number, end?: number, confidence?: number, speaker?: number}>} words
+ * @returns {Object} Canonical transcript
+ */
+export function fromDeepgramWords(words) {
+  return makeTranscript("deepgram", turnsFromWords(words, (word) => ({
+    speaker: typeof word.speaker === "number" ? `Speaker ${word.speaker}` : null,
+    word: word.punctuated_word || word.word,
+    start: parseOffset(word.start),
+    end: parseOffset(word.end),
+    confidence: typeof word.confidence === "number" ? word.confidence : null,
+  })));
+}
+
+/**
+ * Convert Google STT (chirp_3) diarized words, whose offsets are "12.3s"
+ * strings or {seconds, nanos} durations.
+ * @param {Array<{word: string, speakerLabel?: string, startOffset?: *, endOffset?: *, confidence?: number}>} words
+ * @returns {Object} Canonical transcript
+ */
+export function fromGoogleWords(words) {
+  return makeTranscript("google", turnsFromWords(words, (word) => ({
+    speaker: word.speakerLabel ? `Speaker ${word.speakerLabel}` : null,
+    word: word.word,
+    start: parseOffset(word.startOffset),
+    end: parseOffset(word.endOffset),
+    confidence: typeof word.confidence === "number" ? word.confidence : null,
+  })));
+}
+
+/**
+ * Convert whisper's segments. Whisper does not diarize, so every turn is
+ * "Speaker 1".
+ * @param {Array<{start: number, end?: number, text: string}>} segments
+ * @returns {Object} Canonical transcript
+ */
+export function fromWhisperSegments(segments) {
+  return makeTranscript("whisper", segments.map((segment) => makeTurn({
+    speaker: "Speaker 1",
+    start: segment.start ?? null,
+    end: segment.end ?? null,
+    text: segment.text,
+  })));
+}
+
+/**
+ * Convert a text transcript, one turn per line: "[HH:MM:SS] Speaker N: ..."
+ * lines, Gemini's bold "**Name:** ..." Markdown, or plain lines. Empty lines
+ * are kept as empty turns so line numbers still match.
+ * @param {string} text
+ * @param {string} [source] - Source to record (default "text")
+ * @returns {Object} Canonical transcript
+ */
+export function fromText(text, source = "text") {
+  return makeTranscript(source, text.split(/\r?\n/).map((line) => {
+    const [, h, m, s, boldInside, boldOutside, generic, rest] = line.match(TEXT_LINE_PATTERN);
+    return makeTurn({
+      speaker: (boldInside ?? boldOutside ?? generic)?.trim() || null,
+      start: m === undefined ? null : Number(h ?? 0) * 3600 + Number(m) * 60 + Number(s),
+      text: rest.trimEnd(),
+    });
+  }));
+}
+
+/**
+ * Whether a value is a canonical transcript.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isCanonicalTranscript(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value) && Array.isArray(value.turns);
+}
+
+/**
+ * Parse a cached canonical transcript.
+ * @param {string} json
+ * @returns {Object|null} The transcript, or null when the text is not one
+ */
+export function parseCanonicalTranscript(json) {
+  try {
+    const parsed = JSON.parse(json);
+    return isCanonicalTranscript(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a transcript in any cached format: a canonical transcript (object
+ * or JSON), a Meetecho JSON array, or text.
+ * @param {string|Object} transcript
+ * @param {string} [source] - Source to record for text (default "text")
+ * @returns {Object} Canonical transcript
+ */
+export function toCanonicalTranscript(transcript, source = "text") {
+  if (isCanonicalTranscript(transcript)) return transcript;
+  try {
+    const parsed = JSON.parse(transcript);
+    if (Array.isArray(parsed)) return fromMeetechoEntries(parsed);
+    if (isCanonicalTranscript(parsed)) return parsed;
+  } catch {
+    // Not JSON — a text transcript.
+  }
+  return fromText(transcript, source);
+}
+
+/**
+ * Render one turn as a transcript line: "[HH:MM:SS] " when it has a start,
+ * then "Speaker N: " or "**Name**: " when it has a speaker, then the text.
+ * @param {Object} turn
+ * @returns {string}
+ */
+export function renderTurn(turn) {
+  const time = turn.start === null ? "" : `[${formatOffset(turn.start)}] `;
+  let label = "";
+  if (turn.speaker !== null) {
+    label = GENERIC_SPEAKER_PATTERN.test(turn.speaker) ? `${turn.speaker}: ` : `**${turn.speaker}**: `;
+  }
+  return `${time}${label}${turn.text}`;
+}
+
+/**
+ * Render a canonical transcript as text, one line per turn.
+ * @param {Object} transcript
+ * @returns {string}
+ */
+export function renderTranscript(transcript) {
+  return transcript.turns.map(renderTurn).join("\n");
+}
+
+/**
+ * Join transcripts of consecutive pieces of one recording.
+ * @param {string} source
+ * @param {Array<Object>} transcripts - Canonical transcripts, in order
+ * @returns {Object} Canonical transcript
+ */
+export function concatTranscripts(source, transcripts) {
+  return makeTranscript(source, transcripts.flatMap((transcript) => transcript.turns));
+}
+
+/**
+ * Map every time in a transcript (turn and word starts and ends), e.g. from
+ * a segment or trimmed audio to the whole recording.
+ * @param {Object} transcript
+ * @param {(seconds: number) => number} mapTime
+ * @returns {Object} New canonical transcript
+ */
+export function mapTranscriptTimes(transcript, mapTime) {
+  const map = (seconds) => (seconds === null ? null : mapTime(seconds));
+  return makeTranscript(transcript.source, transcript.turns.map((turn) => ({
+    ...turn,
+    start: map(turn.start),
+    end: map(turn.end),
+    words: turn.words && turn.words.map((word) => ({ ...word, start: map(word.start), end: map(word.end) })),
+  })));
+}
+
+/**
+ * Replace a turn's text, e.g. after a cleanup correction. The timed words
+ * are kept when the word count is unchanged (each takes the new spelling);
+ * otherwise they no longer line up with the text and are dropped.
+ * @param {Object} turn
+ * @param {string} text
+ * @returns {Object} New turn
+ */
+export function retextTurn(turn, text) {
+  if (!turn.words) return { ...turn, text };
+  const spellings = text.split(/\s+/).filter(Boolean);
+  if (spellings.length !== turn.words.length) return { ...turn, text, words: null };
+  return { ...turn, text, words: turn.words.map((word, i) => ({ ...word, word: spellings[i] })) };
+}
+
+/**
+ * Keep only some of a turn's timed words, e.g. those on one side of a cut.
+ * @param {Object} turn - Turn with words
+ * @param {(word: {word: string, start: number|null, end: number|null}) => boolean} keep
+ * @returns {Object|null} New turn, or null when no word is kept
+ */
+export function filterTurnWords(turn, keep) {
+  const words = (turn.words || []).filter(keep);
+  return words.length > 0 ? turnFromWords(turn.speaker, words) : null;
+}
+
+/**
+ * Count the words of a canonical transcript.
+ * @param {Object} transcript
+ * @returns {number}
+ */
+export function countTranscriptWords(transcript) {
+  return transcript.turns.reduce((total, turn) => total + turn.text.split(/\s+/).filter(Boolean).length, 0);
+}
@@ -0,0 +1,116 @@
+import {
+  fromMeetechoEntries,
+  fromDeepgramWords,
+  fromGoogleWords,
+  fromWhisperSegments,
+  fromText,
+  parseCanonicalTranscript,
+  toCanonicalTranscript,
+  renderTranscript,
+  mapTranscriptTimes,
+  retextTurn,
+  countTranscriptWords,
+} from './canonical-transcript.js';
+
+describe('converters', () => {
+  test('fromMeetechoEntries makes one unlabelled turn per entry, parsing start times', () => {
+    const transcript = fromMeetechoEntries([
+      { startTime: '0:00:05', text: 'Welcome to the\nsession.' },
+      { startTime: '12:30', text: 'Next slide.' },
+      { text: 'No time.' },
+    ]);
+    expect(transcript.source).toBe('meetecho');
+    expect(transcript.turns.map((turn) => [turn.speaker, turn.start, turn.text])).toEqual([
+      [null, 5, 'Welcome to the session.'],
+      [null, 750, 'Next slide.'],
+      [null, null, 'No time.'],
+    ]);
+    expect(renderTranscript(transcript)).toBe('[00:00:05] Welcome to the session.\n[00:12:30] Next slide.\nNo time.');
+  });
+
+  test('fromDeepgramWords groups words into speaker turns with timings and confidence', () => {
+    const transcript = fromDeepgramWords([
+      { word: 'hello', punctuated_word: 'Hello', start: 0, end: 0.4, confidence: 0.9, speaker: 0 },
+      { word: 'there', punctuated_word: 'there.', start: 0.4, end: 0.8, confidence: 0.7, speaker: 0 },
+      { word: 'hi', start: 5, end: 5.3, confidence: 0.8, speaker: 1 },
+    ]);
+    expect(transcript.turns).toHaveLength(2);
+    expect(transcript.turns[0]).toMatchObject({ speaker: 'Speaker 0', start: 0, end: 0.8, text: 'Hello there.' });
+    expect(transcript.turns[0].confidence).toBeCloseTo(0.8, 6);
+    expect(transcript.turns[1].words).toEqual([{ word: 'hi', start: 5, end: 5.3, confidence: 0.8 }]);
+  });
+
+  test('fromGoogleWords parses "12.3s" and {seconds, nanos} offsets', () => {
+    const transcript = fromGoogleWords([
+      { word: 'Hello', speakerLabel: '1', startOffset: '1.5s', endOffset: '2s' },
+      { word: 'Hi', speakerLabel: '2', startOffset: { seconds: '62', nanos: 500000000 }, endOffset: { seconds: '63' } },
+    ]);
+    expect(transcript.turns.map((turn) => [turn.speaker, turn.start, turn.end, turn.confidence])).toEqual([
+      ['Speaker 1', 1.5, 2, null],
+      ['Speaker 2', 62.5, 63, null],
+    ]);
+  });
+
+  test('fromWhisperSegments labels every segment "Speaker 1"', () => {
+    const transcript = fromWhisperSegments([{ start: 3.2, end: 5, text: 'Good morning.' }]);
+    expect(renderTranscript(transcript)).toBe('[00:00:03] Speaker 1: Good morning.');
+  });
+});
+
+describe('fromText', () => {
+  test('round-trips rendered transcripts line for line', () => {
+    const text = '[00:00:01] Speaker 1: Hello.\n\n[01:02:03] **Jane Smith**: Thanks.\nPlain line';
+    const transcript = fromText(text, 'gemini');
+    expect(transcript.source).toBe('gemini');
+    expect(transcript.turns).toHaveLength(4);
+    expect(transcript.turns[2]).toMatchObject({ speaker: 'Jane Smith', start: 3723, text: 'Thanks.' });
+    expect(renderTranscript(transcript)).toBe(text);
+  });
+
+  test('reads Gemini\'s "**Name:**" labels', () => {
+    const [turn] = fromText('[00:05] **John Doe:** Next slide please.').turns;
+    expect(turn).toMatchObject({ speaker: 'John Doe', start: 5, text: 'Next slide please.' });
+  });
+});
+
+describe('parsing cached transcripts', () => {
+  test('parseCanonicalTranscript returns null for anything but a canonical transcript', () => {
+    const transcript = fromText('Speaker 1: Hi.');
+    expect(parseCanonicalTranscript(JSON.stringify(transcript))).toEqual(transcript);
+    expect(parseCanonicalTranscript('[{"text": "hi"}]')).toBeNull();
+    expect(parseCanonicalTranscript('not json')).toBeNull();
+  });
+
+  test('toCanonicalTranscript converts Meetecho JSON and text', () => {
+    expect(toCanonicalTranscript('[{"startTime": "0:01:00", "text": "hi"}]').turns[0]).toMatchObject({ start: 60, text: 'hi' });
+    expect(toCanonicalTranscript('Speaker 2: hi').turns[0]).toMatchObject({ speaker: 'Speaker 2', text: 'hi' });
+  });
+});
+
+test('mapTranscriptTimes maps turn and word times, leaving missing times null', () => {
+  const transcript = {
+    version: 1,
+    source: 'deepgram',
+    turns: [
+      { speaker: 'Speaker 0', start: 1, end: 2, text: 'Hi', words: [{ word: 'Hi', start: 1, end: 2, confidence: null }], confidence: null },
+      { speaker: null, start: null, end: null, text: 'Untimed', words: null, confidence: null },
+    ],
+  };
+  const mapped = mapTranscriptTimes(transcript, (seconds) => seconds + 100);
+  expect(mapped.turns[0]).toMatchObject({ start: 101, end: 102, words: [{ word: 'Hi', start: 101, end: 102, confidence: null }] });
+  expect(mapped.turns[1]).toMatchObject({ start: null, end: null });
+  expect(transcript.turns[0].start).toBe(1);
+});
+
+test('retextTurn respells words when the count matches and drops them otherwise', () => {
+  const turn = fromDeepgramWords([
+    { word: 'quick', start: 0, end: 0.5, speaker: 0 },
+    { word: 'update', start: 0.5, end: 1, speaker: 0 },
+  ]).turns[0];
+  expect(retextTurn(turn, 'QUIC update').words.map((word) => [word.word, word.start])).toEqual([['QUIC', 0], ['update', 0.5]]);
+  expect(retextTurn(turn, 'QUIC WG update')).toMatchObject({ text: 'QUIC WG update', words: null });
+});
+
+test('countTranscriptWords counts the words of every turn, not labels or timestamps', () => {
+  expect(countTranscriptWords(fromText('[00:00:01] **Jane Smith**: one two\nSpeaker 1: three'))).toBe(3);
+});
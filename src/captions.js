@@ -0,0 +1,133 @@
+/**
+ * Captions
+ * Renders a canonical transcript as WebVTT and SRT captions, to be loaded
+ * alongside the session recording. Each timed turn becomes one or more cues
+ * of at most MAX_CUE_WORDS words, timed by its words when the backend
+ * reported word timings and spread evenly over the turn otherwise. Turns
+ * without a start time (e.g. untimestamped Gemini output) are left out.
+ */
+
+// Longest cue, in words and seconds, before a turn is split into several.
+const MAX_CUE_WORDS = 16;
+const MAX_CUE_SECONDS = 7;
+
+// A turn with no end of its own is shown at least this long, and at this
+// reading pace, unless the next turn starts sooner.
+const MIN_CUE_SECONDS = 2;
+const CAPTION_WORDS_PER_SECOND = 2;
+
+/**
+ * Split a turn whose words all carry timings into cues at word boundaries.
+ * @param {Array<{word: string, start: number, end: number}>} words
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function cuesFromTimedWords(words) {
+  const cues = [];
+  let current = [];
+  for (const word of words) {
+    const tooLong = current.length >= MAX_CUE_WORDS || (current.length > 0 && word.end - current[0].start > MAX_CUE_SECONDS);
+    if (tooLong) {
+      cues.push(current);
+      current = [];
+    }
+    current.push(word);
+  }
+  if (current.length > 0) cues.push(current);
+  return cues.map((cue) => ({
+    start: cue[0].start,
+    end: Math.max(cue[cue.length - 1].end, cue[0].start),
+    text: cue.map((word) => word.word).join(" "),
+  }));
+}
+
+/**
+ * Split a turn's text into cues of at most MAX_CUE_WORDS words, sharing its
+ * time span in proportion to their word counts.
+ * @param {string[]} words
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function cuesFromText(words, start, end) {
+  const count = Math.ceil(words.length / MAX_CUE_WORDS);
+  const size = Math.ceil(words.length / count);
+  const perWord = (end - start) / words.length;
+  const cues = [];
+  for (let first = 0; first < words.length; first += size) {
+    const chunk = words.slice(first, first + size);
+    cues.push({
+      start: start + first * perWord,
+      end: start + (first + chunk.length) * perWord,
+      text: chunk.join(" "),
+    });
+  }
+  return cues;
+}
+
+/**
+ * Build the caption cues of a canonical transcript.
+ * @param {Object} transcript - Canonical transcript
+ * @returns {Array<{start: number, end: number, speaker: string|null, text: string}>} Cues in order, times in seconds
+ */
+export function buildCaptionCues(transcript) {
+  const turns = transcript.turns.filter((turn) => turn.start !== null && turn.text.trim());
+  return turns.flatMap((turn, index) => {
+    const words = turn.text.split(/\s+/).filter(Boolean);
+    const nextStart = turns[index + 1]?.start ?? Infinity;
+    const readingEnd = turn.start + Math.max(MIN_CUE_SECONDS, words.length / CAPTION_WORDS_PER_SECOND);
+    const end = turn.end !== null && turn.end > turn.start ? turn.end : Math.min(nextStart, readingEnd);
+    const timed = turn.words?.length > 0 && turn.words.every((word) => word.start !== null && word.end !== null);
+    const cues = timed ? cuesFromTimedWords(turn.words) : cuesFromText(words, turn.start, Math.max(end, turn.start + 1));
+    return cues.map((cue) => ({ ...cue, speaker: turn.speaker }));
+  });
+}
+
+/**
+ * Format a cue time as "HH:MM:SS.mmm" (WebVTT) or "HH:MM:SS,mmm" (SRT).
+ * @param {number} seconds
+ * @param {string} separator - Between seconds and milliseconds
+ * @returns {string}
+ */
+function formatCueTime(seconds, separator) {
+  const millis = Math.round(Math.max(0, seconds) * 1000);
+  const h = Math.floor(millis / 3600000);
+  const m = Math.floor((millis % 3600000) / 60000);
+  const s = Math.floor((millis % 60000) / 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(millis % 1000, 3)}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Text safe inside a WebVTT cue
+ */
+function escapeVtt(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Render a canonical transcript as WebVTT, with a <v Speaker> voice tag on
+ * each cue whose speaker is known.
+ * @param {Object} transcript - Canonical transcript
+ * @returns {string}
+ */
+export function renderWebVtt(transcript) {
+  const cues = buildCaptionCues(transcript).map((cue, index) => {
+    const voice = cue.speaker ? `<v ${escapeVtt(cue.speaker)}>` : "";
+    return `${index + 1}\n${formatCueTime(cue.start, ".")} --> ${formatCueTime(cue.end, ".")}\n${voice}${escapeVtt(cue.text)}`;
+  });
+  return `WEBVTT\n\n${cues.map((cue) => `${cue}\n\n`).join("")}`;
+}
+
+/**
+ * Render a canonical transcript as SRT. SRT has no voice tags, so a known
+ * speaker is written as a "Name: " prefix.
+ * @param {Object} transcript - Canonical transcript
+ * @returns {string}
+ */
+export function renderSrt(transcript) {
+  return buildCaptionCues(transcript).map((cue, index) => {
+    const speaker = cue.speaker ? `${cue.speaker}: ` : "";
+    return `${index + 1}\n${formatCueTime(cue.start, ",")} --> ${formatCueTime(cue.end, ",")}\n${speaker}${cue.text}\n\n`;
+  }).join("");
+}
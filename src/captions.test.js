@@ -0,0 +1,46 @@
+import { buildCaptionCues, renderWebVtt, renderSrt } from './captions.js';
+import { fromDeepgramWords, fromMeetechoEntries, fromText } from './canonical-transcript.js';
+
+describe('buildCaptionCues', () => {
+  test('ends an untimed-word turn at the next turn, or after its reading time', () => {
+    const cues = buildCaptionCues(fromText('[00:00:10] Speaker 1: Hello there.\n[00:00:11] **Jane Smith**: Hi.\nNo timestamp.\n[00:01:00] Speaker 1: Thanks everyone.'));
+    expect(cues).toEqual([
+      { start: 10, end: 11, speaker: 'Speaker 1', text: 'Hello there.' },
+      { start: 11, end: 13, speaker: 'Jane Smith', text: 'Hi.' },
+      { start: 60, end: 62, speaker: 'Speaker 1', text: 'Thanks everyone.' },
+    ]);
+  });
+
+  test('splits a long turn into cues at its word timings', () => {
+    const words = Array.from({ length: 20 }, (_, i) => ({ word: `w${i}`, start: i * 0.25, end: i * 0.25 + 0.2, speaker: 0 }));
+    const cues = buildCaptionCues(fromDeepgramWords(words));
+    expect(cues.map((cue) => [cue.start, cue.end, cue.text.split(' ').length])).toEqual([
+      [0, 3.95, 16],
+      [4, 4.95, 4],
+    ]);
+    expect(cues.every((cue) => cue.speaker === 'Speaker 0')).toBe(true);
+  });
+
+  test('spreads a long untimed turn evenly over its reading time', () => {
+    const text = Array.from({ length: 20 }, (_, i) => `w${i}`).join(' ');
+    const cues = buildCaptionCues(fromMeetechoEntries([{ startTime: '0:00:00', text }, { startTime: '0:00:20', text: 'Next.' }]));
+    expect(cues.slice(0, 2).map((cue) => [cue.start, cue.end, cue.text.split(' ').length])).toEqual([
+      [0, 5, 10],
+      [5, 10, 10],
+    ]);
+  });
+});
+
+test('renderWebVtt writes voice tags and escapes cue text', () => {
+  const vtt = renderWebVtt(fromText('[01:02:03] **Jane Smith**: Use <b> & friends.\n[01:02:05] Plain.'));
+  expect(vtt).toBe(
+    'WEBVTT\n\n'
+    + '1\n01:02:03.000 --> 01:02:05.000\n<v Jane Smith>Use &lt;b&gt; &amp; friends.\n\n'
+    + '2\n01:02:05.000 --> 01:02:07.000\nPlain.\n\n',
+  );
+});
+
+test('renderSrt prefixes the speaker and uses comma milliseconds', () => {
+  const srt = renderSrt(fromDeepgramWords([{ word: 'Hi', start: 1.25, end: 1.5, speaker: 1 }]));
+  expect(srt).toBe('1\n00:00:01,250 --> 00:00:01,500\nSpeaker 1: Hi\n\n');
+});
@@ -0,0 +1,29 @@
+/**
+ * Bounded concurrency helper shared by session processing and segmented
+ * transcription.
+ */
+
+/**
+ * Run async tasks with a concurrency limit
+ * @param {Array<Function>} tasks - Array of functions that return promises
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @returns {Promise<Array>} Results in the same order as tasks
+ */
+export async function runWithConcurrency(tasks, limit) {
+  const results = [];
+  const executing = new Set();
+  for (const task of tasks) {
+    const p = task().then(
+      r => { executing.delete(p); return r; },
+      e => { executing.delete(p); throw e; },
+    );
+    executing.add(p);
+    results.push(p);
+    if (executing.size >= limit) {
+      // Use .catch to prevent unhandled rejections from other in-flight
+      // promises while we await the first to settle.
+      await Promise.race(executing).catch(() => {});
+    }
+  }
+  return Promise.all(results);
+}
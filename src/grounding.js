@@ -0,0 +1,209 @@
+/**
+ * Grounding Verification
+ * Post-generation check of minutes against the session record. The model
+ * lists the minutes' attributed statements, decisions and poll mentions, each
+ * with a verbatim quote of its supporting text (extractGroundingClaims); the
+ * quotes are then looked up in the transcript, chat and recorded polls here,
+ * so a claim only counts as supported when its evidence actually exists.
+ * Unsupported claims are annotated, dropped, or fail the session, depending
+ * on --verify-grounding.
+ */
+
+import { extractGroundingClaims, formatPollResult, estimateTokens, getMaxPromptTokens } from "./generator.js";
+import { splitUnits } from "./transcript-cleanup.js";
+
+export const GROUNDING_MODES = ["off", "annotate", "drop", "fail"];
+
+// A quote shorter than this many words matches too much of any record to
+// count as evidence.
+const MIN_EVIDENCE_WORDS = 3;
+
+const UNVERIFIED_MARK = "*[unverified]*";
+
+let groundingMode = "off";
+const groundingResults = [];
+
+/**
+ * Set what happens to claims the session record does not support
+ * @param {"off"|"annotate"|"drop"|"fail"} mode
+ */
+export function setGroundingMode(mode) {
+  groundingMode = mode;
+}
+
+/**
+ * @returns {"off"|"annotate"|"drop"|"fail"} Current grounding verification mode
+ */
+export function getGroundingMode() {
+  return groundingMode;
+}
+
+/**
+ * Lines of the session record the minutes may rest on: transcript units, chat
+ * messages and recorded poll results.
+ * @param {string} transcript - Transcript (Meetecho JSON or text)
+ * @param {Object|null} context - Session context with chat and polls
+ * @returns {string[]}
+ */
+export function buildSessionRecord(transcript, context) {
+  const lines = splitUnits(transcript).units.filter((unit) => unit.trim());
+  for (const message of context?.chat || []) {
+    lines.push(`${message?.author ?? ""}: ${message?.text ?? ""}`);
+  }
+  for (const poll of context?.polls || []) {
+    lines.push(`Poll: ${formatPollResult(poll)}`);
+  }
+  return lines;
+}
+
+/**
+ * Lowercase and reduce to words, so quotes match across punctuation, case and
+ * whitespace differences.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeForMatch(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+/**
+ * Decide which claims the session record supports.
+ * @param {Array<{line: number, kind: string, claim: string, evidence: string}>} claims - Claims with quoted evidence
+ * @param {string[]} recordLines - Session record from buildSessionRecord
+ * @returns {Array<{line: number, kind: string, claim: string, evidence: string, supported: boolean, reason: string|null}>}
+ */
+export function checkClaims(claims, recordLines) {
+  const record = ` ${recordLines.map(normalizeForMatch).join(" ")} `;
+  return claims.map((claim) => {
+    const evidence = normalizeForMatch(claim.evidence);
+    let reason = null;
+    if (!evidence) {
+      reason = "no supporting text in the session record";
+    } else if (evidence.split(" ").length < MIN_EVIDENCE_WORDS) {
+      reason = "quoted evidence is too short to verify";
+    } else if (!record.includes(` ${evidence} `)) {
+      reason = "quoted evidence does not appear in the session record";
+    }
+    return { ...claim, supported: reason === null, reason };
+  });
+}
+
+/**
+ * Apply verdicts to the minutes: "annotate" marks each line holding an
+ * unsupported claim, "drop" removes such lines when they are list items and
+ * marks them otherwise (a Summary paragraph is not dropped for one claim).
+ * Headings are never changed.
+ * @param {string} minutes - Generated minutes (Markdown)
+ * @param {Array<{line: number, supported: boolean}>} verdicts - Result of checkClaims
+ * @param {"annotate"|"drop"|"fail"} mode
+ * @returns {string} Minutes with the verdicts applied ("fail" leaves them unchanged)
+ */
+export function applyGroundingVerdicts(minutes, verdicts, mode) {
+  if (mode !== "annotate" && mode !== "drop") {
+    return minutes;
+  }
+  const unsupportedLines = new Set(verdicts.filter((verdict) => !verdict.supported).map((verdict) => verdict.line));
+  const output = [];
+  minutes.split("\n").forEach((line, index) => {
+    if (!unsupportedLines.has(index + 1) || /^\s*#/.test(line) || !line.trim()) {
+      output.push(line);
+    } else if (mode === "drop" && /^\s*(?:[-*+]|\d+\.)\s/.test(line)) {
+      // Dropped.
+    } else {
+      output.push(`${line} ${UNVERIFIED_MARK}`);
+    }
+  });
+  return output.join("\n");
+}
+
+/**
+ * Verify generated minutes against the session record in the current mode.
+ * @param {string} minutes - Generated minutes (Markdown)
+ * @param {string} transcript - Transcript the minutes were generated from
+ * @param {Object|null} context - Session context (chat, polls)
+ * @param {string} sessionName - Name of the session
+ * @param {boolean} verbose - Whether to log verbose status information
+ * @param {string|null} modelName - Model name override
+ * @returns {Promise<{text: string, grounding: Object, usage: Object|null}|null>} Minutes with verdicts applied, the
+ *   verdicts ({mode, checked, unsupported, claims}) and token usage; null when verification is off. When the minutes
+ *   and session record do not fit in one prompt under --max-prompt-tokens, nothing is checked: the minutes come back
+ *   unchanged and the verdicts carry `skipped` with the reason
+ */
+export async function verifyGrounding(minutes, transcript, context, sessionName, verbose = false, modelName = null) {
+  if (groundingMode === "off") {
+    return null;
+  }
+
+  const recordLines = buildSessionRecord(transcript, context);
+  const record = recordLines.join("\n");
+  const promptTokens = estimateTokens(minutes) + estimateTokens(record);
+  if (promptTokens > getMaxPromptTokens()) {
+    const skipped = `minutes and session record are ~${promptTokens.toLocaleString()} tokens (limit ${getMaxPromptTokens().toLocaleString()})`;
+    console.warn(`  Warning: skipping grounding verification: ${skipped}`);
+    return { text: minutes, grounding: { mode: groundingMode, checked: 0, unsupported: 0, claims: [], skipped }, usage: null };
+  }
+
+  const { claims, usage } = await extractGroundingClaims(minutes, record, sessionName, verbose, modelName);
+  const verdicts = checkClaims(claims, recordLines);
+  const unsupported = verdicts.filter((verdict) => !verdict.supported).length;
+
+  if (verbose) {
+    for (const verdict of verdicts.filter((v) => !v.supported)) {
+      console.log(`    [grounding] line ${verdict.line} (${verdict.kind}): ${verdict.claim} — ${verdict.reason}`);
+    }
+  }
+
+  return {
+    text: applyGroundingVerdicts(minutes, verdicts, groundingMode),
+    grounding: { mode: groundingMode, checked: verdicts.length, unsupported, claims: verdicts },
+    usage,
+  };
+}
+
+/**
+ * Record a session's verdicts for the end-of-run summary
+ * @param {string} sessionId - Session ID
+ * @param {{mode: string, checked: number, unsupported: number, skipped?: string}} grounding - Verdicts from verifyGrounding
+ */
+export function recordGroundingResult(sessionId, grounding) {
+  if (grounding) {
+    groundingResults.push({ sessionId, checked: grounding.checked, unsupported: grounding.unsupported, mode: grounding.mode, skipped: Boolean(grounding.skipped) });
+  }
+}
+
+/**
+ * Print a per-session table of checked and unsupported claims, with sessions
+ * too long to verify listed as skipped
+ */
+export function printGroundingSummary() {
+  if (groundingResults.length === 0) {
+    return;
+  }
+
+  const action = { annotate: "annotated", drop: "dropped or annotated", fail: "failed the session" }[groundingResults[0].mode];
+  console.log("\n=== Grounding Verification ===");
+  console.log(`${"Session".padEnd(40)} ${"Claims".padStart(8)} ${"Unsupported".padStart(12)}`);
+
+  let totalChecked = 0;
+  let totalUnsupported = 0;
+  let totalSkipped = 0;
+  for (const result of groundingResults) {
+    if (result.skipped) {
+      totalSkipped++;
+      console.log(`${result.sessionId.padEnd(40)} ${"skipped".padStart(8)} ${"-".padStart(12)}`);
+      continue;
+    }
+    totalChecked += result.checked;
+    totalUnsupported += result.unsupported;
+    console.log(`${result.sessionId.padEnd(40)} ${String(result.checked).padStart(8)} ${String(result.unsupported).padStart(12)}`);
+  }
+
+  console.log(`${"Total".padEnd(40)} ${String(totalChecked).padStart(8)} ${String(totalUnsupported).padStart(12)}`);
+  if (totalUnsupported > 0) {
+    console.log(`Unsupported claims were ${action}.`);
+  }
+  if (totalSkipped > 0) {
+    const outcome = groundingResults[0].mode === "fail" ? "failed" : "published unverified";
+    console.log(`${totalSkipped} session(s) were too long to verify in one prompt and were ${outcome}.`);
+  }
+}
@@ -0,0 +1,192 @@
+import { jest } from '@jest/globals';
+
+const mockExtractGroundingClaims = jest.fn();
+let mockMaxPromptTokens = 100000;
+
+jest.unstable_mockModule('./generator.js', () => ({
+  extractGroundingClaims: mockExtractGroundingClaims,
+  formatPollResult: (poll) => `${poll.text} — yes: ${poll.yes}, no: ${poll.no}`,
+  estimateTokens: (text) => Math.ceil(text.length / 4),
+  getMaxPromptTokens: () => mockMaxPromptTokens,
+  // Used by transcript-cleanup.js, which grounding.js imports splitUnits from.
+  extractParticipantNames: jest.fn(() => []),
+  activeDraftNames: jest.fn(() => []),
+}));
+
+const {
+  buildSessionRecord,
+  checkClaims,
+  applyGroundingVerdicts,
+  verifyGrounding,
+  setGroundingMode,
+  recordGroundingResult,
+  printGroundingSummary,
+} = await import('./grounding.js');
+
+const transcript = JSON.stringify([
+  { startTime: '00:01:00', text: 'Alice: We finished the interop testing last week.' },
+  { startTime: '00:05:00', text: 'Bob: So we will start working group last call after the issues are closed.' },
+]);
+const context = {
+  chat: [{ author: 'Carol', text: 'I can review the draft before Friday' }],
+  polls: [{ text: 'Ready for WGLC?', yes: 20, no: 1 }],
+};
+
+const minutes = [
+  '# [TLS](../wg/tls.html)',
+  '',
+  '## Summary',
+  '',
+  'Interop testing is done and WGLC was agreed.',
+  '',
+  '## Key Discussion Points',
+  '',
+  '- Alice reported interop testing is complete',
+  '- Dave presented a new key schedule',
+  '- Carol offered to review the draft',
+].join('\n');
+
+const claim = (line, evidence, kind = 'statement') => ({ line, kind, claim: `claim on line ${line}`, evidence });
+
+afterEach(() => {
+  setGroundingMode('off');
+  mockMaxPromptTokens = 100000;
+  jest.restoreAllMocks();
+});
+
+describe('buildSessionRecord', () => {
+  test('collects transcript entries, chat messages and poll results', () => {
+    expect(buildSessionRecord(transcript, context)).toEqual([
+      'Alice: We finished the interop testing last week.',
+      'Bob: So we will start working group last call after the issues are closed.',
+      'Carol: I can review the draft before Friday',
+      'Poll: Ready for WGLC? — yes: 20, no: 1',
+    ]);
+  });
+});
+
+describe('checkClaims', () => {
+  const record = buildSessionRecord(transcript, context);
+
+  test('accepts quotes found in the record regardless of case and punctuation', () => {
+    const [verdict] = checkClaims([claim(9, 'we finished the interop testing, last week')], record);
+    expect(verdict).toMatchObject({ supported: true, reason: null });
+    expect(checkClaims([claim(11, 'review the draft before Friday')], record)[0].supported).toBe(true);
+    expect(checkClaims([claim(5, 'Ready for WGLC? yes: 20, no: 1', 'poll')], record)[0].supported).toBe(true);
+  });
+
+  test('rejects missing, too short and invented evidence', () => {
+    expect(checkClaims([
+      claim(10, ''),
+      claim(10, 'key schedule'),
+      claim(10, 'Dave presented the new key schedule'),
+      claim(9, 'finished the testing last week'),
+    ], record).map((verdict) => verdict.reason)).toEqual([
+      'no supporting text in the session record',
+      'quoted evidence is too short to verify',
+      'quoted evidence does not appear in the session record',
+      'quoted evidence does not appear in the session record',
+    ]);
+  });
+
+  test('matches whole words only', () => {
+    expect(checkClaims([claim(9, 'ice: we finished')], record)[0].supported).toBe(false);
+  });
+});
+
+describe('applyGroundingVerdicts', () => {
+  const verdicts = [
+    { line: 1, supported: false },
+    { line: 5, supported: false },
+    { line: 9, supported: true },
+    { line: 10, supported: false },
+  ];
+
+  test('annotates lines with unsupported claims but never headings', () => {
+    const lines = applyGroundingVerdicts(minutes, verdicts, 'annotate').split('\n');
+    expect(lines[0]).toBe('# [TLS](../wg/tls.html)');
+    expect(lines[4]).toBe('Interop testing is done and WGLC was agreed. *[unverified]*');
+    expect(lines[8]).toBe('- Alice reported interop testing is complete');
+    expect(lines[9]).toBe('- Dave presented a new key schedule *[unverified]*');
+  });
+
+  test('drops unsupported list items and annotates paragraphs', () => {
+    const text = applyGroundingVerdicts(minutes, verdicts, 'drop');
+    expect(text).not.toContain('Dave presented');
+    expect(text).toContain('Interop testing is done and WGLC was agreed. *[unverified]*');
+    expect(text).toContain('- Carol offered to review the draft');
+  });
+
+  test('leaves the minutes alone in fail mode', () => {
+    expect(applyGroundingVerdicts(minutes, verdicts, 'fail')).toBe(minutes);
+  });
+});
+
+describe('verifyGrounding', () => {
+  test('does nothing when verification is off', async () => {
+    await expect(verifyGrounding(minutes, transcript, context, 'TLS')).resolves.toBeNull();
+    expect(mockExtractGroundingClaims).not.toHaveBeenCalled();
+  });
+
+  test('checks the extracted claims against the record and applies the mode', async () => {
+    setGroundingMode('drop');
+    const usage = { inputTokens: 10, outputTokens: 2, model: 'gemini-test' };
+    mockExtractGroundingClaims.mockResolvedValue({
+      claims: [claim(9, 'We finished the interop testing'), claim(10, '')],
+      usage,
+    });
+
+    const result = await verifyGrounding(minutes, transcript, context, 'TLS', false, 'gemini-test');
+
+    const [, record, sessionName, , modelName] = mockExtractGroundingClaims.mock.calls[0];
+    expect(record).toContain('Carol: I can review the draft before Friday');
+    expect([sessionName, modelName]).toEqual(['TLS', 'gemini-test']);
+    expect(result.usage).toBe(usage);
+    expect(result.grounding).toMatchObject({ mode: 'drop', checked: 2, unsupported: 1 });
+    expect(result.grounding.claims[1]).toMatchObject({ line: 10, supported: false });
+    expect(result.text).not.toContain('Dave presented');
+  });
+
+  test('skips with a warning when the minutes and record do not fit in one prompt', async () => {
+    setGroundingMode('fail');
+    mockMaxPromptTokens = 100;
+    mockExtractGroundingClaims.mockClear();
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await verifyGrounding(minutes, transcript, context, 'TLS');
+
+    expect(result.text).toBe(minutes);
+    expect(result.grounding).toMatchObject({ mode: 'fail', checked: 0, unsupported: 0, claims: [] });
+    expect(result.grounding.skipped).toMatch(/tokens \(limit 100\)$/);
+    expect(mockExtractGroundingClaims).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('skipping grounding verification'));
+    expect(warn.mock.calls[0][0]).toContain('(limit 100)');
+  });
+});
+
+describe('printGroundingSummary', () => {
+  test('prints claims and unsupported counts per session', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    recordGroundingResult('IETF125-TLS-20260316-0100', { mode: 'annotate', checked: 12, unsupported: 1 });
+    recordGroundingResult('IETF125-QUIC-20260316-0300', { mode: 'annotate', checked: 8, unsupported: 0 });
+
+    printGroundingSummary();
+
+    const output = log.mock.calls.map((call) => call[0]).join('\n');
+    expect(output).toContain('=== Grounding Verification ===');
+    expect(output).toMatch(/IETF125-TLS-20260316-0100\s+12\s+1/);
+    expect(output).toMatch(/Total\s+20\s+1/);
+    expect(output).toContain('Unsupported claims were annotated.');
+  });
+
+  test('lists sessions too long to verify as skipped', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    recordGroundingResult('IETF125-DNSOP-20260317-0100', { mode: 'annotate', checked: 0, unsupported: 0, claims: [], skipped: 'too long' });
+
+    printGroundingSummary();
+
+    const output = log.mock.calls.map((call) => call[0]).join('\n');
+    expect(output).toMatch(/IETF125-DNSOP-20260317-0100\s+skipped\s+-/);
+    expect(output).toContain('1 session(s) were too long to verify in one prompt and were published unverified.');
+  });
+});
@@ -0,0 +1,459 @@
+/**
+ * Shared HTTP request layer for datatracker and Meetecho traffic.
+ *
+ * All scraper and transcriber requests to the IETF sites go through
+ * httpFetch() so that cross-cutting behaviour lives in one place:
+ *
+ * - Record/replay: with --record every request/response pair is written to a
+ *   cassette directory, and with --replay those responses are served back
+ *   without touching the network, so a --summarize run can be reproduced
+ *   offline.
+ * - A persistent conditional-request cache under cache/http/ for the
+ *   slow-changing datatracker pages listed in HTTP_CACHE_TTLS. Fresh entries
+ *   are served from disk; stale ones are revalidated with
+ *   If-None-Match/If-Modified-Since so an unchanged page costs a 304.
+ * - Retries with equal-jitter backoff for transient failures (classified by
+ *   isTransientError), honouring Retry-After, and a per-host concurrency and
+ *   request-spacing limit shared by every session running under --parallel.
+ */
+
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { isTransientError, backoffDelay, parseRetryAfter } from './retry.js';
+
+const HTTP_CACHE_DIR = path.join('cache', 'http');
+
+/**
+ * Datatracker URLs worth caching, with how long a stored copy is served
+ * without revalidation. Anything not listed here always goes to the network.
+ */
+export const HTTP_CACHE_TTLS = [
+  // Meeting proceedings: the session list only changes as recordings appear.
+  { pattern: /^https:\/\/datatracker\.ietf\.org\/meeting\/\d+\/proceedings$/, ttlMs: 60 * 60 * 1000 },
+  // WG document list: fetched once per session of the same WG.
+  { pattern: /^https:\/\/datatracker\.ietf\.org\/group\/[^/]+\/documents\/csv\/$/, ttlMs: 6 * 60 * 60 * 1000 },
+  // Session materials page: slides are uploaded during the meeting week.
+  { pattern: /^https:\/\/datatracker\.ietf\.org\/meeting\/[^/]+\/session\/[^/]+$/, ttlMs: 30 * 60 * 1000 },
+  // Interim meeting listings: polled by the */15 interim-sync cron.
+  { pattern: /^https:\/\/datatracker\.ietf\.org\/api\/v1\/meeting\/meeting\/\?type=interim&/, ttlMs: 10 * 60 * 1000 },
+  // Meeting records (time zone lookup for per-session materials).
+  { pattern: /^https:\/\/datatracker\.ietf\.org\/api\/v1\/meeting\/meeting\/\?number=/, ttlMs: 24 * 60 * 60 * 1000 },
+  // Meeting schedule (--source api and schedule enrichment).
+  { pattern: /^https:\/\/datatracker\.ietf\.org\/api\/v1\/meeting\/(session|timeslot|room|schedtimesessassignment)\/\?/, ttlMs: 60 * 60 * 1000 },
+  // Group, chair and person records: looked up for every session.
+  { pattern: /^https:\/\/datatracker\.ietf\.org\/api\/v1\/(group\/group|group\/role|person\/person)\/\?/, ttlMs: 24 * 60 * 60 * 1000 },
+  // Draft abstracts and revision history: the same drafts come up in several sessions.
+  { pattern: /^https:\/\/datatracker\.ietf\.org\/doc\/[^/]+\/doc\.json$/, ttlMs: 6 * 60 * 60 * 1000 },
+  // Official minutes listings: re-checked for every cached session until the chairs upload them.
+  { pattern: /^https:\/\/datatracker\.ietf\.org\/api\/v1\/doc\/document\/\?type=minutes&/, ttlMs: 6 * 60 * 60 * 1000 },
+];
+
+// Defaults for the per-host limiter and retry policy; see setHttpLimits().
+const DEFAULT_HTTP_LIMITS = {
+  maxConcurrentPerHost: 4,
+  minIntervalMs: 250,
+  maxAttempts: 4,
+  retryBaseMs: 1000,
+  retryCapMs: 30000,
+  // A Retry-After longer than this is not worth waiting for inside a run.
+  maxRetryAfterMs: 120000,
+};
+
+let httpLimits = { ...DEFAULT_HTTP_LIMITS };
+// Per-host limiter state: { active, queue, nextStartAt }.
+const hostStates = new Map();
+
+let cassetteMode = null;
+let cassetteDir = null;
+let httpCacheEnabled = false;
+let httpCacheRefresh = false;
+let httpCacheDir = HTTP_CACHE_DIR;
+// URLs already refetched this run under --refresh-http-cache, so later
+// requests for the same page reuse the fresh copy instead of refetching.
+const refreshedUrls = new Set();
+// In-flight cacheable requests, so concurrent sessions (--parallel) asking
+// for the same page share one network request.
+const inFlight = new Map();
+// Inside withFreshHttpCache(): the URLs revalidated so far in that call.
+let freshScope = null;
+
+/**
+ * Capture every response into a cassette directory.
+ * @param {string} dir - Directory to write recorded responses to
+ */
+export function setHttpRecording(dir) {
+  cassetteMode = 'record';
+  cassetteDir = dir;
+}
+
+/**
+ * Serve every response from a previously recorded cassette directory.
+ * @param {string} dir - Directory containing recorded responses
+ */
+export function setHttpReplay(dir) {
+  cassetteMode = 'replay';
+  cassetteDir = dir;
+}
+
+/**
+ * Return to talking to the live sites (the default).
+ */
+export function clearHttpCassette() {
+  cassetteMode = null;
+  cassetteDir = null;
+}
+
+/**
+ * Enable the persistent HTTP cache under cache/http/.
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore stored copies and refetch
+ *   each cacheable URL once this run (--refresh-http-cache)
+ * @param {string} [options.dir] - Cache directory (default cache/http)
+ */
+export function enableHttpCache({ refresh = false, dir = HTTP_CACHE_DIR } = {}) {
+  httpCacheEnabled = true;
+  httpCacheRefresh = refresh;
+  httpCacheDir = dir;
+  refreshedUrls.clear();
+}
+
+/**
+ * Disable the persistent HTTP cache (the default).
+ */
+export function disableHttpCache() {
+  httpCacheEnabled = false;
+  httpCacheRefresh = false;
+  httpCacheDir = HTTP_CACHE_DIR;
+  refreshedUrls.clear();
+}
+
+/**
+ * Run a function with every cacheable page it requests revalidated against
+ * the network (a conditional request, once per URL within the call) rather
+ * than served from a stored copy still within its TTL. `--watch` fetches its
+ * session list this way each cycle, since a newly published recording would
+ * otherwise stay hidden behind the proceedings page's one-hour TTL.
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<*>} What fn returns
+ */
+export async function withFreshHttpCache(fn) {
+  const outer = freshScope;
+  freshScope = new Set();
+  try {
+    return await fn();
+  } finally {
+    freshScope = outer;
+  }
+}
+
+/**
+ * Override the per-host limiter and retry policy. Unspecified fields keep
+ * their defaults.
+ * @param {Object} [limits]
+ * @param {number} [limits.maxConcurrentPerHost] - Requests in flight per host
+ * @param {number} [limits.minIntervalMs] - Minimum gap between request starts per host
+ * @param {number} [limits.maxAttempts] - Attempts per request, including the first
+ * @param {number} [limits.retryBaseMs] - Backoff before the first retry
+ * @param {number} [limits.retryCapMs] - Upper bound on the backoff
+ * @param {number} [limits.maxRetryAfterMs] - Longest Retry-After to wait for
+ */
+export function setHttpLimits(limits = {}) {
+  httpLimits = { ...DEFAULT_HTTP_LIMITS, ...limits };
+  hostStates.clear();
+}
+
+function getHostState(host) {
+  let state = hostStates.get(host);
+  if (!state) {
+    state = { active: 0, queue: [], nextStartAt: 0 };
+    hostStates.set(host, state);
+  }
+  return state;
+}
+
+/**
+ * Wait for a free request slot on a host, then for the host's next start time.
+ * @param {string} host - Hostname
+ */
+async function acquireHostSlot(host) {
+  const state = getHostState(host);
+  if (state.active >= httpLimits.maxConcurrentPerHost) {
+    // releaseHostSlot() hands its slot straight to the next waiter.
+    await new Promise((resolve) => state.queue.push(resolve));
+  } else {
+    state.active++;
+  }
+
+  const now = Date.now();
+  const startAt = Math.max(now, state.nextStartAt);
+  state.nextStartAt = startAt + httpLimits.minIntervalMs;
+  if (startAt > now) {
+    await new Promise((resolve) => setTimeout(resolve, startAt - now));
+  }
+}
+
+/**
+ * Release a slot taken by acquireHostSlot().
+ * @param {string} host - Hostname
+ */
+function releaseHostSlot(host) {
+  const state = getHostState(host);
+  const next = state.queue.shift();
+  if (next) {
+    next();
+  } else {
+    state.active--;
+  }
+}
+
+/**
+ * Make a network request under the per-host limiter, retrying transient
+ * failures. Thrown network errors and transient statuses (408/429/5xx) are
+ * retried with equal-jitter backoff; a Retry-After on the response replaces
+ * the backoff and holds back every request to that host, not just this one.
+ * An unknown host (ENOTFOUND) fails at once: datatracker requests made
+ * offline or against a mistyped host only get slower by retrying.
+ * Once attempts run out, the last response is returned (or the last error
+ * thrown) so callers see the same failure they would without retries.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch() options
+ * @returns {Promise<Response>} Response
+ */
+async function fetchWithRetry(url, options) {
+  const host = new URL(url).host;
+
+  for (let attempt = 1; ; attempt++) {
+    await acquireHostSlot(host);
+    let response;
+    let error;
+    try {
+      response = await fetch(url, options);
+    } catch (e) {
+      error = e;
+    } finally {
+      releaseHostSlot(host);
+    }
+
+    const unknownHost = error && (error.code ?? error.cause?.code) === 'ENOTFOUND';
+    const transient = error ? !unknownHost && isTransientError(error) : isTransientError({ status: response.status });
+    if (!transient || attempt >= httpLimits.maxAttempts) {
+      if (error) throw error;
+      return response;
+    }
+
+    const retryAfter = response ? parseRetryAfter(response.headers?.get('retry-after')) : null;
+    if (retryAfter !== null && retryAfter > httpLimits.maxRetryAfterMs) {
+      return response;
+    }
+    const delay = retryAfter ?? backoffDelay(attempt, httpLimits.retryBaseMs, httpLimits.retryCapMs);
+    const reason = error ? error.message : `${response.status} ${response.statusText}`;
+    // Drain the discarded response so its socket goes back to the pool.
+    await response?.arrayBuffer?.().catch(() => {});
+    console.warn(`  [HTTP] ${url} failed (${reason}); retrying in ${delay}ms (attempt ${attempt}/${httpLimits.maxAttempts})`);
+
+    if (retryAfter !== null) {
+      const state = getHostState(host);
+      state.nextStartAt = Math.max(state.nextStartAt, Date.now() + retryAfter);
+    } else {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Look up the cache TTL for a URL.
+ * @param {string} url - Request URL
+ * @returns {number|null} TTL in milliseconds, or null if the URL is not cached
+ */
+export function getHttpCacheTtl(url) {
+  const rule = HTTP_CACHE_TTLS.find((r) => r.pattern.test(url));
+  return rule ? rule.ttlMs : null;
+}
+
+/**
+ * Path of the on-disk cache entry for a URL.
+ * @param {string} url - Request URL
+ * @returns {string} Path under the cache directory (cache/http/ by default)
+ */
+export function getHttpCachePath(url) {
+  return getCassetteEntryPath(httpCacheDir, 'GET', url);
+}
+
+/**
+ * Path of the cassette entry for a request. Entries are keyed by method and
+ * URL, so repeated requests for the same page share one entry.
+ * @param {string} dir - Cassette directory
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string} Path to the JSON entry
+ */
+export function getCassetteEntryPath(dir, method, url) {
+  const hash = createHash('sha256').update(`${method.toUpperCase()} ${url}`).digest('hex').slice(0, 32);
+  return path.join(dir, `${hash}.json`);
+}
+
+/**
+ * Statuses for which the Fetch API forbids a response body.
+ */
+function isNullBodyStatus(status) {
+  return status === 101 || status === 204 || status === 205 || status === 304;
+}
+
+/**
+ * Read a response into a serializable entry (shared by the cassette and the
+ * HTTP cache).
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Response} response - Live response; its body is consumed
+ * @returns {Promise<Object>} Entry with a base64 body
+ */
+async function entryFromResponse(method, url, response) {
+  const body = Buffer.from(await response.arrayBuffer());
+  return {
+    method,
+    url,
+    status: response.status,
+    statusText: response.statusText,
+    // node-fetch has already decoded the body, so the encoding/length
+    // headers no longer describe what is stored.
+    headers: Object.fromEntries(
+      [...response.headers.entries()].filter(([name]) => name !== 'content-encoding' && name !== 'content-length'),
+    ),
+    body: body.toString('base64'),
+  };
+}
+
+/**
+ * Read a JSON entry from disk.
+ * @param {string} entryPath - Path to the entry
+ * @returns {Promise<Object|null>} Parsed entry, or null if it does not exist
+ */
+async function readEntry(entryPath) {
+  try {
+    return JSON.parse(await fs.readFile(entryPath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON entry to disk, creating its directory.
+ * @param {string} entryPath - Path to the entry
+ * @param {Object} entry - Entry to write
+ */
+async function writeEntry(entryPath, entry) {
+  await fs.mkdir(path.dirname(entryPath), { recursive: true });
+  await fs.writeFile(entryPath, JSON.stringify(entry, null, 2), 'utf-8');
+}
+
+/**
+ * Fetch a cacheable GET through cache/http/.
+ *
+ * A stored entry younger than its TTL is returned as-is. Otherwise the
+ * request is revalidated with the stored validators; a 304 refreshes the
+ * entry's timestamp and reuses its body, a 200 replaces it. Other statuses
+ * are returned without touching the cache.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch() options
+ * @param {number} ttlMs - Freshness lifetime
+ * @returns {Promise<Object>} Entry describing the response
+ */
+async function fetchThroughCache(url, options, ttlMs) {
+  const cachePath = getHttpCachePath(url);
+  const forceRefresh = httpCacheRefresh && !refreshedUrls.has(url);
+  const cached = forceRefresh ? null : await readEntry(cachePath);
+  const scope = freshScope;
+  const revalidate = scope !== null && !scope.has(url);
+
+  if (cached && !revalidate && Date.now() - cached.storedAt < ttlMs) {
+    return cached;
+  }
+
+  const headers = { ...options.headers };
+  if (cached?.headers.etag) {
+    headers['If-None-Match'] = cached.headers.etag;
+  }
+  if (cached?.headers['last-modified']) {
+    headers['If-Modified-Since'] = cached.headers['last-modified'];
+  }
+
+  const response = await fetchWithRetry(url, { ...options, headers });
+  if (forceRefresh) {
+    refreshedUrls.add(url);
+  }
+  scope?.add(url);
+
+  if (response.status === 304 && cached) {
+    const revalidated = { ...cached, storedAt: Date.now() };
+    await writeEntry(cachePath, revalidated);
+    return revalidated;
+  }
+
+  const entry = await entryFromResponse('GET', url, response);
+  if (response.status === 200) {
+    await writeEntry(cachePath, { ...entry, storedAt: Date.now() });
+  }
+  return entry;
+}
+
+/**
+ * Rebuild a Response from a cassette or cache entry.
+ * @param {Object} entry - Parsed entry
+ * @returns {Response} Response equivalent to the recorded one
+ */
+function responseFromEntry(entry) {
+  const body = isNullBodyStatus(entry.status) ? null : Buffer.from(entry.body, 'base64');
+  return new Response(body, {
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: entry.headers,
+  });
+}
+
+/**
+ * Fetch a URL, honouring the active record/replay mode and HTTP cache.
+ *
+ * Behaves like node-fetch's fetch(): non-2xx statuses are returned, not
+ * thrown, so callers keep their own error handling. In replay mode a request
+ * with no recorded entry throws, since the run would otherwise silently
+ * diverge from the recording. In record mode the response the caller sees
+ * is recorded, whether it came from the network or the HTTP cache.
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - fetch() options
+ * @returns {Promise<Response>} Response
+ */
+export async function httpFetch(url, options = {}) {
+  const method = options.method || 'GET';
+
+  if (cassetteMode === 'replay') {
+    const entry = await readEntry(getCassetteEntryPath(cassetteDir, method, url));
+    if (!entry) {
+      throw new Error(`No recorded response for ${method} ${url} in ${cassetteDir}`);
+    }
+    return responseFromEntry(entry);
+  }
+
+  const ttlMs = httpCacheEnabled && method === 'GET' ? getHttpCacheTtl(url) : null;
+  if (ttlMs === null) {
+    const response = await fetchWithRetry(url, options);
+    if (cassetteMode !== 'record') {
+      return response;
+    }
+    const entry = await entryFromResponse(method, url, response);
+    await writeEntry(getCassetteEntryPath(cassetteDir, method, url), entry);
+    return responseFromEntry(entry);
+  }
+
+  if (!inFlight.has(url)) {
+    inFlight.set(url, fetchThroughCache(url, options, ttlMs).finally(() => inFlight.delete(url)));
+  }
+  const entry = await inFlight.get(url);
+  if (cassetteMode === 'record') {
+    const { storedAt, ...recorded } = entry;
+    await writeEntry(getCassetteEntryPath(cassetteDir, method, url), recorded);
+  }
+  return responseFromEntry(entry);
+}
@@ -0,0 +1,398 @@
+/**
+ * Tests for the shared HTTP layer: --record / --replay cassette mode and the
+ * cache/http/ conditional-request cache.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const mockFetch = jest.fn();
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+const {
+  httpFetch,
+  setHttpRecording,
+  setHttpReplay,
+  clearHttpCassette,
+  getCassetteEntryPath,
+  enableHttpCache,
+  disableHttpCache,
+  getHttpCachePath,
+  getHttpCacheTtl,
+  setHttpLimits,
+  withFreshHttpCache,
+} = await import('./http.js');
+const { fetchInterimSession } = await import('./scraper.js');
+
+describe('httpFetch record/replay', () => {
+  let cassetteDir;
+
+  beforeEach(async () => {
+    mockFetch.mockReset();
+    cassetteDir = await fs.mkdtemp(path.join(os.tmpdir(), 'auto-minutes-cassette-'));
+  });
+
+  afterEach(async () => {
+    clearHttpCassette();
+    await fs.rm(cassetteDir, { recursive: true, force: true });
+  });
+
+  test('passes straight through to fetch when no cassette is active', async () => {
+    const live = new Response('live', { status: 200 });
+    mockFetch.mockResolvedValueOnce(live);
+
+    const response = await httpFetch('https://datatracker.ietf.org/a');
+    expect(response).toBe(live);
+    expect(await fs.readdir(cassetteDir)).toEqual([]);
+  });
+
+  test('records a response and replays it byte-for-byte without the network', async () => {
+    const bytes = Buffer.from([0xde, 0xad, 0xbe, 0xef, 0x0a]);
+    mockFetch.mockResolvedValueOnce(new Response(bytes, {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'application/octet-stream', etag: '"v1"' },
+    }));
+
+    setHttpRecording(cassetteDir);
+    const recorded = await httpFetch('https://meetecho-player.ietf.org/playout/sessions/X');
+    expect(Buffer.from(await recorded.arrayBuffer())).toEqual(bytes);
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+
+    setHttpReplay(cassetteDir);
+    const replayed = await httpFetch('https://meetecho-player.ietf.org/playout/sessions/X');
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(replayed.status).toBe(200);
+    expect(replayed.headers.get('etag')).toBe('"v1"');
+    expect(Buffer.from(await replayed.arrayBuffer())).toEqual(bytes);
+  });
+
+  test('records and replays error statuses rather than throwing', async () => {
+    mockFetch.mockResolvedValueOnce(new Response('gone', { status: 404, statusText: 'Not Found' }));
+
+    setHttpRecording(cassetteDir);
+    await httpFetch('https://datatracker.ietf.org/missing');
+
+    setHttpReplay(cassetteDir);
+    const replayed = await httpFetch('https://datatracker.ietf.org/missing');
+    expect(replayed.ok).toBe(false);
+    expect(replayed.status).toBe(404);
+    expect(replayed.statusText).toBe('Not Found');
+  });
+
+  test('throws in replay mode when a request was never recorded', async () => {
+    setHttpReplay(cassetteDir);
+    await expect(httpFetch('https://datatracker.ietf.org/never')).rejects.toThrow(
+      `No recorded response for GET https://datatracker.ietf.org/never in ${cassetteDir}`,
+    );
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  test('keys entries by method and URL', () => {
+    const get = getCassetteEntryPath(cassetteDir, 'GET', 'https://example.com/x');
+    expect(getCassetteEntryPath(cassetteDir, 'get', 'https://example.com/x')).toBe(get);
+    expect(getCassetteEntryPath(cassetteDir, 'POST', 'https://example.com/x')).not.toBe(get);
+    expect(getCassetteEntryPath(cassetteDir, 'GET', 'https://example.com/y')).not.toBe(get);
+  });
+
+  test('a recorded interim discovery run replays to the same sessions offline', async () => {
+    mockFetch
+      .mockResolvedValueOnce(new Response(JSON.stringify({
+        objects: [{ number: 'interim-2026-moq-08', date: '2026-06-11' }],
+        meta: { next: null },
+      }), { status: 200 }))
+      .mockResolvedValueOnce(new Response(
+        '<a href="https://meetecho-player.ietf.org/playout/?session=IETF-MOQ-20260611-0830">rec</a>',
+        { status: 200 },
+      ));
+
+    setHttpRecording(cassetteDir);
+    const live = await fetchInterimSession('2026-06-11', 'moq');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+
+    setHttpReplay(cassetteDir);
+    const replayed = await fetchInterimSession('2026-06-11', 'moq');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    expect(replayed).toEqual(live);
+    expect(replayed[0].sessionId).toBe('IETF-MOQ-20260611-0830');
+  });
+});
+
+describe('httpFetch conditional cache', () => {
+  const WG_DOCS_URL = 'https://datatracker.ietf.org/group/zz-http-cache-test/documents/csv/';
+  const SESSION_URL = 'https://datatracker.ietf.org/meeting/999/session/zz-http-cache-test';
+  const HOUR = 60 * 60 * 1000;
+  let now;
+  let cacheDir;
+
+  beforeEach(async () => {
+    mockFetch.mockReset();
+    setHttpLimits({ minIntervalMs: 0 });
+    now = Date.parse('2026-07-20T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'auto-minutes-http-cache-'));
+    enableHttpCache({ dir: cacheDir });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    disableHttpCache();
+    setHttpLimits();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('only listed datatracker pages have a TTL', () => {
+    expect(getHttpCacheTtl(WG_DOCS_URL)).toBe(6 * HOUR);
+    expect(getHttpCacheTtl('https://datatracker.ietf.org/meeting/125/proceedings')).toBe(HOUR);
+    expect(getHttpCacheTtl('https://datatracker.ietf.org/api/v1/meeting/meeting/?type=interim&date=2026-06-11')).not.toBeNull();
+    expect(getHttpCacheTtl('https://meetecho-player.ietf.org/playout/sessions/X')).toBeNull();
+    expect(getHttpCacheTtl('https://datatracker.ietf.org/meeting/125/materials/polls-125-tls')).toBeNull();
+  });
+
+  test('serves a fresh entry from disk without a request', async () => {
+    mockFetch.mockResolvedValueOnce(new Response('name,title\n', { status: 200, headers: { etag: '"a"' } }));
+
+    expect(await (await httpFetch(WG_DOCS_URL)).text()).toBe('name,title\n');
+    now += HOUR;
+    expect(await (await httpFetch(WG_DOCS_URL)).text()).toBe('name,title\n');
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('revalidates a stale entry and reuses its body on 304', async () => {
+    mockFetch
+      .mockResolvedValueOnce(new Response('<html>v1</html>', {
+        status: 200,
+        headers: { etag: '"v1"', 'last-modified': 'Mon, 20 Jul 2026 11:00:00 GMT' },
+      }))
+      .mockResolvedValueOnce(new Response(null, { status: 304 }));
+
+    await httpFetch(SESSION_URL, { headers: { 'User-Agent': 'test' } });
+    now += HOUR;
+    const response = await httpFetch(SESSION_URL, { headers: { 'User-Agent': 'test' } });
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('<html>v1</html>');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    expect(mockFetch.mock.calls[1][1].headers).toEqual({
+      'User-Agent': 'test',
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 20 Jul 2026 11:00:00 GMT',
+    });
+
+    // The 304 renewed the entry, so it is fresh again.
+    await httpFetch(SESSION_URL);
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('replaces a stale entry when the page changed', async () => {
+    mockFetch
+      .mockResolvedValueOnce(new Response('v1', { status: 200, headers: { etag: '"v1"' } }))
+      .mockResolvedValueOnce(new Response('v2', { status: 200, headers: { etag: '"v2"' } }));
+
+    await httpFetch(SESSION_URL);
+    now += HOUR;
+    expect(await (await httpFetch(SESSION_URL)).text()).toBe('v2');
+    const stored = JSON.parse(await fs.readFile(getHttpCachePath(SESSION_URL), 'utf-8'));
+    expect(stored.headers.etag).toBe('"v2"');
+  });
+
+  test('does not store error responses', async () => {
+    mockFetch
+      .mockResolvedValueOnce(new Response('blocked', { status: 403, statusText: 'Forbidden' }))
+      .mockResolvedValueOnce(new Response('ok', { status: 200 }));
+
+    const blocked = await httpFetch(WG_DOCS_URL);
+    expect(blocked.status).toBe(403);
+    expect(await (await httpFetch(WG_DOCS_URL)).text()).toBe('ok');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('--refresh-http-cache refetches each URL once, unconditionally', async () => {
+    mockFetch
+      .mockResolvedValueOnce(new Response('old', { status: 200, headers: { etag: '"old"' } }))
+      .mockResolvedValueOnce(new Response('new', { status: 200, headers: { etag: '"new"' } }));
+
+    await httpFetch(WG_DOCS_URL);
+    enableHttpCache({ refresh: true, dir: cacheDir });
+
+    expect(await (await httpFetch(WG_DOCS_URL)).text()).toBe('new');
+    expect(mockFetch.mock.calls[1][1].headers).not.toHaveProperty('If-None-Match');
+    expect(await (await httpFetch(WG_DOCS_URL)).text()).toBe('new');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('withFreshHttpCache revalidates fresh entries once per call', async () => {
+    const PROCEEDINGS_URL = 'https://datatracker.ietf.org/meeting/999/proceedings';
+    mockFetch
+      .mockResolvedValueOnce(new Response('v1', { status: 200, headers: { etag: '"v1"' } }))
+      .mockResolvedValueOnce(new Response('v2', { status: 200, headers: { etag: '"v2"' } }));
+
+    await httpFetch(PROCEEDINGS_URL);
+    const bodies = await withFreshHttpCache(async () => [
+      await (await httpFetch(PROCEEDINGS_URL)).text(),
+      await (await httpFetch(PROCEEDINGS_URL)).text(),
+    ]);
+
+    expect(bodies).toEqual(['v2', 'v2']);
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    expect(mockFetch.mock.calls[1][1].headers).toHaveProperty('If-None-Match', '"v1"');
+    // Outside the call the stored copy is served again.
+    expect(await (await httpFetch(PROCEEDINGS_URL)).text()).toBe('v2');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('concurrent requests for the same page share one fetch', async () => {
+    mockFetch.mockResolvedValueOnce(new Response('shared', { status: 200 }));
+
+    const bodies = await Promise.all(
+      [1, 2, 3].map(async () => (await httpFetch(WG_DOCS_URL)).text()),
+    );
+    expect(bodies).toEqual(['shared', 'shared', 'shared']);
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves uncacheable URLs to the network', async () => {
+    mockFetch
+      .mockResolvedValueOnce(new Response('a', { status: 200 }))
+      .mockResolvedValueOnce(new Response('b', { status: 200 }));
+
+    const url = 'https://meetecho-player.ietf.org/playout/polls/X';
+    expect(await (await httpFetch(url)).text()).toBe('a');
+    expect(await (await httpFetch(url)).text()).toBe('b');
+  });
+});
+
+describe('httpFetch retries and per-host limits', () => {
+  const URL_A = 'https://datatracker.ietf.org/meeting/125/materials/polls-125-tls';
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    setHttpLimits({ minIntervalMs: 0, retryBaseMs: 1, retryCapMs: 1 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setHttpLimits();
+  });
+
+  test('retries a transient status and returns the eventual success', async () => {
+    mockFetch
+      .mockResolvedValueOnce(new Response('busy', { status: 503, statusText: 'Service Unavailable' }))
+      .mockResolvedValueOnce(new Response('slow down', { status: 429 }))
+      .mockResolvedValueOnce(new Response('ok', { status: 200 }));
+
+    const response = await httpFetch(URL_A);
+    expect(await response.text()).toBe('ok');
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries thrown network errors', async () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    mockFetch
+      .mockRejectedValueOnce(reset)
+      .mockResolvedValueOnce(new Response('ok', { status: 200 }));
+
+    expect(await (await httpFetch(URL_A)).text()).toBe('ok');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('drains the body of a response it retries', async () => {
+    const busy = new Response('busy', { status: 503, statusText: 'Service Unavailable' });
+    mockFetch
+      .mockResolvedValueOnce(busy)
+      .mockResolvedValueOnce(new Response('ok', { status: 200 }));
+
+    await httpFetch(URL_A);
+    expect(busy.bodyUsed).toBe(true);
+  });
+
+  test('does not retry an unknown host', async () => {
+    const notFound = Object.assign(new Error('getaddrinfo ENOTFOUND datatracker.ietf.org'), { code: 'ENOTFOUND' });
+    mockFetch.mockRejectedValue(notFound);
+
+    await expect(httpFetch(URL_A)).rejects.toBe(notFound);
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+
+    // As fetch() reports it: "fetch failed", with the DNS error as its cause.
+    const fetchFailed = new TypeError('fetch failed', { cause: notFound });
+    mockFetch.mockReset().mockRejectedValue(fetchFailed);
+    await expect(httpFetch(URL_A)).rejects.toBe(fetchFailed);
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry permanent failures', async () => {
+    mockFetch.mockResolvedValueOnce(new Response('missing', { status: 404, statusText: 'Not Found' }));
+
+    const response = await httpFetch(URL_A);
+    expect(response.status).toBe(404);
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns the last response once attempts run out', async () => {
+    mockFetch.mockImplementation(async () => new Response('down', { status: 502, statusText: 'Bad Gateway' }));
+
+    const response = await httpFetch(URL_A);
+    expect(response.status).toBe(502);
+    expect(mockFetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('rethrows the last error once attempts run out', async () => {
+    mockFetch.mockImplementation(async () => { throw new Error('fetch failed'); });
+
+    await expect(httpFetch(URL_A)).rejects.toThrow('fetch failed');
+    expect(mockFetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('waits for Retry-After before the next request to that host', async () => {
+    mockFetch
+      .mockResolvedValueOnce(new Response('slow down', { status: 429, headers: { 'retry-after': '1' } }))
+      .mockResolvedValueOnce(new Response('ok', { status: 200 }));
+
+    const started = Date.now();
+    expect(await (await httpFetch(URL_A)).text()).toBe('ok');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(950);
+  });
+
+  test('gives up immediately when Retry-After is longer than a run should wait', async () => {
+    mockFetch.mockResolvedValueOnce(new Response('later', { status: 503, headers: { 'retry-after': '3600' } }));
+
+    const response = await httpFetch(URL_A);
+    expect(response.status).toBe(503);
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('caps concurrent requests per host across callers', async () => {
+    setHttpLimits({ minIntervalMs: 0, maxConcurrentPerHost: 2 });
+    let active = 0;
+    let peak = 0;
+    mockFetch.mockImplementation(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      active--;
+      return new Response('ok', { status: 200 });
+    });
+
+    await Promise.all([1, 2, 3, 4, 5].map((i) => httpFetch(`${URL_A}-${i}`)));
+    expect(mockFetch).toHaveBeenCalledTimes(5);
+    expect(peak).toBe(2);
+  });
+
+  test('spaces out request starts to the same host', async () => {
+    setHttpLimits({ minIntervalMs: 50 });
+    const starts = [];
+    mockFetch.mockImplementation(async () => {
+      starts.push(Date.now());
+      return new Response('ok', { status: 200 });
+    });
+
+    await Promise.all([1, 2, 3].map((i) => httpFetch(`${URL_A}-${i}`)));
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(45);
+  });
+});
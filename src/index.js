@@ -10,13 +10,25 @@ import dotenv from "dotenv";
 import fetch from "node-fetch";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-import { fetchSessionsFromProceedings, fetchSessionsFromAgenda, downloadTranscript, fetchSessionsWithValidation, fetchCurrentMeetingNumber, fetchInterimSession, fetchAllInterimSessions, fetchInterimSessionsInRange } from "./scraper.js";
-import { fetchContextForSession, saveContextMetadata, sessionSlugFromId } from "./session-context.js";
-import { initializeClaude, generateMinutes, setGenerationTimeout, assertTranscriptPresent, assertTranscriptSubstantial } from "./generator.js";
+import { fetchSessionsFromProceedings, fetchSessionsFromAgenda, fetchSessionsFromApi, withApiSchedule, downloadTranscript, fetchSessionsWithValidation, fetchCurrentMeetingNumber, fetchInterimSession, fetchAllInterimSessions, fetchInterimSessionsInRange } from "./scraper.js";
+import { fetchContextForSession, saveContextMetadata, sessionSlugFromId, buildSessionInfo, refreshOfficialMinutes, fetchDiscussedDraftDetails, contextFromMetadata } from "./session-context.js";
+import { initializeLlm, initializeFallbackLlm, getFallbackModel, setLlmRetryPolicy, generateMinutes, buildMinutesPrompt, submitMinutesBatch, getMinutesBatch, getMinutesBatchMaxBytes, setGenerationTimeout, setMaxPromptTokens, setStructuredMinutes, assertTranscriptPresent, assertTranscriptSubstantial } from "./generator.js";
+import { resolveLlmProvider, llmModelPatterns, DEFAULT_OPENAI_BASE_URL } from "./llm-providers.js";
 import { amendCachedSessions } from "./amend-workflow.js";
-import { transcribeSession, getTranscriptCachePath, getAudioCachePath, prepareLocalTranscript, parseSttModel } from "./transcriber.js";
+import { transcribeSession, getTranscriptCachePath, getCanonicalTranscriptCachePath, loadCanonicalTranscript, getAudioCachePath, prepareLocalTranscript, parseSttModel, fetchCloudflareVideoId } from "./transcriber.js";
 import { recordUsage, printSummary } from "./accounting.js";
+import { renderPollsSection, checkPollClaims, markPollMismatches } from "./polls.js";
+import { setActionExtraction, isActionExtractionEnabled, extractSessionActions } from "./action-items.js";
+import { GROUNDING_MODES, setGroundingMode, getGroundingMode, verifyGrounding, recordGroundingResult, printGroundingSummary } from "./grounding.js";
+import { setHttpRecording, setHttpReplay, enableHttpCache, withFreshHttpCache } from "./http.js";
 import { isRecordingUnavailable, shouldExitNonZero } from "./skip-classifier.js";
+import { isTransientError } from "./retry.js";
+import { runWatch } from "./watch.js";
+import { runBatchedSessions } from "./batch.js";
+import { setSilenceTrimming } from "./audio-trim.js";
+import { setSegmentOptions, DEFAULT_SEGMENT_OVERLAP_SECONDS, DEFAULT_STT_CONCURRENCY } from "./segments.js";
+import { runWithConcurrency } from "./concurrency.js";
+import { renderTranscript } from "./canonical-transcript.js";
 import {
   saveMinutes,
   generateIndex,
@@ -25,6 +37,11 @@ import {
   generateWgPages,
   cacheExists,
   saveCachedMinutes,
+  saveStructuredMinutes,
+  saveActionItems,
+  getCachedActionItems,
+  saveGroupActionItems,
+  saveSessionCaptions,
   getCachedMinutes,
   getCachedSessionIds,
   saveCacheManifest,
@@ -32,7 +49,10 @@ import {
   getCachedMeetingIds,
   sanitizeSessionName,
   getCachedMetadata,
+  getCachedOfficialMinutes,
   deleteCachedMinutes,
+  tagTimeCitations,
+  addTranscriptAnchors,
   deleteCachedManifest,
   deleteCacheDir,
 } from "./publisher.js";
@@ -46,38 +66,38 @@ const SUPPORTED_MEDIA_EXTENSIONS = new Set([".mp4", ".mov", ".mkv", ".webm", ".m
 let verbose = false;
 
 /**
- * Run async tasks with a concurrency limit
- * @param {Array<Function>} tasks - Array of functions that return promises
- * @param {number} limit - Maximum number of concurrent tasks
- * @returns {Promise<Array>} Results in the same order as tasks
+ * Session list fetchers for --source, keyed by source name.
  */
-async function runWithConcurrency(tasks, limit) {
-  const results = [];
-  const executing = new Set();
-  for (const task of tasks) {
-    const p = task().then(
-      r => { executing.delete(p); return r; },
-      e => { executing.delete(p); throw e; },
-    );
-    executing.add(p);
-    results.push(p);
-    if (executing.size >= limit) {
-      // Use .catch to prevent unhandled rejections from other in-flight
-      // promises while we await the first to settle.
-      await Promise.race(executing).catch(() => {});
-    }
-  }
-  return Promise.all(results);
-}
+const SESSION_SOURCES = {
+  proceedings: withApiSchedule(fetchSessionsFromProceedings),
+  agenda: withApiSchedule(fetchSessionsFromAgenda),
+  api: fetchSessionsFromApi,
+};
 
 /**
  * Generate minutes for a session (checks cache first, otherwise downloads and generates)
  * @param {number} meetingNumber - IETF meeting number
  * @param {Object} session - Session object with sessionName and sessionId
  * @param {string} modelName - Full model name to use
- * @returns {Promise<Object>} Object with {minutes: string, wasGenerated: boolean}
+ * @returns {Promise<Object>} Object with {minutes: string, wasGenerated: boolean, sessionInfo?: Object}
  */
 async function generateSessionMinutes(meetingNumber, session, sttModel = null, modelName = null, localAudioPath = null, geminiSegmentSeconds = null, localTranscriptPath = null, allowShortTranscript = false) {
+  const prepared = await prepareSession(meetingNumber, session, sttModel, localAudioPath, geminiSegmentSeconds, localTranscriptPath, allowShortTranscript);
+  if (prepared.result) {
+    return prepared.result;
+  }
+  return summarizeSession(meetingNumber, session, prepared.transcript, prepared.context, modelName);
+}
+
+/**
+ * Settle a cached session, or fetch a session's context and transcript for
+ * summarization. A session whose transcript is unavailable or too short is
+ * settled as skipped.
+ * @param {number} meetingNumber - IETF meeting number
+ * @param {Object} session - Session object with sessionName and sessionId
+ * @returns {Promise<{result?: Object, transcript?: string, context?: Object}>} The settled result (as generateSessionMinutes returns it), or the transcript and context
+ */
+async function prepareSession(meetingNumber, session, sttModel = null, localAudioPath = null, geminiSegmentSeconds = null, localTranscriptPath = null, allowShortTranscript = false) {
   // Check cache first (skip when a local audio/transcript file is provided — re-run must be deterministic)
   if (!localAudioPath && !localTranscriptPath && await cacheExists(meetingNumber, session.sessionId)) {
     console.log(`  Loading from cache: ${session.sessionId}`);
@@ -92,9 +112,16 @@ async function generateSessionMinutes(meetingNumber, session, sttModel = null, m
       if (metadata.bluesheetText) {
         console.log(`  Loaded cached bluesheet (${metadata.bluesheetText.length} chars)`);
       }
+      if (metadata.agenda) {
+        console.log(`  Loaded cached agenda ${metadata.agenda.name} (${metadata.agenda.items?.length || 0} items)`);
+      }
+      if (metadata.draftDetails?.length) {
+        console.log(`  Loaded cached details for ${metadata.draftDetails.length} draft(s)`);
+      }
     }
+    await fetchOfficialMinutesForComparison(meetingNumber, session);
 
-    return { minutes, wasGenerated: false };
+    return { result: { minutes, wasGenerated: false, sessionInfo: metadata?.sessionInfo ?? buildSessionInfo(session, null) } };
   }
 
   // Fetch slides, bluesheet, and WG documents for LLM context (before transcription
@@ -109,6 +136,7 @@ async function generateSessionMinutes(meetingNumber, session, sttModel = null, m
   if (context.slidesAndBluesheet) {
     if (context.slidesAndBluesheet.slides?.length) {
       console.log(`  Fetched ${context.slidesAndBluesheet.slides.length} slide deck(s)`);
+      console.log(`  Extracted text from ${context.slideTexts.filter(deck => deck.text).length} slide deck(s)`);
     }
     if (context.slidesAndBluesheet.bluesheet) {
       console.log(`  Fetched bluesheet (${context.slidesAndBluesheet.bluesheet.length} chars)`);
@@ -116,6 +144,9 @@ async function generateSessionMinutes(meetingNumber, session, sttModel = null, m
   }
   console.log(`  Fetched ${context.polls.length} poll(s)`);
   console.log(`  Fetched ${context.chat.length} chat message(s)`);
+  if (context.agenda) {
+    console.log(`  Fetched agenda ${context.agenda.name} (${context.agenda.items.length} items)`);
+  }
 
   // Download transcript - from local file, audio (via STT), or text
   let transcript;
@@ -136,30 +167,159 @@ async function generateSessionMinutes(meetingNumber, session, sttModel = null, m
   } catch (error) {
     console.log(`  Skipping ${session.sessionId} — ${error.message}`);
     // Return empty minutes if transcript unavailable/invalid
-    return { minutes: "", wasGenerated: false, reason: error.message, recordingUnavailable: isRecordingUnavailable(error.message) };
+    return { result: { minutes: "", wasGenerated: false, reason: error.message, recordingUnavailable: isRecordingUnavailable(error.message) } };
+  }
+
+  context.draftDetails = await fetchDiscussedDraftDetails(context, transcript, verbose);
+  if (context.draftDetails.length > 0) {
+    console.log(`  Fetched details for ${context.draftDetails.length} discussed draft(s)`);
   }
 
   await saveContextMetadata(meetingNumber, session.sessionId, context);
 
-  // Generate minutes using LLM
+  return { transcript, context };
+}
+
+/**
+ * Generate a prepared session's minutes with the LLM, then post-process and
+ * cache them.
+ * @param {number} meetingNumber - IETF meeting number
+ * @param {Object} session - Session object
+ * @param {string} transcript - Session transcript
+ * @param {Object} context - Session context
+ * @param {string} modelName - Full model name to use
+ * @returns {Promise<Object>} Result as generateSessionMinutes returns it
+ */
+async function summarizeSession(meetingNumber, session, transcript, context, modelName) {
   console.log(`  Generating minutes with LLM: ${session.sessionId}`);
-  let minutes;
+  let generated;
   try {
-    const result = await generateMinutes(transcript, session.sessionName, verbose, modelName, context);
-    minutes = result.text;
-    recordUsage(result.usage);
+    generated = await generateMinutesWithFallback(transcript, session, modelName, context);
+    recordUsage(generated.usage);
   } catch (error) {
     console.log(`  Could not generate minutes: ${error.message}`);
     // Minutes-generation failures (LLM/API errors) are never benign, even
     // if the transcript itself was fine.
     return { minutes: "", wasGenerated: false, reason: error.message, recordingUnavailable: false };
   }
+  return finishSessionMinutes(meetingNumber, session, transcript, context, generated);
+}
+
+/**
+ * Post-process generated minutes (grounding verification, action items) and
+ * cache them.
+ * @param {number} meetingNumber - IETF meeting number
+ * @param {Object} session - Session object
+ * @param {string} transcript - Transcript the minutes were generated from
+ * @param {Object} context - Session context
+ * @param {{text: string, structured: Object|null, model: string}} generated - Generated minutes and the model that produced them
+ * @returns {Promise<Object>} Result as generateSessionMinutes returns it
+ */
+async function finishSessionMinutes(meetingNumber, session, transcript, context, generated) {
+  let minutes = generated.text;
+  let structured = generated.structured;
+  const sessionModel = generated.model;
+
+  if (getGroundingMode() !== "off") {
+    let verification;
+    try {
+      verification = await verifyGrounding(minutes, transcript, context, session.sessionName, verbose, sessionModel);
+    } catch (error) {
+      console.log(`  Could not verify grounding: ${error.message}`);
+      if (getGroundingMode() === "fail") {
+        return { minutes: "", wasGenerated: false, reason: `Grounding verification failed: ${error.message}`, recordingUnavailable: false };
+      }
+    }
+    if (verification) {
+      const { grounding } = verification;
+      recordUsage(verification.usage);
+      recordGroundingResult(session.sessionId, grounding);
+      console.log(grounding.skipped ? `  Grounding: skipped (${grounding.skipped})` : `  Grounding: ${grounding.checked} claim(s) checked, ${grounding.unsupported} unsupported`);
+      context.grounding = grounding;
+      await saveContextMetadata(meetingNumber, session.sessionId, context);
+
+      if (grounding.mode === "fail" && grounding.skipped) {
+        return { minutes: "", wasGenerated: false, reason: `Grounding verification skipped: ${grounding.skipped}`, recordingUnavailable: false };
+      }
+      if (grounding.mode === "fail" && grounding.unsupported > 0) {
+        return { minutes: "", wasGenerated: false, reason: `${grounding.unsupported} claim(s) not supported by the transcript or chat`, recordingUnavailable: false };
+      }
+      if (verification.text !== minutes) {
+        minutes = verification.text;
+        if (structured) {
+          // The JSON would still hold the claims that were just marked or dropped.
+          console.log(`  Not caching structured minutes: grounding verification changed the Markdown`);
+          structured = null;
+        }
+      }
+    }
+  }
 
   // Save to cache
   await saveCachedMinutes(meetingNumber, session.sessionId, minutes);
+  if (structured) {
+    await saveStructuredMinutes(meetingNumber, session.sessionId, structured);
+  }
   console.log(`  Cached: ${session.sessionId}`);
 
-  return { minutes, wasGenerated: true };
+  if (isActionExtractionEnabled()) {
+    try {
+      const { actions, usage } = await extractSessionActions(minutes, transcript, session, verbose, sessionModel);
+      recordUsage(usage);
+      await saveActionItems(meetingNumber, session.sessionId, actions);
+      console.log(`  Extracted ${actions.actionItems.length} action item(s) and ${actions.decisions.length} decision(s)`);
+    } catch (error) {
+      console.log(`  Could not extract action items: ${error.message}`);
+    }
+  }
+  await fetchOfficialMinutesForComparison(meetingNumber, session);
+
+  return { minutes, wasGenerated: true, sessionInfo: context.sessionInfo };
+}
+
+/**
+ * Generate a session's minutes, retrying the whole session on the
+ * --fallback-model when the main model fails with a transient error (after
+ * its own retries). Tokens spent by the failed attempt are recorded here; the
+ * caller records the returned usage.
+ * @param {string} transcript - Session transcript
+ * @param {Object} session - Session object
+ * @param {string} modelName - Main model name
+ * @param {Object} context - Session context
+ * @returns {Promise<{text: string, usage: Object, structured: Object|null, model: string}>} Result of generateMinutes and the model that produced it
+ */
+async function generateMinutesWithFallback(transcript, session, modelName, context) {
+  try {
+    const result = await generateMinutes(transcript, session.sessionName, verbose, modelName, context);
+    return { ...result, model: modelName };
+  } catch (error) {
+    recordUsage(error.usage);
+    const fallbackModel = getFallbackModel();
+    if (!fallbackModel || !isTransientError(error)) {
+      throw error;
+    }
+    console.log(`  ${modelName} failed (${error.message}); retrying ${session.sessionId} on ${fallbackModel}`);
+    try {
+      const result = await generateMinutes(transcript, session.sessionName, verbose, fallbackModel, context);
+      return { ...result, model: fallbackModel };
+    } catch (fallbackError) {
+      recordUsage(fallbackError.usage);
+      throw fallbackError;
+    }
+  }
+}
+
+/**
+ * Pick up the chairs' official minutes for a session, if they have been
+ * uploaded since the last run, so the output can link to them.
+ * @param {number|string} meetingNumber - Meeting identifier
+ * @param {Object} session - Session object
+ */
+async function fetchOfficialMinutesForComparison(meetingNumber, session) {
+  const official = await refreshOfficialMinutes(meetingNumber, session, verbose);
+  if (official) {
+    console.log(`  Fetched official minutes ${official.name}${official.text === null ? " (PDF)" : ""}`);
+  }
 }
 
 /**
@@ -271,8 +431,9 @@ function parseSummarizeArg(value) {
  * @param {string|number} meetingId - Meeting identifier (number for IETF, date string for interim)
  * @param {Array} sessions - Array of session objects
  * @param {string|null} sttModel - STT model to use, or null for text transcripts
+ * @param {{resume: boolean}|null} batchMode - Summarize through the provider's batch API (--batch, --batch-resume)
  */
-async function processSummarizeSessions(meetingId, sessions, sttModel = null, modelName = null, parallel = 1, localAudioPath = null, geminiSegmentSeconds = null, localTranscriptPath = null, allowShortTranscript = false) {
+async function processSummarizeSessions(meetingId, sessions, sttModel = null, modelName = null, parallel = 1, localAudioPath = null, geminiSegmentSeconds = null, localTranscriptPath = null, allowShortTranscript = false, batchMode = null) {
   if (verbose) {
     console.log("\n=== Session List Structure (JSON) ===");
     console.log(JSON.stringify(sessions, null, 2));
@@ -296,24 +457,39 @@ async function processSummarizeSessions(meetingId, sessions, sttModel = null, mo
     }
   }
 
-  if (parallel > 1) {
-    console.log(`\nProcessing ${allTasks.length} session(s) with concurrency=${parallel}`);
-  }
+  let results;
+  if (batchMode) {
+    results = await runBatchedSessions(meetingId, allTasks, { modelName, resume: batchMode.resume, parallel }, {
+      prepare: (session) => prepareSession(meetingId, session, sttModel, localAudioPath, geminiSegmentSeconds, localTranscriptPath, allowShortTranscript),
+      buildPrompt: (transcript, session, context) => buildMinutesPrompt(transcript, session.sessionName, context),
+      generate: (session, transcript, context) => summarizeSession(meetingId, session, transcript, context, modelName),
+      finish: (session, transcript, context, generated) => finishSessionMinutes(meetingId, session, transcript, context, generated),
+      loadContext: async (session) => contextFromMetadata(await getCachedMetadata(meetingId, session.sessionId)),
+      submit: submitMinutesBatch,
+      poll: getMinutesBatch,
+      maxBatchBytes: getMinutesBatchMaxBytes(),
+      recordUsage,
+    });
+  } else {
+    if (parallel > 1) {
+      console.log(`\nProcessing ${allTasks.length} session(s) with concurrency=${parallel}`);
+    }
 
-  // Process sessions with concurrency limit
-  const results = await runWithConcurrency(
-    allTasks.map(({ sessionName, session }) => async () => {
-      console.log(`  Processing ${sessionName} [${session.sessionId}]...`);
-      const result = await generateSessionMinutes(meetingId, session, sttModel, modelName, localAudioPath, geminiSegmentSeconds, localTranscriptPath, allowShortTranscript);
-      if (!result.minutes) {
-        console.log(`  Skipping ${sessionName} [${session.sessionId}] - no transcript`);
-      } else {
-        console.log(`  Completed ${sessionName} [${session.sessionId}]`);
-      }
-      return { sessionName, session, result };
-    }),
-    parallel,
-  );
+    // Process sessions with concurrency limit
+    results = await runWithConcurrency(
+      allTasks.map(({ sessionName, session }) => async () => {
+        console.log(`  Processing ${sessionName} [${session.sessionId}]...`);
+        const result = await generateSessionMinutes(meetingId, session, sttModel, modelName, localAudioPath, geminiSegmentSeconds, localTranscriptPath, allowShortTranscript);
+        if (!result.minutes) {
+          console.log(`  Skipping ${sessionName} [${session.sessionId}] - no transcript`);
+        } else {
+          console.log(`  Completed ${sessionName} [${session.sessionId}]`);
+        }
+        return { sessionName, session, result };
+      }),
+      parallel,
+    );
+  }
 
   // Collect results into session groups (preserving original group order)
   const sessionGroups = [];
@@ -322,15 +498,25 @@ async function processSummarizeSessions(meetingId, sessions, sttModel = null, mo
   for (const [sessionName] of sessionsByName) {
     const groupResults = results.filter(r => r.sessionName === sessionName);
     const processedSessions = [];
+    let groupInfo = null;
     for (const { session, result } of groupResults) {
       if (result.wasGenerated) {
         anyNewMinutes = true;
       }
       if (result.minutes) {
+        const info = result.sessionInfo || {};
         processedSessions.push({
           sessionId: session.sessionId,
           recordingUrl: session.recordingUrl,
+          room: info.room ?? null,
+          startTime: info.startTime ?? null,
+          durationMinutes: info.durationMinutes ?? null,
         });
+        // Chairs, area and type describe the group, so take them from the
+        // first session that has any.
+        if (!groupInfo && (info.chairs?.length || info.area || info.groupType)) {
+          groupInfo = { chairs: info.chairs || [], area: info.area || null, groupType: info.groupType || null };
+        }
       } else {
         skippedSessions.push({
           sessionName,
@@ -343,6 +529,7 @@ async function processSummarizeSessions(meetingId, sessions, sttModel = null, mo
     if (processedSessions.length > 0) {
       sessionGroups.push({
         sessionName,
+        ...groupInfo,
         sessions: processedSessions,
       });
     }
@@ -359,6 +546,182 @@ async function processSummarizeSessions(meetingId, sessions, sttModel = null, mo
   return skippedSessions;
 }
 
+/**
+ * Write the site output (minutes pages, transcripts, index) for one cached meeting.
+ * @param {string|number} meetingId - Meeting identifier (number for IETF, date string for interim)
+ */
+async function writeMeetingOutput(meetingId) {
+  const isPlenary = typeof meetingId === 'number';
+  const label = isPlenary ? `IETF ${meetingId}` : `Interim ${meetingId}`;
+  const outputDir = isPlenary
+    ? `site/minutes/ietf${meetingId}`
+    : `site/minutes/${meetingId}`;
+
+  console.log(`\n--- Processing ${label} ---`);
+
+  console.log("Loading cache manifest...");
+  const sessionGroups = await loadCacheManifest(meetingId);
+  console.log(`Found ${sessionGroups.length} session groups`);
+
+  const processedSessions = [];
+  for (const group of sessionGroups) {
+    console.log(`\nGenerating output for: ${group.sessionName}`);
+
+    const allMinutes = [];
+    const recordingUrls = [];
+    const officialMinutesUrls = [];
+
+    for (const [index, session] of group.sessions.entries()) {
+      const minutes = await getCachedMinutes(
+        meetingId,
+        session.sessionId,
+      );
+      const { dateTimeHeader } = parseSessionId(session.sessionId);
+
+      // Poll results are rendered from the recorded data; poll numbers in the
+      // generated text that disagree with it are flagged.
+      const polls = (await getCachedMetadata(meetingId, session.sessionId))?.polls || [];
+      const pollMismatches = checkPollClaims(minutes, polls);
+      for (const mismatch of pollMismatches) {
+        console.log(`  Poll check: ${session.sessionId} line ${mismatch.line}: ${mismatch.reason}`);
+      }
+      const pollsSection = renderPollsSection(polls);
+      let sessionMinutes = markPollMismatches(minutes, pollMismatches);
+      if (pollsSection) {
+        sessionMinutes = `${sessionMinutes.trimEnd()}\n\n${pollsSection}\n`;
+      }
+
+      // Time citations refer to this session's recording and transcript
+      allMinutes.push(`${dateTimeHeader}${tagTimeCitations(sessionMinutes, index + 1)}`);
+      recordingUrls.push(session.recordingUrl);
+
+      // Sessions of a group can share one set of official minutes
+      const official = await getCachedOfficialMinutes(meetingId, session.sessionId);
+      if (official?.url && !officialMinutesUrls.includes(official.url)) {
+        officialMinutesUrls.push(official.url);
+      }
+    }
+
+    // Concatenate all minutes for this session name
+    const combinedMinutes = allMinutes.join("\n\n---\n\n");
+
+    // Check for cached transcripts and copy to output
+    let transcriptFile = null;
+    const allTranscripts = [];
+    const anchoredTranscripts = [];
+    const transcriptAnchors = [];
+    const sessionTranscripts = [];
+    for (const [index, session] of group.sessions.entries()) {
+      transcriptAnchors.push([]);
+      sessionTranscripts.push(null);
+      const canonical = await loadCanonicalTranscript(session.sessionId);
+      if (canonical) {
+        const transcript = renderTranscript(canonical);
+        try {
+          assertTranscriptPresent(transcript, session.sessionId);
+        } catch {
+          continue; // Cached transcript is empty/invalid — don't publish it
+        }
+        const { dateTimeHeader } = parseSessionId(session.sessionId);
+        allTranscripts.push(`${dateTimeHeader}${transcript}`);
+        // The HTML page gets anchors for the minutes' time citations to link to
+        const { text, anchors } = addTranscriptAnchors(transcript, index + 1);
+        anchoredTranscripts.push(`${dateTimeHeader}${text}`);
+        transcriptAnchors[index] = anchors;
+        sessionTranscripts[index] = canonical;
+      }
+    }
+    if (allTranscripts.length > 0) {
+      const sanitizedName = sanitizeSessionName(group.sessionName);
+      const transcriptTxtFile = `${sanitizedName}-transcript.txt`;
+      const transcriptMdFile = `${sanitizedName}-transcript.md`;
+      transcriptFile = `${sanitizedName}-transcript.html`;
+      const combinedTranscripts = allTranscripts.join("\n\n---\n\n");
+      await fs.mkdir(outputDir, { recursive: true });
+      // Write .txt (raw markdown)
+      await fs.writeFile(
+        path.join(outputDir, transcriptTxtFile),
+        combinedTranscripts,
+        "utf-8",
+      );
+      // Write .md with header link (rendered by 11ty to .html)
+      const transcriptWithHeader = `[Markdown Version](${transcriptTxtFile})\n\n${anchoredTranscripts.join("\n\n---\n\n")}`;
+      await fs.writeFile(
+        path.join(outputDir, transcriptMdFile),
+        transcriptWithHeader,
+        "utf-8",
+      );
+      console.log(`  Copied transcript: ${transcriptMdFile} + ${transcriptTxtFile}`);
+    }
+
+    const captionFiles = await saveSessionCaptions(group.sessionName, sessionTranscripts, outputDir);
+    const writtenCaptions = captionFiles.filter(Boolean);
+    if (writtenCaptions.length > 0) {
+      console.log(`  Wrote captions: ${writtenCaptions.map((files) => `${files.vtt} + ${files.srt}`).join(", ")}`);
+    }
+
+    const sessionInfo = {
+      chairs: group.chairs || [],
+      area: group.area || null,
+      groupType: group.groupType || null,
+      rooms: [...new Set(group.sessions.map((s) => s.room).filter(Boolean))],
+      durationsMinutes: group.sessions.map((s) => s.durationMinutes).filter(Number.isFinite),
+    };
+
+    // Save to output — draft links are extracted from the generated minutes content
+    await saveMinutes(
+      group.sessionName,
+      combinedMinutes,
+      outputDir,
+      recordingUrls,
+      transcriptFile,
+      meetingId,
+      sessionInfo,
+      officialMinutesUrls,
+      transcriptAnchors,
+      captionFiles,
+    );
+
+    const sessionActions = await Promise.all(group.sessions.map((session) => getCachedActionItems(meetingId, session.sessionId)));
+    const actionsFile = await saveGroupActionItems(group.sessionName, sessionActions, outputDir);
+    if (actionsFile) {
+      console.log(`  Wrote action items: ${actionsFile}`);
+    }
+    processedSessions.push(group.sessionName);
+    console.log(`  Saved: ${group.sessionName}`);
+  }
+
+  // Generate index page
+  console.log("Generating index...");
+  await generateIndex(processedSessions, outputDir);
+  console.log(`Completed ${label}`);
+}
+
+/**
+ * Regenerate the cross-meeting pages (WG pages and root index) from the output.
+ */
+async function writeSiteIndexes() {
+  // Generate WG pages
+  console.log("\nGenerating WG pages...");
+  await generateWgPages();
+
+  // Generate root index
+  console.log("\nGenerating root index...");
+  await generateRootIndex();
+  console.log("Root index generated at site/index.md");
+}
+
+/**
+ * Expand the "gemini" and "claude" shorthands of --model / --fallback-model
+ * @param {string} name - Model name as given
+ * @returns {string} Full model name
+ */
+function resolveModelShorthand(name) {
+  if (name === "gemini") return "gemini-3.5-flash";
+  if (name === "claude") return "claude-sonnet-4-6";
+  return name;
+}
+
 /**
  * Process --uncache: clear cached data for resolved sessions
  * @param {Object} parsed - Parsed specifier from parseSummarizeArg()
@@ -455,14 +818,15 @@ async function processUncache(parsed, uncacheType) {
 
       // Delete transcript
       if (uncacheType === 'all' || uncacheType === 'transcripts') {
-        const transcriptPath = getTranscriptCachePath(sessionId);
         try {
-          await fs.unlink(transcriptPath);
+          await fs.unlink(getTranscriptCachePath(sessionId));
           console.log(`  Deleted transcript: ${sessionId}`);
           deleted = true;
         } catch {
           // File doesn't exist
         }
+        // The canonical transcript beside it goes with it
+        await fs.rm(getCanonicalTranscriptCachePath(sessionId), { force: true });
       }
 
       // Delete audio
@@ -571,6 +935,7 @@ async function main() {
     .example("$0 --summarize 2026-03-01-2026-03-13", "Generate summaries for interims in a date range")
     .example("$0 --summarize 2026-03-01-2026-03-13:AIPREF", "Generate summaries for a specific WG in a date range")
     .example("$0 --summarize 123 --source agenda", "Fetch sessions from Meetecho agenda")
+    .example("$0 --summarize 123 --source api", "Fetch sessions from the datatracker JSON API")
     .example("$0 --output", "Generate output markdown files from cache")
     .example("$0 --summarize 123 --output", "Generate summaries and output")
     .example("$0 --amend 123:6LO --comments corrections.txt", "Amend cached minutes for an IETF WG")
@@ -587,7 +952,11 @@ async function main() {
     .example("$0 --preview 123:6LO --audio --stt-model deepgram:nova-3+cleanup", "Preview with high-confidence transcript cleanup")
     .example("$0 --preview 123:6LO --audio --stt-model deepgram:nova-3+names+cleanup", "Preview with speaker names and transcript cleanup")
     .example("$0 --preview 123:6LO --audio --stt-model gemini+cleanup", "Preview with Gemini STT and transcript cleanup")
+    .example("$0 --preview 123:6LO --model openai:llama3.1:8b --llm-base-url http://localhost:11434/v1", "Preview with a local Ollama model")
     .example("$0 --summarize 123 -j 5", "Process 5 sessions in parallel")
+    .example("$0 --summarize current --watch --output", "Keep summarizing the current meeting as recordings are published")
+    .example("$0 --summarize 2026-06-11:moq --record fixtures/moq", "Capture all datatracker/Meetecho traffic for a run")
+    .example("$0 --summarize 2026-06-11:moq --replay fixtures/moq", "Re-run the same pipeline offline from the capture")
     .example("$0 --uncache 123", "Clear all cached data for IETF 123")
     .example("$0 --uncache 123:6LO --uncache-type minutes", "Clear only cached minutes for 6LO")
     .example("$0 --uncache-remote 123:6LO", "Uncache & regenerate 6LO on the remote (server-side; nothing local)")
@@ -625,7 +994,11 @@ async function main() {
       alias: "m",
       type: "string",
       default: "gemini-3.5-flash",
-      description: "LLM model to use (e.g., gemini-3.5-flash, claude-sonnet-4-6, or shorthand: gemini, claude)",
+      description: "LLM model to use (e.g., gemini-3.5-flash, claude-sonnet-4-6, openai:MODEL for an OpenAI-compatible server, or shorthand: gemini, claude)",
+    })
+    .option("llm-base-url", {
+      type: "string",
+      description: `Base URL of the OpenAI-compatible API for --model openai:MODEL, e.g. http://localhost:11434/v1 for Ollama (default: $OPENAI_BASE_URL or ${DEFAULT_OPENAI_BASE_URL})`,
     })
     .option("verbose", {
       alias: "v",
@@ -634,9 +1007,9 @@ async function main() {
     })
     .option("source", {
       type: "string",
-      choices: ["proceedings", "agenda"],
+      choices: Object.keys(SESSION_SOURCES),
       default: "proceedings",
-      description: "Source to fetch sessions from (proceedings or agenda)",
+      description: "Source to fetch sessions from (proceedings, agenda, or api for the datatracker JSON API)",
     })
     .option("audio", {
       alias: "a",
@@ -646,17 +1019,66 @@ async function main() {
     .option("stt-model", {
       type: "string",
       default: "google",
-      description: "STT backend when --audio is used: google, google:chirp_2, google:chirp_3, gemini, deepgram, deepgram:nova-2, or deepgram:nova-3; add +names on a diarizing backend for Gemini speaker naming and/or +cleanup on any backend for high-confidence text-only corrections",
+      description: "STT backend when --audio is used: google, google:chirp_2, google:chirp_3, gemini, deepgram, deepgram:nova-2, deepgram:nova-3, or whisper[:MODEL] (local whisper CLI, set by WHISPER_BIN); add +names on a diarizing backend for Gemini speaker naming and/or +cleanup on any backend for high-confidence text-only corrections",
+    })
+    .option("trim-silence", {
+      type: "boolean",
+      default: false,
+      description: "With --audio, cut leading and trailing silence (ffmpeg silencedetect) and steady-loudness hold music before STT; transcript timestamps still refer to the recording",
+    })
+    .option("trim-gaps", {
+      type: "number",
+      description: "With --trim-silence, also cut internal silences longer than this many seconds",
     })
     .option("gemini-segment-seconds", {
       type: "number",
       description: "When using --stt-model gemini, split audio into segments of this many seconds and transcribe each independently",
     })
+    .option("segment-overlap", {
+      type: "number",
+      default: DEFAULT_SEGMENT_OVERLAP_SECONDS,
+      description: "Seconds of audio shared by consecutive STT segments (--gemini-segment-seconds, long Google STT recordings); transcripts are stitched where the overlap lines up",
+    })
+    .option("stt-concurrency", {
+      type: "number",
+      default: DEFAULT_STT_CONCURRENCY,
+      description: "Number of audio segments transcribed at once",
+    })
     .option("timeout", {
       type: "number",
       default: 300,
       description: "LLM generation timeout in seconds (default: 300 = 5 minutes)",
     })
+    .option("llm-retries", {
+      type: "number",
+      default: 3,
+      description: "Retries of an LLM call that fails with a transient error (overloaded, rate limited, network), with jittered backoff",
+    })
+    .option("fallback-model", {
+      type: "string",
+      description: "Model to retry a session on when --model fails with a transient error (e.g. --model gemini --fallback-model claude)",
+    })
+    .option("max-prompt-tokens", {
+      type: "number",
+      default: 100000,
+      description: "Estimated prompt size in tokens above which a transcript is summarized in chunks and the chunk notes merged into the minutes",
+    })
+    .option("structured", {
+      type: "boolean",
+      default: false,
+      description: "Have the LLM return minutes as schema-validated JSON (cached as <sessionId>.minutes.json) and render the Markdown from it",
+    })
+    .option("verify-grounding", {
+      type: "string",
+      choices: GROUNDING_MODES,
+      default: "off",
+      description: "Check each statement, decision and poll in generated minutes against the transcript and chat; annotate, drop, or fail the session on unsupported claims",
+    })
+    .option("extract-actions", {
+      type: "boolean",
+      default: false,
+      description: "Extract the action items and decisions of generated minutes to <sessionId>.actions.json and publish a per-WG open action items page",
+    })
     .option("parallel", {
       alias: "j",
       type: "number",
@@ -709,6 +1131,34 @@ async function main() {
       default: false,
       description: "Skip the minimum-word-count check on transcripts (for legitimately short sessions)",
     })
+    .option("record", {
+      type: "string",
+      description: "Record every datatracker/Meetecho HTTP response to this cassette directory",
+    })
+    .option("replay", {
+      type: "string",
+      description: "Serve datatracker/Meetecho HTTP responses from a cassette directory made with --record (no network)",
+    })
+    .option("refresh-http-cache", {
+      type: "boolean",
+      default: false,
+      description: "Ignore cached datatracker pages in cache/http/ and refetch them",
+    })
+    .option("watch", {
+      type: "boolean",
+      default: false,
+      description: "With --summarize current, keep polling for recordings that are not published yet (backing off per session), summarize each as it appears and re-run --output for the meeting; exits when the meeting is over",
+    })
+    .option("batch", {
+      type: "boolean",
+      default: false,
+      description: "With --summarize, submit all sessions' minutes prompts as one batch to the provider's batch API (about half the cost, may take hours) and wait for it; the batch is saved to cache/batches/",
+    })
+    .option("batch-resume", {
+      type: "boolean",
+      default: false,
+      description: "With --summarize, collect the batch an interrupted --batch run submitted instead of submitting a new one",
+    })
     .option("ignore-failures", {
       type: "boolean",
       default: false,
@@ -770,6 +1220,40 @@ async function main() {
           "--uncache cannot be used with --summarize or --preview",
         );
       }
+      if (argv.watch) {
+        if (String(argv.summarize ?? "").toLowerCase() !== "current") {
+          throw new Error("--watch requires --summarize current");
+        }
+        if (argv.audioFile || argv.transcriptFile) {
+          throw new Error("--watch cannot be used with --audio-file or --transcript-file");
+        }
+      }
+      if (argv.batch || argv.batchResume) {
+        if (argv.batch && argv.batchResume) {
+          throw new Error("--batch cannot be used with --batch-resume");
+        }
+        if (!argv.summarize) {
+          throw new Error("--batch and --batch-resume require --summarize");
+        }
+        if (argv.structured || argv.watch) {
+          throw new Error("--batch and --batch-resume cannot be used with --structured or --watch");
+        }
+      }
+      if (argv.llmBaseUrl && !String(argv.model).startsWith("openai:")) {
+        throw new Error("--llm-base-url requires --model openai:MODEL");
+      }
+      if (!Number.isInteger(argv.llmRetries) || argv.llmRetries < 0) {
+        throw new Error("--llm-retries must be a non-negative integer");
+      }
+      if (!(argv.maxPromptTokens > 0)) {
+        throw new Error("--max-prompt-tokens must be a positive number");
+      }
+      if (argv.record && argv.replay) {
+        throw new Error("--record cannot be used with --replay");
+      }
+      if (argv.replay && argv.refreshHttpCache) {
+        throw new Error("--refresh-http-cache cannot be used with --replay");
+      }
       // Validate --audio-file usage
       if (argv.audioFile) {
         if (!argv.preview && !argv.summarize) {
@@ -794,6 +1278,17 @@ async function main() {
           throw new Error("--transcript-file cannot be used with --audio");
         }
       }
+      if (argv.trimSilence && !argv.audio && !argv.audioFile) {
+        throw new Error("--trim-silence requires --audio or --audio-file");
+      }
+      if (argv.trimGaps !== undefined) {
+        if (!Number.isFinite(argv.trimGaps) || argv.trimGaps <= 2) {
+          throw new Error("--trim-gaps must be a number of seconds greater than 2");
+        }
+        if (!argv.trimSilence) {
+          throw new Error("--trim-gaps requires --trim-silence");
+        }
+      }
       // Validate --gemini-segment-seconds usage
       if (argv.geminiSegmentSeconds !== undefined) {
         if (!Number.isFinite(argv.geminiSegmentSeconds) || argv.geminiSegmentSeconds <= 0) {
@@ -803,6 +1298,15 @@ async function main() {
           throw new Error("--gemini-segment-seconds requires --stt-model gemini");
         }
       }
+      if (!Number.isFinite(argv.segmentOverlap) || argv.segmentOverlap < 0) {
+        throw new Error("--segment-overlap must be a non-negative number of seconds");
+      }
+      if (argv.geminiSegmentSeconds !== undefined && argv.segmentOverlap >= argv.geminiSegmentSeconds) {
+        throw new Error("--segment-overlap must be shorter than --gemini-segment-seconds");
+      }
+      if (!Number.isInteger(argv.sttConcurrency) || argv.sttConcurrency < 1) {
+        throw new Error("--stt-concurrency must be a positive integer");
+      }
       // Validate --stt-model
       {
         const { baseSttModel: base, hybridNames: hasNames } = parseSttModel(argv.sttModel);
@@ -811,8 +1315,9 @@ async function main() {
         if (hasNames && !namesCapableBases.has(base)) {
           throw new Error(`--stt-model "${argv.sttModel}" is invalid: the "+names" hybrid requires chirp_3 diarization and is only supported with "google", "google:chirp_3", "deepgram", "deepgram:nova-2", or "deepgram:nova-3" (e.g. "google:chirp_3+names", "deepgram:nova-3+names"); chirp_2 does not produce speaker labels to map`);
         }
-        if (!validBases.has(base)) {
-          throw new Error(`--stt-model "${argv.sttModel}" is invalid; must be one of: google, google:chirp_2, google:chirp_3, gemini, deepgram, deepgram:nova-2, deepgram:nova-3, optionally suffixed with "+cleanup", or a diarizing one suffixed with "+names" or "+names+cleanup"`);
+        const isWhisper = /^whisper(?::[\w./-]+)?$/.test(base);
+        if (!validBases.has(base) && !isWhisper) {
+          throw new Error(`--stt-model "${argv.sttModel}" is invalid; must be one of: google, google:chirp_2, google:chirp_3, gemini, deepgram, deepgram:nova-2, deepgram:nova-3, whisper, whisper:MODEL, optionally suffixed with "+cleanup", or a diarizing one suffixed with "+names" or "+names+cleanup"`);
         }
       }
       return true;
@@ -824,6 +1329,21 @@ async function main() {
 
   verbose = argv.verbose;
   setGenerationTimeout(argv.timeout * 1000);
+  setLlmRetryPolicy({ retries: argv.llmRetries });
+  setMaxPromptTokens(argv.maxPromptTokens);
+  setStructuredMinutes(argv.structured);
+  setGroundingMode(argv.verifyGrounding);
+  setActionExtraction(argv.extractActions);
+  setSilenceTrimming({ enabled: argv.trimSilence, maxGapSeconds: argv.trimGaps ?? null });
+  setSegmentOptions({ overlapSeconds: argv.segmentOverlap, concurrency: argv.sttConcurrency });
+  if (argv.record) {
+    setHttpRecording(argv.record);
+    console.log(`Recording HTTP responses to ${argv.record}`);
+  } else if (argv.replay) {
+    setHttpReplay(argv.replay);
+    console.log(`Replaying HTTP responses from ${argv.replay}`);
+  }
+  enableHttpCache({ refresh: argv.refreshHttpCache });
   const allSkipped = [];
   const doSummarize = !!argv.summarize;
   const doAmend = !!argv.amend;
@@ -836,6 +1356,7 @@ async function main() {
   const source = argv.source;
   const sttModel = (argv.audio || argv.audioFile) ? (argv.sttModel || "google") : null;
   const parallel = argv.parallel;
+  const batchMode = argv.batch || argv.batchResume ? { resume: argv.batchResume } : null;
 
   // REMOTE UNCACHE: dispatch the sync workflow to delete and regenerate the
   // given sessions on the remote repo. Terminal action; nothing runs locally.
@@ -855,20 +1376,25 @@ async function main() {
   }
 
   // Resolve model shorthand names and determine provider
-  let modelName = argv.model;
-  if (modelName === "gemini") {
-    modelName = "gemini-3.5-flash";
-  } else if (modelName === "claude") {
-    modelName = "claude-sonnet-4-6";
+  const modelName = resolveModelShorthand(argv.model);
+  const provider = resolveLlmProvider(modelName);
+  if (!provider) {
+    console.error(`Error: Unknown model "${modelName}". Model name must look like one of: ${llmModelPatterns().join(", ")}.`);
+    process.exit(1);
   }
 
-  let provider;
-  if (modelName.startsWith("gemini")) {
-    provider = "gemini";
-  } else if (modelName.startsWith("claude")) {
-    provider = "claude";
-  } else {
-    console.error(`Error: Unknown model "${modelName}". Model name must start with "gemini" or "claude".`);
+  const fallbackModelName = argv.fallbackModel ? resolveModelShorthand(argv.fallbackModel) : null;
+  const fallbackProvider = fallbackModelName ? resolveLlmProvider(fallbackModelName) : null;
+  if (fallbackModelName && !fallbackProvider) {
+    console.error(`Error: Unknown fallback model "${fallbackModelName}". Model name must look like one of: ${llmModelPatterns().join(", ")}.`);
+    process.exit(1);
+  }
+  if (fallbackModelName === modelName) {
+    console.error("Error: --fallback-model must differ from --model");
+    process.exit(1);
+  }
+  if (batchMode && !provider.batch) {
+    console.error(`Error: --batch is not supported by the ${provider.name} provider`);
     process.exit(1);
   }
 
@@ -888,31 +1414,35 @@ async function main() {
 
   // Check for appropriate API key based on provider (only needed for LLM actions)
   if (doSummarize || doPreview || doAmend) {
-    if (provider === "claude") {
-      const apiKey = process.env.ANTHROPIC_API_KEY;
-      if (!apiKey) {
-        console.error("Error: ANTHROPIC_API_KEY not found in environment");
-        console.error("Please create a .env file with your API key");
-        process.exit(1);
-      }
-      initializeClaude(apiKey);
-    } else if (provider === "gemini") {
-      const apiKey = process.env.GEMINI_API_KEY;
-      if (!apiKey) {
-        console.error("Error: GEMINI_API_KEY not found in environment");
-        console.error("Please create a .env file with your API key");
+    const apiKey = process.env[provider.apiKeyEnv];
+    if (!apiKey && provider.apiKeyRequired) {
+      console.error(`Error: ${provider.apiKeyEnv} not found in environment`);
+      console.error("Please create a .env file with your API key");
+      process.exit(1);
+    }
+    initializeLlm(provider.name, {
+      apiKey,
+      baseUrl: argv.llmBaseUrl || process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+    });
+
+    if (fallbackProvider) {
+      const fallbackKey = process.env[fallbackProvider.apiKeyEnv];
+      if (!fallbackKey && fallbackProvider.apiKeyRequired) {
+        console.error(`Error: ${fallbackProvider.apiKeyEnv} not found in environment (needed for --fallback-model ${fallbackModelName})`);
         process.exit(1);
       }
-      const { initializeGemini } = await import("./generator.js");
-      initializeGemini(apiKey);
+      initializeFallbackLlm(fallbackProvider.name, fallbackModelName, {
+        apiKey: fallbackKey,
+        baseUrl: argv.llmBaseUrl || process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+      });
     }
 
     // Gemini STT and text-only hybrid passes require GEMINI_API_KEY, even when
-    // Claude generates the minutes.
+    // another provider generates the minutes.
     const parsedSttModel = sttModel ? parseSttModel(sttModel) : null;
     const needsGemini = parsedSttModel
       && (parsedSttModel.baseSttModel === "gemini" || parsedSttModel.hybridNames || parsedSttModel.cleanup);
-    if (needsGemini && provider === "claude") {
+    if (needsGemini && provider.name !== "gemini") {
       const geminiKey = process.env.GEMINI_API_KEY;
       if (!geminiKey) {
         console.error(`Error: GEMINI_API_KEY is required for --stt-model ${sttModel}`);
@@ -1011,8 +1541,7 @@ async function main() {
           `Previewing: IETF ${previewMeetingNumber}, Session: ${previewSessionName}`,
         );
 
-        const baseFetchFunction =
-          source === "agenda" ? fetchSessionsFromAgenda : fetchSessionsFromProceedings;
+        const baseFetchFunction = SESSION_SOURCES[source];
         console.log(`Fetching session list from ${source}...`);
         const result = await fetchSessionsWithValidation(baseFetchFunction, previewMeetingNumber);
         console.log(`Found ${result.stats.total} total sessions (${result.stats.valid} valid, ${result.stats.invalid} invalid)`);
@@ -1062,6 +1591,7 @@ async function main() {
         if (context.slidesAndBluesheet) {
           if (context.slidesAndBluesheet.slides?.length) {
             console.log(`  Fetched ${context.slidesAndBluesheet.slides.length} slide deck(s)`);
+            console.log(`  Extracted text from ${context.slideTexts.filter(deck => deck.text).length} slide deck(s)`);
           }
           if (context.slidesAndBluesheet.bluesheet) {
             console.log(`  Fetched bluesheet (${context.slidesAndBluesheet.bluesheet.length} chars)`);
@@ -1069,6 +1599,9 @@ async function main() {
         }
         console.log(`  Fetched ${context.polls.length} poll(s)`);
         console.log(`  Fetched ${context.chat.length} chat message(s)`);
+        if (context.agenda) {
+          console.log(`  Fetched agenda ${context.agenda.name} (${context.agenda.items.length} items)`);
+        }
 
         // Download transcript (no cache) - from local file, audio, or text
         let transcript;
@@ -1090,19 +1623,47 @@ async function main() {
           continue;
         }
 
+        context.draftDetails = await fetchDiscussedDraftDetails(context, transcript, verbose);
+        if (context.draftDetails.length > 0) {
+          console.log(`  Fetched details for ${context.draftDetails.length} discussed draft(s)`);
+        }
+
         // Generate minutes using LLM (no cache)
         console.log("  Generating minutes with LLM...");
-        let minutes, minutesUsage;
+        let minutes, minutesUsage, sessionModel;
         try {
-          const result = await generateMinutes(transcript, session.sessionName, verbose, modelName, context);
+          const result = await generateMinutesWithFallback(transcript, session, modelName, context);
           minutes = result.text;
           minutesUsage = result.usage;
+          sessionModel = result.model;
         } catch (error) {
           console.error(`  Error generating minutes: ${error.message}`);
           continue;
         }
         recordUsage(minutesUsage);
 
+        try {
+          const verification = await verifyGrounding(minutes, transcript, context, session.sessionName, verbose, sessionModel);
+          if (verification) {
+            recordUsage(verification.usage);
+            const { grounding } = verification;
+            recordGroundingResult(session.sessionId, grounding);
+            console.log(grounding.skipped ? `  Grounding: skipped (${grounding.skipped})` : `  Grounding: ${grounding.checked} claim(s) checked, ${grounding.unsupported} unsupported`);
+            if (grounding.mode === "fail" && grounding.skipped) {
+              console.error(`  Skipping ${session.sessionId}: grounding verification skipped (${grounding.skipped})`);
+              continue;
+            }
+            if (grounding.mode === "fail" && grounding.unsupported > 0) {
+              console.error(`  Skipping ${session.sessionId}: ${grounding.unsupported} claim(s) not supported by the transcript or chat`);
+              continue;
+            }
+            minutes = verification.text;
+          }
+        } catch (error) {
+          console.error(`  Error verifying grounding: ${error.message}`);
+          if (getGroundingMode() === "fail") continue;
+        }
+
         // Add date/time header
         const { dateTimeHeader } = parseSessionId(session.sessionId);
         allMinutes.push(`${dateTimeHeader}${minutes}`);
@@ -1118,6 +1679,7 @@ async function main() {
       console.log("\n" + "=".repeat(80));
 
       printSummary();
+      printGroundingSummary();
       return; // Exit after preview
     }
 
@@ -1154,7 +1716,7 @@ async function main() {
           if (filtered.length === 0) continue;
           try {
             console.log(`\n--- Processing interims for ${date} ---`);
-            const skipped = await processSummarizeSessions(date, filtered, sttModel, modelName, parallel, null, argv.geminiSegmentSeconds || null, null, argv.allowShortTranscript);
+            const skipped = await processSummarizeSessions(date, filtered, sttModel, modelName, parallel, null, argv.geminiSegmentSeconds || null, null, argv.allowShortTranscript, batchMode);
             allSkipped.push(...skipped);
           } catch (error) {
             console.warn(`Warning: Failed to process interims for ${date}: ${error.message}`);
@@ -1176,11 +1738,42 @@ async function main() {
             // Fall through: leave sessions undefined so the summarize call
             // below is skipped, but allow later stages (--output, --build) to
             // still run against previously-cached meetings.
+          } else if (argv.watch) {
+            console.log(`\n=== WATCH: IETF ${meetingId} ===`);
+            console.log(`Using model: ${modelName}${sttModel ? ` (STT: ${sttModel})` : ""}`);
+
+            // Sessions are summarized inside the watch loop, so `sessions`
+            // stays undefined and the summarize call below is skipped.
+            await runWatch(meetingId, {
+              fetchCurrentMeetingNumber,
+              // Revalidate the session list each cycle: its pages' cache
+              // TTLs are longer than the poll interval.
+              fetchSessions: () => withFreshHttpCache(async () => {
+                const result = await fetchSessionsWithValidation(SESSION_SOURCES[source], meetingId);
+                return result.validSessions;
+              }),
+              isCached: (sessionId) => cacheExists(meetingId, sessionId),
+              probeRecording: async (session) => {
+                if (sttModel) {
+                  await fetchCloudflareVideoId(session.sessionId);
+                } else {
+                  const transcript = await downloadTranscript(session);
+                  assertTranscriptSubstantial(transcript, session.sessionName, { allowShort: argv.allowShortTranscript });
+                }
+              },
+              summarize: (batch) => processSummarizeSessions(meetingId, batch, sttModel, modelName, parallel, null, argv.geminiSegmentSeconds || null, null, argv.allowShortTranscript),
+              writeOutput: doOutput
+                ? async () => {
+                  await writeMeetingOutput(meetingId);
+                  await writeSiteIndexes();
+                }
+                : null,
+            });
           } else {
             console.log(`\n=== SUMMARIZE STAGE: IETF ${meetingId} ===`);
             console.log(`Using model: ${modelName}${sttModel ? ` (STT: ${sttModel})` : ""}`);
 
-            const baseFetchFunction = source === "agenda" ? fetchSessionsFromAgenda : fetchSessionsFromProceedings;
+            const baseFetchFunction = SESSION_SOURCES[source];
             console.log(`Fetching session list from ${source}...`);
             const result = await fetchSessionsWithValidation(baseFetchFunction, meetingId);
             console.log(`Found ${result.stats.total} sessions (${result.stats.valid} valid, ${result.stats.invalid} invalid)`);
@@ -1191,7 +1784,7 @@ async function main() {
           console.log(`\n=== SUMMARIZE STAGE: IETF ${meetingId} — ${parsed.group} ===`);
           console.log(`Using model: ${modelName}${sttModel ? ` (STT: ${sttModel})` : ""}`);
 
-          const baseFetchFunction = source === "agenda" ? fetchSessionsFromAgenda : fetchSessionsFromProceedings;
+          const baseFetchFunction = SESSION_SOURCES[source];
           console.log(`Fetching session list from ${source}...`);
           const result = await fetchSessionsWithValidation(baseFetchFunction, meetingId);
           console.log(`Found ${result.stats.total} sessions (${result.stats.valid} valid, ${result.stats.invalid} invalid)`);
@@ -1248,7 +1841,7 @@ async function main() {
           console.log(`\n=== SUMMARIZE STAGE: IETF ${meetingId} ===`);
           console.log(`Using model: ${modelName}${sttModel ? ` (STT: ${sttModel})` : ""}`);
 
-          const baseFetchFunction = source === "agenda" ? fetchSessionsFromAgenda : fetchSessionsFromProceedings;
+          const baseFetchFunction = SESSION_SOURCES[source];
           console.log(`Fetching session list from ${source}...`);
           const result = await fetchSessionsWithValidation(baseFetchFunction, meetingId);
           console.log(`Found ${result.stats.total} sessions (${result.stats.valid} valid, ${result.stats.invalid} invalid)`);
@@ -1256,7 +1849,7 @@ async function main() {
         }
 
         if (sessions !== undefined) {
-          const skipped = await processSummarizeSessions(meetingId, sessions, sttModel, modelName, parallel, argv.audioFile || null, argv.geminiSegmentSeconds || null, argv.transcriptFile || null, argv.allowShortTranscript);
+          const skipped = await processSummarizeSessions(meetingId, sessions, sttModel, modelName, parallel, argv.audioFile || null, argv.geminiSegmentSeconds || null, argv.transcriptFile || null, argv.allowShortTranscript, batchMode);
           allSkipped.push(...skipped);
         }
       }
@@ -1289,104 +1882,10 @@ async function main() {
       );
 
       for (const meetingId of cachedMeetings) {
-        const isPlenary = typeof meetingId === 'number';
-        const label = isPlenary ? `IETF ${meetingId}` : `Interim ${meetingId}`;
-        const outputDir = isPlenary
-          ? `site/minutes/ietf${meetingId}`
-          : `site/minutes/${meetingId}`;
-
-        console.log(`\n--- Processing ${label} ---`);
-
-        console.log("Loading cache manifest...");
-        const sessionGroups = await loadCacheManifest(meetingId);
-        console.log(`Found ${sessionGroups.length} session groups`);
-
-        const processedSessions = [];
-        for (const group of sessionGroups) {
-          console.log(`\nGenerating output for: ${group.sessionName}`);
-
-          const allMinutes = [];
-          const recordingUrls = [];
-
-          for (const session of group.sessions) {
-            const minutes = await getCachedMinutes(
-              meetingId,
-              session.sessionId,
-            );
-            const { dateTimeHeader } = parseSessionId(session.sessionId);
-            allMinutes.push(`${dateTimeHeader}${minutes}`);
-            recordingUrls.push(session.recordingUrl);
-          }
-
-          // Concatenate all minutes for this session name
-          const combinedMinutes = allMinutes.join("\n\n---\n\n");
-
-          // Check for cached transcripts and copy to output
-          let transcriptFile = null;
-          const allTranscripts = [];
-          for (const session of group.sessions) {
-            const transcriptPath = getTranscriptCachePath(session.sessionId);
-            if (existsSync(transcriptPath)) {
-              const transcript = await fs.readFile(transcriptPath, "utf-8");
-              try {
-                assertTranscriptPresent(transcript, session.sessionId);
-              } catch {
-                continue; // Cached transcript is empty/invalid — don't publish it
-              }
-              const { dateTimeHeader } = parseSessionId(session.sessionId);
-              allTranscripts.push(`${dateTimeHeader}${transcript}`);
-            }
-          }
-          if (allTranscripts.length > 0) {
-            const sanitizedName = sanitizeSessionName(group.sessionName);
-            const transcriptTxtFile = `${sanitizedName}-transcript.txt`;
-            const transcriptMdFile = `${sanitizedName}-transcript.md`;
-            transcriptFile = `${sanitizedName}-transcript.html`;
-            const combinedTranscripts = allTranscripts.join("\n\n---\n\n");
-            await fs.mkdir(outputDir, { recursive: true });
-            // Write .txt (raw markdown)
-            await fs.writeFile(
-              path.join(outputDir, transcriptTxtFile),
-              combinedTranscripts,
-              "utf-8",
-            );
-            // Write .md with header link (rendered by 11ty to .html)
-            const transcriptWithHeader = `[Markdown Version](${transcriptTxtFile})\n\n${combinedTranscripts}`;
-            await fs.writeFile(
-              path.join(outputDir, transcriptMdFile),
-              transcriptWithHeader,
-              "utf-8",
-            );
-            console.log(`  Copied transcript: ${transcriptMdFile} + ${transcriptTxtFile}`);
-          }
-
-          // Save to output — draft links are extracted from the generated minutes content
-          await saveMinutes(
-            group.sessionName,
-            combinedMinutes,
-            outputDir,
-            recordingUrls,
-            transcriptFile,
-            meetingId,
-          );
-          processedSessions.push(group.sessionName);
-          console.log(`  Saved: ${group.sessionName}`);
-        }
-
-        // Generate index page
-        console.log("Generating index...");
-        await generateIndex(processedSessions, outputDir);
-        console.log(`Completed ${label}`);
+        await writeMeetingOutput(meetingId);
       }
 
-      // Generate WG pages
-      console.log("\nGenerating WG pages...");
-      await generateWgPages();
-
-      // Generate root index
-      console.log("\nGenerating root index...");
-      await generateRootIndex();
-      console.log("Root index generated at site/index.md");
+      await writeSiteIndexes();
     }
 
     if (allSkipped.length > 0) {
@@ -1397,6 +1896,7 @@ async function main() {
     }
 
     printSummary();
+    printGroundingSummary();
     console.log("\nAll done!");
 
     // BUILD STAGE: Build site with 11ty if requested
@@ -1474,7 +1974,7 @@ async function buildSite(preparePages = false) {
 
         // Step 5: Copy everything from _site to gh-pages-repo/docs
         console.log("Copying _site/ to gh-pages-repo/docs/...");
-        const allowedExtensions = ['.css', '.html', '.txt', '.jpg', '.png'];
+        const allowedExtensions = ['.css', '.html', '.txt', '.json', '.vtt', '.srt', '.jpg', '.png'];
         const copiedFiles = await copyDir("_site", docsDir, allowedExtensions);
         console.log(`Copied ${copiedFiles.length} files`);
 
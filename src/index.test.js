@@ -151,3 +151,76 @@ test('--amend rejects a whitespace-only comments file before API initialization'
     rmSync(tempDir, { recursive: true, force: true });
   }
 });
+
+test('--watch requires --summarize current', () => {
+  const result = runCli(['--summarize', '125', '--watch']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('--watch requires --summarize current');
+});
+
+test('rejects a model no LLM provider handles', () => {
+  const result = runCli(['--preview', '123:6LO', '--model', 'mistral-large']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('Unknown model "mistral-large"');
+  expect(result.stderr).toContain('openai:<model>');
+});
+
+test('--llm-base-url requires an openai: model', () => {
+  const result = runCli(['--preview', '123:6LO', '--llm-base-url', 'http://localhost:11434/v1']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('--llm-base-url requires --model openai:MODEL');
+});
+
+test('--max-prompt-tokens must be positive', () => {
+  const result = runCli(['--preview', '123:6LO', '--max-prompt-tokens', '0']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('--max-prompt-tokens must be a positive number');
+});
+
+test('rejects an unknown --verify-grounding mode', () => {
+  const result = runCli(['--preview', '123:6LO', '--verify-grounding', 'strict']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('Choices: "off", "annotate", "drop", "fail"');
+});
+
+test('--llm-retries must be a non-negative integer', () => {
+  const result = runCli(['--preview', '123:6LO', '--llm-retries', '-1']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('--llm-retries must be a non-negative integer');
+});
+
+test('--fallback-model must differ from --model', () => {
+  const result = runCli(['--preview', '123:6LO', '--model', 'claude', '--fallback-model', 'claude-sonnet-4-6']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('--fallback-model must differ from --model');
+});
+
+test('--batch cannot be used with --structured', () => {
+  const result = runCli(['--summarize', '123', '--batch', '--structured']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('--batch and --batch-resume cannot be used with --structured or --watch');
+});
+
+test('--batch is rejected for providers without a batch API', () => {
+  const result = runCli(['--summarize', '123', '--batch', '--model', 'openai:llama3.1']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('--batch is not supported by the openai provider');
+});
+
+test('--stt-model whisper does not support +names', () => {
+  const result = runCli(['--summarize', '123', '--audio', '--stt-model', 'whisper:base.en+names']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('the "+names" hybrid requires chirp_3 diarization');
+});
+
+test('--trim-silence requires audio transcription', () => {
+  const result = runCli(['--summarize', '123', '--trim-silence']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('--trim-silence requires --audio or --audio-file');
+});
+
+test('--segment-overlap must be shorter than the Gemini segments', () => {
+  const result = runCli(['--summarize', '123', '--audio', '--stt-model', 'gemini', '--gemini-segment-seconds', '600', '--segment-overlap', '600']);
+  expect(result.status).toBe(1);
+  expect(result.stderr).toContain('--segment-overlap must be shorter than --gemini-segment-seconds');
+});
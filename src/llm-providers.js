@@ -0,0 +1,316 @@
+/**
+ * LLM Providers
+ * Text-completion backends behind one interface, picked by model name:
+ * "gemini-*", "claude-*", or "openai:<model>" for any OpenAI-compatible
+ * chat completions server (OpenAI itself, llama.cpp, Ollama, vLLM).
+ *
+ * A provider instance exposes
+ *   complete({ model, prompt, json, maxTokens }) →
+ *     Promise<{ text, usage: { inputTokens, outputTokens } }>
+ * where `json` asks for a JSON-only response where the backend supports it,
+ * and `maxTokens` caps the output (left to the backend's default when omitted,
+ * except for Claude, whose API requires a cap).
+ *
+ * Providers with an asynchronous batch API (Gemini, Claude) also expose
+ *   submitBatch([{ id, model, prompt, json, maxTokens }]) → Promise<batchId>
+ *   getBatch(batchId) →
+ *     Promise<{ done, counts?, results?: [{ id, text?, error?, usage? }] }>
+ * where `results` is set once `done`; a request that failed has `error`
+ * instead of `text`. A batch that fails as a whole throws. `maxBatchBytes`
+ * is the largest batch (JSON request body) the API accepts; callers split
+ * larger sets of requests into several batches.
+ */
+
+import Anthropic from "@anthropic-ai/sdk";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import fetch from "node-fetch";
+
+export const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+export const DEFAULT_GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta";
+export const DEFAULT_ANTHROPIC_API_URL = "https://api.anthropic.com";
+
+const CLAUDE_DEFAULT_MAX_TOKENS = 4096;
+
+// Request size limits of the batch APIs: Gemini takes inline requests up to
+// 20 MB, Anthropic message batches up to 256 MB.
+const GEMINI_MAX_BATCH_BYTES = 20 * 1024 * 1024;
+const CLAUDE_MAX_BATCH_BYTES = 256 * 1024 * 1024;
+
+const providers = new Map();
+
+/**
+ * Fetch a batch API endpoint and parse the response.
+ * @param {string} url
+ * @param {Object} options - fetch options
+ * @param {string} api - API name, for error messages
+ * @param {boolean} [asText] - Return the body text instead of parsed JSON
+ * @returns {Promise<Object|string>}
+ */
+async function batchFetch(url, options, api, asText = false) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const body = await response.text().catch(() => "");
+    const error = new Error(`${api} batch API error at ${url}: ${response.status} ${response.statusText}${body ? ` — ${body.slice(0, 500)}` : ""}`);
+    error.status = response.status;
+    throw error;
+  }
+  return asText ? response.text() : response.json();
+}
+
+/**
+ * Register an LLM provider. Later registrations under the same name replace
+ * earlier ones.
+ * @param {string} name - Provider name (e.g. "claude")
+ * @param {Object} definition
+ * @param {(modelName: string) => boolean} definition.matches - Whether a --model value belongs to this provider
+ * @param {string} definition.modelPattern - How model names look, for error messages (e.g. "claude-*")
+ * @param {string|null} definition.apiKeyEnv - Environment variable holding the API key
+ * @param {boolean} [definition.apiKeyRequired] - Whether a missing API key is an error (default true)
+ * @param {boolean} [definition.batch] - Whether instances implement submitBatch/getBatch (default false)
+ * @param {(options: {apiKey?: string, baseUrl?: string, batchBaseUrl?: string}) => {defaultModel: string, complete: Function}} definition.create
+ */
+export function registerLlmProvider(name, definition) {
+  providers.set(name, { name, apiKeyRequired: true, batch: false, ...definition });
+}
+
+/**
+ * Find the provider a model name belongs to.
+ * @param {string} modelName - Full model name (e.g. "gemini-3.5-flash", "openai:llama3.1")
+ * @returns {Object|null} Provider definition, or null if no provider matches
+ */
+export function resolveLlmProvider(modelName) {
+  for (const provider of providers.values()) {
+    if (provider.matches(modelName)) return provider;
+  }
+  return null;
+}
+
+/**
+ * Model name patterns of all registered providers, for error messages.
+ * @returns {string[]} e.g. ["gemini-*", "claude-*", "openai:<model>"]
+ */
+export function llmModelPatterns() {
+  return [...providers.values()].map((provider) => provider.modelPattern);
+}
+
+/**
+ * Create a provider instance.
+ * @param {string} name - Registered provider name
+ * @param {{apiKey?: string, baseUrl?: string, batchBaseUrl?: string}} [options]
+ * @returns {{name: string, defaultModel: string, complete: Function, submitBatch?: Function, getBatch?: Function}}
+ */
+export function createLlmProvider(name, options = {}) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}"`);
+  }
+  return { name, ...provider.create(options) };
+}
+
+// Terminal states of a Gemini batch other than success.
+const GEMINI_BATCH_FAILED_STATES = new Set(["BATCH_STATE_FAILED", "BATCH_STATE_CANCELLED", "BATCH_STATE_EXPIRED", "JOB_STATE_FAILED", "JOB_STATE_CANCELLED", "JOB_STATE_EXPIRED"]);
+
+registerLlmProvider("gemini", {
+  matches: (modelName) => modelName.startsWith("gemini"),
+  modelPattern: "gemini-*",
+  apiKeyEnv: "GEMINI_API_KEY",
+  batch: true,
+  create({ apiKey, batchBaseUrl = DEFAULT_GEMINI_API_URL }) {
+    const client = new GoogleGenerativeAI(apiKey);
+    const batchApi = batchBaseUrl.replace(/\/+$/, "");
+    const headers = { "Content-Type": "application/json", ...(apiKey && { "x-goog-api-key": apiKey }) };
+    return {
+      defaultModel: "gemini-3.5-flash",
+      maxBatchBytes: GEMINI_MAX_BATCH_BYTES,
+      async complete({ model, prompt, json = false, maxTokens }) {
+        const generationConfig = {
+          ...(json && { responseMimeType: "application/json" }),
+          ...(maxTokens && { maxOutputTokens: maxTokens }),
+        };
+        const generativeModel = client.getGenerativeModel({
+          model,
+          ...(Object.keys(generationConfig).length > 0 && { generationConfig }),
+        });
+        const result = await generativeModel.generateContent(prompt);
+        const response = result.response;
+        return {
+          text: response.text(),
+          usage: {
+            inputTokens: response.usageMetadata?.promptTokenCount || 0,
+            outputTokens: response.usageMetadata?.candidatesTokenCount || 0,
+          },
+        };
+      },
+      // A Gemini batch runs on a single model: the first request's.
+      async submitBatch(requests) {
+        const operation = await batchFetch(`${batchApi}/models/${requests[0].model}:batchGenerateContent`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            batch: {
+              display_name: `auto-minutes-${Date.now()}`,
+              input_config: {
+                requests: {
+                  requests: requests.map(({ id, prompt, json = false, maxTokens }) => ({
+                    request: {
+                      contents: [{ role: "user", parts: [{ text: prompt }] }],
+                      ...((json || maxTokens) && {
+                        generation_config: {
+                          ...(json && { response_mime_type: "application/json" }),
+                          ...(maxTokens && { max_output_tokens: maxTokens }),
+                        },
+                      }),
+                    },
+                    metadata: { key: id },
+                  })),
+                },
+              },
+            },
+          }),
+        }, "Gemini");
+        return operation.name;
+      },
+      async getBatch(batchId) {
+        const operation = await batchFetch(`${batchApi}/${batchId}`, { headers }, "Gemini");
+        const state = operation.metadata?.state;
+        if (GEMINI_BATCH_FAILED_STATES.has(state) || operation.error) {
+          throw new Error(`Gemini batch ${batchId} ended in state ${state || "unknown"}${operation.error?.message ? `: ${operation.error.message}` : ""}`);
+        }
+        if (!operation.done) {
+          return { done: false, counts: operation.metadata?.batchStats || null };
+        }
+        const output = operation.response || operation.metadata?.output || {};
+        const results = (output.inlinedResponses?.inlinedResponses || []).map(({ response, error, metadata }) => {
+          const id = metadata?.key;
+          if (error || !response) {
+            return { id, error: error?.message || "no response" };
+          }
+          return {
+            id,
+            text: (response.candidates?.[0]?.content?.parts || []).map((part) => part.text || "").join(""),
+            usage: {
+              inputTokens: response.usageMetadata?.promptTokenCount || 0,
+              outputTokens: response.usageMetadata?.candidatesTokenCount || 0,
+            },
+          };
+        });
+        return { done: true, results };
+      },
+    };
+  },
+});
+
+registerLlmProvider("claude", {
+  matches: (modelName) => modelName.startsWith("claude"),
+  modelPattern: "claude-*",
+  apiKeyEnv: "ANTHROPIC_API_KEY",
+  batch: true,
+  create({ apiKey, batchBaseUrl = DEFAULT_ANTHROPIC_API_URL }) {
+    const client = new Anthropic({ apiKey });
+    const batchApi = `${batchBaseUrl.replace(/\/+$/, "")}/v1/messages/batches`;
+    const headers = { "Content-Type": "application/json", "anthropic-version": "2023-06-01", ...(apiKey && { "x-api-key": apiKey }) };
+    return {
+      defaultModel: "claude-sonnet-4-6",
+      maxBatchBytes: CLAUDE_MAX_BATCH_BYTES,
+      async complete({ model, prompt, maxTokens = CLAUDE_DEFAULT_MAX_TOKENS }) {
+        // No JSON mode in the Messages API; JSON prompts ask for JSON only.
+        const message = await client.messages.create({
+          model,
+          max_tokens: maxTokens,
+          messages: [{ role: "user", content: prompt }],
+        });
+        return {
+          text: message.content[0].text,
+          usage: {
+            inputTokens: message.usage.input_tokens,
+            outputTokens: message.usage.output_tokens,
+          },
+        };
+      },
+      async submitBatch(requests) {
+        const batch = await batchFetch(batchApi, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            requests: requests.map(({ id, model, prompt, maxTokens = CLAUDE_DEFAULT_MAX_TOKENS }) => ({
+              custom_id: id,
+              params: { model, max_tokens: maxTokens, messages: [{ role: "user", content: prompt }] },
+            })),
+          }),
+        }, "Anthropic");
+        return batch.id;
+      },
+      async getBatch(batchId) {
+        const batch = await batchFetch(`${batchApi}/${batchId}`, { headers }, "Anthropic");
+        if (batch.processing_status !== "ended") {
+          return { done: false, counts: batch.request_counts || null };
+        }
+        // Results are JSON Lines, one per request, in no particular order.
+        const body = await batchFetch(batch.results_url, { headers }, "Anthropic", true);
+        const results = body.split("\n").filter((line) => line.trim()).map((line) => {
+          const { custom_id: id, result } = JSON.parse(line);
+          if (result?.type !== "succeeded") {
+            return { id, error: result?.error?.error?.message || result?.error?.message || result?.type || "no result" };
+          }
+          return {
+            id,
+            text: result.message.content.map((block) => block.text || "").join(""),
+            usage: {
+              inputTokens: result.message.usage?.input_tokens || 0,
+              outputTokens: result.message.usage?.output_tokens || 0,
+            },
+          };
+        });
+        return { done: true, results };
+      },
+    };
+  },
+});
+
+registerLlmProvider("openai", {
+  matches: (modelName) => modelName.startsWith("openai:"),
+  modelPattern: "openai:<model>",
+  apiKeyEnv: "OPENAI_API_KEY",
+  // Local llama.cpp / Ollama servers take no key.
+  apiKeyRequired: false,
+  create({ apiKey, baseUrl = DEFAULT_OPENAI_BASE_URL }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+    return {
+      defaultModel: "openai:gpt-4o-mini",
+      async complete({ model, prompt, json = false, maxTokens }) {
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          },
+          body: JSON.stringify({
+            // Only the first colon separates the prefix: Ollama tags contain colons too.
+            model: model.slice("openai:".length),
+            messages: [{ role: "user", content: prompt }],
+            ...(maxTokens && { max_tokens: maxTokens }),
+            ...(json && { response_format: { type: "json_object" } }),
+          }),
+        });
+        if (!response.ok) {
+          const body = await response.text().catch(() => "");
+          const error = new Error(`OpenAI-compatible API error at ${endpoint}: ${response.status} ${response.statusText}${body ? ` — ${body.slice(0, 500)}` : ""}`);
+          error.status = response.status;
+          throw error;
+        }
+        const data = await response.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== "string") {
+          throw new Error(`OpenAI-compatible API at ${endpoint} returned no message content`);
+        }
+        return {
+          text,
+          usage: {
+            inputTokens: data.usage?.prompt_tokens || 0,
+            outputTokens: data.usage?.completion_tokens || 0,
+          },
+        };
+      },
+    };
+  },
+});
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+
+const mockFetch = jest.fn();
+const mockGetGenerativeModel = jest.fn();
+const mockCreate = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+jest.unstable_mockModule('@google/generative-ai', () => ({
+  GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+    getGenerativeModel: mockGetGenerativeModel,
+  })),
+}));
+
+jest.unstable_mockModule('@anthropic-ai/sdk', () => ({
+  default: jest.fn().mockImplementation(() => ({
+    messages: { create: mockCreate },
+  })),
+}));
+
+const {
+  resolveLlmProvider,
+  createLlmProvider,
+  registerLlmProvider,
+  llmModelPatterns,
+  DEFAULT_OPENAI_BASE_URL,
+} = await import('./llm-providers.js');
+
+function jsonResponse(data, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    json: async () => data,
+    text: async () => JSON.stringify(data),
+  };
+}
+
+beforeEach(() => {
+  mockFetch.mockReset();
+  mockGetGenerativeModel.mockReset();
+  mockCreate.mockReset();
+});
+
+describe('resolveLlmProvider', () => {
+  test.each([
+    ['gemini-3.5-flash', 'gemini'],
+    ['claude-sonnet-4-6', 'claude'],
+    ['openai:gpt-4o-mini', 'openai'],
+    ['openai:llama3.1:8b', 'openai'],
+  ])('maps %s to the %s provider', (modelName, provider) => {
+    expect(resolveLlmProvider(modelName).name).toBe(provider);
+  });
+
+  test('returns null for unknown models', () => {
+    expect(resolveLlmProvider('mistral-large')).toBeNull();
+    expect(llmModelPatterns()).toEqual(expect.arrayContaining(['gemini-*', 'claude-*', 'openai:<model>']));
+  });
+
+  test('picks up newly registered providers', () => {
+    registerLlmProvider('echo', {
+      matches: (modelName) => modelName.startsWith('echo'),
+      modelPattern: 'echo',
+      apiKeyEnv: null,
+      apiKeyRequired: false,
+      create: () => ({
+        defaultModel: 'echo',
+        complete: async ({ prompt }) => ({ text: prompt, usage: { inputTokens: 0, outputTokens: 0 } }),
+      }),
+    });
+
+    expect(resolveLlmProvider('echo').name).toBe('echo');
+  });
+});
+
+describe('openai provider', () => {
+  test('posts a chat completion to the configured base URL and maps usage', async () => {
+    mockFetch.mockResolvedValue(jsonResponse({
+      choices: [{ message: { content: '{"ok": true}' } }],
+      usage: { prompt_tokens: 120, completion_tokens: 8 },
+    }));
+    const llm = createLlmProvider('openai', { baseUrl: 'http://localhost:11434/v1/' });
+
+    const result = await llm.complete({ model: 'openai:llama3.1:8b', prompt: 'Say ok', json: true, maxTokens: 256 });
+
+    expect(result).toEqual({ text: '{"ok": true}', usage: { inputTokens: 120, outputTokens: 8 } });
+    const [url, options] = mockFetch.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(options.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(options.body)).toEqual({
+      model: 'llama3.1:8b',
+      messages: [{ role: 'user', content: 'Say ok' }],
+      max_tokens: 256,
+      response_format: { type: 'json_object' },
+    });
+  });
+
+  test('sends the API key and defaults to the OpenAI endpoint', async () => {
+    mockFetch.mockResolvedValue(jsonResponse({ choices: [{ message: { content: 'Minutes' } }] }));
+    const llm = createLlmProvider('openai', { apiKey: 'sk-test' });
+
+    const result = await llm.complete({ model: 'openai:gpt-4o-mini', prompt: 'Summarize' });
+
+    expect(result).toEqual({ text: 'Minutes', usage: { inputTokens: 0, outputTokens: 0 } });
+    const [url, options] = mockFetch.mock.calls[0];
+    expect(url).toBe(`${DEFAULT_OPENAI_BASE_URL}/chat/completions`);
+    expect(options.headers.Authorization).toBe('Bearer sk-test');
+    expect(JSON.parse(options.body)).not.toHaveProperty('response_format');
+  });
+
+  test('surfaces HTTP errors with their status', async () => {
+    mockFetch.mockResolvedValue(jsonResponse({ error: 'model not found' }, 404));
+    const llm = createLlmProvider('openai', { baseUrl: 'http://localhost:8080/v1' });
+
+    await expect(llm.complete({ model: 'openai:missing', prompt: 'x' })).rejects.toMatchObject({
+      status: 404,
+      message: expect.stringContaining('model not found'),
+    });
+  });
+});
+
+describe('gemini provider', () => {
+  test('requests a JSON response only for JSON queries', async () => {
+    const generateContent = jest.fn().mockResolvedValue({
+      response: { text: () => '{}', usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 1 } },
+    });
+    mockGetGenerativeModel.mockReturnValue({ generateContent });
+    const llm = createLlmProvider('gemini', { apiKey: 'key' });
+
+    await llm.complete({ model: 'gemini-test', prompt: 'a', json: true });
+    await llm.complete({ model: 'gemini-test', prompt: 'b' });
+
+    expect(mockGetGenerativeModel.mock.calls[0][0]).toEqual({
+      model: 'gemini-test',
+      generationConfig: { responseMimeType: 'application/json' },
+    });
+    expect(mockGetGenerativeModel.mock.calls[1][0]).toEqual({ model: 'gemini-test' });
+  });
+});
+
+describe('claude provider', () => {
+  test('always sends a max_tokens cap', async () => {
+    mockCreate.mockResolvedValue({ content: [{ text: 'ok' }], usage: { input_tokens: 3, output_tokens: 1 } });
+    const llm = createLlmProvider('claude', { apiKey: 'key' });
+
+    const result = await llm.complete({ model: 'claude-test', prompt: 'hi' });
+
+    expect(mockCreate.mock.calls[0][0].max_tokens).toBe(4096);
+    expect(result.usage).toEqual({ inputTokens: 3, outputTokens: 1 });
+  });
+});
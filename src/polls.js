@@ -0,0 +1,151 @@
+/**
+ * Polls
+ * Poll results come from datatracker or Meetecho, not from the LLM: the
+ * output stage renders them as a table from the cached .meta.json, and
+ * checkPollClaims() flags poll numbers in the generated minutes that the
+ * recorded results do not contain.
+ */
+
+// Lines that talk about a poll, show of hands or vote. Hums are left out:
+// they have no counts to check.
+const POLL_CLAIM_RE = /\b(?:polls?|polled|show of hands|hands?\s+(?:were\s+)?raised|raised\s+(?:their\s+)?hands?|raise[ds]?\s+(?:of\s+)?hands|votes?|voted)\b/i;
+
+// Words that make a number next to them a count ("15 in favour", "10 hands",
+// "against: 3", "out of 40"), whatever the recorded option labels are.
+const COUNT_WORDS = "people|persons|participants|attendees|present|hands|votes|yes|no opinion|no|in favou?r|against|opposed|objections?|abstentions?|abstained";
+const COUNT_RE = new RegExp(`\\b(\\d+)\\s+(?:${COUNT_WORDS})\\b|\\b(?:${COUNT_WORDS}|out of)\\s*[:=]?\\s*(\\d+)\\b`, "g");
+
+const POLL_MISMATCH_MARK = "*[poll numbers differ from the recorded results]*";
+
+/**
+ * Options and total of a recorded poll. Accepts both normalized polls
+ * ({text, options, total}) and raw Meetecho polls (yes/no/no_opinion counts
+ * and present_when_poll_closed).
+ * @param {Object} poll - Poll from the session context
+ * @returns {{options: Array<{label: string, count: number}>, total: number|undefined}}
+ */
+export function pollOptions(poll) {
+  let options = poll.options;
+  let total = poll.total;
+  if (!options && (poll.yes !== undefined || poll.no !== undefined || poll.no_opinion !== undefined)) {
+    options = [];
+    if (poll.yes !== undefined) options.push({ label: "yes", count: poll.yes });
+    if (poll.no !== undefined) options.push({ label: "no", count: poll.no });
+    if (poll.no_opinion !== undefined) options.push({ label: "no opinion", count: poll.no_opinion });
+    if (total === undefined) total = poll.present_when_poll_closed;
+  }
+  return { options: options || [], total: total ?? undefined };
+}
+
+function tableCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ").trim();
+}
+
+/**
+ * Render a session's recorded polls as a "## Polls" Markdown section.
+ * @param {Array<Object>} polls - Polls from the cached session metadata
+ * @returns {string} Section Markdown, or "" when there are no polls
+ */
+export function renderPollsSection(polls = []) {
+  if (!Array.isArray(polls) || polls.length === 0) {
+    return "";
+  }
+
+  const rows = polls.map((poll) => {
+    const { options, total } = pollOptions(poll);
+    const results = options.map((opt) => `${opt.label}: ${opt.count}`).join(", ");
+    return `| ${tableCell(poll.text)} | ${tableCell(results || "—")} | ${total ?? "—"} |`;
+  });
+  return `## Polls\n\n| Poll | Result | Participants |\n| --- | --- | --- |\n${rows.join("\n")}`;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Find poll claims in generated minutes whose numbers disagree with the
+ * recorded polls. A line counts as a poll claim when it mentions a poll,
+ * show of hands or vote and gives a count: a number attached to an option
+ * label ("12 yes", "no opinion: 9") or to a count phrase ("15 in favour",
+ * "10 hands", "out of 40"). Other numbers ("the 2 proposals", "a 10-minute
+ * break") are not counts and are not checked. A claim is flagged when a count
+ * is attributed to an option with a different recorded count (e.g. "yes: 12"
+ * when 10 voted yes), when a count is not among the recorded counts and
+ * totals at all, or when no poll was recorded.
+ * @param {string} minutes - Generated minutes (Markdown)
+ * @param {Array<Object>} polls - Recorded polls from the session metadata
+ * @returns {Array<{line: number, text: string, reason: string}>} Disagreeing lines (1-based line numbers)
+ */
+export function checkPollClaims(minutes, polls = []) {
+  const recorded = (Array.isArray(polls) ? polls : []).map(pollOptions);
+  const knownNumbers = new Set(recorded.flatMap(({ options, total }) => [...options.map((opt) => Number(opt.count)), Number(total)]));
+  const labels = [...new Set(recorded.flatMap(({ options }) => options.map((opt) => String(opt.label).toLowerCase())))]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+  const flagged = [];
+  minutes.split("\n").forEach((text, index) => {
+    if (/^\s*#/.test(text) || !POLL_CLAIM_RE.test(text)) return;
+
+    // Drop what carries numbers but is not a count: links, drafts, meeting
+    // and RFC numbers, time citations, times, percentages.
+    let claim = text
+      .replace(/\]\([^)]*\)/g, "]")
+      .replace(/\bdraft-[a-z0-9-]+/gi, "")
+      .replace(/\b(?:ietf|rfc)\s*\d+/gi, "")
+      .replace(/\[@[^\]]*\]/g, "")
+      .replace(/\b\d{1,2}:\d{2}(?::\d{2})?\b/g, "")
+      .replace(/\b\d+(?:\.\d+)?\s*%/g, "")
+      .toLowerCase();
+
+    let reason = null;
+    const counts = [];
+    for (const label of labels) {
+      const word = escapeRegExp(label);
+      const pattern = new RegExp(`\\b${word}\\b\\s*[:=]?\\s*(\\d+)\\b|\\b(\\d+)\\s+(?:votes?\\s+|said\\s+|for\\s+)?["“]?${word}\\b`, "g");
+      for (const match of claim.matchAll(pattern)) {
+        const count = Number(match[1] ?? match[2]);
+        counts.push(count);
+        const matches = recorded.some(({ options }) => options.some((opt) => String(opt.label).toLowerCase() === label && Number(opt.count) === count));
+        if (!matches && !reason) {
+          reason = `"${label}: ${count}" does not match the recorded results`;
+        }
+      }
+      // Longer labels go first; remove them so "9 no opinion" is not read as "9 no".
+      claim = claim.replace(pattern, " ");
+    }
+    for (const match of claim.matchAll(COUNT_RE)) {
+      counts.push(Number(match[1] ?? match[2]));
+    }
+    if (counts.length === 0) return;
+
+    if (recorded.length === 0) {
+      reason = "no poll was recorded for this session";
+    } else if (!reason) {
+      const unknown = counts.find((count) => !knownNumbers.has(count));
+      if (unknown !== undefined) {
+        reason = `${unknown} is not among the recorded poll counts`;
+      }
+    }
+    if (reason) {
+      flagged.push({ line: index + 1, text: text.trim(), reason });
+    }
+  });
+  return flagged;
+}
+
+/**
+ * Mark the lines checkPollClaims() flagged, so readers compare them with the
+ * Polls table.
+ * @param {string} minutes - Generated minutes (Markdown)
+ * @param {Array<{line: number}>} flagged - Result of checkPollClaims
+ * @returns {string} Minutes with the flagged lines marked
+ */
+export function markPollMismatches(minutes, flagged) {
+  const lines = new Set(flagged.map((claim) => claim.line));
+  return minutes
+    .split("\n")
+    .map((line, index) => (lines.has(index + 1) ? `${line} ${POLL_MISMATCH_MARK}` : line))
+    .join("\n");
+}
@@ -0,0 +1,87 @@
+import { pollOptions, renderPollsSection, checkPollClaims, markPollMismatches } from './polls.js';
+
+const polls = [
+  { text: 'Adopt draft-ietf-tls-ech?', options: [{ label: 'yes', count: 10 }, { label: 'no', count: 2 }, { label: 'no opinion', count: 9 }], total: 31 },
+  { text: 'Ready for WGLC | now?', yes: 20, no: 1, present_when_poll_closed: 40 },
+];
+
+describe('pollOptions', () => {
+  test('reads normalized and raw Meetecho polls', () => {
+    expect(pollOptions(polls[0])).toEqual({ options: polls[0].options, total: 31 });
+    expect(pollOptions(polls[1])).toEqual({ options: [{ label: 'yes', count: 20 }, { label: 'no', count: 1 }], total: 40 });
+    expect(pollOptions({ text: 'Empty' })).toEqual({ options: [], total: undefined });
+  });
+});
+
+describe('renderPollsSection', () => {
+  test('renders a table row per poll', () => {
+    expect(renderPollsSection(polls)).toBe([
+      '## Polls',
+      '',
+      '| Poll | Result | Participants |',
+      '| --- | --- | --- |',
+      '| Adopt draft-ietf-tls-ech? | yes: 10, no: 2, no opinion: 9 | 31 |',
+      '| Ready for WGLC \\| now? | yes: 20, no: 1 | 40 |',
+    ].join('\n'));
+  });
+
+  test('renders nothing without polls', () => {
+    expect(renderPollsSection([])).toBe('');
+    expect(renderPollsSection(undefined)).toBe('');
+  });
+});
+
+describe('checkPollClaims', () => {
+  test('accepts poll claims that match the recorded results', () => {
+    const minutes = [
+      '## Decisions and Action Items',
+      '- Poll on adopting draft-ietf-tls-ech-03: yes: 10, no: 2, 9 no opinion (31 participants) [@00:12:34]',
+      '- A show of hands for WGLC: 20 yes and 1 no, out of 40 present',
+      '- The poll at IETF 126 showed broad support for RFC 8446 updates',
+      '- Alice will post version 4 of the draft',
+    ].join('\n');
+
+    expect(checkPollClaims(minutes, polls)).toEqual([]);
+  });
+
+  test('flags counts attributed to the wrong option and unknown numbers', () => {
+    const minutes = [
+      '- Poll on adoption: 12 yes, 2 no',
+      '- Show of hands: 9 no, 10 yes',
+      '- Roughly 25 people voted in the WGLC poll',
+    ].join('\n');
+
+    expect(checkPollClaims(minutes, polls)).toEqual([
+      { line: 1, text: '- Poll on adoption: 12 yes, 2 no', reason: '"yes: 12" does not match the recorded results' },
+      { line: 2, text: '- Show of hands: 9 no, 10 yes', reason: '"no: 9" does not match the recorded results' },
+      { line: 3, text: '- Roughly 25 people voted in the WGLC poll', reason: '25 is not among the recorded poll counts' },
+    ]);
+  });
+
+  test('flags numeric poll claims when no poll was recorded', () => {
+    expect(checkPollClaims('- A poll showed 15 in favor', [])).toEqual([
+      { line: 1, text: '- A poll showed 15 in favor', reason: 'no poll was recorded for this session' },
+    ]);
+    expect(checkPollClaims('- A poll showed strong support', [])).toEqual([]);
+  });
+
+  test('ignores numbers that are not poll counts', () => {
+    const minutes = [
+      '- The chairs polled on the 2 proposals',
+      '- A vote after the 10-minute break confirmed the milestone',
+      '- Poll results will be posted to the list within 3 days',
+    ].join('\n');
+
+    expect(checkPollClaims(minutes, polls)).toEqual([]);
+  });
+
+  test('does not treat a hum as a poll', () => {
+    expect(checkPollClaims('- The hum on adoption was strong, with 2 objections', [])).toEqual([]);
+  });
+});
+
+describe('markPollMismatches', () => {
+  test('marks only the flagged lines', () => {
+    expect(markPollMismatches('- a\n- b', [{ line: 2 }])).toBe('- a\n- b *[poll numbers differ from the recorded results]*');
+  });
+});
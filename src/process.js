@@ -0,0 +1,48 @@
+/**
+ * Child process helper shared by the audio pipeline (ffmpeg/ffprobe) and
+ * slide text extraction (pdftotext).
+ */
+
+import { spawn } from "child_process";
+
+/**
+ * Run a child process asynchronously (via spawn, no shell) without blocking the
+ * event loop, unlike execSync/spawnSync. Resolves on exit code 0, rejects with an
+ * Error including the command label and captured stderr otherwise.
+ * @param {string} command - Executable to run (e.g. "ffmpeg", "ffprobe")
+ * @param {string[]} args - Argument array (no shell involved, so no quoting/injection concerns)
+ * @param {{verbose?: boolean, captureStdout?: boolean, label?: string}} [opts]
+ * @returns {Promise<string|undefined>} Captured stdout (utf-8) when captureStdout is true, otherwise undefined
+ */
+export function runProcess(command, args, { verbose = false, captureStdout = false, label = command } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    const stdoutChunks = [];
+    const stderrChunks = [];
+
+    if (captureStdout) {
+      child.stdout.on("data", (chunk) => stdoutChunks.push(chunk));
+    } else if (verbose) {
+      child.stdout.pipe(process.stdout);
+    }
+
+    if (verbose) {
+      child.stderr.pipe(process.stderr);
+    } else {
+      child.stderr.on("data", (chunk) => stderrChunks.push(chunk));
+    }
+
+    child.on("error", (error) => {
+      reject(new Error(`${label} failed to start: ${error.message}`));
+    });
+
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve(captureStdout ? Buffer.concat(stdoutChunks).toString("utf-8") : undefined);
+      } else {
+        const stderr = Buffer.concat(stderrChunks).toString("utf-8").trim();
+        reject(new Error(`${label} exited with code ${code}${stderr ? `: ${stderr}` : ""}`));
+      }
+    });
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * Prompt Templates
+ * LLM prompts live in templates/prompts/<name>.md, with {{variable}}
+ * placeholders filled in by the caller. A group can override any of them
+ * with templates/prompts/wg/<group>/<name>.md, and the minutes prompt alone
+ * with templates/prompts/wg/<group>.md (e.g. wg/quic.md), where <group> is
+ * the sanitized session name.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { sanitizeSessionName } from "./publisher.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, "..", "templates", "prompts");
+let promptsDir = DEFAULT_PROMPTS_DIR;
+
+// Template file contents by path (null for files that do not exist).
+const templateCache = new Map();
+
+/**
+ * Set the directory prompt templates are read from
+ * @param {string|null} dir - Directory, or null for templates/prompts
+ */
+export function setPromptsDir(dir) {
+  promptsDir = dir || DEFAULT_PROMPTS_DIR;
+  templateCache.clear();
+}
+
+async function readTemplateFile(file) {
+  if (!templateCache.has(file)) {
+    let text = null;
+    try {
+      // Template files end with a newline the prompt itself does not have.
+      text = (await fs.readFile(file, "utf-8")).replace(/\r?\n$/, "");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    templateCache.set(file, text);
+  }
+  return templateCache.get(file);
+}
+
+/**
+ * Load a prompt template, preferring the group's override when there is one.
+ * @param {string} name - Template name (file name without .md)
+ * @param {string|null} groupName - Session name whose overrides apply
+ * @returns {Promise<{text: string, file: string}>} Template text and the file it came from
+ */
+export async function loadPromptTemplate(name, groupName = null) {
+  const candidates = [];
+  const group = groupName ? sanitizeSessionName(groupName) : "";
+  if (group) {
+    candidates.push(path.join(promptsDir, "wg", group, `${name}.md`));
+    if (name === "minutes") {
+      candidates.push(path.join(promptsDir, "wg", `${group}.md`));
+    }
+  }
+  candidates.push(path.join(promptsDir, `${name}.md`));
+
+  for (const file of candidates) {
+    const text = await readTemplateFile(file);
+    if (text !== null) return { text, file };
+  }
+  throw new Error(`Prompt template "${name}" not found (looked for ${candidates.join(", ")})`);
+}
+
+/**
+ * Fill in a template's {{variable}} placeholders. Values are inserted as-is
+ * and not scanned for further placeholders, so transcripts and comments
+ * containing braces pass through untouched.
+ * @param {string} template - Template text
+ * @param {Object<string, string|number>} variables - Placeholder values
+ * @param {string} [source] - Template file, for error messages
+ * @returns {string} Rendered prompt
+ */
+export function renderPromptTemplate(template, variables, source = "prompt template") {
+  return template.replace(/\{\{\s*([A-Za-z][A-Za-z0-9]*)\s*\}\}/g, (match, key) => {
+    if (!Object.hasOwn(variables, key)) {
+      throw new Error(`Unknown variable {{${key}}} in ${source}; available: ${Object.keys(variables).join(", ")}`);
+    }
+    return String(variables[key]);
+  });
+}
+
+/**
+ * Load and render a prompt template for a session.
+ * @param {string} name - Template name (file name without .md)
+ * @param {string|null} groupName - Session name whose overrides apply
+ * @param {Object<string, string|number>} variables - Placeholder values
+ * @returns {Promise<string>} Rendered prompt
+ */
+export async function buildPrompt(name, groupName, variables) {
+  const { text, file } = await loadPromptTemplate(name, groupName);
+  return renderPromptTemplate(text, variables, file);
+}
@@ -0,0 +1,81 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  setPromptsDir,
+  loadPromptTemplate,
+  renderPromptTemplate,
+  buildPrompt,
+} from './prompts.js';
+
+const defaultPromptsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates', 'prompts');
+
+let promptsDir;
+
+beforeEach(async () => {
+  promptsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompts-'));
+  await fs.cp(defaultPromptsDir, promptsDir, { recursive: true });
+  await fs.mkdir(path.join(promptsDir, 'wg', 'quic'), { recursive: true });
+  setPromptsDir(promptsDir);
+});
+
+afterEach(async () => {
+  setPromptsDir(null);
+  await fs.rm(promptsDir, { recursive: true, force: true });
+});
+
+describe('loadPromptTemplate', () => {
+  test('loads the default template without its trailing newline', async () => {
+    const { text, file } = await loadPromptTemplate('minutes', 'TLS');
+    expect(file).toBe(path.join(promptsDir, 'minutes.md'));
+    expect(text.startsWith('You are an expert technical writer for the IETF.')).toBe(true);
+    expect(text.endsWith('{{outputRequest}}')).toBe(true);
+  });
+
+  test('prefers a group-wide minutes override, matched on the sanitized session name', async () => {
+    await fs.writeFile(path.join(promptsDir, 'wg', 'quic.md'), 'QUIC style for {{sessionName}}\n');
+
+    const { text } = await loadPromptTemplate('minutes', 'QUIC');
+    expect(text).toBe('QUIC style for {{sessionName}}');
+    await expect(loadPromptTemplate('amend', 'QUIC')).resolves.toMatchObject({ file: path.join(promptsDir, 'amend.md') });
+  });
+
+  test('prefers a per-template group override over both', async () => {
+    await fs.writeFile(path.join(promptsDir, 'wg', 'quic.md'), 'group-wide\n');
+    await fs.writeFile(path.join(promptsDir, 'wg', 'quic', 'minutes.md'), 'per-template\n');
+    await fs.writeFile(path.join(promptsDir, 'wg', 'quic', 'minutes-format.md'), '- Use numbered lists\n');
+
+    await expect(loadPromptTemplate('minutes', 'QUIC')).resolves.toMatchObject({ text: 'per-template' });
+    await expect(loadPromptTemplate('minutes-format', 'QUIC')).resolves.toMatchObject({ text: '- Use numbered lists' });
+  });
+
+  test('names the files it looked for when a template is missing', async () => {
+    await expect(loadPromptTemplate('nonexistent', 'QUIC')).rejects.toThrow(
+      `Prompt template "nonexistent" not found (looked for ${path.join(promptsDir, 'wg', 'quic', 'nonexistent.md')}`,
+    );
+  });
+});
+
+describe('renderPromptTemplate', () => {
+  test('fills placeholders without rescanning inserted values', () => {
+    expect(renderPromptTemplate('Session {{ sessionName }}: {{transcript}}', {
+      sessionName: 'QUIC',
+      transcript: 'said {{sessionName}} literally',
+    })).toBe('Session QUIC: said {{sessionName}} literally');
+  });
+
+  test('rejects unknown placeholders', () => {
+    expect(() => renderPromptTemplate('{{sesionName}}', { sessionName: 'QUIC' }, 'wg/quic.md'))
+      .toThrow('Unknown variable {{sesionName}} in wg/quic.md; available: sessionName');
+  });
+});
+
+describe('buildPrompt', () => {
+  test('renders a group override with the standard variables', async () => {
+    await fs.writeFile(path.join(promptsDir, 'wg', 'quic.md'), 'Minutes for {{sessionName}}:\n\n{{transcript}}\n');
+
+    await expect(buildPrompt('minutes', 'QUIC', { sessionName: 'QUIC', transcript: '[]' }))
+      .resolves.toBe('Minutes for QUIC:\n\n[]');
+  });
+});
@@ -7,6 +7,7 @@ import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
+import { buildCaptionCues, renderWebVtt, renderSrt } from "./captions.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,6 +15,20 @@ const __dirname = dirname(__filename);
 const AMEND_ISSUE_REPO = "ietf-minutes/ietf-minutes-data";
 const AMEND_ISSUE_TEMPLATE = "amend-minutes.yml";
 
+const GROUP_TYPE_LABELS = {
+  wg: "Working Group",
+  rg: "Research Group",
+  ag: "Area Group",
+  rag: "Research Area Group",
+  bof: "BOF",
+  area: "Area",
+  dir: "Directorate",
+  team: "Team",
+  program: "Program",
+  ietf: "IETF",
+  irtf: "IRTF",
+};
+
 /**
  * Sanitize a session name to create a valid filename
  * @param {string} sessionName - Name of the session
@@ -80,6 +95,91 @@ export function addInlineDraftLinks(content) {
   );
 }
 
+// Time citations the LLM writes into minutes: [@HH:MM:SS], or [@N/HH:MM:SS]
+// once tagged with the number of the session (within its group) they refer to.
+const TIME_CITATION_RE = /\[@(?:(\d+)\/)?(\d{1,2}):(\d{2}):(\d{2})\]/g;
+
+/**
+ * Tag the time citations of one session's minutes with the session's number
+ * within its group, so they still point at the right recording once the
+ * group's minutes are concatenated.
+ * @param {string} minutes - Minutes of one session
+ * @param {number} sessionNumber - 1-based position of the session in its group
+ * @returns {string} Minutes with [@N/HH:MM:SS] citations
+ */
+export function tagTimeCitations(minutes, sessionNumber) {
+  return minutes.replace(TIME_CITATION_RE, (match, tagged, h, m, sec) => `[@${sessionNumber}/${h.padStart(2, "0")}:${m}:${sec}]`);
+}
+
+function transcriptAnchorId(sessionNumber, seconds) {
+  return `t${sessionNumber}-${seconds}`;
+}
+
+/**
+ * Add an HTML anchor before each "[HH:MM:SS]"-prefixed line of a transcript,
+ * for time citations in the minutes to link to.
+ * @param {string} transcript - One session's transcript
+ * @param {number} sessionNumber - 1-based position of the session in its group
+ * @returns {{text: string, anchors: number[]}} Transcript with anchors, and the anchored offsets in seconds, ascending
+ */
+export function addTranscriptAnchors(transcript, sessionNumber) {
+  const anchors = [];
+  const text = transcript.split("\n").map((line) => {
+    const match = line.match(/^\s*\[(\d{1,2}):(\d{2}):(\d{2})\]/);
+    if (!match) return line;
+    const seconds = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+    if (anchors.includes(seconds)) return line;
+    anchors.push(seconds);
+    return `<a id="${transcriptAnchorId(sessionNumber, seconds)}"></a>${line}`;
+  }).join("\n");
+  return { text, anchors: anchors.sort((a, b) => a - b) };
+}
+
+/**
+ * Link to a point in a recording, via the player's t (seconds) parameter,
+ * which both the Meetecho player and YouTube accept.
+ * @param {string} recordingUrl - Session recording URL
+ * @param {number} seconds - Offset into the recording
+ * @returns {string|null} Deep link, or null if the URL cannot be parsed
+ */
+export function recordingDeepLink(recordingUrl, seconds) {
+  try {
+    const url = new URL(recordingUrl);
+    url.searchParams.set("t", String(seconds));
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replace time citations with links to the recording and to the nearest
+ * earlier anchor on the transcript page.
+ * @param {string} content - Minutes Markdown with [@HH:MM:SS] / [@N/HH:MM:SS] citations
+ * @param {Array<string>} recordingUrls - Recording URL per session of the group
+ * @param {string|null} transcriptFile - Transcript page, relative to the minutes
+ * @param {Array<number[]>} transcriptAnchors - Anchored offsets per session (from addTranscriptAnchors)
+ * @returns {string} Content with linked citations
+ */
+export function linkTimeCitations(content, recordingUrls = [], transcriptFile = null, transcriptAnchors = []) {
+  return content.replace(TIME_CITATION_RE, (match, tagged, h, m, sec) => {
+    const sessionNumber = tagged ? Number(tagged) : 1;
+    const time = `${h.padStart(2, "0")}:${m}:${sec}`;
+    const seconds = Number(h) * 3600 + Number(m) * 60 + Number(sec);
+
+    const links = [];
+    const recordingUrl = recordingUrls[sessionNumber - 1];
+    const deepLink = recordingUrl ? recordingDeepLink(recordingUrl, seconds) : null;
+    links.push(deepLink ? `[▶ ${time}](${deepLink})` : time);
+
+    const anchor = (transcriptAnchors[sessionNumber - 1] || []).filter((offset) => offset <= seconds).pop();
+    if (transcriptFile && anchor !== undefined) {
+      links.push(`[transcript](${transcriptFile}#${transcriptAnchorId(sessionNumber, anchor)})`);
+    }
+    return `(${links.join(" · ")})`;
+  });
+}
+
 /**
  * Check if minutes already exist for a session
  * @param {string} sessionName - Name of the session
@@ -207,6 +307,18 @@ function getCacheMetaFile(meetingNumber, sessionId) {
   return path.join(getCacheDir(meetingNumber), `${sessionId}.meta.json`);
 }
 
+function getOfficialMinutesFile(meetingNumber, sessionId) {
+  return path.join(getCacheDir(meetingNumber), `${sessionId}.official.json`);
+}
+
+function getStructuredMinutesFile(meetingNumber, sessionId) {
+  return path.join(getCacheDir(meetingNumber), `${sessionId}.minutes.json`);
+}
+
+function getActionItemsFile(meetingNumber, sessionId) {
+  return path.join(getCacheDir(meetingNumber), `${sessionId}.actions.json`);
+}
+
 /**
  * Check if cached minutes exist for a specific session ID
  * @param {number} meetingNumber - IETF meeting number
@@ -270,6 +382,124 @@ export async function getCachedMetadata(meetingNumber, sessionId) {
   }
 }
 
+/**
+ * Save the chairs' official minutes for a session next to the generated ones
+ * @param {number|string} meetingNumber - IETF meeting number or date string
+ * @param {string} sessionId - Session ID
+ * @param {{name: string, title: string, url: string, text: string|null}} minutes - Result of fetchOfficialMinutes
+ */
+export async function saveOfficialMinutes(meetingNumber, sessionId, minutes) {
+  const cacheDir = getCacheDir(meetingNumber);
+  await fs.mkdir(cacheDir, { recursive: true });
+
+  const officialPath = getOfficialMinutesFile(meetingNumber, sessionId);
+  await fs.writeFile(officialPath, JSON.stringify(minutes, null, 2), "utf-8");
+}
+
+/**
+ * Load the cached official minutes for a session. Returns null if not present.
+ * @param {number|string} meetingNumber - IETF meeting number or date string
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} {name, title, url, text}, or null if not cached
+ */
+export async function getCachedOfficialMinutes(meetingNumber, sessionId) {
+  try {
+    const content = await fs.readFile(getOfficialMinutesFile(meetingNumber, sessionId), "utf-8");
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save structured (JSON) minutes next to the Markdown minutes rendered from them
+ * @param {number|string} meetingNumber - IETF meeting number or date string
+ * @param {string} sessionId - Session ID
+ * @param {Object} structured - Validated structured minutes document (see structured-minutes.js)
+ */
+export async function saveStructuredMinutes(meetingNumber, sessionId, structured) {
+  const cacheDir = getCacheDir(meetingNumber);
+  await fs.mkdir(cacheDir, { recursive: true });
+
+  const structuredPath = getStructuredMinutesFile(meetingNumber, sessionId);
+  await fs.writeFile(structuredPath, JSON.stringify(structured, null, 2), "utf-8");
+}
+
+/**
+ * Load the cached structured minutes for a session. Returns null if not present.
+ * @param {number|string} meetingNumber - IETF meeting number or date string
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Structured minutes document, or null if not cached
+ */
+export async function getCachedStructuredMinutes(meetingNumber, sessionId) {
+  try {
+    const content = await fs.readFile(getStructuredMinutesFile(meetingNumber, sessionId), "utf-8");
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete the structured minutes of a session, e.g. once the Markdown minutes
+ * have been amended and no longer match them
+ * @param {number|string} meetingNumber - IETF meeting number or date string
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if a file was deleted
+ */
+export async function deleteStructuredMinutes(meetingNumber, sessionId) {
+  try {
+    await fs.unlink(getStructuredMinutesFile(meetingNumber, sessionId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Save the action items and decisions extracted from a session's minutes
+ * @param {number|string} meetingNumber - IETF meeting number or date string
+ * @param {string} sessionId - Session ID
+ * @param {Object} actions - {sessionId, sessionName, actionItems, decisions} (see action-items.js)
+ */
+export async function saveActionItems(meetingNumber, sessionId, actions) {
+  const cacheDir = getCacheDir(meetingNumber);
+  await fs.mkdir(cacheDir, { recursive: true });
+
+  await fs.writeFile(getActionItemsFile(meetingNumber, sessionId), JSON.stringify(actions, null, 2), "utf-8");
+}
+
+/**
+ * Load the cached action items of a session. Returns null if not present.
+ * @param {number|string} meetingNumber - IETF meeting number or date string
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} {sessionId, sessionName, actionItems, decisions}, or null if not cached
+ */
+export async function getCachedActionItems(meetingNumber, sessionId) {
+  try {
+    const content = await fs.readFile(getActionItemsFile(meetingNumber, sessionId), "utf-8");
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete the extracted action items of a session, e.g. once its minutes have
+ * been amended and no longer match them
+ * @param {number|string} meetingNumber - IETF meeting number or date string
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if a file was deleted
+ */
+export async function deleteActionItems(meetingNumber, sessionId) {
+  try {
+    await fs.unlink(getActionItemsFile(meetingNumber, sessionId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Load cached minutes for a specific session ID
  * @param {number} meetingNumber - IETF meeting number
@@ -291,7 +521,7 @@ export async function getCachedSessionIds(meetingNumber) {
 
   try {
     const entries = await fs.readdir(cacheDir);
-    return entries.filter((entry) => !entry.startsWith(".") && !entry.endsWith('.meta.json'));
+    return entries.filter((entry) => !entry.startsWith(".") && !entry.endsWith('.meta.json') && !entry.endsWith('.official.json') && !entry.endsWith('.minutes.json') && !entry.endsWith('.actions.json'));
   } catch (error) {
     // Cache directory doesn't exist yet
     return [];
@@ -301,7 +531,8 @@ export async function getCachedSessionIds(meetingNumber) {
 /**
  * Save session metadata manifest to cache
  * @param {number} meetingNumber - IETF meeting number
- * @param {Array<Object>} sessionGroups - Array of {sessionName, sessions: [{sessionId, recordingUrl}]}
+ * @param {Array<Object>} sessionGroups - Array of {sessionName, chairs?, area?, groupType?,
+ *   sessions: [{sessionId, recordingUrl, room?, startTime?, durationMinutes?}]}
  */
 export async function saveCacheManifest(meetingNumber, sessionGroups) {
   const cacheDir = getCacheDir(meetingNumber);
@@ -325,7 +556,8 @@ export async function saveCacheManifest(meetingNumber, sessionGroups) {
 /**
  * Load session metadata manifest from cache
  * @param {number} meetingNumber - IETF meeting number
- * @returns {Promise<Array<Object>>} Array of {sessionName, sessions: [{sessionId, recordingUrl}]}
+ * @returns {Promise<Array<Object>>} Array of {sessionName, chairs?, area?, groupType?,
+ *   sessions: [{sessionId, recordingUrl, room?, startTime?, durationMinutes?}]}
  */
 export async function loadCacheManifest(meetingNumber) {
   const cacheDir = getCacheDir(meetingNumber);
@@ -337,7 +569,7 @@ export async function loadCacheManifest(meetingNumber) {
 }
 
 /**
- * Delete cached minutes and metadata for a specific session
+ * Delete cached minutes, structured minutes, action items, metadata and official minutes for a specific session
  * @param {number|string} meetingId - IETF meeting number or date string
  * @param {string} sessionId - Session ID
  * @returns {Promise<boolean>} True if files were deleted
@@ -360,6 +592,20 @@ export async function deleteCachedMinutes(meetingId, sessionId) {
     // File doesn't exist
   }
 
+  try {
+    await fs.unlink(getOfficialMinutesFile(meetingId, sessionId));
+  } catch {
+    // File doesn't exist
+  }
+
+  try {
+    await fs.unlink(getActionItemsFile(meetingId, sessionId));
+  } catch {
+    // File doesn't exist
+  }
+
+  await deleteStructuredMinutes(meetingId, sessionId);
+
   return deleted;
 }
 
@@ -397,6 +643,44 @@ export async function deleteCacheDir(meetingId) {
   return false;
 }
 
+/**
+ * Human-readable label for a datatracker group type slug.
+ * @param {string|null} groupType - Group type (e.g., "wg", "rg", "bof")
+ * @returns {string|null} Label (e.g., "Working Group"), or null if no type
+ */
+export function groupTypeLabel(groupType) {
+  if (!groupType) return null;
+  return GROUP_TYPE_LABELS[groupType] || groupType.toUpperCase();
+}
+
+/**
+ * Format a session group's descriptive metadata as a single markdown line
+ * for the minutes header.
+ * @param {Object|null} sessionInfo - {chairs, area, groupType, rooms, durationsMinutes}
+ * @returns {string} Markdown line, or "" if there is nothing to show
+ */
+export function formatSessionDetails(sessionInfo) {
+  if (!sessionInfo) return "";
+  const parts = [];
+  if (sessionInfo.chairs?.length > 0) {
+    parts.push(`**${sessionInfo.chairs.length === 1 ? "Chair" : "Chairs"}:** ${sessionInfo.chairs.join(", ")}`);
+  }
+  if (sessionInfo.area) {
+    parts.push(`**Area:** ${sessionInfo.area.toUpperCase()}`);
+  }
+  const typeLabel = groupTypeLabel(sessionInfo.groupType);
+  if (typeLabel) {
+    parts.push(`**Group Type:** ${typeLabel}`);
+  }
+  if (sessionInfo.rooms?.length > 0) {
+    parts.push(`**Room:** ${sessionInfo.rooms.join(", ")}`);
+  }
+  if (sessionInfo.durationsMinutes?.length > 0) {
+    parts.push(`**Scheduled Duration:** ${sessionInfo.durationsMinutes.map((m) => `${m} min`).join(", ")}`);
+  }
+  return parts.join(" | ");
+}
+
 /**
  * Build the prefilled amend-minutes issue URL for a session, or null if unavailable.
  * @param {number|string} meetingId - IETF meeting number or date string
@@ -422,6 +706,10 @@ export function buildAmendIssueUrl(meetingId, sessionName) {
  * @param {Array<string>} recordingUrls - Array of recording URLs for this session
  * @param {string} transcriptFile - Optional filename of transcript file relative to output dir
  * @param {number|string} meetingId - IETF meeting number or date string
+ * @param {Object|null} sessionInfo - Chairs, area, group type, rooms and scheduled durations for the header (see formatSessionDetails)
+ * @param {Array<string>} officialMinutesUrls - Datatracker URLs of the chairs' own minutes, for comparison
+ * @param {Array<number[]>} transcriptAnchors - Anchored transcript offsets per session, for time citation links
+ * @param {Array<{vtt: string, srt: string}|null>} captionFiles - Caption files per session (see saveSessionCaptions), null where none
  */
 export async function saveMinutes(
   sessionName,
@@ -430,6 +718,10 @@ export async function saveMinutes(
   recordingUrls = [],
   transcriptFile = null,
   meetingId = null,
+  sessionInfo = null,
+  officialMinutesUrls = [],
+  transcriptAnchors = [],
+  captionFiles = [],
 ) {
   // A body that's empty or just the title header means nothing usable was
   // generated (e.g. from an unvalidated empty transcript) — never publish it.
@@ -453,6 +745,13 @@ export async function saveMinutes(
     header += ` | [Transcript](${transcriptFile})`;
   }
 
+  // Add caption links, numbered like the recordings when there are several
+  for (const [idx, files] of captionFiles.entries()) {
+    if (!files) continue;
+    const label = captionFiles.length > 1 ? `Captions ${idx + 1}` : "Captions";
+    header += ` | ${label}: [WebVTT](${files.vtt}), [SRT](${files.srt})`;
+  }
+
   // Add recording link(s)
   if (recordingUrls.length > 0) {
     if (recordingUrls.length === 1) {
@@ -474,6 +773,16 @@ export async function saveMinutes(
     header += ` | [Session Materials](${materialsUrl})`;
   }
 
+  // Add link(s) to the minutes the chairs uploaded, when there are any
+  if (officialMinutesUrls.length === 1) {
+    header += ` | [Official Minutes](${officialMinutesUrls[0]})`;
+  } else if (officialMinutesUrls.length > 1) {
+    const officialLinks = officialMinutesUrls
+      .map((url, idx) => `[Official Minutes ${idx + 1}](${url})`)
+      .join(" | ");
+    header += ` | ${officialLinks}`;
+  }
+
   const amendUrl = buildAmendIssueUrl(meetingId, sessionName);
 
   // When a correction link is available, combine it with the leading Session
@@ -505,10 +814,18 @@ export async function saveMinutes(
   const draftMatches = content.match(/\bdraft-[a-zA-Z0-9-]+\b/gi) || [];
   const allDrafts = new Set(draftMatches.map(d => d.toLowerCase()));
 
+  // Chairs, area, group type, room and duration, when known.
+  const sessionDetails = formatSessionDetails(sessionInfo);
+  if (sessionDetails) {
+    header += `\n\n${sessionDetails}`;
+  }
+
   let contentWithLinks = `${header}\n\n${sessionMetaBlock}${bodyContent}`;
 
-  // Add inline draft links to the content
+  // Add inline draft links to the content, then turn time citations into
+  // recording and transcript links (after, so they are not linkified twice)
   contentWithLinks = addInlineDraftLinks(contentWithLinks);
+  contentWithLinks = linkTimeCitations(contentWithLinks, recordingUrls, transcriptFile, transcriptAnchors);
 
   // Append a "Related Documents" summary section listing all referenced drafts
   if (allDrafts.size > 0) {
@@ -523,9 +840,110 @@ export async function saveMinutes(
   const mdFilepath = path.join(outputDir, mdFilename);
   await fs.writeFile(mdFilepath, contentWithLinks, "utf-8");
 
-  // Write text file (same content)
+  // Write text file (same content, with citations as plain times)
   const txtFilepath = path.join(outputDir, txtFilename);
-  await fs.writeFile(txtFilepath, content, "utf-8");
+  const plainContent = content.replace(TIME_CITATION_RE, (match, tagged, h, m, sec) => `[${h.padStart(2, "0")}:${m}:${sec}]`);
+  await fs.writeFile(txtFilepath, plainContent, "utf-8");
+}
+
+/**
+ * Write WebVTT and SRT captions for each session of a group that has a timed
+ * transcript, as <group>-captions.vtt/.srt next to its minutes (numbered
+ * <group>-captions-N.* when the group has several sessions). A session
+ * without one has its caption files from an earlier run removed.
+ * @param {string} sessionName - Name of the session group
+ * @param {Array<Object|null>} sessionTranscripts - Canonical transcript per session (null where none)
+ * @param {string} outputDir - Directory to save to
+ * @returns {Promise<Array<{vtt: string, srt: string}|null>>} File names written per session, null where no captions were written
+ */
+export async function saveSessionCaptions(sessionName, sessionTranscripts, outputDir) {
+  const baseName = `${sanitizeSessionName(sessionName)}-captions`;
+  const captionFiles = [];
+  for (const [idx, transcript] of sessionTranscripts.entries()) {
+    const name = sessionTranscripts.length > 1 ? `${baseName}-${idx + 1}` : baseName;
+    const files = { vtt: `${name}.vtt`, srt: `${name}.srt` };
+    if (!transcript || buildCaptionCues(transcript).length === 0) {
+      await Promise.all(Object.values(files).map((file) => fs.rm(path.join(outputDir, file), { force: true })));
+      captionFiles.push(null);
+      continue;
+    }
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(path.join(outputDir, files.vtt), renderWebVtt(transcript), "utf-8");
+    await fs.writeFile(path.join(outputDir, files.srt), renderSrt(transcript), "utf-8");
+    captionFiles.push(files);
+  }
+  return captionFiles;
+}
+
+/**
+ * Write the action items and decisions of a session group's sessions as one
+ * <group>-actions.json next to its minutes, or remove the file from an
+ * earlier run once none of them has action items or decisions left
+ * @param {string} sessionName - Name of the session group
+ * @param {Array<Object|null>} sessionActions - Cached actions.json document per session (null where none)
+ * @param {string} outputDir - Directory to save to
+ * @returns {Promise<string|null>} File name written, or null if no session has extracted actions
+ */
+export async function saveGroupActionItems(sessionName, sessionActions, outputDir) {
+  const filename = `${sanitizeSessionName(sessionName)}-actions.json`;
+  const extracted = sessionActions.filter(Boolean);
+  if (!extracted.some((actions) => actions.actionItems.length > 0 || actions.decisions.length > 0)) {
+    await fs.rm(path.join(outputDir, filename), { force: true });
+    return null;
+  }
+
+  const withSession = (actions) => (item) => ({ sessionId: actions.sessionId, ...item });
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(
+    path.join(outputDir, filename),
+    JSON.stringify(
+      {
+        sessionName,
+        actionItems: extracted.flatMap((actions) => actions.actionItems.map(withSession(actions))),
+        decisions: extracted.flatMap((actions) => actions.decisions.map(withSession(actions))),
+      },
+      null,
+      2,
+    ),
+    "utf-8",
+  );
+  return filename;
+}
+
+/**
+ * Render a WG's "Open action items" page: the action items of its meetings,
+ * newest meeting first, each linked to the point in the recording where it
+ * was agreed when the transcript time is known.
+ * @param {string} displayName - WG name
+ * @param {Array<{label: string, minutesPath: string, recordingUrls: string[], sessions: Array<Object|null>}>} meetings -
+ *   Meetings in display order, with the cached actions.json document of each session of the group
+ * @returns {string} Page Markdown
+ */
+export function renderActionItemsPage(displayName, meetings) {
+  let content = `# Open action items: ${displayName}\n\n`;
+  content += "Action items recorded in the minutes of each meeting, newest first. Completion is not tracked; the next meeting's minutes say what became of them.\n";
+
+  for (const meeting of meetings) {
+    const lines = [];
+    meeting.sessions.forEach((actions, index) => {
+      for (const item of actions?.actionItems || []) {
+        let line = `- **Action${item.owner ? ` (${item.owner})` : ""}:** ${item.description}`;
+        if (item.draft && !item.description.toLowerCase().includes(item.draft)) {
+          line += ` (${item.draft})`;
+        }
+        if (item.transcriptOffset?.time) {
+          line += ` [@${index + 1}/${item.transcriptOffset.time}]`;
+        }
+        lines.push(line);
+      }
+    });
+    if (lines.length > 0) {
+      content += `\n## [${meeting.label}](${meeting.minutesPath})\n\n`;
+      content += linkTimeCitations(addInlineDraftLinks(lines.join("\n")), meeting.recordingUrls) + "\n";
+    }
+  }
+
+  return content;
 }
 
 /**
@@ -623,7 +1041,15 @@ export async function generateWgPages(siteDir = "site") {
           wgMeetings.set(key, { displayName: group.sessionName, meetings: [] });
         }
         const label = isPlenary ? `IETF ${meetingId} (${date})` : `Interim ${meetingId}`;
-        wgMeetings.get(key).meetings.push({ id: meetingId, date, label, linkPath });
+        const actions = await Promise.all(group.sessions.map((session) => getCachedActionItems(meetingId, session.sessionId)));
+        wgMeetings.get(key).meetings.push({
+          id: meetingId,
+          date,
+          label,
+          linkPath,
+          recordingUrls: group.sessions.map((session) => session.recordingUrl),
+          actions,
+        });
       }
     } catch (error) {
       console.warn(
@@ -649,6 +1075,23 @@ export async function generateWgPages(siteDir = "site") {
 
     let content = `# ${displayName}\n\n`;
 
+    // Action items page, for WGs with extracted action items (--extract-actions);
+    // removed once a WG has none left, so no stale page stays published
+    const actionsPath = path.join(wgDir, `${key}-actions.md`);
+    const hasActions = meetings.some((meeting) => meeting.actions.some((actions) => actions?.actionItems?.length));
+    if (hasActions) {
+      const actionsPage = renderActionItemsPage(displayName, meetings.map((meeting) => ({
+        label: meeting.label,
+        minutesPath: `../${meeting.linkPath}/${key}.html`,
+        recordingUrls: meeting.recordingUrls,
+        sessions: meeting.actions,
+      })));
+      await fs.writeFile(actionsPath, actionsPage, "utf-8");
+      content += `[Open action items](${key}-actions.html)\n\n`;
+    } else {
+      await fs.rm(actionsPath, { force: true });
+    }
+
     for (const meeting of meetings) {
       content += `- [${meeting.label}](../${meeting.linkPath}/${key}.html)\n`;
     }
@@ -2,7 +2,7 @@
  * Tests for publisher utilities
  */
 
-import { extractDraftsFromTranscript, addInlineDraftLinks, buildAmendIssueUrl, saveMinutes } from './publisher.js';
+import { extractDraftsFromTranscript, addInlineDraftLinks, buildAmendIssueUrl, saveMinutes, formatSessionDetails, groupTypeLabel, tagTimeCitations, addTranscriptAnchors, linkTimeCitations, saveGroupActionItems, saveSessionCaptions, renderActionItemsPage } from './publisher.js';
 import fs from 'fs/promises';
 import os from 'os';
 import path from 'path';
@@ -126,6 +126,54 @@ describe('buildAmendIssueUrl', () => {
   });
 });
 
+describe('formatSessionDetails', () => {
+  test('renders chairs, area, type, rooms and durations in one line', () => {
+    expect(formatSessionDetails({
+      chairs: ['Alice', 'Bob'],
+      area: 'sec',
+      groupType: 'wg',
+      rooms: ['Room 2'],
+      durationsMinutes: [90, 60],
+    })).toBe('**Chairs:** Alice, Bob | **Area:** SEC | **Group Type:** Working Group | **Room:** Room 2 | **Scheduled Duration:** 90 min, 60 min');
+  });
+
+  test('uses the singular for one chair and skips missing fields', () => {
+    expect(formatSessionDetails({ chairs: ['Alice'], area: null, groupType: 'rg', rooms: [], durationsMinutes: [] }))
+      .toBe('**Chair:** Alice | **Group Type:** Research Group');
+  });
+
+  test('returns an empty string when nothing is known', () => {
+    expect(formatSessionDetails(null)).toBe('');
+    expect(formatSessionDetails({ chairs: [], rooms: [], durationsMinutes: [] })).toBe('');
+  });
+});
+
+describe('groupTypeLabel', () => {
+  test('labels known types and upper-cases unknown ones', () => {
+    expect(groupTypeLabel('bof')).toBe('BOF');
+    expect(groupTypeLabel('ag')).toBe('Area Group');
+    expect(groupTypeLabel('edwg')).toBe('EDWG');
+    expect(groupTypeLabel(null)).toBeNull();
+  });
+});
+
+describe('time citations', () => {
+  test('tagTimeCitations scopes citations to a session of the group', () => {
+    expect(tagTimeCitations('- Point [@0:12:34]\n- Other [@01:00:00]', 2)).toBe('- Point [@2/00:12:34]\n- Other [@2/01:00:00]');
+  });
+
+  test('addTranscriptAnchors anchors each timestamped line once', () => {
+    const { text, anchors } = addTranscriptAnchors('[00:00:05] Speaker 1: Hello\ncontinued\n[00:01:00] Speaker 2: Hi\n[00:01:00] Speaker 1: Yes', 1);
+    expect(text).toBe('<a id="t1-5"></a>[00:00:05] Speaker 1: Hello\ncontinued\n<a id="t1-60"></a>[00:01:00] Speaker 2: Hi\n[00:01:00] Speaker 1: Yes');
+    expect(anchors).toEqual([5, 60]);
+  });
+
+  test('linkTimeCitations falls back to a plain time without a recording or transcript anchor', () => {
+    expect(linkTimeCitations('- Point [@00:00:03]', [], 'tls-transcript.html', [[5]])).toBe('- Point (00:00:03)');
+    expect(linkTimeCitations('- Point [@00:00:03]', ['https://www.youtube.com/watch?v=abc'])).toBe('- Point ([▶ 00:00:03](https://www.youtube.com/watch?v=abc&t=3))');
+  });
+});
+
 describe('saveMinutes', () => {
   let outputDir;
 
@@ -219,6 +267,101 @@ describe('saveMinutes', () => {
     expect(mdContent).not.toContain('Session Date/Time');
   });
 
+  test('renders session details below the link header', async () => {
+    const content = '**Session Date/Time:** Monday, March 3, 2026, 09:00 UTC\n\n# [Test Session](../wg/test-session.html)\n\n## Summary\n\nThe group discussed things.';
+    await saveMinutes('TLS', content, outputDir, [], null, 126, {
+      chairs: ['Alice', 'Bob'],
+      area: 'sec',
+      groupType: 'wg',
+      rooms: ['Room 2'],
+      durationsMinutes: [90],
+    });
+    const mdContent = await fs.readFile(path.join(outputDir, 'tls.md'), 'utf-8');
+
+    const details = '**Chairs:** Alice, Bob | **Area:** SEC | **Group Type:** Working Group | **Room:** Room 2 | **Scheduled Duration:** 90 min';
+    expect(mdContent).toContain(details);
+    expect(mdContent.indexOf('[Markdown Version]')).toBeLessThan(mdContent.indexOf(details));
+    expect(mdContent.indexOf(details)).toBeLessThan(mdContent.indexOf('<div class="session-meta"'));
+  });
+
+  test('omits the session details line when no metadata is known', async () => {
+    const content = '# [Test Session](../wg/test-session.html)\n\n## Summary\n\nThe group discussed things.';
+    await saveMinutes('TLS', content, outputDir, [], null, 126, { chairs: [], rooms: [], durationsMinutes: [] });
+    const mdContent = await fs.readFile(path.join(outputDir, 'tls.md'), 'utf-8');
+    expect(mdContent).not.toContain('**Chair');
+  });
+
+  test('links the official minutes after the session materials', async () => {
+    const content = '# [Test Session](../wg/test-session.html)\n\n## Summary\n\nThe group discussed things.';
+    const official = 'https://datatracker.ietf.org/meeting/126/materials/minutes-126-tls-202607200930';
+    await saveMinutes('TLS', content, outputDir, [], null, 126, null, [official]);
+    const mdContent = await fs.readFile(path.join(outputDir, 'tls.md'), 'utf-8');
+
+    expect(mdContent).toContain(`| [Session Materials](https://datatracker.ietf.org/meeting/126/session/tls) | [Official Minutes](${official})`);
+  });
+
+  test('numbers the official minutes links of a multi-session group', async () => {
+    const content = '# [Test Session](../wg/test-session.html)\n\n## Summary\n\nThe group discussed things.';
+    await saveMinutes('TLS', content, outputDir, [], null, 126, null, ['https://example.com/a', 'https://example.com/b']);
+    const mdContent = await fs.readFile(path.join(outputDir, 'tls.md'), 'utf-8');
+
+    expect(mdContent).toContain('[Official Minutes 1](https://example.com/a) | [Official Minutes 2](https://example.com/b)');
+  });
+
+  test('links each session\'s captions after the transcript, numbered like the recordings', async () => {
+    const content = '# [Test Session](../wg/test-session.html)\n\n## Summary\n\nThe group discussed things.';
+    await saveMinutes('TLS', content, outputDir, ['https://example.com/1', 'https://example.com/2'], 'tls-transcript.html', 126, null, [], [], [
+      null,
+      { vtt: 'tls-captions-2.vtt', srt: 'tls-captions-2.srt' },
+    ]);
+    const mdContent = await fs.readFile(path.join(outputDir, 'tls.md'), 'utf-8');
+
+    expect(mdContent).toContain('[Transcript](tls-transcript.html) | Captions 2: [WebVTT](tls-captions-2.vtt), [SRT](tls-captions-2.srt) | [Recording 1]');
+    expect(mdContent).not.toContain('Captions 1');
+  });
+
+  test('saveSessionCaptions writes WebVTT and SRT files for sessions with timed transcripts', async () => {
+    const timed = {
+      version: 1,
+      source: 'meetecho',
+      turns: [{ speaker: null, start: 5, end: null, text: 'Welcome.', words: null, confidence: null }],
+    };
+    const untimed = { version: 1, source: 'gemini', turns: [{ speaker: 'Speaker 1', start: null, end: null, text: 'Hi.', words: null, confidence: null }] };
+
+    expect(await saveSessionCaptions('TLS', [timed], outputDir)).toEqual([{ vtt: 'tls-captions.vtt', srt: 'tls-captions.srt' }]);
+    expect(await saveSessionCaptions('TLS', [untimed, null, timed], outputDir)).toEqual([
+      null,
+      null,
+      { vtt: 'tls-captions-3.vtt', srt: 'tls-captions-3.srt' },
+    ]);
+    expect(await fs.readFile(path.join(outputDir, 'tls-captions.vtt'), 'utf-8')).toBe('WEBVTT\n\n1\n00:00:05.000 --> 00:00:07.000\nWelcome.\n\n');
+    expect(await fs.readFile(path.join(outputDir, 'tls-captions-3.srt'), 'utf-8')).toBe('1\n00:00:05,000 --> 00:00:07,000\nWelcome.\n\n');
+
+    // A session that lost its timed transcript loses its caption files too.
+    expect(await saveSessionCaptions('TLS', [untimed], outputDir)).toEqual([null]);
+    await expect(fs.access(path.join(outputDir, 'tls-captions.vtt'))).rejects.toThrow();
+    await expect(fs.access(path.join(outputDir, 'tls-captions.srt'))).rejects.toThrow();
+  });
+
+  test('omits the official minutes link when none were uploaded', async () => {
+    const content = '# [Test Session](../wg/test-session.html)\n\n## Summary\n\nThe group discussed things.';
+    await saveMinutes('TLS', content, outputDir, [], null, 126);
+    const mdContent = await fs.readFile(path.join(outputDir, 'tls.md'), 'utf-8');
+    expect(mdContent).not.toContain('Official Minutes');
+  });
+
+  test('links time citations to the recording and transcript, and leaves plain times in the text version', async () => {
+    const content = '# [TLS](../wg/tls.html)\n\n## Key Discussion Points\n\n- ECH interop is complete [@1/00:12:34]\n- WGLC to start [@2/1:05:00]';
+    await saveMinutes('TLS', content, outputDir, ['https://meetecho-player.ietf.org/playout/?session=A', 'https://meetecho-player.ietf.org/playout/?session=B'],
+      'tls-transcript.html', 126, null, [], [[0, 750], [3600]]);
+    const mdContent = await fs.readFile(path.join(outputDir, 'tls.md'), 'utf-8');
+    const txtContent = await fs.readFile(path.join(outputDir, 'tls.txt'), 'utf-8');
+
+    expect(mdContent).toContain('- ECH interop is complete ([▶ 00:12:34](https://meetecho-player.ietf.org/playout/?session=A&t=754) · [transcript](tls-transcript.html#t1-750))');
+    expect(mdContent).toContain('- WGLC to start ([▶ 01:05:00](https://meetecho-player.ietf.org/playout/?session=B&t=3900) · [transcript](tls-transcript.html#t2-3600))');
+    expect(txtContent).toContain('- ECH interop is complete [00:12:34]');
+  });
+
   test('omits Suggest a correction link when meetingId is null', async () => {
     const content = '**Session Date/Time:** Monday, March 3, 2026, 09:00 UTC\n\n# [Test Session](../wg/test-session.html)\n\n## Summary\n\nThe group discussed things.';
     await saveMinutes('Test Session', content, outputDir, [], null, null);
@@ -228,3 +371,55 @@ describe('saveMinutes', () => {
     expect(mdContent).toContain('**Session Date/Time:** Monday, March 3, 2026, 09:00 UTC');
   });
 });
+
+describe('action items', () => {
+  const sessionActions = [
+    {
+      sessionId: 'IETF126-TLS-20260720-0930',
+      sessionName: 'TLS',
+      actionItems: [{ owner: 'Alice', description: 'Post a revised draft', draft: 'draft-ietf-tls-ech', transcriptOffset: { line: 12, time: '00:12:34' } }],
+      decisions: [{ description: 'Start WGLC', draft: null, transcriptOffset: null }],
+    },
+    null,
+    {
+      sessionId: 'IETF126-TLS-20260722-1300',
+      sessionName: 'TLS',
+      actionItems: [{ owner: null, description: 'Ask the list about draft-ietf-tls-esni', draft: 'draft-ietf-tls-esni', transcriptOffset: null }],
+      decisions: [],
+    },
+  ];
+
+  test('saveGroupActionItems aggregates the sessions of a group', async () => {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'actions-'));
+    try {
+      expect(await saveGroupActionItems('TLS', [null], outputDir)).toBeNull();
+      expect(await saveGroupActionItems('TLS', sessionActions, outputDir)).toBe('tls-actions.json');
+
+      const written = JSON.parse(await fs.readFile(path.join(outputDir, 'tls-actions.json'), 'utf-8'));
+      expect(written.actionItems.map((item) => [item.sessionId, item.description])).toEqual([
+        ['IETF126-TLS-20260720-0930', 'Post a revised draft'],
+        ['IETF126-TLS-20260722-1300', 'Ask the list about draft-ietf-tls-esni'],
+      ]);
+      expect(written.decisions).toEqual([{ sessionId: 'IETF126-TLS-20260720-0930', description: 'Start WGLC', draft: null, transcriptOffset: null }]);
+
+      // Once no session has anything left, the stale aggregate goes.
+      expect(await saveGroupActionItems('TLS', [{ ...sessionActions[0], actionItems: [], decisions: [] }, null], outputDir)).toBeNull();
+      await expect(fs.access(path.join(outputDir, 'tls-actions.json'))).rejects.toThrow();
+    } finally {
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  test('renderActionItemsPage lists items per meeting with draft and recording links', () => {
+    const page = renderActionItemsPage('TLS', [
+      { label: 'IETF 126 (2026-07-20)', minutesPath: '../ietf126/tls.html', recordingUrls: ['https://example.com/rec?session=1', null, 'https://example.com/rec?session=3'], sessions: sessionActions },
+      { label: 'IETF 125 (2026-03-16)', minutesPath: '../ietf125/tls.html', recordingUrls: [], sessions: [null] },
+    ]);
+
+    expect(page).toContain('# Open action items: TLS');
+    expect(page).toContain('## [IETF 126 (2026-07-20)](../ietf126/tls.html)');
+    expect(page).toContain('- **Action (Alice):** Post a revised draft ([draft-ietf-tls-ech](https://datatracker.ietf.org/doc/draft-ietf-tls-ech/)) ([▶ 00:12:34](https://example.com/rec?session=1&t=754))');
+    expect(page).toContain('- **Action:** Ask the list about [draft-ietf-tls-esni](https://datatracker.ietf.org/doc/draft-ietf-tls-esni/)\n');
+    expect(page).not.toContain('IETF 125');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Retry helpers shared by the HTTP layer (http.js), the Gemini upload path
+ * (transcriber.js) and LLM calls (generator.js): transient-error
+ * classification and jittered backoff.
+ */
+
+/**
+ * Determine whether an error (or failed HTTP status) is worth retrying.
+ * Transient: HTTP 408/429/500/502/503/504, 529 (Anthropic "overloaded"),
+ * common Node network error codes, or a "socket hang up"/network/fetch-failed
+ * message. A 429 whose message indicates depleted billing credits is treated
+ * as permanent since it will not self-resolve.
+ * @param {Error|{status: number}} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (!error) return false;
+
+  const message = typeof error.message === "string" ? error.message : "";
+
+  if (/credits are depleted|billing/i.test(message)) {
+    return false;
+  }
+
+  const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+  const statusMatch = message.match(/\[(\d{3})\b/);
+  const status = error.status ?? (statusMatch ? parseInt(statusMatch[1], 10) : null);
+  if (status !== null && TRANSIENT_STATUSES.has(status)) {
+    return true;
+  }
+
+  const TRANSIENT_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "ENOTFOUND"]);
+  if (error.code && TRANSIENT_CODES.has(error.code)) {
+    return true;
+  }
+
+  if (/socket hang up|network|fetch failed/i.test(message)) {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Equal-jitter exponential backoff: half of the capped exponential delay is
+ * fixed and half is randomized, so callers that fail together don't all
+ * retry at the same instant.
+ * @param {number} attempt - 1-based attempt number that just failed
+ * @param {number} baseMs - Delay before the first retry (before jitter)
+ * @param {number} capMs - Upper bound on the exponential delay
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, baseMs, capMs) {
+  const exp = Math.min(baseMs * 2 ** (attempt - 1), capMs);
+  return Math.floor(exp / 2 + Math.random() * (exp / 2));
+}
+
+/**
+ * Parse an HTTP Retry-After header value (delta-seconds or an HTTP-date).
+ * @param {string|null|undefined} value - Header value
+ * @param {number} [now=Date.now()] - Current time, for HTTP-date values
+ * @returns {number|null} Delay in milliseconds, or null if absent/unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
@@ -0,0 +1,43 @@
+import { jest } from '@jest/globals';
+import { backoffDelay, parseRetryAfter } from './retry.js';
+
+describe('backoffDelay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('doubles per attempt with equal jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(backoffDelay(1, 1000, 30000)).toBe(500);
+    expect(backoffDelay(2, 1000, 30000)).toBe(1000);
+    expect(backoffDelay(3, 1000, 30000)).toBe(2000);
+
+    Math.random.mockReturnValue(0.999999);
+    expect(backoffDelay(1, 1000, 30000)).toBe(999);
+  });
+
+  test('caps the exponential delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+    expect(backoffDelay(10, 1000, 15000)).toBeLessThan(15000);
+    expect(backoffDelay(10, 1000, 15000)).toBeGreaterThanOrEqual(7500);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('parses delta-seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter(' 0 ')).toBe(0);
+  });
+
+  test('parses an HTTP-date relative to now', () => {
+    const now = Date.parse('Mon, 20 Jul 2026 12:00:00 GMT');
+    expect(parseRetryAfter('Mon, 20 Jul 2026 12:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Mon, 20 Jul 2026 11:59:00 GMT', now)).toBe(0);
+  });
+
+  test('returns null for a missing or unparseable header', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
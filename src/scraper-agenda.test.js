@@ -0,0 +1,185 @@
+/**
+ * Tests for session agenda discovery (fetchSessionAgenda) through the
+ * datatracker materials API, and agenda item extraction.
+ *
+ * Kept in a separate file (rather than scraper.test.js) because these tests
+ * mock 'node-fetch', while scraper.test.js intentionally makes live network
+ * calls against the real IETF datatracker/Meetecho endpoints.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockFetch = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+const { fetchSessionAgenda, parseAgendaItems } = await import('./scraper.js');
+const { setHttpLimits } = await import('./http.js');
+
+setHttpLimits({ minIntervalMs: 0 });
+
+function response(body, contentType) {
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: new Headers({ 'content-type': contentType }),
+    json: async () => JSON.parse(body),
+    text: async () => body,
+  };
+}
+
+/**
+ * Serve the agenda document listing, the agenda materials themselves and,
+ * when given, the meeting's time zone.
+ */
+function routeAgendas(documents, materials = {}, timeZone = null) {
+  mockFetch.mockImplementation(async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/api/v1/doc/document/') {
+      return response(JSON.stringify({ objects: documents, meta: { next: null } }), 'application/json');
+    }
+    if (pathname === '/api/v1/meeting/meeting/' && timeZone) {
+      const meeting = { number: searchParams.get('number'), time_zone: timeZone };
+      return response(JSON.stringify({ objects: [meeting], meta: { next: null } }), 'application/json');
+    }
+    const name = pathname.split('/').pop();
+    if (materials[name]) {
+      return response(materials[name].body, materials[name].type);
+    }
+    return { ok: false, status: 404, statusText: 'Not Found' };
+  });
+}
+
+const MARKDOWN_AGENDA = `# TLS Agenda
+
+1. Administrivia (chairs, 5 min)
+2. [draft-ietf-tls-esni](https://datatracker.ietf.org/doc/draft-ietf-tls-esni/) (10 min)
+3. **Open mic**
+`;
+
+describe('fetchSessionAgenda', () => {
+  beforeEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('fetches a Markdown agenda and extracts its items', async () => {
+    routeAgendas(
+      [{ name: 'agenda-126-tls', title: 'Agenda IETF126: tls' }],
+      { 'agenda-126-tls': { body: MARKDOWN_AGENDA, type: 'text/markdown; charset=utf-8' } },
+    );
+
+    const agenda = await fetchSessionAgenda(126, 'tls', 'IETF126-TLS-20260720-0930');
+
+    expect(agenda).toEqual({
+      name: 'agenda-126-tls',
+      title: 'Agenda IETF126: tls',
+      url: 'https://datatracker.ietf.org/meeting/126/materials/agenda-126-tls',
+      text: MARKDOWN_AGENDA.trim(),
+      items: ['Administrivia (chairs, 5 min)', 'draft-ietf-tls-esni (10 min)', 'Open mic'],
+    });
+    const listUrl = new URL(mockFetch.mock.calls[0][0]);
+    expect(listUrl.searchParams.get('type')).toBe('agenda');
+    expect(listUrl.searchParams.get('name__startswith')).toBe('agenda-126-tls');
+  });
+
+  test('picks the per-session agenda whose title carries the local session start time', async () => {
+    routeAgendas(
+      [
+        { name: 'agenda-126-hackathon-sessa', title: 'Agenda IETF126: hackathon: Sat 09:30' },
+        { name: 'agenda-126-hackathon-sessb', title: 'Agenda IETF126: hackathon: Sun 14:00' },
+        { name: 'agenda-126-hackathonx', title: 'Agenda IETF126: hackathonx' },
+      ],
+      { 'agenda-126-hackathon-sessb': { body: '- Results presentations', type: 'text/plain' } },
+      'Europe/Vienna',
+    );
+
+    // 12:00 UTC is 14:00 in Vienna (CEST)
+    const agenda = await fetchSessionAgenda(126, 'hackathon', 'IETF126-HACKATHON-20260719-1200');
+
+    expect(agenda.name).toBe('agenda-126-hackathon-sessb');
+    expect(agenda.items).toEqual(['Results presentations']);
+    const meetingUrl = new URL(mockFetch.mock.calls[1][0]);
+    expect(meetingUrl.pathname).toBe('/api/v1/meeting/meeting/');
+    expect(meetingUrl.searchParams.get('number')).toBe('126');
+  });
+
+  test('matches the local weekday when the session starts on the previous day locally', async () => {
+    routeAgendas(
+      [
+        { name: 'agenda-interim-2026-moq-09-moq-01', title: 'Agenda: moq: Thu 18:30' },
+        { name: 'agenda-interim-2026-moq-09-moq-02', title: 'Agenda: moq: Fri 18:30' },
+      ],
+      { 'agenda-interim-2026-moq-09-moq-01': { body: '- Relay discovery', type: 'text/plain' } },
+      'America/Los_Angeles',
+    );
+
+    // Fri 01:30 UTC is Thu 18:30 in Los Angeles (PDT)
+    const agenda = await fetchSessionAgenda('interim-2026-moq-09', 'moq', 'IETF-MOQ-20260612-0130');
+
+    expect(agenda.name).toBe('agenda-interim-2026-moq-09-moq-01');
+  });
+
+  test('matches on the UTC start when the meeting time zone is unknown', async () => {
+    routeAgendas(
+      [
+        { name: 'agenda-126-hackathon-sessa', title: 'Agenda IETF126: hackathon: Sat 09:30' },
+        { name: 'agenda-126-hackathon-sessb', title: 'Agenda IETF126: hackathon: Sun 12:00' },
+      ],
+      { 'agenda-126-hackathon-sessb': { body: '- Results presentations', type: 'text/plain' } },
+    );
+
+    const agenda = await fetchSessionAgenda(126, 'hackathon', 'IETF126-HACKATHON-20260719-1200');
+
+    expect(agenda.name).toBe('agenda-126-hackathon-sessb');
+  });
+
+  test('flattens an HTML-rendered agenda into headings and list items', async () => {
+    routeAgendas(
+      [{ name: 'agenda-interim-2026-moq-08-moq-01', title: 'Agenda' }],
+      {
+        'agenda-interim-2026-moq-08-moq-01': {
+          body: '<html><body><h1>MoQ Interim Agenda</h1><ul><li>Chairs update<ul><li>Note well</li></ul></li><li>Issue triage</li></ul></body></html>',
+          type: 'text/html; charset=utf-8',
+        },
+      },
+    );
+
+    const agenda = await fetchSessionAgenda('interim-2026-moq-08', 'moq', 'IETF-MOQ-20260611-0830');
+
+    expect(agenda.text).toBe('# MoQ Interim Agenda\n- Chairs update\n- Note well\n- Issue triage');
+    expect(agenda.items).toEqual(['Chairs update', 'Note well', 'Issue triage']);
+  });
+
+  test('returns PDF agendas without text', async () => {
+    routeAgendas(
+      [{ name: 'agenda-126-tls', title: 'Agenda IETF126: tls' }],
+      { 'agenda-126-tls': { body: '%PDF-1.7', type: 'application/pdf' } },
+    );
+
+    const agenda = await fetchSessionAgenda(126, 'tls', 'IETF126-TLS-20260720-0930');
+
+    expect(agenda).toMatchObject({ name: 'agenda-126-tls', text: null, items: [] });
+  });
+
+  test('returns null when no agenda was uploaded', async () => {
+    routeAgendas([]);
+
+    await expect(fetchSessionAgenda(126, 'tls', 'IETF126-TLS-20260720-0930')).resolves.toBeNull();
+  });
+});
+
+describe('parseAgendaItems', () => {
+  test('skips the agenda title and keeps "Agenda bashing"', () => {
+    expect(parseAgendaItems('## IETF 126 TLS Agenda\n* Agenda bashing\n* Note well\nfree text')).toEqual([
+      'Agenda bashing',
+      'Note well',
+    ]);
+  });
+
+  test('returns no items for missing text', () => {
+    expect(parseAgendaItems(null)).toEqual([]);
+  });
+});
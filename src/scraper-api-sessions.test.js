@@ -0,0 +1,282 @@
+/**
+ * Tests for --source api session discovery (fetchSessionsFromApi), which
+ * builds the session list from the datatracker JSON API, and the related
+ * schedule/group metadata lookups.
+ *
+ * Kept in a separate file (rather than scraper.test.js) because these tests
+ * mock 'node-fetch', while scraper.test.js intentionally makes live network
+ * calls against the real IETF datatracker/Meetecho endpoints.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockFetch = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+const { fetchSessionsFromApi, fetchSessionsWithValidation, parseApiDuration, withApiSchedule, fetchGroupInfo } = await import('./scraper.js');
+const { setHttpLimits } = await import('./http.js');
+
+setHttpLimits({ minIntervalMs: 0 });
+
+function jsonResponse(body) {
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
+
+const page = (objects) => jsonResponse({ objects, meta: { next: null } });
+
+/**
+ * Route mocked API requests by endpoint path.
+ */
+function routeApi(routes) {
+  mockFetch.mockImplementation(async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    const route = routes[pathname];
+    if (!route) {
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    }
+    return page(typeof route === 'function' ? route(searchParams) : route);
+  });
+}
+
+const GROUPS = {
+  10: { id: 10, acronym: 'tls', type: '/api/v1/name/grouptypename/wg/', parent: '/api/v1/group/group/1/' },
+  11: { id: 11, acronym: 'cfrg', type: '/api/v1/name/grouptypename/rg/', parent: '/api/v1/group/group/2/' },
+  12: { id: 12, acronym: 'ietf', type: '/api/v1/name/grouptypename/ietf/', parent: null },
+  1: { id: 1, acronym: 'sec', type: '/api/v1/name/grouptypename/area/', parent: null },
+  2: { id: 2, acronym: 'irtf', type: '/api/v1/name/grouptypename/irtf/', parent: null },
+};
+
+const ROUTES = {
+  '/api/v1/meeting/meeting/': [{ number: '125', schedule: '/api/v1/meeting/schedule/900/' }],
+  '/api/v1/meeting/schedtimesessassignment/': [
+    { session: '/api/v1/meeting/session/501/', timeslot: '/api/v1/meeting/timeslot/701/' },
+    { session: '/api/v1/meeting/session/500/', timeslot: '/api/v1/meeting/timeslot/700/' },
+    { session: '/api/v1/meeting/session/502/', timeslot: '/api/v1/meeting/timeslot/702/' },
+    { session: '/api/v1/meeting/session/503/', timeslot: '/api/v1/meeting/timeslot/703/' },
+  ],
+  '/api/v1/meeting/session/': [
+    { id: 500, group: '/api/v1/group/group/10/' },
+    { id: 501, group: '/api/v1/group/group/11/' },
+    { id: 502, group: '/api/v1/group/group/12/' },
+    { id: 503, group: '/api/v1/group/group/12/' },
+  ],
+  '/api/v1/meeting/timeslot/': [
+    { id: 700, time: '2026-03-16T01:00:00Z', duration: '1:30:00', location: '/api/v1/meeting/room/30/', type: '/api/v1/name/timeslottypename/regular/' },
+    { id: 701, time: '2026-03-17T05:30:00', duration: '2:00:00', location: '/api/v1/meeting/room/31/', type: '/api/v1/name/timeslottypename/regular/' },
+    { id: 702, time: '2026-03-18T08:00:00Z', duration: '2:00:00', location: '/api/v1/meeting/room/30/', type: '/api/v1/name/timeslottypename/plenary/' },
+    { id: 703, time: '2026-03-16T03:00:00Z', duration: '0:30:00', location: null, type: '/api/v1/name/timeslottypename/break/' },
+  ],
+  '/api/v1/meeting/room/': [
+    { id: 30, name: 'Plenary Hall' },
+    { id: 31, name: 'Room 2' },
+  ],
+  '/api/v1/group/group/': (params) =>
+    params.get('id__in').split(',').map((id) => GROUPS[id]).filter(Boolean),
+};
+
+describe('fetchSessionsFromApi', () => {
+  beforeEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('builds sessions with schedule metadata from the API', async () => {
+    routeApi(ROUTES);
+
+    const sessions = await fetchSessionsFromApi(125);
+
+    expect(sessions).toEqual([
+      {
+        sessionName: 'tls',
+        sessionId: 'IETF125-TLS-20260316-0100',
+        recordingUrl: 'https://meetecho-player.ietf.org/playout/?session=IETF125-TLS-20260316-0100',
+        room: 'Plenary Hall',
+        startTime: '2026-03-16T01:00:00.000Z',
+        durationMinutes: 90,
+        groupType: 'wg',
+        area: 'sec',
+      },
+      {
+        sessionName: 'cfrg',
+        sessionId: 'IETF125-CFRG-20260317-0530',
+        recordingUrl: 'https://meetecho-player.ietf.org/playout/?session=IETF125-CFRG-20260317-0530',
+        room: 'Room 2',
+        startTime: '2026-03-17T05:30:00.000Z',
+        durationMinutes: 120,
+        groupType: 'rg',
+        area: 'irtf',
+      },
+      {
+        sessionName: 'plenary',
+        sessionId: 'IETF125-PLENARY-20260318-0800',
+        recordingUrl: 'https://meetecho-player.ietf.org/playout/?session=IETF125-PLENARY-20260318-0800',
+        room: 'Plenary Hall',
+        startTime: '2026-03-18T08:00:00.000Z',
+        durationMinutes: 120,
+        groupType: 'ietf',
+        area: null,
+      },
+    ]);
+  });
+
+  test('only reads assignments from the meeting\'s official schedule', async () => {
+    routeApi(ROUTES);
+
+    await fetchSessionsFromApi(125);
+
+    const assignmentUrl = mockFetch.mock.calls
+      .map(([url]) => url)
+      .find((url) => url.includes('/schedtimesessassignment/'));
+    expect(new URL(assignmentUrl).searchParams.get('schedule')).toBe('900');
+  });
+
+  test('validates API sessions through fetchSessionsWithValidation', async () => {
+    routeApi(ROUTES);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await fetchSessionsWithValidation(fetchSessionsFromApi, 125);
+
+    expect(result.stats).toMatchObject({ total: 3, valid: 3, invalid: 0 });
+    console.warn.mockRestore();
+  });
+
+  test('throws when the meeting is unknown', async () => {
+    routeApi({ ...ROUTES, '/api/v1/meeting/meeting/': [] });
+
+    await expect(fetchSessionsFromApi(999)).rejects.toThrow('IETF 999 not found in the datatracker API');
+  });
+});
+
+describe('withApiSchedule', () => {
+  beforeEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('adds schedule metadata to scraped sessions by session ID', async () => {
+    routeApi(ROUTES);
+    const scraped = async () => [
+      { sessionName: 'tls', sessionId: 'IETF125-TLS-20260316-0100', recordingUrl: 'https://example.com/tls' },
+      { sessionName: 'other', sessionId: 'IETF125-OTHER-20260316-0100', recordingUrl: 'https://example.com/other' },
+    ];
+
+    const sessions = await withApiSchedule(scraped)(125);
+
+    expect(sessions[0]).toEqual({
+      sessionName: 'tls',
+      sessionId: 'IETF125-TLS-20260316-0100',
+      recordingUrl: 'https://example.com/tls',
+      room: 'Plenary Hall',
+      startTime: '2026-03-16T01:00:00.000Z',
+      durationMinutes: 90,
+      groupType: 'wg',
+      area: 'sec',
+    });
+    expect(sessions[1]).toEqual({
+      sessionName: 'other',
+      sessionId: 'IETF125-OTHER-20260316-0100',
+      recordingUrl: 'https://example.com/other',
+    });
+  });
+
+  test('returns scraped sessions unchanged when the API is unavailable', async () => {
+    routeApi({});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const scraped = [{ sessionName: 'tls', sessionId: 'IETF125-TLS-20260316-0100', recordingUrl: 'x' }];
+
+    await expect(withApiSchedule(async () => scraped)(125)).resolves.toEqual(scraped);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Could not fetch schedule metadata for IETF 125'));
+    console.warn.mockRestore();
+  });
+});
+
+describe('fetchGroupInfo', () => {
+  beforeEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('returns name, type, area and chair names', async () => {
+    routeApi({
+      '/api/v1/group/group/': (params) => (params.get('acronym') === 'foo'
+        ? [{ id: 20, acronym: 'foo', name: 'Foo Protocol', type: '/api/v1/name/grouptypename/wg/', state: '/api/v1/name/groupstatename/bof/', parent: '/api/v1/group/group/1/' }]
+        : params.get('id__in').split(',').map((id) => GROUPS[id]).filter(Boolean)),
+      '/api/v1/group/role/': [
+        { person: '/api/v1/person/person/301/' },
+        { person: '/api/v1/person/person/300/' },
+      ],
+      '/api/v1/person/person/': [
+        { id: 300, name: 'Alice Example' },
+        { id: 301, name: 'Bob Example' },
+      ],
+    });
+
+    await expect(fetchGroupInfo('foo')).resolves.toEqual({
+      name: 'Foo Protocol',
+      groupType: 'bof',
+      area: 'sec',
+      chairs: ['Bob Example', 'Alice Example'],
+    });
+    const roleUrl = new URL(mockFetch.mock.calls.map(([url]) => url).find((url) => url.includes('/group/role/')));
+    expect(roleUrl.searchParams.get('group')).toBe('20');
+    expect(roleUrl.searchParams.get('name')).toBe('chair');
+  });
+
+  test('looks up the chairs a past session had in the group history', async () => {
+    routeApi({
+      '/api/v1/group/group/': (params) => (params.get('acronym') === 'foo'
+        ? [{ id: 20, acronym: 'foo', name: 'Foo Protocol', time: '2026-01-10T00:00:00Z', type: '/api/v1/name/grouptypename/wg/', state: '/api/v1/name/groupstatename/active/', parent: '/api/v1/group/group/1/' }]
+        : params.get('id__in').split(',').map((id) => GROUPS[id]).filter(Boolean)),
+      '/api/v1/group/grouphistory/': [
+        { id: 7, time: '2024-05-01T00:00:00Z' },
+        { id: 9, time: '2025-06-01T00:00:00Z' },
+      ],
+      '/api/v1/group/rolehistory/': (params) => (params.get('group') === '9' ? [{ person: '/api/v1/person/person/302/' }] : []),
+      '/api/v1/person/person/': [{ id: 302, name: 'Carol Former' }],
+    });
+
+    await expect(fetchGroupInfo('foo', '2025-11-07T09:30:00.000Z')).resolves.toMatchObject({ chairs: ['Carol Former'] });
+    const historyUrl = new URL(mockFetch.mock.calls.map(([url]) => url).find((url) => url.includes('/group/grouphistory/')));
+    expect(historyUrl.searchParams.get('time__lte')).toBe('2025-11-07T09:30:00.000Z');
+    expect(mockFetch.mock.calls.some(([url]) => url.includes('/group/role/'))).toBe(false);
+  });
+
+  test('leaves the chairs empty when the history does not reach back to the session', async () => {
+    routeApi({
+      '/api/v1/group/group/': (params) => (params.get('acronym') === 'foo'
+        ? [{ id: 20, acronym: 'foo', name: 'Foo Protocol', time: '2026-01-10T00:00:00Z', type: '/api/v1/name/grouptypename/wg/', parent: '/api/v1/group/group/1/' }]
+        : params.get('id__in').split(',').map((id) => GROUPS[id]).filter(Boolean)),
+      '/api/v1/group/grouphistory/': [],
+      '/api/v1/group/role/': [{ person: '/api/v1/person/person/300/' }],
+    });
+
+    await expect(fetchGroupInfo('foo', '2020-03-23T14:00:00.000Z')).resolves.toMatchObject({ chairs: [] });
+  });
+
+  test('returns null for an unknown group', async () => {
+    routeApi({ '/api/v1/group/group/': [] });
+
+    await expect(fetchGroupInfo('nosuchgroup')).resolves.toBeNull();
+  });
+});
+
+describe('parseApiDuration', () => {
+  test('parses clock, day-prefixed and ISO 8601 durations', () => {
+    expect(parseApiDuration('1:30:00')).toBe(90);
+    expect(parseApiDuration('01:00:00')).toBe(60);
+    expect(parseApiDuration('1 day, 0:00:00')).toBe(1440);
+    expect(parseApiDuration('PT2H')).toBe(120);
+    expect(parseApiDuration('PT1H15M')).toBe(75);
+  });
+
+  test('returns null for missing or unrecognized values', () => {
+    expect(parseApiDuration(null)).toBeNull();
+    expect(parseApiDuration('soon')).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for draft abstract and revision history lookup (fetchDraftDetails)
+ * through the datatracker doc.json endpoint.
+ *
+ * Kept in a separate file (rather than scraper.test.js) because these tests
+ * mock 'node-fetch', while scraper.test.js intentionally makes live network
+ * calls against the real IETF datatracker/Meetecho endpoints.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockFetch = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+const { fetchDraftDetails } = await import('./scraper.js');
+const { setHttpLimits } = await import('./http.js');
+
+setHttpLimits({ minIntervalMs: 0 });
+
+function jsonResponse(data) {
+  const body = JSON.stringify(data);
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: new Headers({ 'content-type': 'application/json' }),
+    json: async () => JSON.parse(body),
+    text: async () => body,
+  };
+}
+
+describe('fetchDraftDetails', () => {
+  beforeEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('returns the abstract and the latest revisions, newest first', async () => {
+    mockFetch.mockResolvedValue(jsonResponse({
+      name: 'draft-ietf-tls-esni',
+      title: 'TLS Encrypted Client Hello',
+      rev: '24',
+      abstract: 'This document describes a mechanism in Transport Layer Security (TLS) for\n   encrypting a ClientHello message.',
+      rev_history: [
+        { name: 'draft-rescorla-tls-esni', rev: '00', published: '2018-03-02T00:00:00Z' },
+        { name: 'draft-ietf-tls-esni', rev: '21', published: '2024-09-10T12:00:00Z' },
+        { name: 'draft-ietf-tls-esni', rev: '22', published: '2024-09-11T12:00:00Z' },
+        { name: 'draft-ietf-tls-esni', rev: '23', published: '2025-01-10T12:00:00Z' },
+        { name: 'draft-ietf-tls-esni', rev: '24', published: '2025-03-01T12:00:00Z' },
+      ],
+    }));
+
+    const details = await fetchDraftDetails('draft-ietf-tls-esni');
+
+    expect(details).toEqual({
+      name: 'draft-ietf-tls-esni',
+      title: 'TLS Encrypted Client Hello',
+      rev: '24',
+      revisionDate: '2025-03-01',
+      abstract: 'This document describes a mechanism in Transport Layer Security (TLS) for encrypting a ClientHello message.',
+      revisions: [
+        { rev: '24', date: '2025-03-01' },
+        { rev: '23', date: '2025-01-10' },
+        { rev: '22', date: '2024-09-11' },
+      ],
+    });
+    expect(mockFetch.mock.calls[0][0]).toBe('https://datatracker.ietf.org/doc/draft-ietf-tls-esni/doc.json');
+  });
+
+  test('tolerates a missing abstract and revision history', async () => {
+    mockFetch.mockResolvedValue(jsonResponse({ name: 'draft-ietf-foo-bar', title: 'Foo', rev: '00' }));
+
+    await expect(fetchDraftDetails('draft-ietf-foo-bar')).resolves.toEqual({
+      name: 'draft-ietf-foo-bar',
+      title: 'Foo',
+      rev: '00',
+      revisionDate: null,
+      abstract: null,
+      revisions: [],
+    });
+  });
+
+  test('throws for unknown drafts', async () => {
+    mockFetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+    await expect(fetchDraftDetails('draft-does-not-exist')).rejects.toThrow('404');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for official (chair-uploaded) minutes discovery (fetchOfficialMinutes)
+ * through the datatracker materials API.
+ *
+ * Kept in a separate file (rather than scraper.test.js) because these tests
+ * mock 'node-fetch', while scraper.test.js intentionally makes live network
+ * calls against the real IETF datatracker/Meetecho endpoints.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockFetch = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+const { fetchOfficialMinutes, buildMaterialDocName } = await import('./scraper.js');
+const { setHttpLimits } = await import('./http.js');
+
+setHttpLimits({ minIntervalMs: 0 });
+
+function response(body, contentType) {
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: new Headers({ 'content-type': contentType }),
+    json: async () => JSON.parse(body),
+    text: async () => body,
+  };
+}
+
+/**
+ * Serve the minutes document listing, the minutes materials themselves and,
+ * when given, the meeting's time zone.
+ */
+function routeMinutes(documents, materials = {}, timeZone = null) {
+  mockFetch.mockImplementation(async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/api/v1/doc/document/') {
+      return response(JSON.stringify({ objects: documents, meta: { next: null } }), 'application/json');
+    }
+    if (pathname === '/api/v1/meeting/meeting/' && timeZone) {
+      const meeting = { number: searchParams.get('number'), time_zone: timeZone };
+      return response(JSON.stringify({ objects: [meeting], meta: { next: null } }), 'application/json');
+    }
+    const name = pathname.split('/').pop();
+    if (materials[name]) {
+      return response(materials[name].body, materials[name].type);
+    }
+    return { ok: false, status: 404, statusText: 'Not Found' };
+  });
+}
+
+describe('buildMaterialDocName', () => {
+  test('builds per-session minutes names', () => {
+    expect(buildMaterialDocName('minutes', 'IETF125-TLS-20260316-0100')).toBe('minutes-125-tls-202603160100');
+    expect(buildMaterialDocName('minutes', 'IETF-MOQ-20260611-0830', 'interim-2026-moq-08')).toBe('minutes-interim-2026-moq-08-202606110830');
+  });
+});
+
+describe('fetchOfficialMinutes', () => {
+  beforeEach(() => {
+    mockFetch.mockReset();
+  });
+
+  test('fetches the per-session minutes of a multi-session group', async () => {
+    routeMinutes(
+      [
+        { name: 'minutes-125-tls-202603160100', title: 'Minutes IETF125: tls: Mon 01:00' },
+        { name: 'minutes-125-tls-202603180300', title: 'Minutes IETF125: tls: Wed 03:00' },
+      ],
+      { 'minutes-125-tls-202603180300': { body: '# TLS\n\n* ECH is done\n', type: 'text/markdown; charset=utf-8' } },
+    );
+
+    const minutes = await fetchOfficialMinutes(125, 'IETF125-TLS-20260318-0300');
+
+    expect(minutes).toEqual({
+      name: 'minutes-125-tls-202603180300',
+      title: 'Minutes IETF125: tls: Wed 03:00',
+      url: 'https://datatracker.ietf.org/meeting/125/materials/minutes-125-tls-202603180300',
+      text: '# TLS\n\n* ECH is done',
+    });
+    const listUrl = new URL(mockFetch.mock.calls[0][0]);
+    expect(listUrl.searchParams.get('type')).toBe('minutes');
+    expect(listUrl.searchParams.get('name__startswith')).toBe('minutes-125-tls');
+  });
+
+  test('falls back to a single group-wide minutes document', async () => {
+    routeMinutes(
+      [{ name: 'minutes-110-quic', title: 'Minutes IETF110: quic' }],
+      { 'minutes-110-quic': { body: '<html><body><h1>QUIC</h1><ul><li>Multipath adopted</li></ul></body></html>', type: 'text/html' } },
+    );
+
+    const minutes = await fetchOfficialMinutes(110, 'IETF110-QUIC-20210309-1430');
+
+    expect(minutes).toMatchObject({ name: 'minutes-110-quic', text: '# QUIC\n- Multipath adopted' });
+  });
+
+  test('picks the group-wide minutes of a multi-session group by local start time', async () => {
+    routeMinutes(
+      [
+        { name: 'minutes-126-tls-sessa', title: 'Minutes IETF126: tls: Mon 09:30' },
+        { name: 'minutes-126-tls-sessb', title: 'Minutes IETF126: tls: Thu 09:30' },
+      ],
+      { 'minutes-126-tls-sessb': { body: '# TLS\n\n* Hybrid key exchange to WGLC\n', type: 'text/markdown' } },
+      'Europe/Vienna',
+    );
+
+    // 07:30 UTC on Thursday is 09:30 in Vienna (CEST)
+    const minutes = await fetchOfficialMinutes(126, 'IETF126-TLS-20260723-0730');
+
+    expect(minutes).toMatchObject({ name: 'minutes-126-tls-sessb', text: '# TLS\n\n* Hybrid key exchange to WGLC' });
+  });
+
+  test('does not use the minutes of another session of the group', async () => {
+    routeMinutes([{ name: 'minutes-125-tls-202603160100', title: 'Minutes IETF125: tls: Mon 01:00' }]);
+
+    await expect(fetchOfficialMinutes(125, 'IETF125-TLS-20260318-0300')).resolves.toBeNull();
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns PDF minutes without text', async () => {
+    routeMinutes(
+      [{ name: 'minutes-125-tls-202603160100', title: 'Minutes IETF125: tls' }],
+      { 'minutes-125-tls-202603160100': { body: '%PDF-1.7', type: 'application/pdf' } },
+    );
+
+    await expect(fetchOfficialMinutes(125, 'IETF125-TLS-20260316-0100')).resolves.toMatchObject({ text: null });
+  });
+
+  test('returns null for sessions without a resolvable material name', async () => {
+    await expect(fetchOfficialMinutes(125, 'not-a-session-id')).resolves.toBeNull();
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+});
@@ -26,6 +26,11 @@ const {
 } = await import('./scraper.js');
 const { prepareLocalTranscript, fetchCloudflareVideoId } = await import('./transcriber.js');
 const { isRecordingUnavailable } = await import('./skip-classifier.js');
+const { setHttpLimits } = await import('./http.js');
+
+// Keep the shared HTTP layer's retry backoff and request spacing out of the
+// way so retried failures don't slow the suite down.
+setHttpLimits({ minIntervalMs: 0, retryBaseMs: 1, retryCapMs: 1 });
 
 function makeResponse({ ok = true, status = 200, statusText = 'OK', contentType = 'application/json', body = '' } = {}) {
   return {
@@ -98,9 +103,11 @@ describe('session poll and chat materials', () => {
     mockFetch.mockResolvedValue(makeResponse({ ok: false, status: 503, statusText: 'Service Unavailable' }));
 
     await expect(fetchSessionPolls(124, 'IETF124-CBOR-20251107-0930')).resolves.toEqual([]);
-    expect(mockFetch).toHaveBeenCalledTimes(2);
-    expect(mockFetch.mock.calls[0][0]).toContain('/materials/polls-124-cbor-202511070930');
-    expect(mockFetch.mock.calls[1][0]).toContain('meetecho-player.ietf.org/playout/polls/IETF124-CBOR-20251107-0930');
+    // A 503 is transient, so the HTTP layer retries each URL before giving up.
+    const urls = mockFetch.mock.calls.map(([url]) => url);
+    expect(urls).toHaveLength(8);
+    expect(urls.slice(0, 4).every((url) => url.includes('/materials/polls-124-cbor-202511070930'))).toBe(true);
+    expect(urls.slice(4).every((url) => url.includes('meetecho-player.ietf.org/playout/polls/IETF124-CBOR-20251107-0930'))).toBe(true);
   });
 });
 
@@ -3,20 +3,20 @@
  * Fetches session information and transcripts from IETF datatracker
  */
 
-import fetch from 'node-fetch';
+import { httpFetch } from './http.js';
 import * as cheerio from 'cheerio';
-import fs from 'fs/promises';
 import { assertTranscriptPresent, transcriptWordCount } from './generator.js';
 
 const USER_AGENT = 'ietf-agenda/0.1 (+https://github.com/ekr/ietf-agenda)';
 
 /**
- * Common fetch function with proper User-Agent header
+ * Common fetch function with proper User-Agent header. Retries, per-host
+ * rate limiting, caching and record/replay happen in httpFetch (http.js).
  * @param {string} url - URL to fetch
  * @returns {Promise<Response>} Fetch response
  */
 async function ietfFetch(url) {
-  const response = await fetch(url, {
+  const response = await httpFetch(url, {
     headers: {
       'User-Agent': USER_AGENT,
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
@@ -37,7 +37,7 @@ async function ietfFetch(url) {
  * Build the datatracker material name associated with a session.
  */
 export function buildMaterialDocName(kind, sessionId, meetingSlug) {
-  if (kind !== 'polls' && kind !== 'chatlog') return null;
+  if (kind !== 'polls' && kind !== 'chatlog' && kind !== 'minutes') return null;
   const match = typeof sessionId === 'string'
     ? sessionId.match(/^IETF(\d+)-(.+)-(\d{8})-(\d{4})$/i)
     : null;
@@ -248,6 +248,224 @@ export async function fetchSessionChatlog(meetingIdentifier, sessionId, meetingS
   return [];
 }
 
+const MAX_AGENDA_CHARS = 20000;
+const MAX_AGENDA_ITEMS = 40;
+
+/**
+ * Flatten an HTML-rendered agenda or minutes document into plain text, one
+ * heading, paragraph or list item per line (list items keep a "- " marker).
+ * @param {string} html - Material HTML
+ * @returns {string} Material text
+ */
+function materialHtmlToText(html) {
+  const $ = cheerio.load(html);
+  const root = $('main').length > 0 ? $('main') : $('body');
+  const lines = [];
+  root.find('h1, h2, h3, h4, p, li, pre').each((i, el) => {
+    // Nested lists are visited separately, so only take this element's own text.
+    const own = $(el).clone().children('ul, ol').remove().end().text().replace(/\s+/g, ' ').trim();
+    if (!own) return;
+    if (el.tagName === 'li') {
+      lines.push(`- ${own}`);
+    } else if (/^h[1-4]$/.test(el.tagName)) {
+      lines.push(`${'#'.repeat(Number(el.tagName[1]))} ${own}`);
+    } else {
+      lines.push(own);
+    }
+  });
+  return lines.length > 0 ? lines.join('\n') : root.text().trim();
+}
+
+/**
+ * Extract the agenda items from agenda text: Markdown headings and top-level
+ * numbered or bulleted lines, in document order. The agenda's own title
+ * ("Agenda", "IETF 126 TLS Agenda") is skipped.
+ * @param {string|null} text - Agenda text (Markdown or plain text)
+ * @returns {string[]} Agenda item titles
+ */
+export function parseAgendaItems(text) {
+  if (typeof text !== 'string') return [];
+  const items = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^(?:#{1,4}\s+|\d+[.)]\s+|[-*+]\s+)(.+)$/);
+    if (!match) continue;
+    const item = match[1]
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_`]/g, '')
+      .trim();
+    if (!item || /\bagenda$/i.test(item)) continue;
+    items.push(item.slice(0, 200));
+    if (items.length >= MAX_AGENDA_ITEMS) break;
+  }
+  return items;
+}
+
+/**
+ * Look up a meeting's time zone in the datatracker API.
+ * @param {string|number} meetingIdentifier - Meeting number or interim meeting slug
+ * @returns {Promise<string|null>} IANA time zone (e.g. "America/Chicago"), or null when unknown
+ */
+async function fetchMeetingTimeZone(meetingIdentifier) {
+  try {
+    const params = new URLSearchParams({ number: String(meetingIdentifier), format: 'json' });
+    const meetings = await fetchApiObjects(`https://datatracker.ietf.org/api/v1/meeting/meeting/?${params}`);
+    return meetings[0]?.time_zone || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The start of a session in a time zone, as datatracker writes it in
+ * per-session material titles ("Mon 09:30").
+ * @param {string} sessionId - Session ID, whose YYYYMMDD-HHMM is UTC
+ * @param {string} timeZone - IANA time zone
+ * @returns {{weekday: string, time: string}|null} Local weekday and HH:MM, or null if the ID or zone is unusable
+ */
+function sessionLocalStart(sessionId, timeZone) {
+  const match = typeof sessionId === 'string' ? sessionId.match(/-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})$/) : null;
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match.map(Number);
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(new Date(Date.UTC(year, month - 1, day, hour, minute)));
+    const part = (type) => parts.find(p => p.type === type)?.value;
+    return { weekday: part('weekday'), time: `${part('hour')}:${part('minute')}` };
+  } catch {
+    return null; // Unknown time zone
+  }
+}
+
+/**
+ * Pick a session's document from a group's agenda or minutes materials.
+ * Groups that meet more than once upload per-session documents with a
+ * suffix (agenda-126-hackathon-sessa); datatracker titles those with the
+ * session's start in the venue's local time ("Agenda IETF126: hackathon:
+ * Mon 09:30"), while the Meetecho session ID carries it in UTC. So the
+ * session start is converted to the meeting's time zone before matching.
+ * @param {Array} documents - Document objects from api/v1/doc/document
+ * @param {string} sessionId - Session ID
+ * @param {string|number} meetingIdentifier - Meeting number or interim meeting slug, to look up its time zone
+ * @returns {Promise<Object|undefined>} Chosen document
+ */
+async function chooseSessionMaterial(documents, sessionId, meetingIdentifier) {
+  if (documents.length <= 1) return documents[0];
+  const timeZone = (await fetchMeetingTimeZone(meetingIdentifier)) || 'UTC';
+  const start = sessionLocalStart(sessionId, timeZone);
+  if (start) {
+    const title = (doc) => String(doc.title || '');
+    const byTime = documents.find(doc => title(doc).includes(`${start.weekday} ${start.time}`))
+      || documents.find(doc => title(doc).includes(start.time));
+    if (byTime) return byTime;
+  }
+  return [...documents].sort((a, b) => a.name.localeCompare(b.name))[0];
+}
+
+/**
+ * Fetch the agenda for a session via the datatracker materials API.
+ * Agenda names are agenda-{meeting}-{group}, optionally followed by a
+ * per-session suffix (-sessa) or sequence number (interim agendas).
+ * PDF agendas are returned without text.
+ * @param {string|number} meetingIdentifier - Meeting number or interim meeting slug
+ * @param {string} sessionSlug - Lowercase group acronym
+ * @param {string} sessionId - Session ID (used to pick among per-session agendas)
+ * @returns {Promise<{name: string, title: string, url: string, text: string|null, items: string[]}|null>} Agenda, or null if none was uploaded
+ */
+export async function fetchSessionAgenda(meetingIdentifier, sessionSlug, sessionId) {
+  const prefix = `agenda-${meetingIdentifier}-${sessionSlug}`;
+  const params = new URLSearchParams({
+    type: 'agenda',
+    name__startswith: prefix,
+    limit: '50',
+    format: 'json',
+  });
+  const documents = (await fetchApiObjects(`https://datatracker.ietf.org/api/v1/doc/document/?${params}`))
+    .filter(doc => typeof doc?.name === 'string')
+    .filter(doc => doc.name === prefix || /^-(sess[a-z]+|\d+)$/.test(doc.name.slice(prefix.length)));
+
+  const agenda = await chooseSessionMaterial(documents, sessionId, meetingIdentifier);
+  if (!agenda) return null;
+
+  const url = `https://datatracker.ietf.org/meeting/${meetingIdentifier}/materials/${agenda.name}`;
+  const response = await ietfFetch(url);
+  const contentType = response.headers?.get?.('content-type') || '';
+
+  let text = null;
+  if (!contentType.includes('pdf')) {
+    const body = await response.text();
+    text = (contentType.includes('html') || /^\s*<(!doctype|html)/i.test(body)
+      ? materialHtmlToText(body)
+      : body.trim()).slice(0, MAX_AGENDA_CHARS);
+  }
+
+  return {
+    name: agenda.name,
+    title: agenda.title || agenda.name,
+    url,
+    text,
+    items: parseAgendaItems(text),
+  };
+}
+
+/**
+ * Fetch the minutes the chairs uploaded for a session, if any. Current
+ * meetings name them per session (minutes-125-tls-202603160100, as with polls
+ * and chat logs); older meetings and some interims have a single
+ * minutes-{meeting}-{group} document, possibly with a -sessa style suffix.
+ * PDF minutes are returned without text.
+ * @param {string|number} meetingIdentifier - Meeting number or interim meeting slug
+ * @param {string} sessionId - Session ID
+ * @param {string} [meetingSlug] - Interim meeting slug, when the session is an interim
+ * @returns {Promise<{name: string, title: string, url: string, text: string|null}|null>} Minutes, or null if none were uploaded
+ */
+export async function fetchOfficialMinutes(meetingIdentifier, sessionId, meetingSlug) {
+  const docName = buildMaterialDocName('minutes', sessionId, meetingSlug);
+  if (!meetingIdentifier || !docName) return null;
+
+  const prefix = docName.replace(/-\d{12}$/, '');
+  const params = new URLSearchParams({
+    type: 'minutes',
+    name__startswith: prefix,
+    limit: '50',
+    format: 'json',
+  });
+  const documents = (await fetchApiObjects(`https://datatracker.ietf.org/api/v1/doc/document/?${params}`))
+    .filter(doc => typeof doc?.name === 'string');
+
+  // Per-session minutes for another session of the same group don't apply here.
+  const minutes = documents.find(doc => doc.name === docName)
+    || await chooseSessionMaterial(
+      documents.filter(doc => doc.name === prefix || /^-(sess[a-z]+|\d{1,3})$/.test(doc.name.slice(prefix.length))),
+      sessionId,
+      meetingIdentifier,
+    );
+  if (!minutes) return null;
+
+  const url = `https://datatracker.ietf.org/meeting/${meetingIdentifier}/materials/${minutes.name}`;
+  const response = await ietfFetch(url);
+  const contentType = response.headers?.get?.('content-type') || '';
+
+  let text = null;
+  if (!contentType.includes('pdf')) {
+    const body = await response.text();
+    text = contentType.includes('html') || /^\s*<(!doctype|html)/i.test(body)
+      ? materialHtmlToText(body)
+      : body.trim();
+  }
+
+  return {
+    name: minutes.name,
+    title: minutes.title || minutes.name,
+    url,
+    text,
+  };
+}
+
 /**
  * Parse a single CSV line with RFC 4180 quoting support.
  * Handles quoted fields that may contain commas or embedded double-quotes ("").
@@ -330,30 +548,52 @@ export async function fetchWorkingGroupDocuments(wgName) {
   return documents;
 }
 
+const MAX_DRAFT_ABSTRACT_CHARS = 1500;
+const MAX_DRAFT_REVISIONS = 3;
+
+/**
+ * Fetch a draft's abstract and recent revision history from its datatracker
+ * doc.json, so revision references ("in dash 04") can be made sense of.
+ * @param {string} draftName - Draft name without revision (e.g. 'draft-ietf-tls-esni')
+ * @returns {Promise<{name: string, title: string, rev: string, revisionDate: string|null, abstract: string|null, revisions: Array<{rev: string, date: string}>}>}
+ *   Draft details; revisions lists the latest few, newest first
+ */
+export async function fetchDraftDetails(draftName) {
+  const response = await ietfFetch(`https://datatracker.ietf.org/doc/${draftName}/doc.json`);
+  const data = JSON.parse(await response.text());
+
+  // rev_history also covers the drafts this one replaced; keep only its own revisions.
+  const revisions = (Array.isArray(data.rev_history) ? data.rev_history : [])
+    .filter(entry => entry?.name === draftName && entry.rev)
+    .map(entry => ({ rev: String(entry.rev), date: String(entry.published || '').slice(0, 10) }))
+    .reverse()
+    .slice(0, MAX_DRAFT_REVISIONS);
+  const rev = String(data.rev || revisions[0]?.rev || '');
+  const abstract = typeof data.abstract === 'string'
+    ? data.abstract.replace(/\s+/g, ' ').trim().slice(0, MAX_DRAFT_ABSTRACT_CHARS)
+    : '';
+
+  return {
+    name: draftName,
+    title: data.title || draftName,
+    rev,
+    revisionDate: revisions.find(entry => entry.rev === rev)?.date || null,
+    abstract: abstract || null,
+    revisions,
+  };
+}
+
 /**
  * Fetches the proceedings page for a given IETF meeting
  * @param {number} meetingNumber - The IETF meeting number
  * @returns {Promise<Array>} Array of session objects with name, group, and transcript URL
  */
 export async function fetchSessionsFromProceedings(meetingNumber) {
-  let html;
-
-  // Fetch from server
+  // The proceedings page is served through the cache/http/ conditional
+  // cache (see http.js), which keeps repeated runs from tripping Cloudflare.
   const url = `https://datatracker.ietf.org/meeting/${meetingNumber}/proceedings`;
   const response = await ietfFetch(url);
-  html = await response.text();
-
-  // TEMPORARY: Check for local file first to avoid Cloudflare bot blocking
-  // const localFile = `./IETF ${meetingNumber} Proceedings.html`;
-  // try {
-  //   html = await fs.readFile(localFile, 'utf-8');
-  //   console.log(`Using local file: ${localFile}`);
-  // } catch (err) {
-  //   // Fall back to fetching from server
-  //   const url = `https://datatracker.ietf.org/meeting/${meetingNumber}/proceedings`;
-  //   const response = await ietfFetch(url);
-  //   html = await response.text();
-  // }
+  const html = await response.text();
 
   const $ = cheerio.load(html);
 
@@ -406,6 +646,250 @@ export async function fetchSessionsFromProceedings(meetingNumber) {
   return sessions;
 }
 
+/**
+ * Extract the numeric/slug ID at the end of a datatracker API resource URI.
+ * @param {string|null} uri - Resource URI (e.g., "/api/v1/group/group/2161/")
+ * @returns {string|null} Trailing path segment (e.g., "2161")
+ */
+function apiResourceId(uri) {
+  if (typeof uri !== 'string') return null;
+  const parts = uri.split('/').filter(Boolean);
+  return parts.length > 0 ? parts[parts.length - 1] : null;
+}
+
+/**
+ * Parse a datatracker duration ("1:30:00", "1 day, 0:00:00", or ISO 8601
+ * "PT1H30M") into whole minutes.
+ * @param {string|null} duration - Duration as serialized by the API
+ * @returns {number|null} Duration in minutes, or null if unparseable
+ */
+export function parseApiDuration(duration) {
+  if (typeof duration !== 'string') return null;
+  const iso = duration.match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+  if (iso && duration !== 'P' && duration !== 'PT') {
+    const [, d = 0, h = 0, m = 0, sec = 0] = iso;
+    return Number(d) * 1440 + Number(h) * 60 + Number(m) + Math.round(Number(sec) / 60);
+  }
+  const clock = duration.match(/^(?:(\d+) days?, )?(\d+):(\d{2}):(\d{2})$/);
+  if (clock) {
+    const [, d = 0, h, m, sec] = clock;
+    return Number(d) * 1440 + Number(h) * 60 + Number(m) + Math.round(Number(sec) / 60);
+  }
+  return null;
+}
+
+/**
+ * The type of a datatracker group ("wg", "rg", "ag", ...), reporting a WG in
+ * the "bof" state as "bof" since readers care about that distinction.
+ * @param {Object} group - Group object from api/v1/group/group
+ * @returns {string|null} Group type slug
+ */
+function groupTypeOf(group) {
+  if (apiResourceId(group.state) === 'bof') return 'bof';
+  return apiResourceId(group.type);
+}
+
+/**
+ * Build the Meetecho session ID for a scheduled IETF session.
+ * @param {number|string} meetingNumber - IETF meeting number
+ * @param {string} acronym - Group acronym
+ * @param {Date} start - Session start time
+ * @returns {string} Session ID (e.g., "IETF125-TLS-20260316-0100")
+ */
+function buildMeetechoSessionId(meetingNumber, acronym, start) {
+  const iso = start.toISOString();
+  const date = iso.slice(0, 10).replace(/-/g, '');
+  const time = iso.slice(11, 16).replace(':', '');
+  return `IETF${meetingNumber}-${acronym.toUpperCase()}-${date}-${time}`;
+}
+
+/**
+ * Fetch datatracker groups by ID, keyed by ID.
+ * @param {Array<string>} ids - Group IDs
+ * @returns {Promise<Map<string, Object>>} Group objects keyed by ID
+ */
+async function fetchGroupsById(ids) {
+  const groups = new Map();
+  const unique = [...new Set(ids.filter(Boolean))];
+  // Keep id__in lists short enough for a reasonable URL length.
+  for (let i = 0; i < unique.length; i += 100) {
+    const chunk = unique.slice(i, i + 100);
+    const objects = await fetchApiObjects(
+      `https://datatracker.ietf.org/api/v1/group/group/?id__in=${chunk.join(',')}&limit=100&format=json`,
+    );
+    for (const group of objects) {
+      groups.set(String(group.id), group);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Builds the session list for an IETF meeting from the datatracker JSON API
+ * rather than scraping the proceedings HTML. Sessions come from
+ * api/v1/meeting/session, placed on the meeting's official schedule via
+ * api/v1/meeting/schedtimesessassignment, with time, duration and room from
+ * the assigned timeslot and group type and area from the session's group.
+ * @param {number} meetingNumber - The IETF meeting number
+ * @returns {Promise<Array>} Array of session objects {sessionName, sessionId,
+ *   recordingUrl, room, startTime, durationMinutes, groupType, area}, sorted by start time
+ */
+export async function fetchSessionsFromApi(meetingNumber) {
+  const api = 'https://datatracker.ietf.org/api/v1';
+  const meetings = await fetchApiObjects(`${api}/meeting/meeting/?type=ietf&number=${meetingNumber}&format=json`);
+  if (meetings.length === 0) {
+    throw new Error(`IETF ${meetingNumber} not found in the datatracker API`);
+  }
+  const scheduleId = apiResourceId(meetings[0].schedule);
+  if (!scheduleId) {
+    throw new Error(`IETF ${meetingNumber} has no official schedule in the datatracker API`);
+  }
+
+  const [assignments, sessions, timeslots, rooms] = await Promise.all([
+    fetchApiObjects(`${api}/meeting/schedtimesessassignment/?schedule=${scheduleId}&limit=1000&format=json`),
+    fetchApiObjects(`${api}/meeting/session/?meeting__number=${meetingNumber}&limit=1000&format=json`),
+    fetchApiObjects(`${api}/meeting/timeslot/?meeting__number=${meetingNumber}&limit=1000&format=json`),
+    fetchApiObjects(`${api}/meeting/room/?meeting__number=${meetingNumber}&limit=1000&format=json`),
+  ]);
+
+  const sessionsById = new Map(sessions.map((sess) => [String(sess.id), sess]));
+  const timeslotsById = new Map(timeslots.map((ts) => [String(ts.id), ts]));
+  const roomsById = new Map(rooms.map((room) => [String(room.id), room]));
+
+  const groups = await fetchGroupsById(sessions.map((sess) => apiResourceId(sess.group)));
+  const areas = await fetchGroupsById([...groups.values()].map((group) => apiResourceId(group.parent)));
+
+  const results = [];
+  const seen = new Set();
+  for (const assignment of assignments) {
+    const sess = sessionsById.get(apiResourceId(assignment.session));
+    const timeslot = timeslotsById.get(apiResourceId(assignment.timeslot));
+    if (!sess || !timeslot || !timeslot.time) continue;
+
+    // Only regular and plenary slots are recorded; breaks, registration and
+    // the like are scheduled too.
+    const slotType = apiResourceId(timeslot.type);
+    if (slotType && slotType !== 'regular' && slotType !== 'plenary') continue;
+
+    const group = groups.get(apiResourceId(sess.group));
+    if (!group || !group.acronym) continue;
+
+    // The API serializes UTC without an offset.
+    const start = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(timeslot.time) ? timeslot.time : `${timeslot.time}Z`);
+    if (Number.isNaN(start.getTime())) continue;
+
+    // Meetecho names plenary recordings PLENARY rather than after the group.
+    const sessionName = slotType === 'plenary' ? 'plenary' : group.acronym;
+    const sessionId = buildMeetechoSessionId(meetingNumber, sessionName, start);
+    if (seen.has(sessionId)) continue;
+    seen.add(sessionId);
+
+    const area = areas.get(apiResourceId(group.parent));
+    results.push({
+      sessionName,
+      sessionId,
+      recordingUrl: `https://meetecho-player.ietf.org/playout/?session=${sessionId}`,
+      room: roomsById.get(apiResourceId(timeslot.location))?.name || null,
+      startTime: start.toISOString(),
+      durationMinutes: parseApiDuration(timeslot.duration),
+      groupType: groupTypeOf(group),
+      area: area?.acronym || null,
+    });
+  }
+
+  results.sort((a, b) => a.startTime.localeCompare(b.startTime) || a.sessionName.localeCompare(b.sessionName));
+  return results;
+}
+
+/**
+ * Wrap an HTML-scraping session source so its sessions also carry the
+ * schedule metadata (room, start time, duration, group type, area) that
+ * fetchSessionsFromApi provides, matched by session ID. Fails soft: if the
+ * API lookup fails the scraped sessions are returned unchanged.
+ * @param {Function} fetchFunction - Session source (e.g. fetchSessionsFromProceedings)
+ * @returns {Function} Session source with the same signature
+ */
+export function withApiSchedule(fetchFunction) {
+  return async (meetingNumber) => {
+    const sessions = await fetchFunction(meetingNumber);
+
+    let scheduled;
+    try {
+      scheduled = await fetchSessionsFromApi(meetingNumber);
+    } catch (error) {
+      console.warn(`Could not fetch schedule metadata for IETF ${meetingNumber}: ${error.message}`);
+      return sessions;
+    }
+
+    const scheduledById = new Map(scheduled.map((s) => [s.sessionId, s]));
+    return sessions.map((session) => {
+      const match = scheduledById.get(session.sessionId);
+      if (!match) return session;
+      const { room, startTime, durationMinutes, groupType, area } = match;
+      return { ...session, room, startTime, durationMinutes, groupType, area };
+    });
+  };
+}
+
+/**
+ * Fetch a group's chair roles as of a given time. The datatracker keeps each
+ * earlier state of a group as a grouphistory snapshot stamped with the time
+ * that state began, with its roles in rolehistory; the group itself is the
+ * state since its own `time`. Without a time the current chairs are returned.
+ * @param {Object} group - datatracker group object
+ * @param {string|null} asOf - ISO timestamp
+ * @returns {Promise<Array|null>} Role objects, or null when the group's
+ *   history does not reach back that far
+ */
+async function fetchChairRoles(group, asOf) {
+  const api = 'https://datatracker.ietf.org/api/v1';
+  if (!asOf || !group.time || new Date(group.time) <= new Date(asOf)) {
+    return fetchApiObjects(`${api}/group/role/?group=${group.id}&name=chair&limit=100&format=json`);
+  }
+  const history = await fetchApiObjects(`${api}/group/grouphistory/?group=${group.id}&time__lte=${encodeURIComponent(asOf)}&limit=100&format=json`);
+  const snapshot = history.sort((a, b) => new Date(b.time) - new Date(a.time))[0];
+  if (!snapshot) return null;
+  return fetchApiObjects(`${api}/group/rolehistory/?group=${snapshot.id}&name=chair&limit=100&format=json`);
+}
+
+/**
+ * Fetch descriptive metadata for a group from the datatracker API: its full
+ * name, type (with BOFs reported as "bof"), area (parent group acronym), and
+ * chairs — as of `asOf` when given (the session start, so past meetings name
+ * the chairs they had), else the current ones. Chairs the history cannot
+ * tell are left empty rather than guessed from the current roles.
+ * @param {string} acronym - Group acronym (e.g., "tls")
+ * @param {string|null} [asOf] - ISO timestamp to look the chairs up at
+ * @returns {Promise<Object|null>} {name, groupType, area, chairs: string[]}, or
+ *   null if the datatracker has no such group
+ */
+export async function fetchGroupInfo(acronym, asOf = null) {
+  const api = 'https://datatracker.ietf.org/api/v1';
+  const [group] = await fetchApiObjects(`${api}/group/group/?acronym=${encodeURIComponent(acronym)}&format=json`);
+  if (!group) return null;
+
+  const parentId = apiResourceId(group.parent);
+  const [parents, roles] = await Promise.all([
+    fetchGroupsById(parentId ? [parentId] : []),
+    fetchChairRoles(group, asOf),
+  ]);
+
+  const personIds = (roles || []).map((role) => apiResourceId(role.person)).filter(Boolean);
+  let chairs = [];
+  if (personIds.length > 0) {
+    const people = await fetchApiObjects(`${api}/person/person/?id__in=${personIds.join(',')}&limit=100&format=json`);
+    const namesById = new Map(people.map((person) => [String(person.id), person.name]));
+    chairs = personIds.map((id) => namesById.get(id)).filter(Boolean);
+  }
+
+  return {
+    name: group.name || null,
+    groupType: groupTypeOf(group),
+    area: parents.get(parentId)?.acronym || null,
+    chairs,
+  };
+}
+
 /**
  * Fetches the recordings page from Meetecho for a given IETF meeting
  * @param {number} meetingNumber - The IETF meeting number
@@ -686,11 +1170,20 @@ async function scrapeInterimSessionIds(meetingSlug, groupName) {
  * @returns {Promise<Array>} Array of meeting objects from the API
  */
 async function queryInterimMeetings(queryParams) {
+  return fetchApiObjects(`https://datatracker.ietf.org/api/v1/meeting/meeting/?type=interim&${queryParams}`);
+}
+
+/**
+ * Fetch every object from a datatracker API list endpoint, following
+ * `meta.next` pagination.
+ * @param {string} url - First page URL
+ * @returns {Promise<Array>} Concatenated `objects` from all pages
+ */
+async function fetchApiObjects(url) {
   let allObjects = [];
-  let url = `https://datatracker.ietf.org/api/v1/meeting/meeting/?type=interim&${queryParams}`;
 
   while (url) {
-    const response = await fetch(url, {
+    const response = await httpFetch(url, {
       headers: {
         'User-Agent': USER_AGENT,
         'Accept': 'application/json',
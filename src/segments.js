@@ -0,0 +1,268 @@
+/**
+ * Segmented Transcription
+ * Long recordings are transcribed in segments (--gemini-segment-seconds, and
+ * Google STT's 30-minute limit). Consecutive segments share a few seconds of
+ * audio (--segment-overlap), so a word cut at one boundary is heard whole in
+ * the other segment. Each segment's transcript is rebased to recording time.
+ * With word timings, neighbours are cut at the middle of their overlap;
+ * otherwise they are stitched where their overlapping text lines up, keeping
+ * the earlier segment up to the shared run of words and the later one after it.
+ */
+
+import fsPromises from "fs/promises";
+import path from "path";
+import os from "os";
+import { randomUUID } from "crypto";
+import { runProcess } from "./process.js";
+import { remapTranscriptTimestamps } from "./audio-trim.js";
+import { CANONICAL_TRANSCRIPT_VERSION, fromText, renderTranscript, mapTranscriptTimes, filterTurnWords } from "./canonical-transcript.js";
+
+export const DEFAULT_SEGMENT_OVERLAP_SECONDS = 10;
+export const DEFAULT_STT_CONCURRENCY = 3;
+
+// Shortest run of words two segments must share to be stitched on it.
+const MIN_STITCH_WORDS = 4;
+
+// Upper bound on speech rate, used to size the stretch of text searched for
+// the overlap; the fixed slack covers imprecise cuts.
+const MAX_WORDS_PER_SECOND = 4;
+const STITCH_WINDOW_SLACK_WORDS = 20;
+
+const TIMESTAMP_PATTERN = /\[(?:\d{1,2}:)?\d{1,2}:\d{2}\]/g;
+const LINE_TIMESTAMP_PATTERN = /^\W*\[(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\]/;
+// A "Speaker 2:" or "**Jane Doe**:" label of up to four words at the start of a line.
+const LINE_LABEL_PATTERN = /^([ \t]*(?:\[[\d:]+\][ \t]*)?)((?:\*\*)?[^\s:*][^\s:]*(?: [^\s:]+){0,3}?(?:\*\*)?[ \t]*:)/gm;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+let options = { overlapSeconds: DEFAULT_SEGMENT_OVERLAP_SECONDS, concurrency: DEFAULT_STT_CONCURRENCY };
+
+/**
+ * Configure segmented transcription
+ * @param {Object} settings
+ * @param {number} [settings.overlapSeconds] - Audio shared by consecutive segments
+ * @param {number} [settings.concurrency] - Segments transcribed at once
+ */
+export function setSegmentOptions({ overlapSeconds = DEFAULT_SEGMENT_OVERLAP_SECONDS, concurrency = DEFAULT_STT_CONCURRENCY } = {}) {
+  options = { overlapSeconds, concurrency };
+}
+
+/**
+ * @returns {{overlapSeconds: number, concurrency: number}} Current segmentation settings
+ */
+export function getSegmentOptions() {
+  return { ...options };
+}
+
+/**
+ * Plan overlapping segments: one starts every segmentSeconds and runs
+ * overlapSeconds into the next, except the last, which ends with the audio.
+ * @param {number} duration - Audio duration in seconds
+ * @param {number} segmentSeconds - Distance between segment starts
+ * @param {number} overlapSeconds - Audio shared by consecutive segments
+ * @returns {Array<{start: number, end: number}>} Segments in order, in seconds
+ */
+export function planSegments(duration, segmentSeconds, overlapSeconds) {
+  if (overlapSeconds >= segmentSeconds) {
+    throw new Error(`Segment overlap (${overlapSeconds}s) must be shorter than the segments (${segmentSeconds}s)`);
+  }
+  const segments = [];
+  for (let start = 0; start < duration; start += segmentSeconds) {
+    const end = Math.min(start + segmentSeconds + overlapSeconds, duration);
+    segments.push({ start, end });
+    if (end >= duration) break;
+  }
+  return segments;
+}
+
+/**
+ * Cut an audio file into overlapping segments (per the current overlap) in a
+ * temp directory. Segments are re-encoded rather than stream-copied so each
+ * starts at its planned time, which its transcript is rebased by.
+ * @param {string} audioPath - Audio to cut (left unchanged)
+ * @param {number} duration - Its duration in seconds
+ * @param {number} segmentSeconds - Distance between segment starts
+ * @param {boolean} verbose - Whether to log verbose output
+ * @returns {Promise<{segments: Array<{path: string, start: number, end: number}>, cleanup: () => Promise<void>}>}
+ *   The segments and a function deleting them
+ */
+export async function cutSegments(audioPath, duration, segmentSeconds, verbose = false) {
+  const plan = planSegments(duration, segmentSeconds, options.overlapSeconds);
+  const tempDir = path.join(os.tmpdir(), `auto-minutes-segments-${randomUUID()}`);
+  await fsPromises.mkdir(tempDir, { recursive: true });
+  const cleanup = () => fsPromises.rm(tempDir, { recursive: true, force: true });
+
+  if (verbose) {
+    console.log(`    [Segments] Cutting ${plan.length} segment(s) of ${segmentSeconds}s with ${options.overlapSeconds}s overlap...`);
+  }
+  try {
+    const ext = path.extname(audioPath) || ".mp3";
+    const segments = [];
+    for (const [index, { start, end }] of plan.entries()) {
+      const segmentPath = path.join(tempDir, `segment${String(index).padStart(3, "0")}${ext}`);
+      await runProcess(
+        "ffmpeg",
+        ["-hide_banner", "-loglevel", "error", "-y", "-ss", start.toFixed(3), "-t", (end - start).toFixed(3), "-i", audioPath, "-vn", segmentPath],
+        { verbose, label: "ffmpeg segment" },
+      );
+      segments.push({ path: segmentPath, start, end });
+    }
+    return { segments, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+/**
+ * Shift a segment transcript's "[HH:MM:SS]" (or "[MM:SS]") timestamps by the
+ * segment's start, so they refer to the whole recording.
+ * @param {string} transcript - Transcript of one segment
+ * @param {number} offsetSeconds - Where the segment starts in the recording
+ * @returns {string}
+ */
+export function rebaseTranscriptTimestamps(transcript, offsetSeconds) {
+  if (!offsetSeconds) return transcript;
+  return remapTranscriptTimestamps(transcript, [{ trimmedStart: 0, originalStart: offsetSeconds, duration: Infinity }]);
+}
+
+/**
+ * Words of a transcript with their character positions, lowercased and
+ * ignoring timestamps and speaker labels (which differ between segments).
+ * @param {string} text
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+function transcriptWords(text) {
+  const blank = (match) => " ".repeat(match.length);
+  const masked = text
+    .replace(LINE_LABEL_PATTERN, (match, prefix, label) => prefix + blank(label))
+    .replace(TIMESTAMP_PATTERN, blank);
+  return Array.from(masked.matchAll(WORD_PATTERN), (match) => ({
+    word: match[0].toLowerCase().replace(/’/g, "'"),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Find the longest run of words shared by the end of one transcript and the
+ * start of the next.
+ * @param {Array<{word: string}>} previousWords
+ * @param {Array<{word: string}>} nextWords
+ * @param {number} window - How many words at each end to search
+ * @returns {{length: number, previousIndex: number, nextIndex: number}} Run length and the index of its last word in each list
+ */
+function findSharedRun(previousWords, nextWords, window) {
+  const offset = Math.max(0, previousWords.length - window);
+  const tail = previousWords.slice(offset);
+  const head = nextWords.slice(0, window);
+  let best = { length: 0, previousIndex: -1, nextIndex: -1 };
+  let above = new Array(head.length + 1).fill(0);
+  for (let i = 1; i <= tail.length; i++) {
+    const row = new Array(head.length + 1).fill(0);
+    for (let j = 1; j <= head.length; j++) {
+      if (tail[i - 1].word === head[j - 1].word) {
+        row[j] = above[j - 1] + 1;
+        if (row[j] > best.length) {
+          best = { length: row[j], previousIndex: offset + i - 1, nextIndex: j - 1 };
+        }
+      }
+    }
+    above = row;
+  }
+  return best;
+}
+
+/**
+ * Keep the lines of a transcript on one side of a time, going by the last
+ * "[HH:MM:SS]" seen. Lines before any timestamp are kept.
+ * @param {string} text
+ * @param {(seconds: number) => boolean} keep
+ * @returns {string}
+ */
+function filterLinesByTime(text, keep) {
+  let current = null;
+  return text
+    .split("\n")
+    .filter((line) => {
+      const match = line.match(LINE_TIMESTAMP_PATTERN);
+      if (match) {
+        current = Number(match[1] ?? 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+      }
+      return current === null || keep(current);
+    })
+    .join("\n");
+}
+
+/**
+ * Join a segment's transcript onto the transcript so far. When the
+ * overlapping text shares a run of words, the transcript so far is kept up
+ * to the end of that run and the segment after it; otherwise the overlap is
+ * split at its midpoint by timestamp.
+ * @param {string} previous - Transcript so far, in recording time
+ * @param {string} next - The segment's transcript, in recording time
+ * @param {number} nextStart - Where the segment starts in the recording
+ * @param {number} overlapSeconds
+ * @returns {string}
+ */
+function joinOverlapping(previous, next, nextStart, overlapSeconds) {
+  if (overlapSeconds > 0) {
+    const previousWords = transcriptWords(previous);
+    const nextWords = transcriptWords(next);
+    const window = Math.ceil(overlapSeconds * MAX_WORDS_PER_SECOND) + STITCH_WINDOW_SLACK_WORDS;
+    const run = findSharedRun(previousWords, nextWords, window);
+    if (run.length >= MIN_STITCH_WORDS) {
+      return previous.slice(0, previousWords[run.previousIndex].end) + next.slice(nextWords[run.nextIndex].end);
+    }
+  }
+  const boundary = nextStart + overlapSeconds / 2;
+  const head = filterLinesByTime(previous, (seconds) => seconds < boundary).trimEnd();
+  const tail = filterLinesByTime(next, (seconds) => seconds >= boundary).trimStart();
+  return [head, tail].filter(Boolean).join("\n");
+}
+
+/**
+ * Stitch segment transcripts into one transcript of the whole recording.
+ * @param {Array<{start: number, text: string}>} parts - Each segment's start and transcript (timestamps relative to the segment), in order; empty ones are skipped
+ * @param {number} overlapSeconds - Audio shared by consecutive segments
+ * @returns {string}
+ */
+export function stitchSegmentTranscripts(parts, overlapSeconds) {
+  let stitched = "";
+  for (const part of parts) {
+    const text = rebaseTranscriptTimestamps(part.text.trim(), part.start);
+    if (!text) continue;
+    stitched = stitched ? joinOverlapping(stitched, text, part.start, overlapSeconds) : text;
+  }
+  return stitched;
+}
+
+/**
+ * Stitch segments' canonical transcripts into one of the whole recording.
+ * When every word has a start time (the diarizing backends), the overlap is
+ * cut exactly at its midpoint: each segment keeps the words starting in its
+ * own stretch. Otherwise the segments are rendered and stitched on their text.
+ * @param {Array<{start: number, transcript: Object}>} parts - Each segment's start and canonical transcript (times relative to the segment), in order
+ * @param {number} overlapSeconds - Audio shared by consecutive segments
+ * @returns {Object} Canonical transcript in recording time
+ */
+export function stitchSegments(parts, overlapSeconds) {
+  const source = parts[0]?.transcript.source ?? "text";
+  const timed = parts.every(({ transcript }) => transcript.turns.every(
+    (turn) => !turn.text.trim() || turn.words?.every((word) => word.start !== null),
+  ));
+  if (!timed) {
+    const texts = parts.map(({ start, transcript }) => ({ start, text: renderTranscript(transcript) }));
+    return fromText(stitchSegmentTranscripts(texts, overlapSeconds), source);
+  }
+
+  const turns = [];
+  for (const [index, { start, transcript }] of parts.entries()) {
+    const from = index === 0 ? -Infinity : start + overlapSeconds / 2;
+    const to = index === parts.length - 1 ? Infinity : parts[index + 1].start + overlapSeconds / 2;
+    for (const turn of mapTranscriptTimes(transcript, (seconds) => seconds + start).turns) {
+      const kept = filterTurnWords(turn, (word) => word.start >= from && word.start < to);
+      if (kept) turns.push(kept);
+    }
+  }
+  return { version: CANONICAL_TRANSCRIPT_VERSION, source, turns };
+}
@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals';
+import { makeMockChild } from './test-helpers.js';
+
+const mockSpawn = jest.fn();
+jest.unstable_mockModule('child_process', () => ({
+  spawn: mockSpawn,
+}));
+
+const {
+  planSegments,
+  cutSegments,
+  setSegmentOptions,
+  rebaseTranscriptTimestamps,
+  stitchSegmentTranscripts,
+  stitchSegments,
+} = await import('./segments.js');
+const { fromDeepgramWords, fromText, renderTranscript } = await import('./canonical-transcript.js');
+const { runWithConcurrency } = await import('./concurrency.js');
+
+afterEach(() => {
+  setSegmentOptions();
+});
+
+describe('planSegments', () => {
+  test('starts a segment every segmentSeconds and runs each into the next', () => {
+    expect(planSegments(250, 100, 10)).toEqual([
+      { start: 0, end: 110 },
+      { start: 100, end: 210 },
+      { start: 200, end: 250 },
+    ]);
+  });
+
+  test('does not add a segment for audio already covered by the overlap', () => {
+    expect(planSegments(205, 100, 10)).toEqual([
+      { start: 0, end: 110 },
+      { start: 100, end: 205 },
+    ]);
+  });
+
+  test('rejects an overlap as long as the segments', () => {
+    expect(() => planSegments(250, 100, 100)).toThrow('must be shorter than the segments');
+  });
+});
+
+describe('cutSegments', () => {
+  test('re-encodes each overlapping segment from its planned start', async () => {
+    mockSpawn.mockReset().mockImplementation(() => makeMockChild());
+    setSegmentOptions({ overlapSeconds: 5 });
+
+    const { segments, cleanup } = await cutSegments('/cache/audio.mp3', 130, 60);
+    await cleanup();
+
+    expect(segments.map(({ start, end }) => [start, end])).toEqual([[0, 65], [60, 125], [120, 130]]);
+    expect(segments[1].path).toMatch(/auto-minutes-segments-.*segment001\.mp3$/);
+    const [command, args] = mockSpawn.mock.calls[1];
+    expect(command).toBe('ffmpeg');
+    expect(args).toEqual(expect.arrayContaining(['-ss', '60.000', '-t', '65.000', '-i', '/cache/audio.mp3']));
+    expect(args).not.toContain('copy');
+  });
+});
+
+describe('rebaseTranscriptTimestamps', () => {
+  test('shifts segment timestamps to recording time', () => {
+    expect(rebaseTranscriptTimestamps('[00:00:05] Speaker 1: Hi\n[01:10] Speaker 2: Hello', 1800)).toBe(
+      '[00:30:05] Speaker 1: Hi\n[00:31:10] Speaker 2: Hello',
+    );
+    expect(rebaseTranscriptTimestamps('[00:00:05] Hi', 0)).toBe('[00:00:05] Hi');
+  });
+});
+
+describe('stitchSegmentTranscripts', () => {
+  test('joins segments where their overlapping words line up', () => {
+    const first = [
+      '[00:00:00] Speaker 1: Welcome to the TLS working group.',
+      '[00:00:50] Speaker 2: The next draft adds encrypted client hello to the resump',
+    ].join('\n');
+    const second = [
+      '[00:00:00] Speaker 1: tion flow. Encrypted client hello to the resumption flow is now optional.',
+      '[00:00:20] Speaker 1: Any questions?',
+    ].join('\n');
+
+    expect(stitchSegmentTranscripts([{ start: 0, text: first }, { start: 55, text: second }], 10)).toBe([
+      '[00:00:00] Speaker 1: Welcome to the TLS working group.',
+      '[00:00:50] Speaker 2: The next draft adds encrypted client hello to the resumption flow is now optional.',
+      '[00:01:15] Speaker 1: Any questions?',
+    ].join('\n'));
+  });
+
+  test('ignores speaker labels and timestamps when aligning the overlap', () => {
+    const first = '[00:00:00] Speaker 1: We should adopt the draft as it stands today';
+    const second = '[00:00:00] Speaker 3: adopt the draft as it stands today.\n[00:00:12] Speaker 2: Agreed.';
+
+    expect(stitchSegmentTranscripts([{ start: 0, text: first }, { start: 30, text: second }], 10)).toBe(
+      '[00:00:00] Speaker 1: We should adopt the draft as it stands today.\n[00:00:42] Speaker 2: Agreed.',
+    );
+  });
+
+  test('splits the overlap at its midpoint by timestamp when the text does not line up', () => {
+    const first = '[00:00:00] Speaker 1: Opening remarks.\n[00:00:36] Speaker 1: Garbled words at the cut';
+    const second = '[00:00:00] Speaker 1: Something else entirely.\n[00:00:08] Speaker 2: Next topic.';
+
+    expect(stitchSegmentTranscripts([{ start: 0, text: first }, { start: 30, text: second }], 10)).toBe(
+      '[00:00:00] Speaker 1: Opening remarks.\n[00:00:38] Speaker 2: Next topic.',
+    );
+  });
+
+  test('skips empty segments', () => {
+    expect(stitchSegmentTranscripts([{ start: 0, text: 'Hello there.' }, { start: 60, text: '  ' }], 10)).toBe('Hello there.');
+  });
+});
+
+describe('stitchSegments', () => {
+  test('cuts timed words at the middle of the overlap', () => {
+    // Segments start at 0s and 20s with 10s of overlap: the cut is at 25s.
+    const first = fromDeepgramWords([
+      { word: 'Welcome', start: 1, end: 1.5, speaker: 0 },
+      { word: 'everyone.', start: 23, end: 23.5, speaker: 0 },
+      { word: 'First', start: 26, end: 26.5, speaker: 1 },
+    ]);
+    const second = fromDeepgramWords([
+      { word: 'everyone.', start: 3, end: 3.5, speaker: 0 },
+      { word: 'First', start: 6, end: 6.5, speaker: 1 },
+      { word: 'item.', start: 7, end: 7.5, speaker: 1 },
+    ]);
+    const stitched = stitchSegments([{ start: 0, transcript: first }, { start: 20, transcript: second }], 10);
+    expect(stitched.source).toBe('deepgram');
+    expect(stitched.turns.map((turn) => [turn.speaker, turn.start, turn.text])).toEqual([
+      ['Speaker 0', 1, 'Welcome everyone.'],
+      ['Speaker 1', 26, 'First item.'],
+    ]);
+  });
+
+  test('stitches untimed transcripts on their text', () => {
+    const parts = [
+      { start: 0, transcript: fromText('[00:00:00] Speaker 1: one two three four five six', 'gemini') },
+      { start: 20, transcript: fromText('[00:00:00] Speaker 1: three four five six seven eight', 'gemini') },
+    ];
+    const stitched = stitchSegments(parts, 10);
+    expect(stitched.source).toBe('gemini');
+    expect(renderTranscript(stitched)).toBe('[00:00:00] Speaker 1: one two three four five six seven eight');
+  });
+});
+
+describe('runWithConcurrency', () => {
+  test('runs at most limit tasks at once and keeps results in order', async () => {
+    let running = 0;
+    let peak = 0;
+    const tasks = [30, 10, 20, 5].map((ms, i) => async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      running--;
+      return i;
+    });
+
+    await expect(runWithConcurrency(tasks, 2)).resolves.toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+});
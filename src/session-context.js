@@ -3,8 +3,13 @@ import {
   fetchWorkingGroupDocuments,
   fetchSessionPolls,
   fetchSessionChatlog,
+  fetchGroupInfo,
+  fetchSessionAgenda,
+  fetchOfficialMinutes,
+  fetchDraftDetails,
 } from "./scraper.js";
-import { saveCacheMetadata } from "./publisher.js";
+import { saveCacheMetadata, getCachedOfficialMinutes, saveOfficialMinutes } from "./publisher.js";
+import { fetchSlideTexts } from "./slides.js";
 
 /**
  * Extract the session slug from a session ID.
@@ -21,36 +26,87 @@ export function sessionSlugFromId(sessionId) {
 }
 
 /**
- * Fetch slides/bluesheet, WG documents, polls, and chat for a session in parallel.
+ * Combine the schedule fields carried on a session object with group
+ * metadata from fetchGroupInfo into the session's descriptive metadata.
+ * Schedule-derived area/group type win over the group lookup since they
+ * describe the session as scheduled.
+ * @param {Object} session - Session object (may carry room, startTime, durationMinutes, groupType, area)
+ * @param {Object|null} groupInfo - Result of fetchGroupInfo, or null
+ * @returns {{chairs: string[], area: string|null, groupType: string|null, room: string|null, startTime: string|null, durationMinutes: number|null}}
+ */
+export function buildSessionInfo(session, groupInfo) {
+  return {
+    chairs: groupInfo?.chairs || [],
+    area: session.area || groupInfo?.area || null,
+    groupType: session.groupType || groupInfo?.groupType || null,
+    room: session.room || null,
+    startTime: session.startTime || null,
+    durationMinutes: session.durationMinutes ?? null,
+  };
+}
+
+const MAX_DISCUSSED_DRAFTS = 15;
+
+/**
+ * When a session started: its scheduled start if known, else the UTC start
+ * carried in its Meetecho session ID ("...-YYYYMMDD-HHMM").
+ * @param {Object} session - Session object with sessionId (and optionally startTime)
+ * @returns {string|null} ISO timestamp
+ */
+function sessionStart(session) {
+  if (session.startTime) return session.startTime;
+  const match = session.sessionId.match(/-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute)).toISOString();
+}
+
+/**
+ * Resolve where a session's datatracker materials live: the meeting number
+ * and group slug for IETF sessions, or the stored meeting slug and group
+ * (from the session name) for interims.
+ * @param {Object} session - Session object with sessionId (and optionally meetingSlug)
+ * @returns {{meetingIdentifier: number|string, sessionSlug: string}|null} Null when the session cannot be resolved
+ */
+function sessionMaterialScope(session) {
+  const meetingMatch = session.sessionId.match(/^IETF(\d+)-/);
+  if (meetingMatch) {
+    return { meetingIdentifier: parseInt(meetingMatch[1], 10), sessionSlug: sessionSlugFromId(session.sessionId) };
+  }
+  if (session.meetingSlug) {
+    return { meetingIdentifier: session.meetingSlug, sessionSlug: session.sessionName.toLowerCase() };
+  }
+  return null;
+}
+
+/**
+ * Fetch slides/bluesheet, WG documents, polls, chat, the session agenda, and
+ * group metadata (chairs, area, type) for a session in parallel. Slide deck
+ * text is extracted (and cached in cache/slides/) once the deck list is known.
  * Supports both regular IETF meetings (numeric ID) and interim meetings
  * (meetingSlug present on the session object, e.g. "interim-2026-dnssd-01").
  * Returns empty context gracefully when the session cannot be resolved and
  * fails each individual fetch soft.
  * @param {Object} session - Session object with sessionId (and optionally meetingSlug) property
  * @param {boolean} verbose - Whether to log individual context fetch failures
- * @returns {Promise<{slidesAndBluesheet: Object|null, wgDocuments: Array, polls: Array, chat: Array}>}
+ * @returns {Promise<{slidesAndBluesheet: Object|null, slideTexts: Array, wgDocuments: Array, polls: Array, chat: Array, agenda: Object|null, sessionInfo: Object}>}
  */
 export async function fetchContextForSession(session, verbose = false) {
-  let meetingIdentifier;
-  let sessionSlug;
-
-  const meetingMatch = session.sessionId.match(/^IETF(\d+)-/);
-  if (meetingMatch) {
-    meetingIdentifier = parseInt(meetingMatch[1], 10);
-    sessionSlug = sessionSlugFromId(session.sessionId);
-  } else if (session.meetingSlug) {
-    // Interim session: use the stored meeting slug and derive group from session name
-    meetingIdentifier = session.meetingSlug;
-    sessionSlug = session.sessionName.toLowerCase();
-  } else {
-    return { slidesAndBluesheet: null, wgDocuments: [], polls: [], chat: [] };
+  const scope = sessionMaterialScope(session);
+  if (!scope) {
+    return { slidesAndBluesheet: null, slideTexts: [], wgDocuments: [], polls: [], chat: [], agenda: null, sessionInfo: buildSessionInfo(session, null) };
   }
+  const { meetingIdentifier, sessionSlug } = scope;
 
-  const [slidesResult, docsResult, pollsResult, chatResult] = await Promise.allSettled([
-    fetchSessionSlidesAndBluesheet(meetingIdentifier, sessionSlug),
+  const slidesPromise = fetchSessionSlidesAndBluesheet(meetingIdentifier, sessionSlug);
+  const [slidesResult, slideTextsResult, docsResult, pollsResult, chatResult, agendaResult, groupResult] = await Promise.allSettled([
+    slidesPromise,
+    slidesPromise.then(result => fetchSlideTexts(result?.slides, { verbose })),
     fetchWorkingGroupDocuments(sessionSlug),
     fetchSessionPolls(meetingIdentifier, session.sessionId, session.meetingSlug),
     fetchSessionChatlog(meetingIdentifier, session.sessionId, session.meetingSlug),
+    fetchSessionAgenda(meetingIdentifier, sessionSlug, session.sessionId),
+    fetchGroupInfo(sessionSlug, sessionStart(session)),
   ]);
 
   if (verbose && slidesResult.status === 'rejected') {
@@ -65,17 +121,78 @@ export async function fetchContextForSession(session, verbose = false) {
   if (verbose && chatResult.status === 'rejected') {
     console.log(`    [context] Could not fetch chat: ${chatResult.reason?.message}`);
   }
+  if (verbose && agendaResult.status === 'rejected') {
+    console.log(`    [context] Could not fetch agenda: ${agendaResult.reason?.message}`);
+  }
+  if (verbose && groupResult.status === 'rejected') {
+    console.log(`    [context] Could not fetch group info: ${groupResult.reason?.message}`);
+  }
 
   return {
     slidesAndBluesheet: slidesResult.status === 'fulfilled' ? slidesResult.value : null,
+    slideTexts: slideTextsResult.status === 'fulfilled' ? slideTextsResult.value : [],
     wgDocuments: docsResult.status === 'fulfilled' ? docsResult.value : [],
     polls: pollsResult.status === 'fulfilled' ? pollsResult.value : [],
     chat: chatResult.status === 'fulfilled' ? chatResult.value : [],
+    agenda: agendaResult.status === 'fulfilled' ? agendaResult.value : null,
+    sessionInfo: buildSessionInfo(session, groupResult.status === 'fulfilled' ? groupResult.value : null),
   };
 }
 
 /**
- * Persist slides/bluesheet/polls/chat context to the session cache metadata.
+ * Draft names that the session most likely discussed: those mentioned in the
+ * slide titles and text, chat, agenda or transcript, most mentioned first.
+ * Revision suffixes are dropped (draft-ietf-tls-esni-24 → draft-ietf-tls-esni).
+ * @param {Object} context - Context object from fetchContextForSession
+ * @param {string} [transcript] - Session transcript
+ * @returns {string[]} Up to MAX_DISCUSSED_DRAFTS draft names
+ */
+export function discussedDraftNames(context, transcript = '') {
+  const sources = [
+    ...(context?.slidesAndBluesheet?.slides || []).map(slide => slide.title),
+    ...(context?.slideTexts || []).map(deck => deck.text),
+    ...(context?.chat || []).map(message => message.text),
+    context?.agenda?.text,
+    transcript,
+  ];
+  const counts = new Map();
+  for (const source of sources) {
+    if (typeof source !== 'string') continue;
+    for (const match of source.match(/\bdraft-[a-z0-9]+(?:-[a-z0-9]+)+/gi) || []) {
+      const name = match.toLowerCase().replace(/-\d{2}$/, '');
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_DISCUSSED_DRAFTS)
+    .map(([name]) => name);
+}
+
+/**
+ * Fetch the abstract and revision history of each draft the session likely
+ * discussed (see discussedDraftNames). Runs once the transcript is known, so
+ * it can be scanned too. Fails soft per draft.
+ * @param {Object} context - Context object from fetchContextForSession
+ * @param {string} transcript - Session transcript
+ * @param {boolean} verbose - Whether to log individual fetch failures
+ * @returns {Promise<Array>} Draft details from fetchDraftDetails
+ */
+export async function fetchDiscussedDraftDetails(context, transcript, verbose = false) {
+  const names = discussedDraftNames(context, transcript);
+  const results = await Promise.allSettled(names.map(name => fetchDraftDetails(name)));
+  return results.flatMap((result, index) => {
+    if (result.status === 'fulfilled') return [result.value];
+    if (verbose) {
+      console.log(`    [context] Could not fetch details for ${names[index]}: ${result.reason?.message}`);
+    }
+    return [];
+  });
+}
+
+/**
+ * Persist slides/bluesheet/polls/chat/agenda/draft context, session metadata and
+ * grounding verdicts (once minutes have been verified) to the session cache metadata.
  * @param {number|string} meetingNumber - IETF meeting number or interim date/slug
  * @param {string} sessionId - Session ID
  * @param {Object} context - Context object from fetchContextForSession
@@ -86,5 +203,58 @@ export async function saveContextMetadata(meetingNumber, sessionId, context) {
     bluesheetText: context.slidesAndBluesheet?.bluesheet || null,
     polls: context.polls || [],
     chat: context.chat || [],
+    agenda: context.agenda || null,
+    draftDetails: context.draftDetails || [],
+    sessionInfo: context.sessionInfo || null,
+    grounding: context.grounding || null,
   });
 }
+
+/**
+ * Rebuild the parts of a session context that saveContextMetadata() caches,
+ * for post-processing minutes generated after the context was fetched
+ * (--batch-resume). Slide texts and WG documents are not cached, so they
+ * come back empty.
+ * @param {Object|null} metadata - Cached session metadata
+ * @returns {Object} Session context
+ */
+export function contextFromMetadata(metadata) {
+  return {
+    slidesAndBluesheet: { slides: metadata?.slides || [], bluesheet: metadata?.bluesheetText || null },
+    slideTexts: [],
+    wgDocuments: [],
+    polls: metadata?.polls || [],
+    chat: metadata?.chat || [],
+    agenda: metadata?.agenda || null,
+    draftDetails: metadata?.draftDetails || [],
+    sessionInfo: metadata?.sessionInfo || null,
+  };
+}
+
+/**
+ * Fetch and cache the chairs' official minutes for a session, unless they are
+ * already cached. Chairs often upload minutes weeks after the meeting, so this
+ * runs for cached sessions too. Fails soft: returns null on any error.
+ * @param {number|string} meetingNumber - IETF meeting number or interim date/slug
+ * @param {Object} session - Session object with sessionId (and optionally meetingSlug)
+ * @param {boolean} verbose - Whether to log fetch failures
+ * @returns {Promise<Object|null>} Newly fetched minutes ({name, title, url, text}), or null
+ */
+export async function refreshOfficialMinutes(meetingNumber, session, verbose = false) {
+  const scope = sessionMaterialScope(session);
+  if (!scope || await getCachedOfficialMinutes(meetingNumber, session.sessionId)) {
+    return null;
+  }
+  try {
+    const minutes = await fetchOfficialMinutes(scope.meetingIdentifier, session.sessionId, session.meetingSlug);
+    if (minutes) {
+      await saveOfficialMinutes(meetingNumber, session.sessionId, minutes);
+    }
+    return minutes;
+  } catch (error) {
+    if (verbose) {
+      console.log(`    [context] Could not fetch official minutes: ${error.message}`);
+    }
+    return null;
+  }
+}
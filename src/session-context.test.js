@@ -4,20 +4,44 @@ const mockFetchSlides = jest.fn();
 const mockFetchDocuments = jest.fn();
 const mockFetchPolls = jest.fn();
 const mockFetchChat = jest.fn();
+const mockFetchGroupInfo = jest.fn();
+const mockFetchAgenda = jest.fn();
+const mockFetchOfficialMinutes = jest.fn();
+const mockFetchDraftDetails = jest.fn();
 const mockSaveCacheMetadata = jest.fn();
+const mockGetCachedOfficialMinutes = jest.fn();
+const mockSaveOfficialMinutes = jest.fn();
+const mockFetchSlideTexts = jest.fn();
 
 jest.unstable_mockModule('./scraper.js', () => ({
   fetchSessionSlidesAndBluesheet: mockFetchSlides,
   fetchWorkingGroupDocuments: mockFetchDocuments,
   fetchSessionPolls: mockFetchPolls,
   fetchSessionChatlog: mockFetchChat,
+  fetchGroupInfo: mockFetchGroupInfo,
+  fetchSessionAgenda: mockFetchAgenda,
+  fetchOfficialMinutes: mockFetchOfficialMinutes,
+  fetchDraftDetails: mockFetchDraftDetails,
 }));
 
 jest.unstable_mockModule('./publisher.js', () => ({
   saveCacheMetadata: mockSaveCacheMetadata,
+  getCachedOfficialMinutes: mockGetCachedOfficialMinutes,
+  saveOfficialMinutes: mockSaveOfficialMinutes,
 }));
 
-const { fetchContextForSession, saveContextMetadata, sessionSlugFromId } = await import('./session-context.js');
+jest.unstable_mockModule('./slides.js', () => ({
+  fetchSlideTexts: mockFetchSlideTexts,
+}));
+
+const {
+  fetchContextForSession,
+  saveContextMetadata,
+  sessionSlugFromId,
+  refreshOfficialMinutes,
+  discussedDraftNames,
+  fetchDiscussedDraftDetails,
+} = await import('./session-context.js');
 
 beforeEach(() => jest.clearAllMocks());
 
@@ -30,21 +54,43 @@ test('threads all fetched context through to cache metadata', async () => {
   mockFetchDocuments.mockResolvedValue(wgDocuments);
   mockFetchPolls.mockResolvedValue(polls);
   mockFetchChat.mockResolvedValue(chat);
+  mockFetchGroupInfo.mockResolvedValue({ name: 'CBOR', groupType: 'wg', area: 'art', chairs: ['Alice', 'Bob'] });
+  const agenda = { name: 'agenda-124-cbor', title: 'Agenda IETF124: cbor', url: 'https://example.com/agenda', text: '1. Intro', items: ['Intro'] };
+  mockFetchAgenda.mockResolvedValue(agenda);
+  const slideTexts = [{ title: 'Deck', url: 'https://example.com/deck', text: 'CBOR tags' }];
+  mockFetchSlideTexts.mockResolvedValue(slideTexts);
   mockSaveCacheMetadata.mockResolvedValue(undefined);
 
-  const session = { sessionId: 'IETF124-CBOR-20251107-0930', sessionName: 'CBOR' };
+  const session = { sessionId: 'IETF124-CBOR-20251107-0930', sessionName: 'CBOR', room: 'Room 1', durationMinutes: 90 };
   const context = await fetchContextForSession(session);
 
-  expect(context).toEqual({ slidesAndBluesheet, wgDocuments, polls, chat });
+  const sessionInfo = {
+    chairs: ['Alice', 'Bob'],
+    area: 'art',
+    groupType: 'wg',
+    room: 'Room 1',
+    startTime: null,
+    durationMinutes: 90,
+  };
+  expect(context).toEqual({ slidesAndBluesheet, slideTexts, wgDocuments, polls, chat, agenda, sessionInfo });
+  expect(mockFetchSlideTexts).toHaveBeenCalledWith(slidesAndBluesheet.slides, { verbose: false });
   expect(mockFetchPolls).toHaveBeenCalledWith(124, session.sessionId, undefined);
   expect(mockFetchChat).toHaveBeenCalledWith(124, session.sessionId, undefined);
+  // Chairs as of the session start, taken from the session ID.
+  expect(mockFetchGroupInfo).toHaveBeenCalledWith('cbor', '2025-11-07T09:30:00.000Z');
+  expect(mockFetchAgenda).toHaveBeenCalledWith(124, 'cbor', session.sessionId);
 
-  await saveContextMetadata(124, session.sessionId, context);
+  const draftDetails = [{ name: 'draft-ietf-cbor-edn-literals', title: 'EDN', rev: '16', revisionDate: '2025-10-20', abstract: null, revisions: [] }];
+  await saveContextMetadata(124, session.sessionId, { ...context, draftDetails });
   expect(mockSaveCacheMetadata).toHaveBeenCalledWith(124, session.sessionId, {
     slides: slidesAndBluesheet.slides,
     bluesheetText: 'Alice',
     polls,
     chat,
+    agenda,
+    draftDetails,
+    sessionInfo,
+    grounding: null,
   });
 });
 
@@ -53,11 +99,38 @@ test('soft-fails rejected context fetches to their empty defaults', async () =>
   mockFetchDocuments.mockRejectedValue(new Error('documents unavailable'));
   mockFetchPolls.mockRejectedValue(new Error('polls unavailable'));
   mockFetchChat.mockRejectedValue(new Error('chat unavailable'));
+  mockFetchGroupInfo.mockRejectedValue(new Error('group unavailable'));
+  mockFetchAgenda.mockRejectedValue(new Error('agenda unavailable'));
 
   await expect(fetchContextForSession({
     sessionId: 'IETF124-CBOR-20251107-0930',
     sessionName: 'CBOR',
-  })).resolves.toEqual({ slidesAndBluesheet: null, wgDocuments: [], polls: [], chat: [] });
+  })).resolves.toEqual({
+    slidesAndBluesheet: null,
+    slideTexts: [],
+    wgDocuments: [],
+    polls: [],
+    chat: [],
+    agenda: null,
+    sessionInfo: { chairs: [], area: null, groupType: null, room: null, startTime: null, durationMinutes: null },
+  });
+});
+
+test('prefers schedule-derived area and group type over the group lookup', async () => {
+  mockFetchSlides.mockResolvedValue(null);
+  mockFetchDocuments.mockResolvedValue([]);
+  mockFetchPolls.mockResolvedValue([]);
+  mockFetchChat.mockResolvedValue([]);
+  mockFetchGroupInfo.mockResolvedValue({ name: 'Foo', groupType: 'wg', area: 'art', chairs: ['Carol'] });
+
+  const context = await fetchContextForSession({
+    sessionId: 'IETF125-FOO-20260316-0100',
+    sessionName: 'foo',
+    groupType: 'bof',
+    area: 'sec',
+  });
+
+  expect(context.sessionInfo).toMatchObject({ chairs: ['Carol'], groupType: 'bof', area: 'sec' });
 });
 
 test.each([
@@ -66,3 +139,77 @@ test.each([
 ])('extracts %s as session slug %s', (sessionId, expected) => {
   expect(sessionSlugFromId(sessionId)).toBe(expected);
 });
+
+describe('refreshOfficialMinutes', () => {
+  const official = {
+    name: 'minutes-125-tls-202603160100',
+    title: 'Minutes IETF125: tls: Mon 01:00',
+    url: 'https://datatracker.ietf.org/meeting/125/materials/minutes-125-tls-202603160100',
+    text: '# TLS minutes',
+  };
+
+  test('fetches and caches minutes that are not cached yet', async () => {
+    mockGetCachedOfficialMinutes.mockResolvedValue(null);
+    mockFetchOfficialMinutes.mockResolvedValue(official);
+
+    await expect(refreshOfficialMinutes(125, { sessionId: 'IETF125-TLS-20260316-0100', sessionName: 'tls' })).resolves.toEqual(official);
+    expect(mockFetchOfficialMinutes).toHaveBeenCalledWith(125, 'IETF125-TLS-20260316-0100', undefined);
+    expect(mockSaveOfficialMinutes).toHaveBeenCalledWith(125, 'IETF125-TLS-20260316-0100', official);
+  });
+
+  test('resolves interim sessions through their meeting slug', async () => {
+    mockGetCachedOfficialMinutes.mockResolvedValue(null);
+    mockFetchOfficialMinutes.mockResolvedValue(null);
+
+    await expect(refreshOfficialMinutes('2026-06-11', {
+      sessionId: 'IETF-MOQ-20260611-0830',
+      sessionName: 'moq',
+      meetingSlug: 'interim-2026-moq-08',
+    })).resolves.toBeNull();
+    expect(mockFetchOfficialMinutes).toHaveBeenCalledWith('interim-2026-moq-08', 'IETF-MOQ-20260611-0830', 'interim-2026-moq-08');
+    expect(mockSaveOfficialMinutes).not.toHaveBeenCalled();
+  });
+
+  test('does not refetch cached minutes', async () => {
+    mockGetCachedOfficialMinutes.mockResolvedValue(official);
+
+    await expect(refreshOfficialMinutes(125, { sessionId: 'IETF125-TLS-20260316-0100', sessionName: 'tls' })).resolves.toBeNull();
+    expect(mockFetchOfficialMinutes).not.toHaveBeenCalled();
+  });
+
+  test('fails soft when datatracker is unavailable', async () => {
+    mockGetCachedOfficialMinutes.mockResolvedValue(null);
+    mockFetchOfficialMinutes.mockRejectedValue(new Error('503 Service Unavailable'));
+
+    await expect(refreshOfficialMinutes(125, { sessionId: 'IETF125-TLS-20260316-0100', sessionName: 'tls' })).resolves.toBeNull();
+    expect(mockSaveOfficialMinutes).not.toHaveBeenCalled();
+  });
+});
+
+describe('discussed drafts', () => {
+  const context = {
+    slidesAndBluesheet: { slides: [{ title: 'draft-ietf-tls-esni-24 update' }], bluesheet: null },
+    slideTexts: [{ text: 'Changes since draft-ietf-tls-esni-23' }],
+    chat: [{ author: 'Alice', text: 'see draft-rescorla-tls-new' }],
+    agenda: { text: '1. draft-ietf-tls-hybrid-design', items: [] },
+  };
+
+  test('ranks draft names from slides, chat, agenda and transcript by mentions, without revisions', () => {
+    expect(discussedDraftNames(context, 'We merged Draft-IETF-TLS-Hybrid-Design into draft-ietf-tls-esni.')).toEqual([
+      'draft-ietf-tls-esni',
+      'draft-ietf-tls-hybrid-design',
+      'draft-rescorla-tls-new',
+    ]);
+  });
+
+  test('fetches details per draft and leaves out the ones that fail', async () => {
+    mockFetchDraftDetails.mockImplementation(async (name) => {
+      if (name === 'draft-rescorla-tls-new') throw new Error('Failed to fetch: 404 Not Found');
+      return { name, title: name, rev: '01', revisionDate: null, abstract: null, revisions: [] };
+    });
+
+    const details = await fetchDiscussedDraftDetails(context, '');
+
+    expect(details.map(draft => draft.name)).toEqual(['draft-ietf-tls-esni', 'draft-ietf-tls-hybrid-design']);
+  });
+});
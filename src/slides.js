@@ -0,0 +1,256 @@
+/**
+ * Slide Text Extraction
+ * Downloads session slide decks and extracts their text locally so slide
+ * bodies (not just titles) can be used as spelling and terminology context.
+ */
+
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import os from "os";
+import zlib from "zlib";
+import { randomUUID } from "crypto";
+import * as cheerio from "cheerio";
+import { httpFetch } from "./http.js";
+import { runProcess } from "./process.js";
+
+export const SLIDE_CACHE_DIR = path.join("cache", "slides");
+
+// Excerpt bounds: per deck and across all decks of a session.
+const PROMPT_EXCERPT_CHARS = 3000;
+const PROMPT_EXCERPT_TOTAL_CHARS = 30000;
+const CLEANUP_EXCERPT_CHARS = 1500;
+const CLEANUP_EXCERPT_TOTAL_CHARS = 12000;
+const MAX_SLIDE_KEYTERMS = 50;
+
+/**
+ * Cache file for a deck's extracted text, named after the material name in
+ * the URL (e.g. slides-124-tls-ech-update-00), which is unique per meeting.
+ * @param {string} url - Slide deck URL
+ * @param {string} [cacheDir] - Cache directory
+ * @returns {string} Path to the cached .txt file
+ */
+export function getSlideTextPath(url, cacheDir = SLIDE_CACHE_DIR) {
+  let name = "";
+  try {
+    name = new URL(url).pathname.split("/").filter(Boolean).pop() || "";
+  } catch {
+    // Not a URL; fall through to the whole string
+  }
+  name = (name || url).replace(/[^A-Za-z0-9._-]/g, "_").slice(0, 150);
+  return path.join(cacheDir, `${name}.txt`);
+}
+
+/**
+ * Read the entries of a zip archive (as used by PPTX) into a name → Buffer
+ * map, via the central directory. Only stored and deflated entries are
+ * supported, which covers every Office document.
+ * @param {Buffer} buffer - Zip file contents
+ * @param {(name: string) => boolean} [filter] - Which entries to inflate
+ * @returns {Map<string, Buffer>} Entry contents by name
+ */
+export function readZipEntries(buffer, filter = () => true) {
+  // End of central directory record: last occurrence of its signature.
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error("Not a zip archive (no end of central directory record)");
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf-8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!filter(name)) continue;
+
+    const dataStart = localOffset + 30
+      + buffer.readUInt16LE(localOffset + 26)
+      + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Extract text from a PPTX deck: the <a:t> runs of each ppt/slides/slideN.xml,
+ * one "Slide N:" line per slide in slide order.
+ * @param {Buffer} buffer - PPTX file contents
+ * @returns {string} Slide text
+ */
+export function extractPptxText(buffer) {
+  const slides = readZipEntries(buffer, name => /^ppt\/slides\/slide\d+\.xml$/.test(name));
+  return [...slides.entries()]
+    .map(([name, xml]) => [Number(name.match(/(\d+)\.xml$/)[1]), xml.toString("utf-8")])
+    .sort((a, b) => a[0] - b[0])
+    .map(([number, xml]) => {
+      const runs = [...xml.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(match => cheerio.load(match[1], null, false).text());
+      return runs.length > 0 ? `Slide ${number}: ${runs.join(" ")}` : null;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Extract text from a PDF deck with pdftotext (poppler-utils). pdftotext reads
+ * from a file, so the deck is staged in the OS temp directory.
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<string>} Extracted text
+ */
+async function extractPdfText(buffer) {
+  const tempPath = path.join(os.tmpdir(), `slides-${randomUUID()}.pdf`);
+  await fsPromises.writeFile(tempPath, buffer);
+  try {
+    return await runProcess("pdftotext", ["-q", "-enc", "UTF-8", tempPath, "-"], { captureStdout: true, label: "pdftotext" });
+  } finally {
+    await fsPromises.rm(tempPath, { force: true });
+  }
+}
+
+/**
+ * Extract plain text from a downloaded slide deck. The format is sniffed from
+ * the content (PDF and zip magic bytes, HTML markup) before falling back to the
+ * Content-Type, since datatracker serves some materials as octet-stream.
+ * Markdown and plain text are returned as-is.
+ * @param {Buffer} buffer - Deck contents
+ * @param {string} [contentType] - Response Content-Type
+ * @returns {Promise<string>} Extracted text with whitespace runs collapsed
+ */
+export async function extractSlideText(buffer, contentType = "") {
+  let text;
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") {
+    text = await extractPdfText(buffer);
+  } else if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    text = extractPptxText(buffer);
+  } else {
+    const body = buffer.toString("utf-8");
+    if (contentType.includes("html") || /^\s*<(!doctype|html)/i.test(body)) {
+      const $ = cheerio.load(body);
+      // Keep block elements on separate lines
+      $("br").replaceWith("\n");
+      $("h1, h2, h3, h4, h5, h6, p, div, li, tr, section").append("\n");
+      text = $("body").text();
+    } else {
+      text = body;
+    }
+  }
+  return text
+    .split(/\r?\n/)
+    .map(line => line.replace(/[ \t\f\v]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Download and extract the text of each slide deck, caching the text in
+ * cache/slides/ so decks are downloaded and parsed once. Fails soft per deck:
+ * a deck that cannot be fetched or parsed is left out (and not cached).
+ * @param {Array<{title: string, url: string}>} slides - Slide decks from fetchSessionSlidesAndBluesheet
+ * @param {{verbose?: boolean, cacheDir?: string}} [options]
+ * @returns {Promise<Array<{title: string, url: string, text: string}>>} Decks with extracted text
+ */
+export async function fetchSlideTexts(slides, { verbose = false, cacheDir = SLIDE_CACHE_DIR } = {}) {
+  const results = await Promise.all((slides || []).map(async (slide) => {
+    if (!slide?.url) return null;
+    const cachePath = getSlideTextPath(slide.url, cacheDir);
+    if (fs.existsSync(cachePath)) {
+      return { title: slide.title, url: slide.url, text: await fsPromises.readFile(cachePath, "utf-8") };
+    }
+
+    try {
+      const response = await httpFetch(slide.url);
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      const text = await extractSlideText(buffer, response.headers?.get?.("content-type") || "");
+      // Image-only decks cache as empty so they aren't re-downloaded every run.
+      await fsPromises.mkdir(cacheDir, { recursive: true });
+      await fsPromises.writeFile(cachePath, text);
+      return { title: slide.title, url: slide.url, text };
+    } catch (error) {
+      if (verbose) {
+        console.log(`    [context] Could not extract text from ${slide.url}: ${error.message}`);
+      }
+      return null;
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+/**
+ * Bound each deck's text to perDeckChars and all decks together to
+ * totalChars, dropping decks with no text. Truncated excerpts end with "…".
+ * @param {Array<{title: string, url: string, text: string}>} slideTexts
+ * @param {number} perDeckChars
+ * @param {number} totalChars
+ * @returns {Array<{title: string, url: string, excerpt: string}>}
+ */
+export function slideExcerpts(slideTexts, perDeckChars, totalChars) {
+  const excerpts = [];
+  let remaining = totalChars;
+  for (const deck of slideTexts || []) {
+    const text = (deck?.text || "").trim();
+    if (!text || remaining <= 0) continue;
+    const limit = Math.min(perDeckChars, remaining);
+    const excerpt = text.length > limit ? `${text.slice(0, limit).trimEnd()}…` : text;
+    excerpts.push({ title: deck.title, url: deck.url, excerpt });
+    remaining -= excerpt.length;
+  }
+  return excerpts;
+}
+
+/** Slide excerpts sized for the minutes / STT context prompt. */
+export function promptSlideExcerpts(slideTexts) {
+  return slideExcerpts(slideTexts, PROMPT_EXCERPT_CHARS, PROMPT_EXCERPT_TOTAL_CHARS);
+}
+
+/** Slide excerpts sized for the transcript cleanup reference. */
+export function cleanupSlideExcerpts(slideTexts) {
+  return slideExcerpts(slideTexts, CLEANUP_EXCERPT_CHARS, CLEANUP_EXCERPT_TOTAL_CHARS);
+}
+
+/**
+ * Pick likely domain terms out of slide text for STT keyterm boosting:
+ * draft names, acronyms and mixed-case identifiers (QUIC, HPKE, WebTransport),
+ * most frequent first.
+ * @param {Array<{text: string}>} slideTexts
+ * @returns {string[]} Up to MAX_SLIDE_KEYTERMS terms
+ */
+export function extractSlideKeyterms(slideTexts) {
+  const counts = new Map();
+  for (const deck of slideTexts || []) {
+    const matches = (deck?.text || "").match(/\bdraft-[a-z0-9-]+[a-z0-9]|\b[A-Za-z]*[A-Z][a-z]*[A-Z0-9][A-Za-z0-9]*\b/g) || [];
+    for (const term of matches) {
+      if (term.length < 3 || term.length > 40) continue;
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_SLIDE_KEYTERMS)
+    .map(([term]) => term);
+}
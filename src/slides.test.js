@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+const mockFetch = jest.fn();
+const mockRunProcess = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+jest.unstable_mockModule('./process.js', () => ({
+  runProcess: mockRunProcess,
+}));
+
+const {
+  getSlideTextPath,
+  extractPptxText,
+  extractSlideText,
+  fetchSlideTexts,
+  slideExcerpts,
+  extractSlideKeyterms,
+} = await import('./slides.js');
+
+/**
+ * Build a minimal zip archive (deflated entries, no CRCs — the reader
+ * doesn't check them) so PPTX parsing can be tested without fixtures.
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(content));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+  const centralDirectory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(centralDirectory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, eocd]);
+}
+
+const slideXml = (...runs) => `<p:sld><p:txBody>${runs.map(run => `<a:p><a:r><a:t>${run}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sld>`;
+
+function binaryResponse(buffer, contentType) {
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: new Headers({ 'content-type': contentType }),
+    arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length),
+  };
+}
+
+describe('getSlideTextPath', () => {
+  test('names the cache file after the material name', () => {
+    expect(getSlideTextPath('https://datatracker.ietf.org/meeting/124/materials/slides-124-tls-ech-00'))
+      .toBe(path.join('cache', 'slides', 'slides-124-tls-ech-00.txt'));
+  });
+});
+
+describe('extractPptxText', () => {
+  test('reads slide text runs in numeric slide order', () => {
+    const pptx = buildZip({
+      '[Content_Types].xml': '<Types/>',
+      'ppt/slides/slide10.xml': slideXml('Questions?'),
+      'ppt/slides/slide2.xml': slideXml('HPKE &amp; ECH', 'Status'),
+      'ppt/slides/slide1.xml': slideXml('ECH Update'),
+      'ppt/slides/_rels/slide1.xml.rels': '<Relationships/>',
+    });
+
+    expect(extractPptxText(pptx)).toBe('Slide 1: ECH Update\nSlide 2: HPKE & ECH Status\nSlide 10: Questions?');
+  });
+});
+
+describe('extractSlideText', () => {
+  beforeEach(() => {
+    mockRunProcess.mockReset();
+  });
+
+  test('returns Markdown as-is with blank lines and runs of spaces collapsed', async () => {
+    const text = await extractSlideText(Buffer.from('# QUIC   Multipath\n\n- Path   IDs\n'), 'text/markdown');
+    expect(text).toBe('# QUIC Multipath\n- Path IDs');
+  });
+
+  test('strips HTML markup', async () => {
+    const text = await extractSlideText(Buffer.from('<html><body><h1>MASQUE</h1><p>CONNECT-UDP</p></body></html>'), 'text/html');
+    expect(text).toBe('MASQUE\nCONNECT-UDP');
+  });
+
+  test('runs pdftotext on PDFs and removes the temporary file', async () => {
+    let tempPath;
+    mockRunProcess.mockImplementation(async (command, args) => {
+      tempPath = args[args.length - 2];
+      expect(fs.readFileSync(tempPath, 'latin1')).toBe('%PDF-1.7 fake');
+      return 'OSCORE   profile\n\n';
+    });
+
+    const text = await extractSlideText(Buffer.from('%PDF-1.7 fake'), 'application/octet-stream');
+
+    expect(text).toBe('OSCORE profile');
+    expect(mockRunProcess).toHaveBeenCalledWith('pdftotext', expect.arrayContaining(['-']), expect.objectContaining({ captureStdout: true }));
+    expect(fs.existsSync(tempPath)).toBe(false);
+  });
+});
+
+describe('fetchSlideTexts', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    mockRunProcess.mockReset();
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slides-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('downloads, extracts and caches each deck, then serves it from the cache', async () => {
+    const slides = [{ title: 'ECH', url: 'https://datatracker.ietf.org/meeting/124/materials/slides-124-tls-ech-00' }];
+    mockFetch.mockResolvedValue(binaryResponse(buildZip({ 'ppt/slides/slide1.xml': slideXml('ECH Update') }), 'application/vnd.openxmlformats-officedocument.presentationml.presentation'));
+
+    const first = await fetchSlideTexts(slides, { cacheDir });
+    const second = await fetchSlideTexts(slides, { cacheDir });
+
+    const expected = [{ title: 'ECH', url: slides[0].url, text: 'Slide 1: ECH Update' }];
+    expect(first).toEqual(expected);
+    expect(second).toEqual(expected);
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(fs.readFileSync(path.join(cacheDir, 'slides-124-tls-ech-00.txt'), 'utf-8')).toBe('Slide 1: ECH Update');
+  });
+
+  test('leaves out decks that fail to download or extract, without caching them', async () => {
+    const slides = [
+      { title: 'Missing', url: 'https://datatracker.ietf.org/meeting/124/materials/slides-124-tls-missing-00' },
+      { title: 'PDF', url: 'https://datatracker.ietf.org/meeting/124/materials/slides-124-tls-pdf-00' },
+    ];
+    mockFetch.mockImplementation(async (url) => (url.endsWith('missing-00')
+      ? { ok: false, status: 404, statusText: 'Not Found' }
+      : binaryResponse(Buffer.from('%PDF-1.7'), 'application/pdf')));
+    mockRunProcess.mockRejectedValue(new Error('pdftotext failed to start: spawn pdftotext ENOENT'));
+
+    await expect(fetchSlideTexts(slides, { cacheDir })).resolves.toEqual([]);
+    expect(fs.readdirSync(cacheDir)).toEqual([]);
+  });
+});
+
+describe('slideExcerpts', () => {
+  test('bounds each deck and the total, skipping decks without text', () => {
+    const excerpts = slideExcerpts([
+      { title: 'A', url: 'a', text: 'a'.repeat(10) },
+      { title: 'Empty', url: 'e', text: '' },
+      { title: 'B', url: 'b', text: 'b'.repeat(10) },
+      { title: 'C', url: 'c', text: 'c'.repeat(10) },
+    ], 8, 12);
+
+    expect(excerpts).toEqual([
+      { title: 'A', url: 'a', excerpt: `${'a'.repeat(8)}…` },
+      { title: 'B', url: 'b', excerpt: 'bbb…' },
+    ]);
+  });
+});
+
+describe('extractSlideKeyterms', () => {
+  test('ranks acronyms, mixed-case identifiers and draft names by frequency', () => {
+    const terms = extractSlideKeyterms([
+      { text: 'Slide 1: MLS and MIMI\nSlide 2: MLS in draft-ietf-mimi-arch' },
+      { text: 'The MLS KeyPackage is rotated' },
+    ]);
+
+    expect(terms).toEqual(['MLS', 'draft-ietf-mimi-arch', 'KeyPackage', 'MIMI']);
+  });
+});
@@ -5,6 +5,7 @@
  */
 
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { buildPrompt } from "./prompts.js";
 
 /**
  * Helper to perform retries with exponential backoff
@@ -56,8 +57,9 @@ export function extractJSON(text) {
  * `file` may be null for a text-only request (no audio uploaded to Gemini).
  * When `usageAccumulator` is provided, token usage from the request(s) is
  * added to it in place (optional — existing callers that omit it are unaffected).
+ * The prompts are the speaker-map templates, with `groupName`'s overrides.
  */
-export async function getSpeakerMapFromGemini(apiKey, modelName, file, transcript, participantsList, verbose = false, usageAccumulator = null) {
+export async function getSpeakerMapFromGemini(apiKey, modelName, file, transcript, participantsList, verbose = false, usageAccumulator = null, groupName = null) {
   const genAI = new GoogleGenerativeAI(apiKey);
   // We use low thinking level for deterministic schema-based outputs
   const genModel = genAI.getGenerativeModel({
@@ -68,30 +70,10 @@ export async function getSpeakerMapFromGemini(apiKey, modelName, file, transcrip
     }
   });
 
-  let prompt = `You are an expert meeting transcription assistant. You are provided with:
-1. A transcription of a meeting containing generic speaker labels like "Speaker 1", "Speaker 2", etc.
-`;
-
-  if (participantsList) {
-    prompt += `
-2. A list of expected participants in the meeting:
-${participantsList}
-`;
-  }
-
-  prompt += `
-Your task is to identify the actual name of each speaker (e.g. mapping "Speaker 1" to "John Doe").
-- Analyze the speaker introductions, how people refer to each other, the topics discussed, and cross-reference them with the list of expected participants (if provided).
-- Output ONLY a JSON object mapping each generic speaker label (exactly as written in the transcript, like "Speaker 1") to their identified real name.
-- If a speaker's name cannot be identified, map them to a descriptive role (e.g. "Presenter", "Chairperson") or leave them as the original speaker label.
-- Return ONLY the JSON object.
-
-Example output format:
-{
-  "Speaker 1": "John Doe",
-  "Speaker 2": "Jane Smith"
-}
-`;
+  const prompt = await buildPrompt("speaker-map", groupName, {
+    participantsBlock: participantsList ? `\n2. A list of expected participants in the meeting:\n${participantsList}` : "",
+    transcript,
+  });
 
   function recordUsage(response) {
     if (!usageAccumulator) return;
@@ -111,7 +93,7 @@ Example output format:
         },
       });
     }
-    contents.push({ text: prompt + `\n\nHere is the transcript:\n${transcript}` });
+    contents.push({ text: prompt });
 
     if (verbose) console.log(`Sending content generation request to Gemini (${modelName})...`);
     const result = await genModel.generateContent(contents);
@@ -127,7 +109,7 @@ Example output format:
 
       // Fallback: request without JSON config constraint or with shepherding
       const fallbackModel = genAI.getGenerativeModel({ model: modelName });
-      const correctionPrompt = `The previous response was not valid JSON. Extract the speaker mapping to a clean JSON object. Do not output anything but the JSON block. Here is the transcript:\n${transcript}`;
+      const correctionPrompt = await buildPrompt("speaker-map-retry", groupName, { transcript });
 
       const contentsFallback = [];
       if (file) {
@@ -187,6 +169,24 @@ export function applySpeakerMap(rawTranscript, speakerMap) {
     .join('\n\n') + '\n';
 }
 
+/**
+ * Rename the speakers of a canonical transcript's turns (see
+ * canonical-transcript.js). Only the turn's speaker changes, so timestamps,
+ * words and text are untouched; turns whose speaker is not in the map keep
+ * their label.
+ * @param {Object} transcript - Canonical transcript
+ * @param {Object<string, string>} speakerMap - Normalized map, e.g. {"Speaker 1": "Jane Smith"}
+ * @returns {Object} New canonical transcript
+ */
+export function applySpeakerMapToTranscript(transcript, speakerMap) {
+  return {
+    ...transcript,
+    turns: transcript.turns.map((turn) => (
+      turn.speaker !== null && speakerMap[turn.speaker] ? { ...turn, speaker: speakerMap[turn.speaker] } : turn
+    )),
+  };
+}
+
 /**
  * Format a duration in seconds as "HH:MM:SS"
  */
@@ -3,6 +3,9 @@
  */
 
 import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 const mockGenerateContent = jest.fn();
 
@@ -12,7 +15,8 @@ jest.unstable_mockModule('@google/generative-ai', () => ({
   })),
 }));
 
-const { parseOffset, formatOffset, applySpeakerMap, normalizeSpeakerMap, extractJSON, getSpeakerMapFromGemini } = await import('./speaker-names.js');
+const { parseOffset, formatOffset, applySpeakerMap, applySpeakerMapToTranscript, normalizeSpeakerMap, extractJSON, getSpeakerMapFromGemini } = await import('./speaker-names.js');
+const { setPromptsDir } = await import('./prompts.js');
 
 describe('parseOffset', () => {
   test('parses a REST duration string like "12.340s"', () => {
@@ -67,6 +71,23 @@ describe('applySpeakerMap', () => {
   });
 });
 
+describe('applySpeakerMapToTranscript', () => {
+  test('renames mapped turn speakers and leaves the rest of the transcript alone', () => {
+    const transcript = {
+      version: 1,
+      source: 'google',
+      turns: [
+        { speaker: 'Speaker 1', start: 872, end: 874, text: 'Hello everyone.', words: null, confidence: 0.9 },
+        { speaker: 'Speaker 2', start: 875, end: 876, text: 'Hi.', words: null, confidence: null },
+      ],
+    };
+    const result = applySpeakerMapToTranscript(transcript, { 'Speaker 1': 'Jane Smith' });
+    expect(result.turns.map((turn) => turn.speaker)).toEqual(['Jane Smith', 'Speaker 2']);
+    expect(result.turns[0]).toMatchObject({ start: 872, text: 'Hello everyone.', confidence: 0.9 });
+    expect(transcript.turns[0].speaker).toBe('Speaker 1');
+  });
+});
+
 describe('extractJSON', () => {
   test('extracts JSON from a ```json fenced block', () => {
     const text = 'Here you go:\n```json\n{"Speaker 1": "Jane"}\n```\n';
@@ -104,4 +125,31 @@ describe('getSpeakerMapFromGemini', () => {
     const contents = mockGenerateContent.mock.calls[0][0];
     expect(contents.some(c => c.fileData)).toBe(false);
   });
+
+  test('lists the expected participants and ends the prompt with the transcript', async () => {
+    mockGenerateContent.mockResolvedValue({ response: { text: () => '{}' } });
+
+    await getSpeakerMapFromGemini('key', 'gemini-3.5-flash', null, 'Speaker 1: hi', 'Jane Smith\nJohn Doe', false);
+
+    const prompt = mockGenerateContent.mock.calls[0][0][0].text;
+    expect(prompt).toContain('2. A list of expected participants in the meeting:\nJane Smith\nJohn Doe\n\nYour task');
+    expect(prompt.endsWith('Here is the transcript:\nSpeaker 1: hi')).toBe(true);
+  });
+
+  test('uses the prompt override of the session\'s group', async () => {
+    const promptsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompts-'));
+    await fs.mkdir(path.join(promptsDir, 'wg', 'quic'), { recursive: true });
+    await fs.writeFile(path.join(promptsDir, 'wg', 'quic', 'speaker-map.md'), 'Map QUIC speakers.{{participantsBlock}}\n{{transcript}}\n');
+    setPromptsDir(promptsDir);
+    mockGenerateContent.mockResolvedValue({ response: { text: () => '{}' } });
+
+    try {
+      await getSpeakerMapFromGemini('key', 'gemini-3.5-flash', null, 'Speaker 1: hi', null, false, null, 'QUIC');
+    } finally {
+      setPromptsDir(null);
+      await fs.rm(promptsDir, { recursive: true, force: true });
+    }
+
+    expect(mockGenerateContent.mock.calls[0][0][0].text).toBe('Map QUIC speakers.\nSpeaker 1: hi');
+  });
 });
@@ -0,0 +1,149 @@
+/**
+ * Structured Minutes
+ * JSON form of the minutes (--structured): the schema the LLM fills in, a
+ * validator for its response, and the deterministic Markdown rendering that
+ * takes the place of the LLM's own formatting.
+ */
+
+/**
+ * JSON Schema of a structured minutes document. The validator below checks
+ * the subset of JSON Schema used here (type, required, properties,
+ * additionalProperties, items, minLength, pattern, nullable types).
+ */
+export const STRUCTURED_MINUTES_SCHEMA = {
+  type: "object",
+  required: ["summary", "discussionPoints", "decisions", "actionItems", "nextSteps", "draftsReferenced", "pollsReferenced"],
+  additionalProperties: false,
+  properties: {
+    summary: { type: "string", minLength: 1 },
+    discussionPoints: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["topic", "points", "speakers"],
+        additionalProperties: false,
+        properties: {
+          topic: { type: "string", minLength: 1 },
+          points: { type: "array", items: { type: "string", minLength: 1 } },
+          speakers: { type: "array", items: { type: "string", minLength: 1 } },
+        },
+      },
+    },
+    decisions: { type: "array", items: { type: "string", minLength: 1 } },
+    actionItems: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["description", "owner"],
+        additionalProperties: false,
+        properties: {
+          description: { type: "string", minLength: 1 },
+          owner: { type: ["string", "null"] },
+        },
+      },
+    },
+    nextSteps: { type: "array", items: { type: "string", minLength: 1 } },
+    draftsReferenced: { type: "array", items: { type: "string", pattern: "^draft-[a-z0-9-]+$" } },
+    pollsReferenced: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["question", "result"],
+        additionalProperties: false,
+        properties: {
+          question: { type: "string", minLength: 1 },
+          result: { type: "string", minLength: 1 },
+        },
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function collectErrors(value, schema, where, errors) {
+  const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actual = typeOf(value);
+  if (!allowed.includes(actual)) {
+    errors.push(`${where}: expected ${allowed.join(" or ")}, got ${actual}`);
+    return;
+  }
+
+  if (actual === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+    }
+  } else if (actual === "array" && schema.items) {
+    value.forEach((item, index) => collectErrors(item, schema.items, `${where}[${index}]`, errors));
+  } else if (actual === "object" && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing "${key}"`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties[key]) {
+        collectErrors(item, schema.properties[key], `${where}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}: unexpected property "${key}"`);
+      }
+    }
+  }
+}
+
+/**
+ * Check a parsed LLM response against STRUCTURED_MINUTES_SCHEMA.
+ * @param {*} doc - Parsed JSON
+ * @returns {Array<string>} Validation errors as "$.path: problem" strings; empty when valid
+ */
+export function validateStructuredMinutes(doc) {
+  const errors = [];
+  collectErrors(doc, STRUCTURED_MINUTES_SCHEMA, "$", errors);
+  return errors;
+}
+
+function bulletList(items) {
+  return items.map((item) => `- ${item.trim()}`).join("\n");
+}
+
+/**
+ * Render a validated structured minutes document to the standard Markdown
+ * minutes layout. Empty sections other than the summary are left out.
+ * @param {Object} doc - Structured minutes (valid per STRUCTURED_MINUTES_SCHEMA)
+ * @param {string} sessionName - Session name, for the title
+ * @param {string} wgLink - Link to the WG page, for the title
+ * @returns {string} Markdown minutes
+ */
+export function renderStructuredMinutes(doc, sessionName, wgLink) {
+  const sections = [`# [${sessionName}](${wgLink})`, `## Summary\n\n${doc.summary.trim()}`];
+
+  if (doc.discussionPoints.length > 0) {
+    const topics = doc.discussionPoints.map((point) => {
+      let block = `### ${point.topic.trim()}`;
+      if (point.points.length > 0) block += `\n\n${bulletList(point.points)}`;
+      if (point.speakers.length > 0) block += `\n\n*Speakers: ${point.speakers.map((speaker) => speaker.trim()).join(", ")}*`;
+      return block;
+    });
+    sections.push(`## Key Discussion Points\n\n${topics.join("\n\n")}`);
+  }
+
+  const decisionLines = [
+    ...doc.decisions.map((decision) => `- ${decision.trim()}`),
+    ...doc.pollsReferenced.map((poll) => `- Poll: ${poll.question.trim()} — ${poll.result.trim()}`),
+    ...doc.actionItems.map((item) => `- **Action${item.owner?.trim() ? ` (${item.owner.trim()})` : ""}:** ${item.description.trim()}`),
+  ];
+  if (decisionLines.length > 0) {
+    sections.push(`## Decisions and Action Items\n\n${decisionLines.join("\n")}`);
+  }
+
+  if (doc.nextSteps.length > 0) {
+    sections.push(`## Next Steps\n\n${bulletList(doc.nextSteps)}`);
+  }
+
+  return sections.join("\n\n") + "\n";
+}
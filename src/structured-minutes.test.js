@@ -0,0 +1,88 @@
+import {
+  validateStructuredMinutes,
+  renderStructuredMinutes,
+} from './structured-minutes.js';
+
+function structuredMinutes(overrides = {}) {
+  return {
+    summary: 'The WG discussed ECH deployment.',
+    discussionPoints: [
+      { topic: 'draft-ietf-tls-esni', points: ['Interop testing is complete', 'Two open issues remain'], speakers: ['Alice Example', 'Bob Example'] },
+    ],
+    decisions: ['Start WGLC after the open issues are closed'],
+    actionItems: [
+      { description: 'Close the remaining issues', owner: 'Alice Example' },
+      { description: 'Update the implementation list', owner: null },
+    ],
+    nextSteps: ['Publish -25'],
+    draftsReferenced: ['draft-ietf-tls-esni'],
+    pollsReferenced: [{ question: 'Is the draft ready for WGLC?', result: 'yes: 20, no: 1' }],
+    ...overrides,
+  };
+}
+
+describe('validateStructuredMinutes', () => {
+  test('accepts a complete document', () => {
+    expect(validateStructuredMinutes(structuredMinutes())).toEqual([]);
+  });
+
+  test('reports missing, mistyped and unexpected fields by path', () => {
+    const doc = structuredMinutes({
+      summary: '',
+      actionItems: [{ description: 'Close issues' }],
+      draftsReferenced: ['ESNI'],
+      notes: 'extra',
+    });
+    delete doc.nextSteps;
+
+    expect(validateStructuredMinutes(doc)).toEqual([
+      '$: missing "nextSteps"',
+      '$.summary: must not be empty',
+      '$.actionItems[0]: missing "owner"',
+      '$.draftsReferenced[0]: "ESNI" does not match ^draft-[a-z0-9-]+$',
+      '$: unexpected property "notes"',
+    ]);
+    expect(validateStructuredMinutes([])).toEqual(['$: expected object, got array']);
+  });
+});
+
+describe('renderStructuredMinutes', () => {
+  test('renders the standard minutes sections', () => {
+    const markdown = renderStructuredMinutes(structuredMinutes(), 'TLS', '../wg/tls.html');
+
+    expect(markdown).toBe(`# [TLS](../wg/tls.html)
+
+## Summary
+
+The WG discussed ECH deployment.
+
+## Key Discussion Points
+
+### draft-ietf-tls-esni
+
+- Interop testing is complete
+- Two open issues remain
+
+*Speakers: Alice Example, Bob Example*
+
+## Decisions and Action Items
+
+- Start WGLC after the open issues are closed
+- Poll: Is the draft ready for WGLC? — yes: 20, no: 1
+- **Action (Alice Example):** Close the remaining issues
+- **Action:** Update the implementation list
+
+## Next Steps
+
+- Publish -25
+`);
+  });
+
+  test('leaves out empty sections', () => {
+    const markdown = renderStructuredMinutes(structuredMinutes({
+      discussionPoints: [], decisions: [], actionItems: [], nextSteps: [], pollsReferenced: [],
+    }), 'TLS', '../wg/tls.html');
+
+    expect(markdown).toBe('# [TLS](../wg/tls.html)\n\n## Summary\n\nThe WG discussed ECH deployment.\n');
+  });
+});
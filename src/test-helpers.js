@@ -0,0 +1,31 @@
+/**
+ * Fixtures shared by the test suites.
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'node:events';
+
+/**
+ * Fake child process: an EventEmitter with stdout/stderr EventEmitters,
+ * matching the shape runProcess() (src/process.js) consumes from
+ * child_process.spawn. On the next tick it emits `stdout` and closes with
+ * `code`, or emits `spawnError` instead.
+ * @param {{stdout?: string, code?: number, spawnError?: Error|null}} [options]
+ * @returns {EventEmitter}
+ */
+export function makeMockChild({ stdout = '', code = 0, spawnError = null } = {}) {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stdout.pipe = jest.fn();
+  child.stderr = new EventEmitter();
+  child.stderr.pipe = jest.fn();
+  process.nextTick(() => {
+    if (spawnError) {
+      child.emit('error', spawnError);
+      return;
+    }
+    if (stdout) child.stdout.emit('data', Buffer.from(stdout));
+    child.emit('close', code);
+  });
+  return child;
+}
@@ -5,7 +5,6 @@
 
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { GoogleAIFileManager } from "@google/generative-ai/server";
-import { spawn } from "child_process";
 import fs from "fs";
 import fsPromises from "fs/promises";
 import path from "path";
@@ -13,10 +12,21 @@ import os from "os";
 import { randomUUID } from "crypto";
 import fetch from "node-fetch";
 import { downloadTranscript } from "./scraper.js";
+import { httpFetch } from "./http.js";
+import { runProcess } from "./process.js";
+import { extractSlideKeyterms } from "./slides.js";
+import { isTransientError, backoffDelay } from "./retry.js";
 import { buildContextPrompt, assertTranscriptPresent, transcriptWordCount, extractParticipantNames, activeDraftNames } from "./generator.js";
-import { getSpeakerMapFromGemini, normalizeSpeakerMap, applySpeakerMap, formatOffset, parseOffset } from "./speaker-names.js";
+import { getSpeakerMapFromGemini, normalizeSpeakerMap, applySpeakerMapToTranscript, formatOffset } from "./speaker-names.js";
 import { buildCleanupReference, getCorrectionsFromGemini, normalizeCorrections, applyCorrections } from "./transcript-cleanup.js";
 import { recordUsage } from "./accounting.js";
+import { isSilenceTrimmingEnabled, trimAudioSilence, toOriginalTime } from "./audio-trim.js";
+import { getSegmentOptions, cutSegments, stitchSegments } from "./segments.js";
+import { runWithConcurrency } from "./concurrency.js";
+import { fromDeepgramWords, fromGoogleWords, fromWhisperSegments, fromText, toCanonicalTranscript, parseCanonicalTranscript, concatTranscripts, mapTranscriptTimes, renderTranscript } from "./canonical-transcript.js";
+
+// Re-exported: the classifier now lives in retry.js, shared with http.js.
+export { isTransientError };
 
 const AUDIO_CACHE_DIR = path.join("cache", "audio");
 const TRANSCRIPT_CACHE_DIR = path.join("cache", "transcripts");
@@ -39,42 +49,6 @@ const UPLOAD_RETRY_CAP_MS = 15000;
 const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
 const GEMINI_FILES_UPLOAD_URL = "https://generativelanguage.googleapis.com/upload/v1beta/files";
 
-/**
- * Determine whether an error from the Gemini File API upload is worth retrying.
- * Transient: HTTP 408/429/500/502/503/504, common Node network error codes, or
- * a "socket hang up"/network/fetch-failed message. A 429 whose message indicates
- * depleted billing credits is treated as permanent since it will not self-resolve.
- * @param {Error} error
- * @returns {boolean}
- */
-export function isTransientError(error) {
-  if (!error) return false;
-
-  const message = typeof error.message === "string" ? error.message : "";
-
-  if (/credits are depleted|billing/i.test(message)) {
-    return false;
-  }
-
-  const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
-  const statusMatch = message.match(/\[(\d{3})\b/);
-  const status = error.status ?? (statusMatch ? parseInt(statusMatch[1], 10) : null);
-  if (status !== null && TRANSIENT_STATUSES.has(status)) {
-    return true;
-  }
-
-  const TRANSIENT_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "ENOTFOUND"]);
-  if (error.code && TRANSIENT_CODES.has(error.code)) {
-    return true;
-  }
-
-  if (/socket hang up|network|fetch failed/i.test(message)) {
-    return true;
-  }
-
-  return false;
-}
-
 /**
  * Fetch the Cloudflare video ID for a session from the Meetecho sessions API
  * @param {string} sessionId - Meetecho session ID (e.g., IETF124-PLENARY-20250723-0730)
@@ -82,7 +56,7 @@ export function isTransientError(error) {
  */
 export async function fetchCloudflareVideoId(sessionId) {
   const url = `https://meetecho-player.ietf.org/playout/sessions/${sessionId}`;
-  const response = await fetch(url, {
+  const response = await httpFetch(url, {
     headers: {
       'User-Agent': 'ietf-auto-minutes/0.1 (+https://github.com/ekr/auto-minutes)',
     },
@@ -118,7 +92,7 @@ export async function getAudioStreamUrl(sessionId) {
   const videoId = await fetchCloudflareVideoId(sessionId);
   const masterUrl = `https://videodelivery.net/${videoId}/manifest/video.m3u8`;
 
-  const response = await fetch(masterUrl, {
+  const response = await httpFetch(masterUrl, {
     headers: {
       'User-Agent': 'ietf-auto-minutes/0.1 (+https://github.com/ekr/auto-minutes)',
     },
@@ -160,48 +134,6 @@ export async function getAudioStreamUrl(sessionId) {
   return new URL(lowestVariantUri, masterUrl).href;
 }
 
-/**
- * Run a child process asynchronously (via spawn, no shell) without blocking the
- * event loop, unlike execSync/spawnSync. Resolves on exit code 0, rejects with an
- * Error including the command label and captured stderr otherwise.
- * @param {string} command - Executable to run (e.g. "ffmpeg", "ffprobe")
- * @param {string[]} args - Argument array (no shell involved, so no quoting/injection concerns)
- * @param {{verbose?: boolean, captureStdout?: boolean, label?: string}} [opts]
- * @returns {Promise<string|undefined>} Captured stdout (utf-8) when captureStdout is true, otherwise undefined
- */
-function runProcess(command, args, { verbose = false, captureStdout = false, label = command } = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, args);
-    const stdoutChunks = [];
-    const stderrChunks = [];
-
-    if (captureStdout) {
-      child.stdout.on("data", (chunk) => stdoutChunks.push(chunk));
-    } else if (verbose) {
-      child.stdout.pipe(process.stdout);
-    }
-
-    if (verbose) {
-      child.stderr.pipe(process.stderr);
-    } else {
-      child.stderr.on("data", (chunk) => stderrChunks.push(chunk));
-    }
-
-    child.on("error", (error) => {
-      reject(new Error(`${label} failed to start: ${error.message}`));
-    });
-
-    child.on("close", (code) => {
-      if (code === 0) {
-        resolve(captureStdout ? Buffer.concat(stdoutChunks).toString("utf-8") : undefined);
-      } else {
-        const stderr = Buffer.concat(stderrChunks).toString("utf-8").trim();
-        reject(new Error(`${label} exited with code ${code}${stderr ? `: ${stderr}` : ""}`));
-      }
-    });
-  });
-}
-
 /**
  * Download audio from an HLS stream to a local MP3 file using ffmpeg
  * @param {string} streamUrl - HLS stream URL
@@ -236,11 +168,10 @@ async function withUploadRetry(attemptFn, label) {
       if (attempt === MAX_UPLOAD_ATTEMPTS || !isTransientError(error)) {
         throw error;
       }
-      // Equal-jitter: half the exponential backoff is fixed, half is randomized, so
-      // concurrent uploads that fail together (e.g. simultaneous event-loop-stall
-      // timeouts under -j concurrency) don't all retry at the exact same instant.
-      const exp = Math.min(UPLOAD_RETRY_BASE_MS * 2 ** (attempt - 1), UPLOAD_RETRY_CAP_MS);
-      const delay = Math.floor(exp / 2 + Math.random() * (exp / 2));
+      // Equal-jitter, so concurrent uploads that fail together (e.g. simultaneous
+      // event-loop-stall timeouts under -j concurrency) don't all retry at the
+      // exact same instant.
+      const delay = backoffDelay(attempt, UPLOAD_RETRY_BASE_MS, UPLOAD_RETRY_CAP_MS);
       console.log(
         `    [Transcribe] ${label} attempt ${attempt}/${MAX_UPLOAD_ATTEMPTS} failed (${error.message}); retrying in ${delay}ms`,
       );
@@ -602,6 +533,34 @@ export function getTranscriptCachePath(sessionId) {
   return path.join(TRANSCRIPT_CACHE_DIR, `${sessionId}.md`);
 }
 
+/**
+ * Get the cached canonical (JSON) transcript path for a session, stored next
+ * to the rendered transcript
+ * @param {string} sessionId - Session ID
+ * @returns {string} Path to cached canonical transcript file
+ */
+export function getCanonicalTranscriptCachePath(sessionId) {
+  return path.join(TRANSCRIPT_CACHE_DIR, `${sessionId}.json`);
+}
+
+/**
+ * Load a session's cached transcript as a canonical transcript: the cached
+ * JSON when there is one, otherwise converted from the rendered transcript
+ * (Meetecho JSON, or text cached before canonical transcripts existed).
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Canonical transcript, or null when nothing is cached
+ */
+export async function loadCanonicalTranscript(sessionId) {
+  const canonicalPath = getCanonicalTranscriptCachePath(sessionId);
+  if (fs.existsSync(canonicalPath)) {
+    const canonical = parseCanonicalTranscript(await fsPromises.readFile(canonicalPath, "utf-8"));
+    if (canonical) return canonical;
+  }
+  const transcriptPath = getTranscriptCachePath(sessionId);
+  if (!fs.existsSync(transcriptPath)) return null;
+  return toCanonicalTranscript(await fsPromises.readFile(transcriptPath, "utf-8"));
+}
+
 /**
  * Get audio duration in seconds using ffprobe
  * @param {string} audioPath - Path to audio file
@@ -616,52 +575,6 @@ async function getAudioDuration(audioPath) {
   return parseFloat(output.trim());
 }
 
-/**
- * Split audio into segments of a given duration
- * @param {string} audioPath - Path to audio file
- * @param {number} segmentSeconds - Segment duration in seconds
- * @param {boolean} verbose - Whether to log verbose output
- * @returns {Promise<string[]>} Array of segment file paths (in a temp directory)
- */
-async function splitAudio(audioPath, segmentSeconds, verbose = false) {
-  const tempDir = path.join(os.tmpdir(), `auto-minutes-segments-${randomUUID()}`);
-  await fsPromises.mkdir(tempDir, { recursive: true });
-
-  const ext = path.extname(audioPath);
-  const pattern = path.join(tempDir, `segment%03d${ext}`);
-
-  if (verbose) {
-    console.log(`    [GoogleSTT] Splitting audio into ${segmentSeconds}s segments...`);
-  }
-  await runProcess(
-    "ffmpeg",
-    ["-hide_banner", "-loglevel", "error", "-i", audioPath, "-f", "segment", "-segment_time", String(segmentSeconds), "-c", "copy", pattern],
-    { verbose, label: "ffmpeg split" },
-  );
-
-  const files = (await fsPromises.readdir(tempDir))
-    .filter(f => f.startsWith("segment"))
-    .sort()
-    .map(f => path.join(tempDir, f));
-
-  if (verbose) {
-    console.log(`    [GoogleSTT] Split into ${files.length} segments`);
-  }
-  return files;
-}
-
-/**
- * Format a "[HH:MM:SS] " timestamp prefix for a turn's first word offset.
- * Falls back to no prefix (never "[NaN:NaN:NaN]") if the offset is missing/unparseable.
- * @param {string|number|Object|undefined} rawOffset - Google STT v2 REST offset value
- * @returns {string} Timestamp prefix, or empty string
- */
-function formatTimestampPrefix(rawOffset) {
-  const seconds = parseOffset(rawOffset);
-  if (seconds === null) return "";
-  return `[${formatOffset(seconds)}] `;
-}
-
 /**
  * Format Google STT diarized words into "[HH:MM:SS] Speaker N: ..." turns,
  * breaking a new line each time the speaker label changes.
@@ -669,38 +582,17 @@ function formatTimestampPrefix(rawOffset) {
  * @returns {string} Formatted transcript text
  */
 export function formatDiarizedTranscript(words) {
-  let currentSpeaker = null;
-  let turnStartOffset = null;
-  const lines = [];
-  let currentLine = [];
-
-  const flushLine = () => {
-    if (currentLine.length > 0) {
-      lines.push(`${formatTimestampPrefix(turnStartOffset)}Speaker ${currentSpeaker}: ${currentLine.join(" ")}`);
-      currentLine = [];
-    }
-  };
-
-  for (const word of words) {
-    if (word.speakerLabel && word.speakerLabel !== currentSpeaker) {
-      flushLine();
-      currentSpeaker = word.speakerLabel;
-      turnStartOffset = word.startOffset;
-    }
-    currentLine.push(word.word);
-  }
-  flushLine();
-
-  return lines.join("\n");
+  return renderTranscript(fromGoogleWords(words));
 }
 
 /**
  * Transcribe an audio file using Google Cloud Speech-to-Text (batch recognition)
- * Splits files longer than 30 minutes into segments and recognizes them all in one batch call.
+ * Splits files longer than 30 minutes into overlapping segments, recognizes them all in one
+ * batch call and stitches their transcripts back together.
  * @param {string} audioPath - Path to the local audio file
  * @param {string} model - STT model name (e.g., "chirp_3", "chirp_2")
  * @param {boolean} verbose - Whether to log verbose output
- * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number, model: string}}|string>} Transcript text (with usage when transcription occurs, plain string from cache)
+ * @returns {Promise<Object>} Canonical transcript
  */
 export async function transcribeAudioGoogleSTT(audioPath, model = "chirp_3", verbose = false, segmentSeconds = 1800) {
   const { Storage } = await import("@google-cloud/storage");
@@ -721,16 +613,16 @@ export async function transcribeAudioGoogleSTT(audioPath, model = "chirp_3", ver
 
   // Check duration and split if needed
   const duration = await getAudioDuration(audioPath);
-  const SEGMENT_SECONDS = segmentSeconds; // Use passed chunk size
-  let audioFiles;
-  let tempSegmentDir = null;
+  const { overlapSeconds, concurrency } = getSegmentOptions();
+  let segments;
+  let cleanupSegments = null;
 
-  if (duration > SEGMENT_SECONDS) {
-    audioFiles = await splitAudio(audioPath, SEGMENT_SECONDS, verbose);
-    tempSegmentDir = path.dirname(audioFiles[0]);
+  if (duration > segmentSeconds) {
+    ({ segments, cleanup: cleanupSegments } = await cutSegments(audioPath, duration, segmentSeconds, verbose));
   } else {
-    audioFiles = [audioPath];
+    segments = [{ path: audioPath, start: 0, end: duration }];
   }
+  const audioFiles = segments.map((segment) => segment.path);
 
   // Upload all files to GCS
   const gcsFileNames = [];
@@ -745,10 +637,11 @@ export async function transcribeAudioGoogleSTT(audioPath, model = "chirp_3", ver
     if (verbose) {
       console.log(`    [GoogleSTT] Uploading ${audioFiles.length} file(s) to GCS...`);
     }
-    await Promise.all(
-      audioFiles.map((file, i) =>
+    await runWithConcurrency(
+      audioFiles.map((file, i) => () =>
         storage.bucket(bucketName).upload(file, { destination: gcsFileNames[i] })
       ),
+      concurrency,
     );
 
     if (verbose) {
@@ -890,9 +783,12 @@ export async function transcribeAudioGoogleSTT(audioPath, model = "chirp_3", ver
       console.log(`    [GoogleSTT] All transcriptions complete (${elapsed}s)`);
     }
 
-    // Extract transcripts from REST responses
-    const transcriptParts = [];
+    // Extract transcripts from REST responses, one part per segment
+    const segmentParts = [];
+    let resultCount = 0;
     for (let i = 0; i < gcsUris.length; i++) {
+      const transcriptParts = [];
+      segmentParts.push({ start: segments[i].start, transcript: concatTranscripts("google", []) });
       const response = opResults[i];
       const fileResult = response.results && response.results[gcsUris[i]];
       if (!fileResult) continue;
@@ -908,18 +804,20 @@ export async function transcribeAudioGoogleSTT(audioPath, model = "chirp_3", ver
             const alt = result.alternatives[0];
             // If diarization produced per-word speaker labels, format with speaker changes
             if (alt.words && alt.words.some(w => w.speakerLabel)) {
-              transcriptParts.push(formatDiarizedTranscript(alt.words));
+              transcriptParts.push(fromGoogleWords(alt.words));
             } else {
-              transcriptParts.push(alt.transcript);
+              transcriptParts.push(fromText(alt.transcript || "", "google"));
             }
           }
         }
       }
+      segmentParts[i].transcript = concatTranscripts("google", transcriptParts);
+      resultCount += transcriptParts.length;
     }
 
-    const transcript = transcriptParts.join("\n");
+    const transcript = stitchSegments(segmentParts, overlapSeconds);
     if (verbose) {
-      console.log(`    [GoogleSTT] Transcript: ${transcriptParts.length} parts, ${transcript.length} chars`);
+      console.log(`    [GoogleSTT] Transcript: ${resultCount} parts in ${segmentParts.length} segment(s), ${transcript.turns.length} turns`);
     }
     return transcript;
   } finally {
@@ -940,8 +838,8 @@ export async function transcribeAudioGoogleSTT(audioPath, model = "chirp_3", ver
     }
 
     // Clean up temp segment directory
-    if (tempSegmentDir) {
-      await fsPromises.rm(tempSegmentDir, { recursive: true, force: true });
+    if (cleanupSegments) {
+      await cleanupSegments();
     }
   }
 }
@@ -976,7 +874,8 @@ function estimateKeytermTokens(term) {
 /**
  * Build a deduped (case-insensitive), capped list of domain keyterms for
  * Deepgram keyterm boosting, seeded from the session's bluesheet participant
- * names and active draft names. The list is capped both by term count
+ * names and active draft names, then terms taken from slide text (acronyms,
+ * mixed-case identifiers, draft names; most frequent first). The list is capped both by term count
  * (MAX_DEEPGRAM_KEYTERMS) and by estimated total tokens
  * (DEEPGRAM_KEYTERM_TOKEN_BUDGET) so the request stays under Deepgram's
  * 500-token keyterm limit.
@@ -986,11 +885,12 @@ function estimateKeytermTokens(term) {
 export function buildDeepgramKeyterms(context) {
   const participantNames = extractParticipantNames(context?.slidesAndBluesheet?.bluesheet);
   const draftNames = activeDraftNames(context?.wgDocuments || []).map(doc => doc.Name);
+  const slideTerms = extractSlideKeyterms(context?.slideTexts);
 
   const seen = new Set();
   const keyterms = [];
   let tokenBudget = DEEPGRAM_KEYTERM_TOKEN_BUDGET;
-  for (const term of [...participantNames, ...draftNames]) {
+  for (const term of [...participantNames, ...draftNames, ...slideTerms]) {
     const key = term.toLowerCase();
     if (seen.has(key)) continue;
     const tokens = estimateKeytermTokens(term);
@@ -1012,29 +912,7 @@ export function buildDeepgramKeyterms(context) {
  * @returns {string} Formatted transcript text
  */
 export function formatDeepgramTranscript(words) {
-  let currentSpeaker = null;
-  let turnStartOffset = null;
-  const lines = [];
-  let currentLine = [];
-
-  const flushLine = () => {
-    if (currentLine.length > 0) {
-      lines.push(`${formatTimestampPrefix(turnStartOffset)}Speaker ${currentSpeaker}: ${currentLine.join(" ")}`);
-      currentLine = [];
-    }
-  };
-
-  for (const word of words) {
-    if (typeof word.speaker === "number" && word.speaker !== currentSpeaker) {
-      flushLine();
-      currentSpeaker = word.speaker;
-      turnStartOffset = word.start;
-    }
-    currentLine.push(word.punctuated_word || word.word);
-  }
-  flushLine();
-
-  return lines.join("\n");
+  return renderTranscript(fromDeepgramWords(words));
 }
 
 /**
@@ -1055,8 +933,8 @@ function isKeytermLimitError(error) {
  * Transcribe an audio file using Deepgram's prerecorded (batch) API.
  * Sends the whole file as the request body in a single call (no chunking,
  * no GCS bucket); Deepgram returns word-level timestamps and diarization
- * together, which are formatted into the same "[HH:MM:SS] Speaker N: ..."
- * shape produced by the chirp backend.
+ * together, which become the turns of a canonical transcript, as for the
+ * chirp backend.
  *
  * The token-budget cap in buildDeepgramKeyterms only estimates Deepgram's
  * tokenizer, so it can still under-count and trigger a "Keyterm limit
@@ -1068,7 +946,7 @@ function isKeytermLimitError(error) {
  * @param {string} model - Deepgram model name (e.g. "nova-3", "nova-2")
  * @param {boolean} verbose - Whether to log verbose output
  * @param {string[]} keyterms - Domain keyterms to boost (participant names, active drafts)
- * @returns {Promise<string>} Transcript text
+ * @returns {Promise<Object>} Canonical transcript
  */
 export async function transcribeAudioDeepgram(audioPath, model = "nova-3", verbose = false, keyterms = []) {
   const apiKey = process.env.DEEPGRAM_API_KEY;
@@ -1142,14 +1020,114 @@ export async function transcribeAudioDeepgram(audioPath, model = "nova-3", verbo
 
   const hasDiarizedWords = Array.isArray(alt.words) && alt.words.some(w => typeof w.speaker === "number");
   if (hasDiarizedWords) {
-    const transcript = formatDeepgramTranscript(alt.words);
+    const transcript = fromDeepgramWords(alt.words);
     if (verbose) {
-      console.log(`    [Deepgram] Transcript: ${alt.words.length} words, ${transcript.length} chars`);
+      console.log(`    [Deepgram] Transcript: ${alt.words.length} words, ${transcript.turns.length} turns`);
     }
     return transcript;
   }
 
-  return alt.transcript || "";
+  return fromText(alt.transcript || "", "deepgram");
+}
+
+// Local whisper (--stt-model whisper[:model]). WHISPER_BIN names the CLI:
+// whisper.cpp's whisper-cli by default, which loads ggml-<model>.bin from
+// WHISPER_MODEL_DIR; or an openai-whisper-compatible CLI such as faster-whisper's
+// whisper-ctranslate2, which resolves the model name itself.
+const WHISPER_DEFAULT_BIN = "whisper-cli";
+const WHISPER_DEFAULT_MODEL = "base.en";
+const WHISPER_DEFAULT_MODEL_DIR = "models";
+
+/**
+ * Build the command line for the configured whisper CLI.
+ * @param {string} model - Model name (e.g. "base.en", "large-v3") or, for whisper.cpp, a path to a ggml model file
+ * @param {string} wavPath - 16 kHz mono WAV input
+ * @param {string} outputDir - Directory the CLI writes its JSON output to
+ * @param {string} [bin] - CLI to run (default: WHISPER_BIN or whisper-cli)
+ * @returns {{command: string, args: string[], outputPath: string}}
+ */
+export function buildWhisperCommand(model, wavPath, outputDir, bin = process.env.WHISPER_BIN || WHISPER_DEFAULT_BIN) {
+  const name = path.basename(bin);
+  if (/ctranslate2|faster-whisper/.test(name) || name === "whisper") {
+    return {
+      command: bin,
+      args: [wavPath, "--model", model, "--output_format", "json", "--output_dir", outputDir],
+      outputPath: path.join(outputDir, `${path.basename(wavPath, path.extname(wavPath))}.json`),
+    };
+  }
+
+  const modelPath = model.includes("/") || model.endsWith(".bin")
+    ? model
+    : path.join(process.env.WHISPER_MODEL_DIR || WHISPER_DEFAULT_MODEL_DIR, `ggml-${model}.bin`);
+  const outputPrefix = path.join(outputDir, "transcript");
+  return {
+    command: bin,
+    args: ["-m", modelPath, "-f", wavPath, "-t", String(os.cpus().length), "-oj", "-of", outputPrefix, "-np"],
+    outputPath: `${outputPrefix}.json`,
+  };
+}
+
+/**
+ * Read the segments of a whisper JSON output: whisper.cpp's
+ * {transcription: [{offsets: {from (ms)}, text}]} or openai-whisper's
+ * {segments: [{start (s), text}]}.
+ * @param {Object} data - Parsed JSON output
+ * @returns {Array<{start: number, text: string}>} Non-empty segments, start in seconds
+ */
+export function parseWhisperSegments(data) {
+  const segments = Array.isArray(data?.transcription)
+    ? data.transcription.map((segment) => ({ start: (segment.offsets?.from ?? 0) / 1000, text: segment.text }))
+    : (data?.segments || []).map((segment) => ({ start: segment.start ?? 0, text: segment.text }));
+  return segments
+    .map((segment) => ({ start: segment.start, text: String(segment.text ?? "").trim() }))
+    .filter((segment) => segment.text);
+}
+
+/**
+ * Format whisper segments in the "[HH:MM:SS] Speaker N: ..." shape of the
+ * diarizing backends, one line per segment. Whisper does not diarize, so
+ * every line is "Speaker 1".
+ * @param {Array<{start: number, text: string}>} segments
+ * @returns {string} Formatted transcript text
+ */
+export function formatWhisperTranscript(segments) {
+  return renderTranscript(fromWhisperSegments(segments));
+}
+
+/**
+ * Transcribe an audio file with a local whisper CLI, without network access
+ * or credentials. The audio is converted to the 16 kHz mono WAV whisper.cpp
+ * requires, in a temp directory that also receives the JSON output.
+ * @param {string} audioPath - Path to the local audio file
+ * @param {string} model - Whisper model name (see buildWhisperCommand)
+ * @param {boolean} verbose - Whether to log verbose output
+ * @returns {Promise<Object>} Canonical transcript
+ */
+export async function transcribeAudioWhisper(audioPath, model = WHISPER_DEFAULT_MODEL, verbose = false) {
+  const tempDir = path.join(os.tmpdir(), `auto-minutes-whisper-${randomUUID()}`);
+  await fsPromises.mkdir(tempDir, { recursive: true });
+  try {
+    const wavPath = path.join(tempDir, "audio.wav");
+    await runProcess(
+      "ffmpeg",
+      ["-hide_banner", "-loglevel", "error", "-y", "-i", audioPath, "-ar", "16000", "-ac", "1", "-c:a", "pcm_s16le", wavPath],
+      { verbose, label: "ffmpeg (whisper input)" },
+    );
+
+    const { command, args, outputPath } = buildWhisperCommand(model, wavPath, tempDir);
+    if (verbose) {
+      console.log(`    [Whisper] ${command} ${args.join(" ")}`);
+    }
+    await runProcess(command, args, { verbose, label: command });
+
+    const segments = parseWhisperSegments(JSON.parse(await fsPromises.readFile(outputPath, "utf-8")));
+    if (verbose) {
+      console.log(`    [Whisper] Transcript: ${segments.length} segments`);
+    }
+    return fromWhisperSegments(segments);
+  } finally {
+    await fsPromises.rm(tempDir, { recursive: true, force: true });
+  }
 }
 
 /**
@@ -1202,9 +1180,11 @@ export async function prepareLocalAudio(session, localPath, verbose = false) {
     fs.unlinkSync(audioCachePath);
     if (verbose) console.log(`    [LocalAudio] Cleared cached audio: ${audioCachePath}`);
   }
-  if (fs.existsSync(transcriptCachePath)) {
-    fs.unlinkSync(transcriptCachePath);
-    if (verbose) console.log(`    [LocalAudio] Cleared cached transcript: ${transcriptCachePath}`);
+  for (const cachedPath of [transcriptCachePath, getCanonicalTranscriptCachePath(session.sessionId)]) {
+    if (fs.existsSync(cachedPath)) {
+      fs.unlinkSync(cachedPath);
+      if (verbose) console.log(`    [LocalAudio] Cleared cached transcript: ${cachedPath}`);
+    }
   }
   if (fs.existsSync(sidecarPath)) {
     fs.unlinkSync(sidecarPath);
@@ -1232,8 +1212,8 @@ export async function prepareLocalAudio(session, localPath, verbose = false) {
 
 /**
  * Prepare a local transcript file for use in the pipeline.
- * Copies the local file into the transcript cache slot so downstream stages
- * (output, build) pick it up. Clears any existing cached audio and transcript
+ * Copies the local file into the transcript cache slot, with its canonical
+ * transcript beside it, so downstream stages (output, build) pick it up. Clears any existing cached audio and transcript
  * for the session first so that each --transcript-file run is deterministic
  * (no stale Meetecho-derived data can shadow it).
  * @param {Object} session - Session object with sessionId
@@ -1244,14 +1224,17 @@ export async function prepareLocalAudio(session, localPath, verbose = false) {
 export function prepareLocalTranscript(session, localPath, verbose = false) {
   const audioCachePath = getAudioCachePath(session.sessionId);
   const transcriptCachePath = getTranscriptCachePath(session.sessionId);
+  const canonicalCachePath = getCanonicalTranscriptCachePath(session.sessionId);
 
   if (fs.existsSync(audioCachePath)) {
     fs.unlinkSync(audioCachePath);
     if (verbose) console.log(`    [LocalTranscript] Cleared cached audio: ${audioCachePath}`);
   }
-  if (fs.existsSync(transcriptCachePath)) {
-    fs.unlinkSync(transcriptCachePath);
-    if (verbose) console.log(`    [LocalTranscript] Cleared cached transcript: ${transcriptCachePath}`);
+  for (const cachedPath of [transcriptCachePath, canonicalCachePath]) {
+    if (fs.existsSync(cachedPath)) {
+      fs.unlinkSync(cachedPath);
+      if (verbose) console.log(`    [LocalTranscript] Cleared cached transcript: ${cachedPath}`);
+    }
   }
 
   const transcript = fs.readFileSync(localPath, "utf-8");
@@ -1259,6 +1242,7 @@ export function prepareLocalTranscript(session, localPath, verbose = false) {
 
   fs.mkdirSync(TRANSCRIPT_CACHE_DIR, { recursive: true });
   fs.writeFileSync(transcriptCachePath, transcript);
+  fs.writeFileSync(canonicalCachePath, JSON.stringify(toCanonicalTranscript(transcript)));
 
   if (verbose) {
     console.log(`    [LocalTranscript] Wrote ${transcript.length} chars → ${transcriptCachePath}`);
@@ -1338,39 +1322,55 @@ export function parseSttModel(sttModel) {
  * Map generic "Speaker N" labels in a chirp transcript to real names using Gemini,
  * text-only (no audio re-upload). Fails soft: on any error, returns the transcript
  * unchanged with a warning logged, rather than failing the session.
- * @param {string} chirpTranscript - Timestamped "[HH:MM:SS] Speaker N: ..." transcript
+ * @param {Object|string} chirpTranscript - Canonical transcript, or timestamped "[HH:MM:SS] Speaker N: ..." text
  * @param {string} apiKey - Gemini API key
  * @param {Object|null} context - Pre-fetched session context (bluesheet used for participant names)
  * @param {boolean} verbose - Whether to log verbose output
- * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number, model: string}|undefined}>}
+ * @param {string|null} [sessionName] - Session name whose prompt overrides apply
+ * @returns {Promise<{transcript: Object, text: string, usage: {inputTokens: number, outputTokens: number, model: string}|undefined}>}
+ *   The renamed canonical transcript and its rendered text
  */
-export async function applyNameHybrid(chirpTranscript, apiKey, context, verbose = false) {
+export async function applyNameHybrid(chirpTranscript, apiKey, context, verbose = false, sessionName = null) {
+  const canonical = toCanonicalTranscript(chirpTranscript);
+  const rendered = renderTranscript(canonical);
   try {
     const participantNames = extractParticipantNames(context?.slidesAndBluesheet?.bluesheet);
     const participantsList = participantNames.length > 0 ? participantNames.join("\n") : null;
     const usage = { inputTokens: 0, outputTokens: 0, model: "gemini-3.5-flash" };
 
-    const rawMap = await getSpeakerMapFromGemini(apiKey, "gemini-3.5-flash", null, chirpTranscript, participantsList, verbose, usage);
+    const rawMap = await getSpeakerMapFromGemini(apiKey, "gemini-3.5-flash", null, rendered, participantsList, verbose, usage, sessionName);
     const speakerMap = normalizeSpeakerMap(rawMap);
-    const text = applySpeakerMap(chirpTranscript, speakerMap);
+    const transcript = applySpeakerMapToTranscript(canonical, speakerMap);
 
-    return { text, usage };
+    return { transcript, text: renderTranscript(transcript), usage };
   } catch (error) {
     console.warn(`  Warning: speaker name mapping failed (${error.message}); keeping generic speaker labels`);
-    return { text: chirpTranscript, usage: undefined };
+    return { transcript: canonical, text: typeof chirpTranscript === "string" ? chirpTranscript : rendered, usage: undefined };
   }
 }
 
-export async function applyCleanupHybrid(transcript, apiKey, context, verbose = false) {
+/**
+ * Correct misheard names and terms in a transcript using Gemini, text-only.
+ * Corrections are applied turn by turn. Fails soft like applyNameHybrid.
+ * @param {Object|string} transcript - Canonical transcript, or transcript text
+ * @param {string} apiKey - Gemini API key
+ * @param {Object|null} context - Pre-fetched session context (the reference for corrections)
+ * @param {boolean} verbose - Whether to log verbose output
+ * @param {string|null} [sessionName] - Session name whose prompt overrides apply
+ * @returns {Promise<{transcript: Object, text: string, usage: {inputTokens: number, outputTokens: number, model: string}|undefined}>}
+ *   The corrected canonical transcript and its rendered text
+ */
+export async function applyCleanupHybrid(transcript, apiKey, context, verbose = false, sessionName = null) {
+  const canonical = toCanonicalTranscript(transcript);
   try {
     const usage = { inputTokens: 0, outputTokens: 0, model: "gemini-3.5-flash" };
-    const raw = await getCorrectionsFromGemini(apiKey, "gemini-3.5-flash", transcript, buildCleanupReference(context), verbose, usage);
-    const { text, appliedCount } = applyCorrections(transcript, normalizeCorrections(raw));
-    if (verbose) console.log(`    [Transcribe] Applied ${appliedCount} transcript cleanup correction(s)`);
-    return { text, usage };
+    const raw = await getCorrectionsFromGemini(apiKey, "gemini-3.5-flash", canonical, buildCleanupReference(context), verbose, usage, sessionName);
+    const corrected = applyCorrections(canonical, normalizeCorrections(raw));
+    if (verbose) console.log(`    [Transcribe] Applied ${corrected.appliedCount} transcript cleanup correction(s)`);
+    return { transcript: corrected.transcript, text: corrected.text, usage };
   } catch (error) {
     console.warn(`  Warning: transcript cleanup failed (${error.message}); keeping transcript unchanged`);
-    return { text: transcript, usage: undefined };
+    return { transcript: canonical, text: typeof transcript === "string" ? transcript : renderTranscript(canonical), usage: undefined };
   }
 }
 
@@ -1383,10 +1383,11 @@ export async function applyCleanupHybrid(transcript, apiKey, context, verbose =
  * @param {Object} context - Pre-fetched session context (optional, passed to Gemini STT and the "+names" hybrid)
  * @param {string|null} localAudioPath - Path to a local audio/video file to use instead of Meetecho (optional)
  * @param {number|null} geminiSegmentSeconds - If set and sttModel is "gemini", split audio into segments of this duration before uploading (optional)
- * @returns {Promise<string>} Transcript text
+ * @returns {Promise<{text: string, usage: Object|undefined}>} Rendered transcript text; the canonical transcript is cached beside it
  */
 export async function transcribeSession(session, sttModel, apiKey, verbose = false, context = null, localAudioPath = null, geminiSegmentSeconds = null) {
   const transcriptCachePath = getTranscriptCachePath(session.sessionId);
+  const canonicalCachePath = getCanonicalTranscriptCachePath(session.sessionId);
 
   // Step 1: Get audio — either convert a local file or download from Meetecho.
   // For local files we run prepareLocalAudio first; it preserves the cached
@@ -1414,144 +1415,182 @@ export async function transcribeSession(session, sttModel, apiKey, verbose = fal
     audioPath = await downloadSessionAudio(session, verbose);
   }
 
-  // Step 2: Transcribe with chosen backend
+  // Optionally cut the silence out first; the backend then transcribes the
+  // trimmed copy, and its timestamps are mapped back to the recording.
+  let trim = null;
+  if (isSilenceTrimmingEnabled()) {
+    const originalSeconds = await getAudioDuration(audioPath);
+    trim = await trimAudioSilence(audioPath, originalSeconds, verbose);
+    if (trim) {
+      console.log(`  Trimmed ${(trim.savedSeconds / 60).toFixed(1)} of ${(originalSeconds / 60).toFixed(1)} audio minutes of silence before STT`);
+      recordUsage({ savedAudioSeconds: trim.savedSeconds });
+      audioPath = trim.path;
+    }
+  }
+
   let transcript;
   let usage;
-  if (sttModel.startsWith("google")) {
-    const { baseSttModel, hybridNames } = parseSttModel(sttModel);
-    const chirpModel = baseSttModel.includes(":") ? baseSttModel.split(":")[1] : "chirp_3";
-    console.log(`  Transcribing audio with Google Cloud STT (${chirpModel})...`);
-    transcript = await transcribeAudioGoogleSTT(audioPath, chirpModel, verbose);
-
-    if (hybridNames) {
-      console.log(`  Identifying speakers with Gemini (text-only, no audio upload)...`);
-      const result = await applyNameHybrid(transcript, apiKey, context, verbose);
-      transcript = result.text;
-      usage = result.usage;
-    }
-  } else if (sttModel.startsWith("deepgram")) {
-    const { baseSttModel, hybridNames } = parseSttModel(sttModel);
-    const deepgramModel = baseSttModel.includes(":") ? baseSttModel.split(":")[1] : "nova-3";
-    const keyterms = buildDeepgramKeyterms(context);
-    if (verbose) {
-      console.log(`    [Transcribe] Deepgram keyterms: ${keyterms.length}`);
-    }
-    console.log(`  Transcribing audio with Deepgram (${deepgramModel})...`);
-    transcript = await transcribeAudioDeepgram(audioPath, deepgramModel, verbose, keyterms);
-    const audioSeconds = await getAudioDuration(audioPath);
-    usage = { model: `deepgram:${deepgramModel}`, audioSeconds, inputTokens: 0, outputTokens: 0 };
-
-    if (hybridNames) {
-      console.log(`  Identifying speakers with Gemini (text-only, no audio upload)...`);
-      const result = await applyNameHybrid(transcript, apiKey, context, verbose);
-      transcript = result.text;
-      // Recorded separately (rather than merged into `usage`) so the Deepgram
-      // audio cost and the Gemini name-mapping token cost show as distinct
-      // lines in the accounting summary instead of one clobbering the other's model.
-      if (result.usage) {
-        recordUsage(result.usage);
+  try {
+    // Step 2: Transcribe with chosen backend
+    if (sttModel.startsWith("google")) {
+      const { baseSttModel, hybridNames } = parseSttModel(sttModel);
+      const chirpModel = baseSttModel.includes(":") ? baseSttModel.split(":")[1] : "chirp_3";
+      console.log(`  Transcribing audio with Google Cloud STT (${chirpModel})...`);
+      transcript = await transcribeAudioGoogleSTT(audioPath, chirpModel, verbose);
+
+      if (hybridNames) {
+        console.log(`  Identifying speakers with Gemini (text-only, no audio upload)...`);
+        const result = await applyNameHybrid(transcript, apiKey, context, verbose, session.sessionName);
+        transcript = result.transcript;
+        usage = result.usage;
       }
-    }
-  } else {
-    // gemini (default)
-    if (geminiSegmentSeconds && geminiSegmentSeconds > 0) {
-      const duration = await getAudioDuration(audioPath);
-      if (duration > geminiSegmentSeconds) {
-        console.log(
-          `  Transcribing audio with Gemini in ${geminiSegmentSeconds}s segments (total ${Math.round(duration)}s)...`,
-        );
-        const segments = await splitAudio(audioPath, geminiSegmentSeconds, verbose);
-        const segmentDir = path.dirname(segments[0]);
-        try {
-          const parts = [];
-          const totalUsage = { inputTokens: 0, outputTokens: 0, model: "gemini-3.5-flash" };
-          for (let i = 0; i < segments.length; i++) {
-            console.log(`  Gemini STT segment ${i + 1}/${segments.length}: ${path.basename(segments[i])}`);
-            const result = await transcribeAudio(segments[i], apiKey, "gemini-3.5-flash", verbose, context);
-            if (!result.text || !result.text.trim()) {
-              throw new Error(`Gemini STT returned no transcript text for segment ${i + 1}/${segments.length} (${path.basename(segments[i])})`);
-            }
-            parts.push(result.text);
-            totalUsage.inputTokens += result.usage.inputTokens;
-            totalUsage.outputTokens += result.usage.outputTokens;
+    } else if (sttModel.startsWith("deepgram")) {
+      const { baseSttModel, hybridNames } = parseSttModel(sttModel);
+      const deepgramModel = baseSttModel.includes(":") ? baseSttModel.split(":")[1] : "nova-3";
+      const keyterms = buildDeepgramKeyterms(context);
+      if (verbose) {
+        console.log(`    [Transcribe] Deepgram keyterms: ${keyterms.length}`);
+      }
+      console.log(`  Transcribing audio with Deepgram (${deepgramModel})...`);
+      transcript = await transcribeAudioDeepgram(audioPath, deepgramModel, verbose, keyterms);
+      const audioSeconds = await getAudioDuration(audioPath);
+      usage = { model: `deepgram:${deepgramModel}`, audioSeconds, inputTokens: 0, outputTokens: 0 };
+
+      if (hybridNames) {
+        console.log(`  Identifying speakers with Gemini (text-only, no audio upload)...`);
+        const result = await applyNameHybrid(transcript, apiKey, context, verbose, session.sessionName);
+        transcript = result.transcript;
+        // Recorded separately (rather than merged into `usage`) so the Deepgram
+        // audio cost and the Gemini name-mapping token cost show as distinct
+        // lines in the accounting summary instead of one clobbering the other's model.
+        if (result.usage) {
+          recordUsage(result.usage);
+        }
+      }
+    } else if (sttModel.startsWith("whisper")) {
+      const { baseSttModel } = parseSttModel(sttModel);
+      const whisperModel = baseSttModel.includes(":") ? baseSttModel.slice(baseSttModel.indexOf(":") + 1) : WHISPER_DEFAULT_MODEL;
+      console.log(`  Transcribing audio with local whisper (${whisperModel})...`);
+      transcript = await transcribeAudioWhisper(audioPath, whisperModel, verbose);
+      const audioSeconds = await getAudioDuration(audioPath);
+      usage = { model: `whisper:${whisperModel}`, audioSeconds, inputTokens: 0, outputTokens: 0 };
+    } else {
+      // gemini (default)
+      if (geminiSegmentSeconds && geminiSegmentSeconds > 0) {
+        const duration = await getAudioDuration(audioPath);
+        if (duration > geminiSegmentSeconds) {
+          const { overlapSeconds, concurrency } = getSegmentOptions();
+          console.log(
+            `  Transcribing audio with Gemini in ${geminiSegmentSeconds}s segments (total ${Math.round(duration)}s, ${overlapSeconds}s overlap, ${concurrency} at a time)...`,
+          );
+          const { segments, cleanup } = await cutSegments(audioPath, duration, geminiSegmentSeconds, verbose);
+          try {
+            const results = await runWithConcurrency(
+              segments.map((segment, i) => async () => {
+                const span = `${formatOffset(segment.start)}-${formatOffset(segment.end)}`;
+                console.log(`  Gemini STT segment ${i + 1}/${segments.length}: ${span}`);
+                const result = await transcribeAudio(segment.path, apiKey, "gemini-3.5-flash", verbose, context);
+                if (!result.text || !result.text.trim()) {
+                  throw new Error(`Gemini STT returned no transcript text for segment ${i + 1}/${segments.length} (${span})`);
+                }
+                return result;
+              }),
+              concurrency,
+            );
+            transcript = stitchSegments(
+              results.map((result, i) => ({ start: segments[i].start, transcript: fromText(result.text, "gemini") })),
+              overlapSeconds,
+            );
+            usage = {
+              inputTokens: results.reduce((total, result) => total + result.usage.inputTokens, 0),
+              outputTokens: results.reduce((total, result) => total + result.usage.outputTokens, 0),
+              model: "gemini-3.5-flash",
+            };
+          } finally {
+            await cleanup();
           }
-          transcript = parts.join("\n\n");
-          usage = totalUsage;
-        } finally {
-          await fsPromises.rm(segmentDir, { recursive: true, force: true });
+        } else {
+          console.log(
+            `  Audio is ${Math.round(duration)}s (<= ${geminiSegmentSeconds}s segment); transcribing as a single piece...`,
+          );
+          const result = await transcribeAudio(audioPath, apiKey, "gemini-3.5-flash", verbose, context);
+          transcript = fromText(result.text, "gemini");
+          usage = result.usage;
         }
       } else {
-        console.log(
-          `  Audio is ${Math.round(duration)}s (<= ${geminiSegmentSeconds}s segment); transcribing as a single piece...`,
-        );
+        console.log(`  Transcribing audio with Gemini...`);
         const result = await transcribeAudio(audioPath, apiKey, "gemini-3.5-flash", verbose, context);
-        transcript = result.text;
+        transcript = fromText(result.text, "gemini");
         usage = result.usage;
       }
-    } else {
-      console.log(`  Transcribing audio with Gemini...`);
-      const result = await transcribeAudio(audioPath, apiKey, "gemini-3.5-flash", verbose, context);
-      transcript = result.text;
-      usage = result.usage;
     }
-  }
 
-  // For Gemini STT, apply a duration-based sanity check: a real recording
-  // produces at least MIN_WORDS_PER_MINUTE words per minute of audio. This
-  // runs unconditionally (unlike the official-transcript ratio check below,
-  // which is skipped whenever Meetecho hasn't published a transcript yet).
-  if (!sttModel.startsWith("google") && !sttModel.startsWith("deepgram")) {
-    const durationMinutes = (await getAudioDuration(audioPath)) / 60;
-    const audioWords = transcriptWordCount(transcript);
-    const minExpectedWords = durationMinutes * MIN_WORDS_PER_MINUTE;
-    if (verbose) {
-      console.log(`    [Transcribe] Audio duration: ${durationMinutes.toFixed(1)} min, transcript: ${audioWords} words (minimum expected: ${Math.round(minExpectedWords)})`);
-    }
-    if (audioWords < minExpectedWords) {
-      throw new Error(`Transcript for ${session.sessionId} has only ${audioWords} words for ${durationMinutes.toFixed(1)} minutes of audio (minimum ${Math.round(minExpectedWords)} words expected at ${MIN_WORDS_PER_MINUTE} wpm)`);
-    }
-
-    // Additional warning against the official transcript, when available.
-    // Not authoritative — Meetecho may not have published it yet.
-    let officialWordCount = 0;
-    try {
-      const officialTranscript = await downloadTranscript(session);
-      officialWordCount = transcriptWordCount(officialTranscript);
+    // For Gemini STT and local whisper, apply a duration-based sanity check: a
+    // real recording produces at least MIN_WORDS_PER_MINUTE words per minute of
+    // audio. This runs unconditionally (unlike the official-transcript ratio
+    // check below, which is skipped whenever Meetecho hasn't published a
+    // transcript yet).
+    if (!sttModel.startsWith("google") && !sttModel.startsWith("deepgram")) {
+      const durationMinutes = (await getAudioDuration(audioPath)) / 60;
+      const audioWords = transcriptWordCount(transcript);
+      const minExpectedWords = durationMinutes * MIN_WORDS_PER_MINUTE;
       if (verbose) {
-        console.log(`    [Transcribe] Official transcript: ${officialWordCount} words`);
+        console.log(`    [Transcribe] Audio duration: ${durationMinutes.toFixed(1)} min, transcript: ${audioWords} words (minimum expected: ${Math.round(minExpectedWords)})`);
       }
-    } catch (error) {
-      if (verbose) {
-        console.log(`    [Transcribe] Could not fetch official transcript for comparison: ${error.message}`);
+      if (audioWords < minExpectedWords) {
+        throw new Error(`Transcript for ${session.sessionId} has only ${audioWords} words for ${durationMinutes.toFixed(1)} minutes of audio (minimum ${Math.round(minExpectedWords)} words expected at ${MIN_WORDS_PER_MINUTE} wpm)`);
       }
-    }
 
-    if (officialWordCount > 0) {
-      const ratio = audioWords / officialWordCount;
-      if (verbose) {
-        console.log(`    [Transcribe] Word count ratio: ${ratio.toFixed(2)} (threshold: ${TRUNCATION_RATIO_THRESHOLD})`);
+      // Additional warning against the official transcript, when available.
+      // Not authoritative — Meetecho may not have published it yet.
+      let officialWordCount = 0;
+      try {
+        const officialTranscript = await downloadTranscript(session);
+        officialWordCount = transcriptWordCount(officialTranscript);
+        if (verbose) {
+          console.log(`    [Transcribe] Official transcript: ${officialWordCount} words`);
+        }
+      } catch (error) {
+        if (verbose) {
+          console.log(`    [Transcribe] Could not fetch official transcript for comparison: ${error.message}`);
+        }
       }
-      if (ratio < TRUNCATION_RATIO_THRESHOLD) {
-        console.warn(`  Warning: Audio transcript appears truncated (${audioWords} words vs ${officialWordCount} official, ratio ${ratio.toFixed(2)})`);
+
+      if (officialWordCount > 0) {
+        const ratio = audioWords / officialWordCount;
+        if (verbose) {
+          console.log(`    [Transcribe] Word count ratio: ${ratio.toFixed(2)} (threshold: ${TRUNCATION_RATIO_THRESHOLD})`);
+        }
+        if (ratio < TRUNCATION_RATIO_THRESHOLD) {
+          console.warn(`  Warning: Audio transcript appears truncated (${audioWords} words vs ${officialWordCount} official, ratio ${ratio.toFixed(2)})`);
+        }
       }
     }
+  } finally {
+    await trim?.cleanup();
+  }
+
+  if (trim) {
+    transcript = mapTranscriptTimes(transcript, (seconds) => toOriginalTime(seconds, trim.offsetMap));
   }
 
   const { cleanup } = parseSttModel(sttModel);
   if (cleanup) {
     console.log("  Cleaning up transcript with Gemini (text-only, no audio upload)...");
-    const result = await applyCleanupHybrid(transcript, apiKey, context, verbose);
-    transcript = result.text;
+    const result = await applyCleanupHybrid(transcript, apiKey, context, verbose, session.sessionName);
+    transcript = result.transcript;
     if (result.usage) recordUsage(result.usage);
   }
 
   // Validate before caching so a failed/empty transcription can never poison the cache.
-  assertTranscriptPresent(transcript, session.sessionId);
+  const text = renderTranscript(transcript);
+  assertTranscriptPresent(text, session.sessionId);
 
-  // Save transcript to cache
+  // Save the rendered transcript and the canonical one beside it
   await fsPromises.mkdir(TRANSCRIPT_CACHE_DIR, { recursive: true });
-  await fsPromises.writeFile(transcriptCachePath, transcript, "utf-8");
+  await fsPromises.writeFile(transcriptCachePath, text, "utf-8");
+  await fsPromises.writeFile(canonicalCachePath, JSON.stringify(transcript), "utf-8");
   console.log(`  Cached transcript: ${transcriptCachePath}`);
 
-  return { text: transcript, usage };
+  return { text, usage };
 }
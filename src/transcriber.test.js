@@ -3,11 +3,12 @@
  * (a Gemini STT stream that returns zero text chunks must never be treated as
  * a successful transcription), upload retry behaviour (transcribeAudio),
  * --stt-model parsing, chirp diarization formatting with timestamps, and the
- * chirp+Gemini name-fill hybrid.
+ * chirp+Gemini name-fill hybrid, the local whisper backend, and overlapping
+ * Gemini segments.
  */
 
 import { jest } from '@jest/globals';
-import { EventEmitter } from 'node:events';
+import { makeMockChild } from './test-helpers.js';
 
 const mockExistsSync = jest.fn();
 const mockStatSync = jest.fn(() => ({ size: 1000, mtimeMs: 0 }));
@@ -49,25 +50,6 @@ jest.unstable_mockModule('fs/promises', () => ({
   ...mockFsPromises,
 }));
 
-// Fake child process: an EventEmitter with stdout/stderr EventEmitters, matching
-// the shape runProcess() (src/transcriber.js) consumes from child_process.spawn.
-function makeMockChild({ stdout = '', code = 0, spawnError = null } = {}) {
-  const child = new EventEmitter();
-  child.stdout = new EventEmitter();
-  child.stdout.pipe = jest.fn();
-  child.stderr = new EventEmitter();
-  child.stderr.pipe = jest.fn();
-  process.nextTick(() => {
-    if (spawnError) {
-      child.emit('error', spawnError);
-      return;
-    }
-    if (stdout) child.stdout.emit('data', Buffer.from(stdout));
-    child.emit('close', code);
-  });
-  return child;
-}
-
 const mockSpawn = jest.fn();
 jest.unstable_mockModule('child_process', () => ({
   spawn: mockSpawn,
@@ -97,6 +79,12 @@ jest.unstable_mockModule('./scraper.js', () => ({
   downloadTranscript: jest.fn().mockRejectedValue(new Error('official transcript not available')),
 }));
 
+// fs/promises is mocked above, so prompt templates cannot be read; the
+// prompts just carry their variables.
+jest.unstable_mockModule('./prompts.js', () => ({
+  buildPrompt: jest.fn(async (name, groupName, variables) => Object.values(variables).join('\n')),
+}));
+
 const mockRecordUsage = jest.fn();
 jest.unstable_mockModule('./accounting.js', () => ({
   recordUsage: mockRecordUsage,
@@ -141,6 +129,7 @@ const {
   prepareLocalAudio,
   getAudioCachePath,
   getTranscriptCachePath,
+  getCanonicalTranscriptCachePath,
   isTransientError,
   uploadFileResumable,
   parseSttModel,
@@ -150,7 +139,13 @@ const {
   transcribeAudioDeepgram,
   formatDeepgramTranscript,
   buildDeepgramKeyterms,
+  buildWhisperCommand,
+  parseWhisperSegments,
+  formatWhisperTranscript,
 } = await import('./transcriber.js');
+const { setSilenceTrimming } = await import('./audio-trim.js');
+const { setSegmentOptions } = await import('./segments.js');
+const { renderTranscript } = await import('./canonical-transcript.js');
 
 function makeStreamResult(chunkTexts, finishReason = 'STOP') {
   return {
@@ -308,10 +303,40 @@ describe('transcribeSession', () => {
     expect(result.text.trim().split(/\s+/).length).toBe(11000);
     expect(mockWriteFile).toHaveBeenCalled();
   });
+
+  test('transcribes overlapping Gemini segments and stitches them in recording time', async () => {
+    mockExistsSync.mockImplementation((p) => p === getAudioCachePath(sessionId));
+    mockSpawn.mockImplementation(() => makeMockChild({ stdout: '35' }));
+    setSegmentOptions({ overlapSeconds: 5, concurrency: 1 });
+    mockGenerateContentStream
+      .mockImplementationOnce(() => Promise.resolve(makeStreamResult([
+        '[00:00:00] Speaker 1: Welcome everyone to the session on encrypted client hello.\n'
+          + '[00:00:18] Speaker 2: We have three open issues on the draft to get thro',
+      ])))
+      .mockImplementationOnce(() => Promise.resolve(makeStreamResult([
+        '[00:00:00] Speaker 1: three open issues on the draft to get through today.\n'
+          + '[00:00:09] Speaker 1: First up is the padding question.',
+      ])));
+
+    try {
+      const result = await transcribeSession(session, 'gemini', 'fake-key', false, null, null, 20);
+
+      expect(result.text).toBe(
+        '[00:00:00] Speaker 1: Welcome everyone to the session on encrypted client hello.\n'
+          + '[00:00:18] Speaker 2: We have three open issues on the draft to get through today.\n'
+          + '[00:00:29] Speaker 1: First up is the padding question.',
+      );
+      expect(result.usage).toEqual({ inputTokens: 20, outputTokens: 10, model: 'gemini-3.5-flash' });
+      const cuts = mockSpawn.mock.calls.filter(([command, args]) => command === 'ffmpeg' && args.includes('-ss'));
+      expect(cuts.map(([, args]) => args[args.indexOf('-ss') + 1])).toEqual(['0.000', '20.000']);
+    } finally {
+      setSegmentOptions();
+    }
+  });
 });
 
-// These exercise runProcess (the async spawn-based child_process runner) indirectly
-// through its two exported callers, since runProcess itself isn't exported.
+// These exercise runProcess (the async spawn-based child_process runner in
+// process.js) indirectly through its two exported transcriber.js callers.
 describe('downloadAudio (async spawn-based ffmpeg runner)', () => {
   test('resolves when ffmpeg exits 0 and spawns with an argv array (no shell)', async () => {
     await expect(
@@ -386,6 +411,12 @@ describe('isTransientError', () => {
     }
   });
 
+  test('returns true for an Anthropic 529 overloaded error', () => {
+    const error = new Error('Overloaded');
+    error.status = 529;
+    expect(isTransientError(error)).toBe(true);
+  });
+
   test('returns true for common Node network error codes', () => {
     for (const code of ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND']) {
       const error = new Error('network blip');
@@ -730,7 +761,8 @@ describe('applyCleanupHybrid', () => {
 
     const result = await applyCleanupHybrid(original, 'fake-key', null, false);
 
-    expect(result).toEqual({ text: original, usage: undefined });
+    expect(result.text).toBe(original);
+    expect(result.usage).toBeUndefined();
     expect(warnSpy).toHaveBeenCalled();
     warnSpy.mockRestore();
   });
@@ -857,6 +889,15 @@ describe('buildDeepgramKeyterms', () => {
     expect(totalTokens).toBeLessThanOrEqual(500);
   });
 
+  test('adds slide text terms after participants and drafts', () => {
+    const keyterms = buildDeepgramKeyterms({
+      wgDocuments: [{ Name: 'draft-ietf-foo-bar', Title: 'Foo Bar', 'Status in the IETF process': 'Active' }],
+      slideTexts: [{ title: 'Deck', url: 'https://example.com/deck', text: 'Slide 1: HPKE and WebTransport\nSlide 2: HPKE keys for draft-ietf-foo-bar' }],
+    });
+
+    expect(keyterms).toEqual(['draft-ietf-foo-bar', 'HPKE', 'WebTransport']);
+  });
+
   test('returns an empty list when context is null', () => {
     expect(buildDeepgramKeyterms(null)).toEqual([]);
   });
@@ -894,7 +935,11 @@ describe('transcribeAudioDeepgram', () => {
 
     const transcript = await transcribeAudioDeepgram('/tmp/fake.mp3', 'nova-3', false, []);
 
-    expect(transcript).toBe('[00:00:00] Speaker 0: Hello there,\n[00:00:05] Speaker 1: Hi');
+    expect(renderTranscript(transcript)).toBe('[00:00:00] Speaker 0: Hello there,\n[00:00:05] Speaker 1: Hi');
+    expect(transcript.turns[0].words).toEqual([
+      { word: 'Hello', start: 0, end: 0.4, confidence: null },
+      { word: 'there,', start: 0.4, end: 0.8, confidence: null },
+    ]);
   });
 
   test('streams the file body from disk with a Content-Length header instead of buffering it', async () => {
@@ -919,7 +964,7 @@ describe('transcribeAudioDeepgram', () => {
     await jest.runAllTimersAsync();
     const transcript = await promise;
 
-    expect(transcript).toContain('Speaker 0');
+    expect(renderTranscript(transcript)).toContain('Speaker 0');
     expect(mockCreateReadStream).toHaveBeenCalledTimes(2);
     const bodies = mockFetch.mock.calls.map(([, options]) => options.body);
     expect(bodies[0]).not.toBe(bodies[1]);
@@ -932,7 +977,7 @@ describe('transcribeAudioDeepgram', () => {
 
     const transcript = await transcribeAudioDeepgram('/tmp/fake.mp3', 'nova-3', false, []);
 
-    expect(transcript).toBe('plain transcript, no diarization');
+    expect(renderTranscript(transcript)).toBe('plain transcript, no diarization');
   });
 
   test('sends "keyterm" query params for nova-3 and "keywords" for nova-2', async () => {
@@ -961,7 +1006,7 @@ describe('transcribeAudioDeepgram', () => {
     await jest.runAllTimersAsync();
     const transcript = await promise;
 
-    expect(transcript).toContain('Speaker 0');
+    expect(renderTranscript(transcript)).toContain('Speaker 0');
     expect(mockFetch).toHaveBeenCalledTimes(2);
   });
 
@@ -1029,7 +1074,7 @@ describe('transcribeAudioDeepgram', () => {
     await jest.runAllTimersAsync();
     const transcript = await promise;
 
-    expect(transcript).toContain('Speaker 0');
+    expect(renderTranscript(transcript)).toContain('Speaker 0');
     expect(mockFetch).toHaveBeenCalledTimes(2);
     const secondUrl = mockFetch.mock.calls[1][0];
     expect(new URL(secondUrl).searchParams.getAll('keyterm')).toEqual(['a', 'b']);
@@ -1045,7 +1090,7 @@ describe('transcribeAudioDeepgram', () => {
     await jest.runAllTimersAsync();
     const transcript = await promise;
 
-    expect(transcript).toContain('Speaker 0');
+    expect(renderTranscript(transcript)).toContain('Speaker 0');
     const lastUrl = mockFetch.mock.calls[mockFetch.mock.calls.length - 1][0];
     expect(new URL(lastUrl).searchParams.getAll('keyterm')).toEqual([]);
   });
@@ -1078,7 +1123,7 @@ describe('transcribeAudioDeepgram', () => {
     await jest.runAllTimersAsync();
     const transcript = await promise;
 
-    expect(transcript).toContain('Speaker 0');
+    expect(renderTranscript(transcript)).toContain('Speaker 0');
     expect(mockFetch).toHaveBeenCalledTimes(3);
     const keytermsByCall = mockFetch.mock.calls.map(([url]) => new URL(url).searchParams.getAll('keyterm'));
     expect(keytermsByCall).toEqual([['a', 'b'], ['a'], ['a']]);
@@ -1125,7 +1170,32 @@ describe('transcribeSession deepgram dispatch', () => {
     expect(result.text).toContain('**John Doe**');
     expect(result.usage).toEqual({ model: 'deepgram:nova-3', audioSeconds: 1800, inputTokens: 0, outputTokens: 0 });
     expect(mockRecordUsage).toHaveBeenCalledWith({ inputTokens: 40, outputTokens: 8, model: 'gemini-3.5-flash' });
-    expect(mockWriteFile).toHaveBeenCalled();
+    expect(mockWriteFile).toHaveBeenCalledWith(getTranscriptCachePath(sessionId), result.text, 'utf-8');
+  });
+
+  test('caches the canonical transcript, with named speakers and word timings, beside the rendered one', async () => {
+    mockExistsSync.mockImplementation((p) => p === getAudioCachePath(sessionId));
+    mockSpawn.mockImplementation(() => makeMockChild({ stdout: '1800' }));
+    mockFetch.mockReset().mockImplementation(async (url) => {
+      if (typeof url === 'string' && url.startsWith('https://api.deepgram.com/')) {
+        return makeDeepgramResponse({ body: DEEPGRAM_TRANSCRIPT_BODY });
+      }
+      return makeChunkResponse();
+    });
+    mockGenerateContent.mockResolvedValue({
+      response: { text: () => JSON.stringify({ 'Speaker 0': 'Jane Smith', 'Speaker 1': 'John Doe' }) },
+    });
+
+    await transcribeSession(session, 'deepgram:nova-3+names', 'fake-gemini-key');
+
+    const write = mockWriteFile.mock.calls.find(([filePath]) => filePath === getCanonicalTranscriptCachePath(sessionId));
+    const canonical = JSON.parse(write[1]);
+    expect(canonical.source).toBe('deepgram');
+    expect(canonical.turns.map((turn) => [turn.speaker, turn.start, turn.text])).toEqual([
+      ['Jane Smith', 0, 'Hello there,'],
+      ['John Doe', 5, 'Hi'],
+    ]);
+    expect(canonical.turns[0].words.map((word) => word.word)).toEqual(['Hello', 'there,']);
   });
 
   test('applies "+cleanup" before caching while preserving backend usage and recording cleanup usage separately', async () => {
@@ -1197,3 +1267,107 @@ describe('transcribeSession deepgram dispatch', () => {
     expect(mockFetch.mock.calls[0][0]).toContain('model=nova-3');
   });
 });
+
+describe('whisper', () => {
+  const WHISPER_CPP_OUTPUT = {
+    transcription: [
+      { offsets: { from: 0, to: 4000 }, text: ' Welcome to the TLS session.' },
+      { offsets: { from: 4000, to: 4500 }, text: ' ' },
+      { offsets: { from: 65500, to: 70000 }, text: ' First up is ECH.' },
+    ],
+  };
+
+  test('buildWhisperCommand runs whisper.cpp with a ggml model from WHISPER_MODEL_DIR', () => {
+    const original = process.env.WHISPER_MODEL_DIR;
+    process.env.WHISPER_MODEL_DIR = '/opt/whisper';
+    try {
+      const { command, args, outputPath } = buildWhisperCommand('base.en', '/tmp/w/audio.wav', '/tmp/w', 'whisper-cli');
+      expect(command).toBe('whisper-cli');
+      expect(args.slice(0, 4)).toEqual(['-m', '/opt/whisper/ggml-base.en.bin', '-f', '/tmp/w/audio.wav']);
+      expect(args).toEqual(expect.arrayContaining(['-oj', '-of', '/tmp/w/transcript']));
+      expect(outputPath).toBe('/tmp/w/transcript.json');
+    } finally {
+      if (original === undefined) delete process.env.WHISPER_MODEL_DIR;
+      else process.env.WHISPER_MODEL_DIR = original;
+    }
+  });
+
+  test('buildWhisperCommand uses the openai-whisper options for faster-whisper', () => {
+    expect(buildWhisperCommand('large-v3', '/tmp/w/audio.wav', '/tmp/w', '/usr/local/bin/whisper-ctranslate2')).toEqual({
+      command: '/usr/local/bin/whisper-ctranslate2',
+      args: ['/tmp/w/audio.wav', '--model', 'large-v3', '--output_format', 'json', '--output_dir', '/tmp/w'],
+      outputPath: '/tmp/w/audio.json',
+    });
+  });
+
+  test('parseWhisperSegments reads both output shapes and drops empty segments', () => {
+    expect(parseWhisperSegments(WHISPER_CPP_OUTPUT)).toEqual([
+      { start: 0, text: 'Welcome to the TLS session.' },
+      { start: 65.5, text: 'First up is ECH.' },
+    ]);
+    expect(parseWhisperSegments({ segments: [{ start: 3.2, end: 5, text: ' Hello' }] })).toEqual([{ start: 3.2, text: 'Hello' }]);
+    expect(parseWhisperSegments({})).toEqual([]);
+  });
+
+  test('formatWhisperTranscript writes a timestamped line per segment', () => {
+    expect(formatWhisperTranscript([{ start: 0, text: 'Welcome.' }, { start: 65.5, text: 'First up is ECH.' }]))
+      .toBe('[00:00:00] Speaker 1: Welcome.\n[00:01:05] Speaker 1: First up is ECH.');
+  });
+
+  test('transcribeSession converts the audio, runs whisper and records free audio usage', async () => {
+    const sessionId = 'IETF126-TLS-20260720-0930';
+    mockExistsSync.mockImplementation((p) => p === getAudioCachePath(sessionId));
+    mockSpawn.mockImplementation(() => makeMockChild({ stdout: '6' }));
+    mockReadFile.mockResolvedValue(JSON.stringify(WHISPER_CPP_OUTPUT));
+
+    const result = await transcribeSession({ sessionId }, 'whisper:small.en', null);
+
+    expect(result).toEqual({
+      text: '[00:00:00] Speaker 1: Welcome to the TLS session.\n[00:01:05] Speaker 1: First up is ECH.',
+      usage: { model: 'whisper:small.en', audioSeconds: 6, inputTokens: 0, outputTokens: 0 },
+    });
+    const commands = mockSpawn.mock.calls.map(([command]) => command);
+    expect(commands.slice(0, 2)).toEqual(['ffmpeg', 'whisper-cli']);
+    expect(mockSpawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['-ar', '16000', '-ac', '1']));
+    expect(mockSpawn.mock.calls[1][1]).toEqual(expect.arrayContaining([expect.stringMatching(/ggml-small\.en\.bin$/)]));
+    expect(mockRm).toHaveBeenCalledWith(expect.stringContaining('auto-minutes-whisper-'), { recursive: true, force: true });
+    expect(mockWriteFile).toHaveBeenCalledWith(getTranscriptCachePath(sessionId), result.text, 'utf-8');
+  });
+
+  test('transcribeSession fails the session when the whisper binary is missing', async () => {
+    const sessionId = 'IETF126-TLS-20260720-0930';
+    mockExistsSync.mockImplementation((p) => p === getAudioCachePath(sessionId));
+    mockSpawn.mockImplementation((command) => makeMockChild(command === 'whisper-cli' ? { spawnError: new Error('spawn whisper-cli ENOENT') } : {}));
+
+    await expect(transcribeSession({ sessionId }, 'whisper', null)).rejects.toThrow('whisper-cli failed to start: spawn whisper-cli ENOENT');
+    expect(mockWriteFile).not.toHaveBeenCalled();
+  });
+
+  test('transcribeSession trims silence first and maps timestamps back to the recording', async () => {
+    const sessionId = 'IETF126-TLS-20260720-0930';
+    const words = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+    mockExistsSync.mockImplementation((p) => p === getAudioCachePath(sessionId));
+    mockSpawn.mockImplementation((command, args) => {
+      if (command === 'ffprobe') return makeMockChild({ stdout: '60' });
+      if (args.includes('null')) return makeMockChild({ stdout: 'lavfi.silence_start=0\nlavfi.silence_end=20\n' });
+      return makeMockChild();
+    });
+    mockReadFile.mockResolvedValue(JSON.stringify({ transcription: [{ offsets: { from: 5000 }, text: words }] }));
+    setSilenceTrimming({ enabled: true });
+
+    try {
+      const result = await transcribeSession({ sessionId }, 'whisper', null);
+
+      // 5s into the trimmed audio is 19s + 5s into the recording.
+      expect(result.text).toBe(`[00:00:24] Speaker 1: ${words}`);
+      expect(mockRecordUsage).toHaveBeenCalledWith({ savedAudioSeconds: 19 });
+      const ffmpegInputs = mockSpawn.mock.calls.filter(([command]) => command === 'ffmpeg').map(([, args]) => args[args.indexOf('-i') + 1]);
+      // Silence and loudness probes and the cut read the recording; whisper's conversion reads the trimmed copy.
+      expect(ffmpegInputs.slice(0, 3)).toEqual(Array(3).fill(getAudioCachePath(sessionId)));
+      expect(ffmpegInputs[3]).toMatch(/auto-minutes-trim-.*trimmed\.mp3$/);
+      expect(mockRm).toHaveBeenCalledWith(expect.stringContaining('auto-minutes-trim-'), { recursive: true, force: true });
+    } finally {
+      setSilenceTrimming({ enabled: false });
+    }
+  });
+});
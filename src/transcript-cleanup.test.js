@@ -1,4 +1,7 @@
 import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 const mockGenerateContent = jest.fn();
 jest.unstable_mockModule('@google/generative-ai', () => ({
@@ -18,6 +21,7 @@ const {
   numberUnits,
   parseJson,
 } = await import('./transcript-cleanup.js');
+const { setPromptsDir } = await import('./prompts.js');
 
 test('buildCleanupReference includes names, active drafts, and slide titles', () => {
   const reference = buildCleanupReference({
@@ -33,6 +37,18 @@ test('buildCleanupReference includes names, active drafts, and slide titles', ()
   expect(buildCleanupReference(null)).toBe('');
 });
 
+test('buildCleanupReference includes bounded slide text excerpts', () => {
+  const reference = buildCleanupReference({
+    slideTexts: [
+      { title: 'ECH Update', url: 'https://example.com/ech', text: 'Encrypted ClientHello status' },
+      { title: 'Long Deck', url: 'https://example.com/long', text: 'x'.repeat(5000) },
+    ],
+  });
+  expect(reference).toContain('Slide text excerpts:\n--- ECH Update ---\nEncrypted ClientHello status');
+  expect(reference).toContain(`--- Long Deck ---\n${'x'.repeat(1500)}…`);
+  expect(reference).not.toContain('x'.repeat(1501));
+});
+
 describe('splitUnits / numberUnits', () => {
   test('splits plain-line transcripts on newlines', () => {
     const result = splitUnits('line one\nline two\nline three');
@@ -52,6 +68,21 @@ describe('splitUnits / numberUnits', () => {
   test('numberUnits prefixes each unit with its 1-based line number', () => {
     expect(numberUnits('foo\nbar')).toBe('1: foo\n2: bar');
   });
+
+  test('splits canonical transcripts by turn and numbers their rendered lines', () => {
+    const transcript = {
+      version: 1,
+      source: 'deepgram',
+      turns: [
+        { speaker: 'Speaker 0', start: 0, end: 1, text: 'hello', words: null, confidence: null },
+        { speaker: 'Jane Smith', start: 65, end: 66, text: 'world', words: null, confidence: null },
+      ],
+    };
+    const result = splitUnits(transcript);
+    expect(result.kind).toBe('turns');
+    expect(result.units).toEqual(['hello', 'world']);
+    expect(numberUnits(transcript)).toBe('1: [00:00:00] Speaker 0: hello\n2: [00:01:05] **Jane Smith**: world');
+  });
 });
 
 describe('normalizeCorrections', () => {
@@ -98,6 +129,33 @@ describe('normalizeCorrections', () => {
 });
 
 describe('applyCorrections', () => {
+  test('corrects canonical turns, keeping word timings when the word count is unchanged', () => {
+    const transcript = {
+      version: 1,
+      source: 'deepgram',
+      turns: [{
+        speaker: 'Speaker 0',
+        start: 0,
+        end: 1,
+        text: 'about quick now',
+        words: [
+          { word: 'about', start: 0, end: 0.3, confidence: 0.9 },
+          { word: 'quick', start: 0.3, end: 0.6, confidence: 0.5 },
+          { word: 'now', start: 0.6, end: 1, confidence: 0.9 },
+        ],
+        confidence: 0.77,
+      }],
+    };
+    const result = applyCorrections(transcript, [{ line: 1, from: 'quick', to: 'QUIC' }]);
+    expect(result.text).toBe('[00:00:00] Speaker 0: about QUIC now');
+    expect(result.transcript.turns[0].words[1]).toEqual({ word: 'QUIC', start: 0.3, end: 0.6, confidence: 0.5 });
+    expect(result.applied).toEqual([{ line: 1, from: 'quick', to: 'QUIC' }]);
+
+    const respaced = applyCorrections(transcript, [{ line: 1, from: 'quick', to: 'QUIC WG' }]);
+    expect(respaced.transcript.turns[0].words).toBeNull();
+    expect(transcript.turns[0].text).toBe('about quick now');
+  });
+
   test('returns { text, appliedCount, applied } and skips absent sources', () => {
     const result = applyCorrections('a.b then a.b', [
       { line: 1, from: 'a.b', to: 'QUIC' },
@@ -269,6 +327,23 @@ test('getCorrectionsFromGemini sends the transcript numbered by line', async ()
   expect(prompt).toContain('1: foo\n2: bar');
 });
 
+test('getCorrectionsFromGemini uses the prompt override of the session\'s group', async () => {
+  const promptsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompts-'));
+  await fs.mkdir(path.join(promptsDir, 'wg', 'quic'), { recursive: true });
+  await fs.writeFile(path.join(promptsDir, 'wg', 'quic', 'transcript-cleanup.md'), 'QUIC terms: {{reference}}\n\n{{transcript}}\n');
+  setPromptsDir(promptsDir);
+  mockGenerateContent.mockResolvedValueOnce({ response: { text: () => '[]', usageMetadata: null } });
+
+  try {
+    await getCorrectionsFromGemini('key', 'gemini-3.5-flash', 'quick', 'QUIC', false, null, 'QUIC');
+  } finally {
+    setPromptsDir(null);
+    await fs.rm(promptsDir, { recursive: true, force: true });
+  }
+
+  expect(mockGenerateContent.mock.calls.at(-1)[0][0].text).toBe('QUIC terms: QUIC\n\n1: quick');
+});
+
 describe('parseJson', () => {
   test('parses clean JSON objects and arrays', () => {
     expect(parseJson('{"a": 1}')).toEqual({ a: 1 });
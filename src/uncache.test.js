@@ -13,6 +13,10 @@ import {
   saveCachedMinutes,
   saveCacheManifest,
   saveCacheMetadata,
+  saveStructuredMinutes,
+  getCachedStructuredMinutes,
+  saveActionItems,
+  getCachedActionItems,
   loadCacheManifest,
 } from "./publisher.js";
 import { getTranscriptCachePath, getAudioCachePath } from "./transcriber.js";
@@ -70,6 +74,27 @@ describe("deleteCachedMinutes", () => {
     expect(existsSync(path.join(cacheDir, `${TEST_SESSION_ID}.meta.json`))).toBe(false);
   });
 
+  test("deletes structured minutes and keeps them out of the session list", async () => {
+    await createTestCache();
+    await saveStructuredMinutes(TEST_MEETING_ID, TEST_SESSION_ID, { summary: "Test" });
+
+    expect(await getCachedSessionIds(TEST_MEETING_ID)).toEqual(expect.not.arrayContaining([`${TEST_SESSION_ID}.minutes.json`]));
+    expect(await getCachedStructuredMinutes(TEST_MEETING_ID, TEST_SESSION_ID)).toEqual({ summary: "Test" });
+
+    await deleteCachedMinutes(TEST_MEETING_ID, TEST_SESSION_ID);
+    expect(await getCachedStructuredMinutes(TEST_MEETING_ID, TEST_SESSION_ID)).toBeNull();
+  });
+
+  test("deletes action items and keeps them out of the session list", async () => {
+    await createTestCache();
+    await saveActionItems(TEST_MEETING_ID, TEST_SESSION_ID, { sessionId: TEST_SESSION_ID, actionItems: [], decisions: [] });
+
+    expect(await getCachedSessionIds(TEST_MEETING_ID)).toEqual(expect.not.arrayContaining([`${TEST_SESSION_ID}.actions.json`]));
+
+    await deleteCachedMinutes(TEST_MEETING_ID, TEST_SESSION_ID);
+    expect(await getCachedActionItems(TEST_MEETING_ID, TEST_SESSION_ID)).toBeNull();
+  });
+
   test("returns false when no files exist", async () => {
     const deleted = await deleteCachedMinutes(TEST_MEETING_ID, "NONEXISTENT");
     expect(deleted).toBe(false);
@@ -0,0 +1,200 @@
+/**
+ * Watch Mode
+ * Keeps polling the current IETF meeting for sessions whose recordings are
+ * not published yet, summarizing each as soon as it appears.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { backoffDelay } from "./retry.js";
+import { isRecordingUnavailable } from "./skip-classifier.js";
+
+const WATCH_CACHE_DIR = path.join("cache", "watch");
+
+// Per-session recording polls back off from 10 minutes up to 2 hours.
+export const WATCH_POLL_BASE_MS = 10 * 60 * 1000;
+export const WATCH_POLL_CAP_MS = 2 * 60 * 60 * 1000;
+
+// Even with nothing due, wake up this often to check whether the meeting is over.
+const WATCH_MAX_SLEEP_MS = 30 * 60 * 1000;
+const WATCH_MIN_SLEEP_MS = 60 * 1000;
+
+/**
+ * Path of the persisted watch schedule for a meeting.
+ * @param {number} meetingNumber - IETF meeting number
+ * @returns {string} e.g. cache/watch/ietf125.json
+ */
+export function getWatchStatePath(meetingNumber) {
+  return path.join(WATCH_CACHE_DIR, `ietf${meetingNumber}.json`);
+}
+
+/**
+ * Load the persisted watch schedule, or an empty one on first run.
+ * @param {number} meetingNumber - IETF meeting number
+ * @returns {Promise<{meetingNumber: number, pending: Object<string, {sessionName: string, attempts: number, nextPollAt: number, lastReason: string|null}>}>}
+ */
+export async function loadWatchState(meetingNumber) {
+  try {
+    const state = JSON.parse(await fs.readFile(getWatchStatePath(meetingNumber), "utf-8"));
+    return { meetingNumber, pending: state.pending || {} };
+  } catch {
+    return { meetingNumber, pending: {} };
+  }
+}
+
+/**
+ * Persist the watch schedule so a restarted watch resumes each session's backoff.
+ * @param {Object} state - State from loadWatchState
+ */
+export async function saveWatchState(state) {
+  await fs.mkdir(WATCH_CACHE_DIR, { recursive: true });
+  await fs.writeFile(getWatchStatePath(state.meetingNumber), JSON.stringify(state, null, 2), "utf-8");
+}
+
+/**
+ * When to first look for a session's recording: the scheduled end of the
+ * session when the schedule is known, otherwise right away.
+ * @param {Object} session - Session object (may carry startTime, durationMinutes)
+ * @param {number} now - Current time (ms)
+ * @returns {number} Timestamp (ms)
+ */
+export function initialPollTime(session, now) {
+  const start = session.startTime ? Date.parse(session.startTime) : NaN;
+  if (Number.isNaN(start) || !Number.isFinite(session.durationMinutes)) return now;
+  return Math.max(now, start + session.durationMinutes * 60 * 1000);
+}
+
+/**
+ * Record a failed poll and schedule the next one with jittered exponential backoff.
+ * @param {Object} entry - Pending-session entry (mutated)
+ * @param {string} reason - Why the recording isn't usable yet
+ * @param {number} now - Current time (ms)
+ */
+export function schedulePoll(entry, reason, now) {
+  entry.attempts += 1;
+  entry.lastReason = reason;
+  entry.nextPollAt = now + backoffDelay(entry.attempts, WATCH_POLL_BASE_MS, WATCH_POLL_CAP_MS);
+}
+
+/**
+ * Poll the meeting until it is over. Each cycle refreshes the session list,
+ * adds uncached sessions to the pending schedule, probes the recordings that
+ * are due, summarizes the ones that turned up (together with every already
+ * cached session, so the meeting's manifest stays complete) and, when new
+ * minutes were written, refreshes the output. A cycle that throws is logged
+ * and retried with backoff, keeping the schedule.
+ * @param {number} meetingNumber - IETF meeting number being watched
+ * @param {Object} deps
+ * @param {() => Promise<{number: number, inProgress: boolean}>} deps.fetchCurrentMeetingNumber
+ * @param {() => Promise<Array>} deps.fetchSessions - Current valid session list
+ * @param {(sessionId: string) => Promise<boolean>} deps.isCached - Whether minutes are already cached
+ * @param {(session: Object) => Promise<void>} deps.probeRecording - Throws while the recording/transcript is unavailable
+ * @param {(sessions: Array) => Promise<Array>} deps.summarize - Summarize sessions, returning the skipped ones
+ * @param {(() => Promise<void>)|null} [deps.writeOutput] - Incremental --output, if requested
+ * @param {(ms: number) => Promise<void>} [deps.sleep]
+ * @param {() => number} [deps.now]
+ * @param {{load: Function, save: Function}} [deps.stateStore]
+ * @returns {Promise<{summarized: string[], pending: string[]}>} Session IDs summarized by this watch, and those still pending at exit
+ */
+export async function runWatch(meetingNumber, deps) {
+  const {
+    fetchCurrentMeetingNumber,
+    fetchSessions,
+    isCached,
+    probeRecording,
+    summarize,
+    writeOutput = null,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    now = Date.now,
+    stateStore = { load: loadWatchState, save: saveWatchState },
+  } = deps;
+
+  const state = await stateStore.load(meetingNumber);
+  const summarized = [];
+
+  // Consecutive cycles that failed outright (e.g. datatracker unreachable)
+  let failures = 0;
+
+  for (;;) {
+    let delay;
+    try {
+      const current = await fetchCurrentMeetingNumber();
+      if (!current.inProgress || current.number !== meetingNumber) {
+        console.log(`\nIETF ${meetingNumber} is over; stopping watch.`);
+        break;
+      }
+
+      const sessions = await fetchSessions();
+      for (const session of sessions) {
+        if (await isCached(session.sessionId)) {
+          // Summarized elsewhere (e.g. a manual --summarize) since the last cycle
+          delete state.pending[session.sessionId];
+          continue;
+        }
+        if (state.pending[session.sessionId]) continue;
+        state.pending[session.sessionId] = {
+          sessionName: session.sessionName,
+          attempts: 0,
+          nextPollAt: initialPollTime(session, now()),
+          lastReason: null,
+        };
+      }
+
+      const due = sessions.filter((s) => state.pending[s.sessionId]?.nextPollAt <= now());
+      const ready = [];
+      await Promise.all(due.map(async (session) => {
+        try {
+          await probeRecording(session);
+          ready.push(session);
+        } catch (error) {
+          schedulePoll(state.pending[session.sessionId], error.message, now());
+          if (!isRecordingUnavailable(error.message)) {
+            console.warn(`  [watch] ${session.sessionId}: ${error.message}`);
+          }
+        }
+      }));
+
+      if (ready.length > 0) {
+        console.log(`\n[watch] ${ready.length} new recording(s): ${ready.map((s) => s.sessionId).join(", ")}`);
+        const readyIds = new Set(ready.map((s) => s.sessionId));
+        const batch = sessions.filter((s) => !state.pending[s.sessionId] || readyIds.has(s.sessionId));
+        const skipped = new Map((await summarize(batch)).map((s) => [s.sessionId, s]));
+
+        let newMinutes = 0;
+        for (const session of ready) {
+          if (skipped.has(session.sessionId)) {
+            schedulePoll(state.pending[session.sessionId], skipped.get(session.sessionId).reason, now());
+          } else {
+            delete state.pending[session.sessionId];
+            summarized.push(session.sessionId);
+            newMinutes++;
+          }
+        }
+        if (newMinutes > 0 && writeOutput) {
+          await writeOutput();
+        }
+      }
+
+      await stateStore.save(state);
+
+      const pendingEntries = Object.values(state.pending);
+      const nextDue = Math.min(...pendingEntries.map((entry) => entry.nextPollAt));
+      delay = Math.min(WATCH_MAX_SLEEP_MS, Math.max(WATCH_MIN_SLEEP_MS, nextDue - now()));
+      console.log(`[watch] ${pendingEntries.length} session(s) pending; next check in ${Math.round(delay / 60000)} min`);
+      failures = 0;
+    } catch (error) {
+      // One bad cycle must not end a week-long watch: keep the schedule and try again later.
+      failures++;
+      delay = backoffDelay(failures, WATCH_MIN_SLEEP_MS, WATCH_MAX_SLEEP_MS);
+      console.warn(`  [watch] Cycle failed: ${error.message}; retrying in ${Math.round(delay / 60000)} min`);
+      await stateStore.save(state).catch(() => {});
+    }
+    await sleep(delay);
+  }
+
+  const pending = Object.keys(state.pending);
+  if (pending.length > 0) {
+    console.log(`Still waiting on ${pending.length} recording(s); a later --summarize ${meetingNumber} will pick them up.`);
+  }
+  return { summarized, pending };
+}
@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import {
+  runWatch,
+  schedulePoll,
+  initialPollTime,
+  getWatchStatePath,
+  WATCH_POLL_BASE_MS,
+  WATCH_POLL_CAP_MS,
+} from './watch.js';
+
+const session = (name, hhmm, extra = {}) => ({
+  sessionName: name,
+  sessionId: `IETF125-${name.toUpperCase()}-20260316-${hhmm}`,
+  recordingUrl: `https://example.com/${name}`,
+  ...extra,
+});
+
+/**
+ * Build watch dependencies around an in-memory schedule and a fake clock that
+ * advances by whatever the watch sleeps.
+ */
+function makeDeps(overrides = {}) {
+  let clock = 1_000_000;
+  let saved = null;
+  const deps = {
+    fetchCurrentMeetingNumber: jest.fn().mockResolvedValue({ number: 125, inProgress: true }),
+    fetchSessions: jest.fn().mockResolvedValue([]),
+    isCached: jest.fn().mockResolvedValue(false),
+    probeRecording: jest.fn().mockResolvedValue(undefined),
+    summarize: jest.fn().mockResolvedValue([]),
+    writeOutput: jest.fn().mockResolvedValue(undefined),
+    sleep: jest.fn(async (ms) => { clock += ms; }),
+    now: () => clock,
+    stateStore: {
+      load: jest.fn(async (meetingNumber) => saved ?? { meetingNumber, pending: {} }),
+      save: jest.fn(async (state) => { saved = JSON.parse(JSON.stringify(state)); }),
+    },
+    ...overrides,
+  };
+  return { deps, savedState: () => saved };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runWatch', () => {
+  test('exits immediately when the meeting is not in progress', async () => {
+    const { deps } = makeDeps({
+      fetchCurrentMeetingNumber: jest.fn().mockResolvedValue({ number: 126, inProgress: false }),
+    });
+
+    await expect(runWatch(125, deps)).resolves.toEqual({ summarized: [], pending: [] });
+    expect(deps.fetchSessions).not.toHaveBeenCalled();
+  });
+
+  test('summarizes a session once its recording appears, with cached sessions, then refreshes output', async () => {
+    const cached = session('tls', '0100');
+    const late = session('quic', '0300');
+    const { deps, savedState } = makeDeps({
+      fetchCurrentMeetingNumber: jest.fn()
+        .mockResolvedValueOnce({ number: 125, inProgress: true })
+        .mockResolvedValueOnce({ number: 125, inProgress: true })
+        .mockResolvedValue({ number: 126, inProgress: false }),
+      fetchSessions: jest.fn().mockResolvedValue([cached, late]),
+      isCached: jest.fn(async (sessionId) => sessionId === cached.sessionId),
+      probeRecording: jest.fn()
+        .mockRejectedValueOnce(new Error(`Transcript for ${late.sessionId} is not available yet`))
+        .mockResolvedValue(undefined),
+    });
+
+    const result = await runWatch(125, deps);
+
+    expect(result).toEqual({ summarized: [late.sessionId], pending: [] });
+    expect(deps.probeRecording).toHaveBeenCalledTimes(2);
+    expect(deps.probeRecording).toHaveBeenCalledWith(late);
+    expect(deps.summarize).toHaveBeenCalledTimes(1);
+    expect(deps.summarize).toHaveBeenCalledWith([cached, late]);
+    expect(deps.writeOutput).toHaveBeenCalledTimes(1);
+    expect(savedState().pending).toEqual({});
+    // A benign "not available yet" is expected during the week, not a warning.
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('backs off per session and leaves still-pending sessions out of the summarize batch', async () => {
+    const ready = session('tls', '0100');
+    const waiting = session('quic', '0300');
+    const { deps, savedState } = makeDeps({
+      fetchCurrentMeetingNumber: jest.fn()
+        .mockResolvedValueOnce({ number: 125, inProgress: true })
+        .mockResolvedValue({ number: 125, inProgress: false }),
+      fetchSessions: jest.fn().mockResolvedValue([ready, waiting]),
+      probeRecording: jest.fn(async (s) => {
+        if (s === waiting) throw new Error(`No Cloudflare video found for session ${s.sessionId} (available types: 1)`);
+      }),
+    });
+
+    const result = await runWatch(125, deps);
+
+    expect(deps.summarize).toHaveBeenCalledWith([ready]);
+    expect(result).toEqual({ summarized: [ready.sessionId], pending: [waiting.sessionId] });
+    const entry = savedState().pending[waiting.sessionId];
+    expect(entry).toMatchObject({ sessionName: 'quic', attempts: 1 });
+    expect(entry.lastReason).toContain('No Cloudflare video found');
+    expect(entry.nextPollAt - 1_000_000).toBeGreaterThanOrEqual(WATCH_POLL_BASE_MS / 2);
+  });
+
+  test('reschedules a ready session that summarize still skipped and does not refresh output', async () => {
+    const short = session('tls', '0100');
+    const { deps, savedState } = makeDeps({
+      fetchCurrentMeetingNumber: jest.fn()
+        .mockResolvedValueOnce({ number: 125, inProgress: true })
+        .mockResolvedValue({ number: 125, inProgress: false }),
+      fetchSessions: jest.fn().mockResolvedValue([short]),
+      summarize: jest.fn().mockResolvedValue([{ sessionId: short.sessionId, reason: 'Generation failed' }]),
+    });
+
+    const result = await runWatch(125, deps);
+
+    expect(result.pending).toEqual([short.sessionId]);
+    expect(savedState().pending[short.sessionId]).toMatchObject({ attempts: 1, lastReason: 'Generation failed' });
+    expect(deps.writeOutput).not.toHaveBeenCalled();
+  });
+
+  test('logs a failed cycle, keeps the schedule and carries on after a backoff', async () => {
+    const late = session('quic', '0300');
+    const { deps, savedState } = makeDeps({
+      fetchCurrentMeetingNumber: jest.fn()
+        .mockResolvedValueOnce({ number: 125, inProgress: true })
+        .mockResolvedValueOnce({ number: 125, inProgress: true })
+        .mockResolvedValue({ number: 125, inProgress: false }),
+      fetchSessions: jest.fn()
+        .mockRejectedValueOnce(new Error('fetch failed'))
+        .mockResolvedValue([late]),
+    });
+
+    const result = await runWatch(125, deps);
+
+    expect(result).toEqual({ summarized: [late.sessionId], pending: [] });
+    expect(deps.fetchSessions).toHaveBeenCalledTimes(2);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Cycle failed: fetch failed'));
+    expect(deps.sleep.mock.calls[0][0]).toBeGreaterThanOrEqual(30 * 1000);
+    expect(deps.stateStore.save).toHaveBeenCalledTimes(2);
+    expect(savedState().pending).toEqual({});
+  });
+
+  test('does not probe a session before its scheduled end', async () => {
+    const upcoming = session('tls', '0100', { startTime: new Date(1_000_000 + 3600_000).toISOString(), durationMinutes: 60 });
+    const { deps } = makeDeps({
+      fetchCurrentMeetingNumber: jest.fn()
+        .mockResolvedValueOnce({ number: 125, inProgress: true })
+        .mockResolvedValue({ number: 125, inProgress: false }),
+      fetchSessions: jest.fn().mockResolvedValue([upcoming]),
+    });
+
+    await runWatch(125, deps);
+
+    expect(deps.probeRecording).not.toHaveBeenCalled();
+  });
+});
+
+describe('watch schedule helpers', () => {
+  test('schedulePoll grows the delay per attempt up to the cap', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999);
+    const entry = { attempts: 0, nextPollAt: 0, lastReason: null };
+    schedulePoll(entry, 'not yet', 0);
+    const first = entry.nextPollAt;
+    schedulePoll(entry, 'not yet', 0);
+    expect(entry.nextPollAt).toBeGreaterThan(first);
+    for (let i = 0; i < 10; i++) schedulePoll(entry, 'not yet', 0);
+    expect(entry.nextPollAt).toBeLessThanOrEqual(WATCH_POLL_CAP_MS);
+    expect(entry.attempts).toBe(12);
+  });
+
+  test('initialPollTime waits for the scheduled end when it is known', () => {
+    expect(initialPollTime({ startTime: '2026-03-16T01:00:00Z', durationMinutes: 90 }, 0))
+      .toBe(Date.parse('2026-03-16T02:30:00Z'));
+    expect(initialPollTime({}, 42)).toBe(42);
+  });
+
+  test('stores the schedule per meeting under cache/watch', () => {
+    expect(getWatchStatePath(125)).toMatch(/cache[\\/]watch[\\/]ietf125\.json$/);
+  });
+});